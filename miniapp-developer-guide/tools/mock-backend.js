@@ -0,0 +1,1411 @@
+#!/usr/bin/env node
+
+/**
+ * Olamo Mock Generic Backend
+ * Local stand-in for the generic backend: collections, documents, query, search,
+ * batch, preferences, files and the /ws real-time protocol, with no dependencies
+ */
+
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const crypto = require('crypto');
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC11B65';
+const MAX_LIMIT = 1000;
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'application/javascript; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.svg': 'image/svg+xml',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.ico': 'image/x-icon',
+    '.webmanifest': 'application/manifest+json'
+};
+
+class HttpError extends Error {
+    constructor(status, message, details = {}) {
+        super(message);
+        this.status = status;
+        this.details = details;
+    }
+}
+
+class MockBackend {
+    constructor({ root = null, port = 8080, host = '127.0.0.1', dataFile = null, role = 'admin', quiet = false } = {}) {
+        this.root = root ? path.resolve(root) : null;
+        this.port = port;
+        this.host = host;
+        this.dataFile = dataFile ? path.resolve(dataFile) : null;
+        // Role given to development tokens that carry no role of their own
+        this.defaultRole = role;
+        this.quiet = quiet;
+
+        this.collections = new Map();
+        this.preferences = new Map();
+        this.files = new Map();
+        this.clients = new Set();
+        this.lastTimestamp = 0;
+        this.server = null;
+    }
+
+    // Server Methods
+
+    /**
+     * Load any saved data and start listening
+     */
+    start() {
+        this.load();
+
+        this.server = http.createServer((req, res) => this.handleRequest(req, res));
+        this.server.on('upgrade', (req, socket) => this.handleUpgrade(req, socket));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                this.log(`🧺 Mock backend running on http://${this.host}:${this.port}`);
+                if (this.root) this.log(`   Serving ${this.root}`);
+                if (this.dataFile) this.log(`   Storing data in ${this.dataFile}`);
+                resolve(this);
+            });
+        });
+    }
+
+    /**
+     * Close every socket and stop listening
+     */
+    stop() {
+        this.clients.forEach(client => client.socket.destroy());
+        this.clients.clear();
+
+        return new Promise(resolve => {
+            if (!this.server) return resolve();
+            this.server.close(() => resolve());
+        });
+    }
+
+    /**
+     * Print a message unless running quietly
+     */
+    log(...args) {
+        if (!this.quiet) console.log(...args);
+    }
+
+    // Storage Methods
+
+    /**
+     * Restore collections, preferences and files from the data file
+     */
+    load() {
+        if (!this.dataFile || !fs.existsSync(this.dataFile)) return;
+
+        const saved = JSON.parse(fs.readFileSync(this.dataFile, 'utf8'));
+        Object.values(saved.collections || {}).forEach(collection => {
+            this.collections.set(collection.name, {
+                ...collection,
+                documents: new Map((collection.documents || []).map(doc => [doc.id, doc]))
+            });
+        });
+        Object.entries(saved.preferences || {}).forEach(([userId, namespaces]) => {
+            this.preferences.set(userId, namespaces);
+        });
+        (saved.files || []).forEach(file => {
+            this.files.set(file.id, { ...file, data: Buffer.from(file.data, 'base64') });
+        });
+    }
+
+    /**
+     * Write everything to the data file, when one is configured
+     */
+    save() {
+        if (!this.dataFile) return;
+
+        const collections = {};
+        this.collections.forEach((collection, name) => {
+            collections[name] = { ...collection, documents: Array.from(collection.documents.values()) };
+        });
+        const snapshot = {
+            collections,
+            preferences: Object.fromEntries(this.preferences),
+            files: Array.from(this.files.values()).map(file => ({ ...file, data: file.data.toString('base64') }))
+        };
+
+        fs.writeFileSync(this.dataFile, JSON.stringify(snapshot, null, 2));
+    }
+
+    /**
+     * Get an ISO timestamp that is always later than the previous one
+     * Versions are compared with If-Match, so two writes in the same millisecond must differ
+     */
+    timestamp() {
+        this.lastTimestamp = Math.max(Date.now(), this.lastTimestamp + 1);
+        return new Date(this.lastTimestamp).toISOString();
+    }
+
+    // HTTP Methods
+
+    /**
+     * Route a request to the API or the static file server
+     */
+    async handleRequest(req, res) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+
+        try {
+            if (req.method === 'OPTIONS') {
+                return this.send(res, 204, null);
+            }
+            if (url.pathname === '/health') {
+                return this.send(res, 200, { status: 'ok', collections: this.collections.size, clients: this.clients.size });
+            }
+            if (url.pathname.startsWith('/api/')) {
+                const user = this.authenticate(req, url);
+                return await this.handleApi(req, res, url, user);
+            }
+            return this.serveStatic(res, url);
+        } catch (error) {
+            if (!(error instanceof HttpError)) {
+                console.error('Request failed:', error);
+            }
+            const status = error.status || 500;
+            this.send(res, status, { error: true, message: error.message, ...error.details });
+        } finally {
+            this.log(`${req.method} ${url.pathname}${url.search} → ${res.statusCode}`);
+        }
+    }
+
+    /**
+     * Dispatch an /api request by path
+     */
+    async handleApi(req, res, url, user) {
+        const segments = url.pathname.split('/').filter(Boolean).slice(1).map(decodeURIComponent);
+        const [first, second, third, fourth] = segments;
+        const method = req.method;
+
+        if (first === 'collections') {
+            if (!second) {
+                if (method === 'GET') return this.send(res, 200, { collections: this.listCollections() });
+                if (method === 'POST') return this.send(res, 201, this.createCollection(await this.readJson(req)));
+            } else if (!third) {
+                if (method === 'GET') return this.send(res, 200, this.describeCollection(this.getCollection(second)));
+                if (method === 'DELETE') return this.send(res, 200, this.deleteCollection(second, url));
+            } else if (third === 'documents') {
+                return this.handleDocuments(req, res, url, user, second, fourth, { wrap: true });
+            } else if (third === 'search' && method === 'POST') {
+                return this.send(res, 200, this.search(second, await this.readJson(req), user));
+            } else if (third === 'query' && method === 'POST') {
+                return this.send(res, 200, this.query(second, await this.readJson(req), user));
+            }
+        } else if (first === 'batch' && !second && method === 'POST') {
+            return this.send(res, 200, this.batch(await this.readJson(req), user));
+        } else if (first === 'preferences' && !second) {
+            if (method === 'GET') return this.send(res, 200, this.getPreferences(user, url.searchParams.get('namespace')));
+            if (method === 'PUT') return this.send(res, 200, this.updatePreferences(user, await this.readJson(req)));
+        } else if (first === 'files') {
+            return this.handleFiles(req, res, url, user, second, third);
+        } else if (second === 'query' && !third && method === 'POST') {
+            return this.send(res, 200, this.query(first, await this.readJson(req), user));
+        } else if (second === 'search' && !third && method === 'POST') {
+            return this.send(res, 200, this.search(first, await this.readJson(req), user));
+        } else if (first && !third) {
+            return this.handleDocuments(req, res, url, user, first, second, { wrap: false });
+        }
+
+        throw new HttpError(404, `No route for ${method} ${url.pathname}`);
+    }
+
+    /**
+     * Handle document CRUD, either bare (/api/{c}) or wrapped (/api/collections/{c}/documents)
+     */
+    async handleDocuments(req, res, url, user, collectionName, id, { wrap }) {
+        const respond = (status, body, key) => {
+            if (body && !Array.isArray(body) && body.id) res.setHeader('ETag', `"${this.getVersion(body)}"`);
+            this.send(res, status, wrap && key ? { [key]: body } : body);
+        };
+
+        switch (req.method) {
+        case 'GET':
+            if (id) return respond(200, this.getDocument(collectionName, id, user), 'document');
+            return this.send(res, 200, this.listDocuments(collectionName, url.searchParams, user));
+        case 'POST':
+            if (id) break;
+            return respond(201, this.createDocument(collectionName, await this.readJson(req), user), 'document');
+        case 'PUT':
+        case 'PATCH':
+            if (!id) break;
+            return respond(200, this.updateDocument(collectionName, id, await this.readJson(req), user, {
+                ifMatch: req.headers['if-match']
+            }), 'document');
+        case 'DELETE':
+            if (!id) break;
+            this.deleteDocument(collectionName, id, user);
+            return this.send(res, 200, { success: true, id });
+        }
+
+        throw new HttpError(405, `${req.method} is not supported here`);
+    }
+
+    /**
+     * Write a JSON response, or raw content when given a Buffer
+     */
+    send(res, status, body, contentType = 'application/json; charset=utf-8') {
+        res.setHeader('Access-Control-Allow-Origin', '*');
+        res.setHeader('Access-Control-Allow-Headers', 'Authorization, Content-Type, If-Match, X-Miniapp-Id');
+        res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, PATCH, DELETE, OPTIONS');
+        res.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+        if (body === null) {
+            res.writeHead(status);
+            return res.end();
+        }
+        const payload = Buffer.isBuffer(body) ? body : Buffer.from(JSON.stringify(body));
+        res.writeHead(status, { 'Content-Type': contentType, 'Content-Length': payload.length });
+        res.end(payload);
+    }
+
+    /**
+     * Read the whole request body
+     */
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            req.on('data', chunk => chunks.push(chunk));
+            req.on('end', () => resolve(Buffer.concat(chunks)));
+            req.on('error', reject);
+        });
+    }
+
+    /**
+     * Read and parse a JSON request body
+     */
+    async readJson(req) {
+        const body = await this.readBody(req);
+        if (body.length === 0) return {};
+        try {
+            return JSON.parse(body.toString('utf8'));
+        } catch (error) {
+            throw new HttpError(400, 'Request body is not valid JSON');
+        }
+    }
+
+    /**
+     * Serve a file from the miniapp directory
+     */
+    serveStatic(res, url) {
+        if (!this.root) {
+            throw new HttpError(404, 'No miniapp directory is being served');
+        }
+
+        let filePath = path.join(this.root, path.normalize(decodeURIComponent(url.pathname)));
+        if (!filePath.startsWith(this.root)) {
+            throw new HttpError(403, 'Path is outside the miniapp directory');
+        }
+        if (fs.existsSync(filePath) && fs.statSync(filePath).isDirectory()) {
+            filePath = path.join(filePath, 'index.html');
+        }
+        if (!fs.existsSync(filePath)) {
+            throw new HttpError(404, `File not found: ${url.pathname}`);
+        }
+
+        const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+        this.send(res, 200, fs.readFileSync(filePath), type);
+    }
+
+    // Auth Methods
+
+    /**
+     * Resolve the user behind a bearer token or ?token= parameter
+     * JWT payloads are decoded without verifying the signature; any other token is the development user
+     */
+    authenticate(req, url) {
+        const header = req.headers.authorization || '';
+        const token = header.replace(/^Bearer\s+/i, '') || url.searchParams.get('token');
+        if (!token || token === 'null' || token === 'undefined') {
+            throw new HttpError(401, 'Authentication required');
+        }
+
+        const payload = this.decodeToken(token);
+        if (!payload) {
+            return { id: 'mock-user-id', email: 'developer@example.com', name: 'Developer', role: this.defaultRole };
+        }
+        if (payload.exp && payload.exp * 1000 < Date.now()) {
+            throw new HttpError(401, 'Token has expired');
+        }
+
+        const groups = [].concat(payload.permissions || [], payload.groups || [], payload.roles || []);
+        return {
+            id: payload.user_id || payload.uid || payload.sub || 'mock-user-id',
+            email: payload.email || null,
+            name: payload.name || payload.user_name || 'Developer',
+            role: payload.role || (groups.includes('admin') ? 'admin' : this.defaultRole)
+        };
+    }
+
+    /**
+     * Decode a JWT payload, or return null for anything that is not one
+     */
+    decodeToken(token) {
+        const parts = token.split('.');
+        if (parts.length !== 3) return null;
+        try {
+            return JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8'));
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Get the role names a user satisfies; admins also count as members
+     */
+    getRoles(user) {
+        const roles = new Set([user.role, 'user', 'authenticated', 'public', '*']);
+        if (user.role === 'admin') roles.add('member');
+        return roles;
+    }
+
+    /**
+     * Check a collection permission for a user and, for existing documents, their owner
+     * Configs use either read/write/delete or create/read/update/delete; write covers create and update
+     */
+    can(collection, action, user, doc = null) {
+        const permissions = collection.permissions || {};
+        const allowed = permissions[action] || (action === 'create' || action === 'update' ? permissions.write : null);
+        if (!allowed) return true;
+
+        const roles = this.getRoles(user);
+        if ([].concat(allowed).some(role => roles.has(role))) return true;
+        if ([].concat(allowed).includes('owner')) {
+            return !doc || doc.createdBy === user.id;
+        }
+        return false;
+    }
+
+    /**
+     * Throw a 403 unless the user has a permission
+     */
+    authorize(collection, action, user, doc = null) {
+        if (!this.can(collection, action, user, doc)) {
+            throw new HttpError(403, `You do not have ${action} permission on ${collection.name}`);
+        }
+    }
+
+    // Collection Methods
+
+    /**
+     * Get a collection or throw a 404
+     */
+    getCollection(name) {
+        const collection = this.collections.get(name);
+        if (!collection) {
+            throw new HttpError(404, `Collection ${name} not found`);
+        }
+        return collection;
+    }
+
+    /**
+     * Summarize a collection for API responses
+     */
+    describeCollection(collection) {
+        const { documents, ...info } = collection;
+        return { ...info, document_count: documents.size };
+    }
+
+    /**
+     * List every collection
+     */
+    listCollections() {
+        return Array.from(this.collections.values()).map(collection => this.describeCollection(collection));
+    }
+
+    /**
+     * Create a collection from an initializeCollections config
+     */
+    createCollection(config) {
+        if (!config.name || !/^[a-zA-Z0-9_-]+$/.test(config.name)) {
+            throw new HttpError(422, 'Collection name is required and may only contain letters, numbers, _ and -');
+        }
+        if (this.collections.has(config.name)) {
+            throw new HttpError(409, `Collection ${config.name} already exists`);
+        }
+
+        const collection = {
+            name: config.name,
+            description: config.description || '',
+            schema: config.schema || {},
+            permissions: config.permissions || {},
+            indexes: config.indexes || [],
+            created_at: this.timestamp(),
+            documents: new Map()
+        };
+        this.collections.set(collection.name, collection);
+        this.save();
+        return this.describeCollection(collection);
+    }
+
+    /**
+     * Delete a collection and its documents; requires ?confirm=true
+     */
+    deleteCollection(name, url) {
+        this.getCollection(name);
+        if (url.searchParams.get('confirm') !== 'true') {
+            throw new HttpError(400, 'Deleting a collection requires ?confirm=true');
+        }
+        this.collections.delete(name);
+        this.save();
+        return { success: true, name };
+    }
+
+    // Schema Methods
+
+    /**
+     * Get the field rules of a schema, accepting { properties }, flat field maps and type shorthands
+     */
+    getFields(schema = {}) {
+        const source = schema.properties || schema;
+        const required = Array.isArray(schema.required) ? schema.required : [];
+        const fields = {};
+
+        Object.entries(source).forEach(([field, rule]) => {
+            if (!schema.properties && (field === 'type' || field === 'required')) return;
+            const normalized = typeof rule === 'string' ? { type: rule } : { ...rule };
+            if (required.includes(field)) normalized.required = true;
+            fields[field] = normalized;
+        });
+        return fields;
+    }
+
+    /**
+     * Fill in schema defaults for missing top-level fields
+     */
+    applyDefaults(schema, data) {
+        Object.entries(this.getFields(schema)).forEach(([field, rule]) => {
+            if (data[field] === undefined && rule.default !== undefined) {
+                data[field] = JSON.parse(JSON.stringify(rule.default));
+            }
+        });
+        return data;
+    }
+
+    /**
+     * Validate a document against a schema, returning field-level errors
+     * Fields the schema does not mention are allowed
+     */
+    validate(schema, data, prefix = '') {
+        const errors = [];
+
+        Object.entries(this.getFields(schema)).forEach(([field, rule]) => {
+            const name = `${prefix}${field}`;
+            const value = data ? data[field] : undefined;
+
+            if (value === undefined || value === null || value === '') {
+                if (rule.required) errors.push({ field: name, message: `${name} is required` });
+                return;
+            }
+            errors.push(...this.validateValue(name, rule, value));
+        });
+        return errors;
+    }
+
+    /**
+     * Validate one value against its field rule
+     */
+    validateValue(name, rule, value) {
+        const errors = [];
+        const fail = message => errors.push({ field: name, message });
+        const type = rule.type;
+
+        const typeMatches = {
+            string: typeof value === 'string',
+            number: typeof value === 'number' && Number.isFinite(value),
+            integer: Number.isInteger(value),
+            boolean: typeof value === 'boolean',
+            array: Array.isArray(value),
+            object: typeof value === 'object' && !Array.isArray(value)
+        };
+        if (type && type in typeMatches && !typeMatches[type]) {
+            fail(`${name} must be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`);
+            return errors;
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            fail(`${name} must be one of: ${rule.enum.join(', ')}`);
+        }
+
+        if (typeof value === 'string') {
+            if (rule.minLength !== undefined && value.length < rule.minLength) {
+                fail(`${name} must be at least ${rule.minLength} characters`);
+            }
+            if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+                fail(`${name} must be at most ${rule.maxLength} characters`);
+            }
+            if (rule.pattern && !new RegExp(rule.pattern).test(value)) {
+                fail(`${name} has an invalid format`);
+            }
+            if (rule.format && !this.matchesFormat(rule.format, value)) {
+                fail(`${name} must be a valid ${rule.format}`);
+            }
+        }
+
+        if (typeof value === 'number') {
+            const minimum = rule.minimum ?? rule.min;
+            const maximum = rule.maximum ?? rule.max;
+            if (minimum !== undefined && value < minimum) fail(`${name} must be at least ${minimum}`);
+            if (maximum !== undefined && value > maximum) fail(`${name} must be at most ${maximum}`);
+        }
+
+        if (Array.isArray(value) && rule.items) {
+            value.forEach((item, index) => errors.push(...this.validateValue(`${name}[${index}]`, rule.items, item)));
+        }
+
+        if (typeMatches.object && rule.properties) {
+            errors.push(...this.validate(rule, value, `${name}.`));
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check a string against a named format
+     */
+    matchesFormat(format, value) {
+        switch (format) {
+        case 'email':
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value);
+        case 'date':
+            return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+        case 'date-time':
+            return !Number.isNaN(Date.parse(value));
+        case 'uri':
+        case 'url':
+            return /^(https?:\/\/|\/)/.test(value);
+        default:
+            return true;
+        }
+    }
+
+    /**
+     * Throw a 422 listing every invalid field
+     */
+    assertValid(collection, data) {
+        const errors = this.validate(collection.schema, data);
+        if (errors.length > 0) {
+            throw new HttpError(422, `Validation failed: ${errors.map(e => e.message).join('; ')}`, { errors });
+        }
+    }
+
+    // Document Methods
+
+    /**
+     * Get the version compared against If-Match
+     */
+    getVersion(doc) {
+        return doc.updatedAt || doc.updated_at || doc.createdAt;
+    }
+
+    /**
+     * Get one document the user may read
+     */
+    getDocument(collectionName, id, user) {
+        const collection = this.getCollection(collectionName);
+        const doc = collection.documents.get(id);
+        if (!doc) {
+            throw new HttpError(404, `Document ${id} not found in ${collectionName}`);
+        }
+        this.authorize(collection, 'read', user, doc);
+        return doc;
+    }
+
+    /**
+     * Get the documents of a collection the user may read
+     */
+    getReadableDocuments(collectionName, user) {
+        const collection = this.getCollection(collectionName);
+        return Array.from(collection.documents.values()).filter(doc => this.can(collection, 'read', user, doc));
+    }
+
+    /**
+     * List documents with page/limit/sort/order and filter[field] or filter[field.op] parameters
+     */
+    listDocuments(collectionName, params, user) {
+        const filters = [];
+        params.forEach((value, key) => {
+            const match = key.match(/^filter\[(.+)\]$/);
+            if (!match) return;
+            const [, field, op] = match[1].match(/^(.+?)(?:\.(eq|ne|gt|gte|lt|lte|in|contains))?$/);
+            const operator = { eq: '==', ne: '!=', gt: '>', gte: '>=', lt: '<', lte: '<=' }[op] || op || '==';
+            filters.push({ field, operator, value: operator === 'in' ? value.split(',') : value });
+        });
+
+        const docs = this.getReadableDocuments(collectionName, user).filter(doc => this.matchesAll(doc, filters));
+        const sort = params.get('sort') ? [{ field: params.get('sort'), order: params.get('order') || 'asc' }] : [];
+        const page = this.paginate(this.sortDocuments(docs, sort), params.get('page'), params.get('limit'));
+
+        return {
+            documents: page.items,
+            total: page.total,
+            page: page.page,
+            limit: page.limit,
+            hasNext: page.hasNext,
+            has_next: page.hasNext,
+            hasPrev: page.page > 1
+        };
+    }
+
+    /**
+     * Validate and store a new document, then broadcast it
+     */
+    createDocument(collectionName, data, user) {
+        const collection = this.getCollection(collectionName);
+        this.authorize(collection, 'create', user);
+
+        const now = this.timestamp();
+        const doc = this.applyDefaults(collection.schema, { ...data });
+        this.assertValid(collection, doc);
+
+        // Ids are always assigned here; clients match their temporary ids via client_id
+        Object.assign(doc, {
+            id: crypto.randomUUID(),
+            createdAt: now,
+            createdBy: user.id,
+            updatedAt: now,
+            updatedBy: user.id,
+            groupId: 'mock-group-id',
+            miniappId: 'mock-miniapp-id'
+        });
+
+        collection.documents.set(doc.id, doc);
+        this.save();
+        this.broadcastChange(collection, 'document_created', doc, user);
+        return doc;
+    }
+
+    /**
+     * Merge changes into a document, honouring an If-Match version precondition
+     */
+    updateDocument(collectionName, id, data, user, { ifMatch = null } = {}) {
+        const collection = this.getCollection(collectionName);
+        const current = collection.documents.get(id);
+        if (!current) {
+            throw new HttpError(404, `Document ${id} not found in ${collectionName}`);
+        }
+        this.authorize(collection, 'update', user, current);
+
+        const expected = ifMatch ? ifMatch.replace(/^W\//, '').replace(/"/g, '') : null;
+        if (expected && expected !== '*' && expected !== this.getVersion(current)) {
+            throw new HttpError(412, 'This record was changed by someone else', { current });
+        }
+
+        const { id: _id, createdAt, createdBy, ...changes } = data;
+        const doc = { ...current, ...changes, updatedAt: this.timestamp(), updatedBy: user.id };
+        this.assertValid(collection, doc);
+
+        collection.documents.set(id, doc);
+        this.save();
+        this.broadcastChange(collection, 'document_updated', doc, user);
+        return doc;
+    }
+
+    /**
+     * Remove a document and broadcast the deletion
+     */
+    deleteDocument(collectionName, id, user) {
+        const collection = this.getCollection(collectionName);
+        const doc = collection.documents.get(id);
+        if (!doc) {
+            throw new HttpError(404, `Document ${id} not found in ${collectionName}`);
+        }
+        this.authorize(collection, 'delete', user, doc);
+
+        collection.documents.delete(id);
+        this.save();
+        this.broadcastChange(collection, 'document_deleted', doc, user);
+        return doc;
+    }
+
+    // Query Methods
+
+    /**
+     * Read a possibly nested field such as location.name
+     */
+    getField(doc, field) {
+        return field.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+    }
+
+    /**
+     * Convert a query string value to the type of the stored value
+     */
+    coerce(value, sample) {
+        if (typeof value !== 'string') return value;
+        if (typeof sample === 'number' && value.trim() !== '' && !Number.isNaN(Number(value))) return Number(value);
+        if (typeof sample === 'boolean' && (value === 'true' || value === 'false')) return value === 'true';
+        return value;
+    }
+
+    /**
+     * Check one { field, operator, value } filter against a document
+     */
+    matchesFilter(doc, { field, operator = '==', value }) {
+        const actual = this.getField(doc, field);
+        const expected = Array.isArray(value) ? value.map(v => this.coerce(v, actual)) : this.coerce(value, actual);
+
+        switch (operator) {
+        case '==':
+        case 'eq':
+            return actual === expected;
+        case '!=':
+        case 'ne':
+            return actual !== expected;
+        case '>':
+            return actual != null && actual > expected;
+        case '>=':
+            return actual != null && actual >= expected;
+        case '<':
+            return actual != null && actual < expected;
+        case '<=':
+            return actual != null && actual <= expected;
+        case 'in':
+            return [].concat(expected).includes(actual);
+        case 'not_in':
+            return ![].concat(expected).includes(actual);
+        case 'array_contains':
+            return Array.isArray(actual) && actual.includes(expected);
+        case 'contains':
+            if (Array.isArray(actual)) return actual.includes(expected);
+            return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+        default:
+            throw new HttpError(400, `Unsupported filter operator: ${operator}`);
+        }
+    }
+
+    /**
+     * Check that a document matches every filter
+     */
+    matchesAll(doc, filters = []) {
+        return filters.every(filter => this.matchesFilter(doc, filter));
+    }
+
+    /**
+     * Sort documents by [{ field, order }], leaving missing values last
+     */
+    sortDocuments(docs, sort = []) {
+        const keys = [].concat(sort).filter(Boolean).map(key => (typeof key === 'string' ? { field: key } : key));
+        if (keys.length === 0) return docs;
+
+        return [...docs].sort((a, b) => {
+            for (const { field, order, direction } of keys) {
+                const descending = (order || direction) === 'desc';
+                const left = this.getField(a, field);
+                const right = this.getField(b, field);
+                if (left === right) continue;
+                if (left == null) return 1;
+                if (right == null) return -1;
+                return (left < right ? -1 : 1) * (descending ? -1 : 1);
+            }
+            return 0;
+        });
+    }
+
+    /**
+     * Slice one page out of a list
+     */
+    paginate(items, page, limit) {
+        const size = Math.min(Math.max(parseInt(limit, 10) || 20, 1), MAX_LIMIT);
+        const number = Math.max(parseInt(page, 10) || 1, 1);
+        const start = (number - 1) * size;
+
+        return {
+            items: items.slice(start, start + size),
+            total: items.length,
+            page: number,
+            limit: size,
+            hasNext: start + size < items.length
+        };
+    }
+
+    /**
+     * Run a structured query: filters are ANDed and each or_filters set is an alternative
+     */
+    query(collectionName, { filters = [], or_filters: orFilters = null, sort = [], page = 1, limit = 20 } = {}, user) {
+        const docs = this.getReadableDocuments(collectionName, user).filter(doc => {
+            if (!this.matchesAll(doc, filters)) return false;
+            return !orFilters || orFilters.length === 0 || orFilters.some(set => this.matchesAll(doc, set));
+        });
+        const result = this.paginate(this.sortDocuments(docs, sort), page, limit);
+
+        return {
+            results: result.items,
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            hasNext: result.hasNext,
+            has_next: result.hasNext
+        };
+    }
+
+    /**
+     * Full-text search across string fields
+     * Accepts { q, fields, filter } and the SDK form { query: { field: { operator, value } } }
+     */
+    search(collectionName, body, user) {
+        const docs = this.getReadableDocuments(collectionName, user);
+
+        if (body.query && typeof body.query === 'object') {
+            const filters = Object.entries(body.query).map(([field, condition]) => (
+                condition && typeof condition === 'object'
+                    ? { field, operator: condition.operator || '==', value: condition.value }
+                    : { field, operator: '==', value: condition }
+            ));
+            return { documents: docs.filter(doc => this.matchesAll(doc, filters)) };
+        }
+
+        const term = String(body.q || '').trim().toLowerCase();
+        const fields = typeof body.fields === 'string' ? body.fields.split(',') : body.fields;
+        const filters = Object.entries(body.filter || {}).map(([field, value]) => ({ field, operator: '==', value }));
+
+        const matches = docs.filter(doc => {
+            if (!this.matchesAll(doc, filters)) return false;
+            if (!term) return true;
+            const values = fields && fields.length > 0
+                ? fields.map(field => this.getField(doc, field))
+                : Object.values(doc);
+            return values.some(value => typeof value === 'string' && value.toLowerCase().includes(term));
+        });
+        const result = this.paginate(matches, body.page, body.limit);
+
+        return {
+            results: result.items.map(doc => ({ id: doc.id, data: doc })),
+            total: result.total,
+            page: result.page,
+            limit: result.limit,
+            has_next: result.hasNext,
+            has_prev: result.page > 1
+        };
+    }
+
+    // Batch Methods
+
+    /**
+     * Run several create/update/delete operations
+     * With atomic set, the first failure restores every collection to its state before the batch
+     */
+    batch({ operations = [], atomic = false } = {}, user) {
+        const snapshot = atomic ? this.snapshotDocuments() : null;
+        const results = [];
+        const errors = [];
+
+        for (const [index, op] of operations.entries()) {
+            try {
+                const type = op.operation || op.type;
+                let data;
+                if (type === 'create') {
+                    data = this.createDocument(op.collection, { ...op.data, ...(op.id ? { id: op.id } : {}) }, user);
+                } else if (type === 'update') {
+                    data = this.updateDocument(op.collection, op.id, op.data || {}, user);
+                } else if (type === 'delete') {
+                    data = this.deleteDocument(op.collection, op.id, user);
+                } else {
+                    throw new HttpError(400, `Unsupported batch operation: ${type}`);
+                }
+                results.push({ index, success: true, id: data.id, data });
+            } catch (error) {
+                errors.push({ index, success: false, id: op.id || null, status: error.status || 500, message: error.message });
+                if (atomic) break;
+            }
+        }
+
+        if (atomic && errors.length > 0) {
+            this.restoreDocuments(snapshot);
+            throw new HttpError(400, `Batch rolled back: ${errors[0].message}`, { errors });
+        }
+
+        return {
+            success: errors.length === 0,
+            results,
+            errors,
+            total: operations.length,
+            succeeded: results.length,
+            failed: errors.length
+        };
+    }
+
+    /**
+     * Copy the documents of every collection
+     */
+    snapshotDocuments() {
+        return new Map(Array.from(this.collections.entries()).map(([name, c]) => [name, new Map(c.documents)]));
+    }
+
+    /**
+     * Put back documents saved by snapshotDocuments
+     */
+    restoreDocuments(snapshot) {
+        snapshot.forEach((documents, name) => {
+            if (this.collections.has(name)) this.collections.get(name).documents = documents;
+        });
+        this.save();
+    }
+
+    // Preference Methods
+
+    /**
+     * Get a user's preferences in a namespace
+     */
+    getPreferences(user, namespace) {
+        const key = namespace || 'default';
+        const namespaces = this.preferences.get(user.id) || {};
+        return { namespace: key, preferences: namespaces[key] || {} };
+    }
+
+    /**
+     * Replace or merge a user's preferences in a namespace
+     */
+    updatePreferences(user, { preferences = {}, namespace = null, merge = true } = {}) {
+        const key = namespace || 'default';
+        const namespaces = this.preferences.get(user.id) || {};
+        namespaces[key] = merge ? { ...(namespaces[key] || {}), ...preferences } : { ...preferences };
+
+        this.preferences.set(user.id, namespaces);
+        this.save();
+        return { success: true, namespace: key, preferences: namespaces[key] };
+    }
+
+    // File Methods
+
+    /**
+     * Handle upload, listing, download, signed URLs and deletion under /api/files
+     */
+    async handleFiles(req, res, url, user, id, action) {
+        if (!id) {
+            if (req.method === 'GET') {
+                const files = Array.from(this.files.values()).map(file => this.describeFile(file));
+                return this.send(res, 200, { files, total: files.length });
+            }
+            if (req.method === 'POST') {
+                return this.send(res, 201, this.describeFile(await this.uploadFile(req, user)));
+            }
+        }
+
+        const file = this.files.get(id);
+        if (id && !file) {
+            throw new HttpError(404, `File ${id} not found`);
+        }
+
+        if (req.method === 'GET' && action === 'url') {
+            const expiresIn = parseInt(url.searchParams.get('expiration'), 10) || 3600;
+            return this.send(res, 200, { url: `/api/files/${id}?token=mock-signed-${id}`, expires_in: expiresIn });
+        }
+        if (req.method === 'GET' && !action) {
+            res.setHeader('Content-Disposition', `inline; filename="${file.original_filename}"`);
+            return this.send(res, 200, file.data, file.content_type);
+        }
+        if (req.method === 'DELETE' && !action) {
+            this.files.delete(id);
+            this.save();
+            return this.send(res, 200, { success: true, id });
+        }
+
+        throw new HttpError(405, `${req.method} is not supported here`);
+    }
+
+    /**
+     * Store the file part of a multipart upload
+     */
+    async uploadFile(req, user) {
+        const boundary = (req.headers['content-type'] || '').match(/boundary=(?:"([^"]+)"|([^;]+))/);
+        if (!boundary) {
+            throw new HttpError(400, 'Uploads must be multipart/form-data');
+        }
+
+        const parts = this.parseMultipart(await this.readBody(req), boundary[1] || boundary[2]);
+        const part = parts.find(p => p.filename !== undefined);
+        if (!part) {
+            throw new HttpError(422, 'No file was uploaded', { errors: [{ field: 'file', message: 'file is required' }] });
+        }
+
+        const id = crypto.randomUUID();
+        const file = {
+            id,
+            filename: `${id}${path.extname(part.filename)}`,
+            original_filename: part.filename,
+            size: part.data.length,
+            content_type: part.contentType || 'application/octet-stream',
+            url: `/api/files/${id}`,
+            uploaded_at: this.timestamp(),
+            uploaded_by: user.id,
+            data: part.data
+        };
+        this.files.set(id, file);
+        this.save();
+        return file;
+    }
+
+    /**
+     * Split a multipart body into { name, filename, contentType, data } parts
+     */
+    parseMultipart(body, boundary) {
+        const delimiter = Buffer.from(`--${boundary}`);
+        const parts = [];
+        let start = body.indexOf(delimiter);
+
+        while (start !== -1) {
+            const next = body.indexOf(delimiter, start + delimiter.length);
+            if (next === -1) break;
+
+            // Each part is CRLF, headers, blank line, content, CRLF
+            const chunk = body.slice(start + delimiter.length + 2, next - 2);
+            const headerEnd = chunk.indexOf('\r\n\r\n');
+            if (headerEnd !== -1) {
+                const headers = chunk.slice(0, headerEnd).toString('utf8');
+                const disposition = headers.match(/content-disposition:[^\r\n]*/i)?.[0] || '';
+                parts.push({
+                    name: disposition.match(/\bname="([^"]*)"/)?.[1],
+                    filename: disposition.match(/filename="([^"]*)"/)?.[1],
+                    contentType: headers.match(/content-type:\s*([^\r\n]+)/i)?.[1],
+                    data: chunk.slice(headerEnd + 4)
+                });
+            }
+            start = next;
+        }
+        return parts;
+    }
+
+    /**
+     * Get the metadata returned for a file
+     */
+    describeFile(file) {
+        const { data, ...info } = file;
+        return info;
+    }
+
+    // WebSocket Methods
+
+    /**
+     * Accept a WebSocket upgrade on /ws
+     */
+    handleUpgrade(req, socket) {
+        const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+        let user;
+        try {
+            if (url.pathname !== '/ws') throw new HttpError(404, 'Not found');
+            user = this.authenticate(req, url);
+        } catch (error) {
+            socket.end(`HTTP/1.1 ${error.status} ${http.STATUS_CODES[error.status]}\r\n\r\n`);
+            return;
+        }
+
+        const accept = crypto.createHash('sha1').update(req.headers['sec-websocket-key'] + WS_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '', ''
+        ].join('\r\n'));
+
+        const client = { socket, user, subscriptions: [], rooms: new Set(), buffer: Buffer.alloc(0), fragments: [] };
+        this.clients.add(client);
+        this.log(`WS connected: ${user.id}`);
+
+        socket.on('data', chunk => this.readFrames(client, chunk));
+        socket.on('close', () => this.disconnect(client));
+        socket.on('error', () => this.disconnect(client));
+
+        this.sendMessage(client, { type: 'connected', user_id: user.id, timestamp: this.timestamp() });
+    }
+
+    /**
+     * Forget a client and tell its rooms that it left
+     */
+    disconnect(client) {
+        if (!this.clients.delete(client)) return;
+        client.rooms.forEach(roomId => {
+            this.broadcastToRoom(roomId, { type: 'room_leave', room_id: roomId, user_id: client.user.id }, client);
+        });
+        this.log(`WS disconnected: ${client.user.id}`);
+    }
+
+    /**
+     * Parse complete frames out of the client's buffer
+     * Client frames are always masked; lengths may use the 16 or 64 bit extended forms
+     */
+    readFrames(client, chunk) {
+        client.buffer = Buffer.concat([client.buffer, chunk]);
+
+        while (client.buffer.length >= 2) {
+            const buffer = client.buffer;
+            const fin = (buffer[0] & 0x80) !== 0;
+            const opcode = buffer[0] & 0x0f;
+            const masked = (buffer[1] & 0x80) !== 0;
+            let length = buffer[1] & 0x7f;
+            let offset = 2;
+
+            if (length === 126) {
+                if (buffer.length < 4) return;
+                length = buffer.readUInt16BE(2);
+                offset = 4;
+            } else if (length === 127) {
+                if (buffer.length < 10) return;
+                length = Number(buffer.readBigUInt64BE(2));
+                offset = 10;
+            }
+
+            const maskOffset = offset;
+            if (masked) offset += 4;
+            if (buffer.length < offset + length) return;
+
+            const payload = Buffer.from(buffer.slice(offset, offset + length));
+            if (masked) {
+                for (let i = 0; i < payload.length; i++) {
+                    payload[i] ^= buffer[maskOffset + (i % 4)];
+                }
+            }
+            client.buffer = buffer.slice(offset + length);
+
+            this.handleFrame(client, fin, opcode, payload);
+        }
+    }
+
+    /**
+     * React to one frame: text messages, continuations, close and ping
+     */
+    handleFrame(client, fin, opcode, payload) {
+        if (opcode === 0x8) {
+            this.writeFrame(client.socket, 0x8, payload.slice(0, 2));
+            client.socket.end();
+            this.disconnect(client);
+            return;
+        }
+        if (opcode === 0x9) {
+            this.writeFrame(client.socket, 0xA, payload);
+            return;
+        }
+        if (opcode !== 0x1 && opcode !== 0x0) return;
+
+        client.fragments.push(payload);
+        if (!fin) return;
+
+        const text = Buffer.concat(client.fragments).toString('utf8');
+        client.fragments = [];
+
+        try {
+            this.handleMessage(client, JSON.parse(text));
+        } catch (error) {
+            this.sendMessage(client, { type: 'error', message: error.message, status: error.status || 400 });
+        }
+    }
+
+    /**
+     * Write an unmasked server frame
+     */
+    writeFrame(socket, opcode, payload) {
+        let header;
+        if (payload.length < 126) {
+            header = Buffer.from([0x80 | opcode, payload.length]);
+        } else if (payload.length < 65536) {
+            header = Buffer.alloc(4);
+            header[0] = 0x80 | opcode;
+            header[1] = 126;
+            header.writeUInt16BE(payload.length, 2);
+        } else {
+            header = Buffer.alloc(10);
+            header[0] = 0x80 | opcode;
+            header[1] = 127;
+            header.writeBigUInt64BE(BigInt(payload.length), 2);
+        }
+
+        if (!socket.destroyed) {
+            socket.write(Buffer.concat([header, payload]));
+        }
+    }
+
+    /**
+     * Send a JSON message to one client
+     */
+    sendMessage(client, message) {
+        this.writeFrame(client.socket, 0x1, Buffer.from(JSON.stringify(message)));
+    }
+
+    /**
+     * Handle a protocol message from a client
+     */
+    handleMessage(client, message) {
+        const { user } = client;
+
+        switch (message.type) {
+        case 'subscribe':
+            this.getCollection(message.collection);
+            client.subscriptions.push({
+                collection: message.collection,
+                eventType: message.eventType || null,
+                filters: message.filters || null
+            });
+            this.sendMessage(client, { type: 'subscribed', collection: message.collection, filters: message.filters || null });
+            break;
+        case 'unsubscribe': {
+            const key = this.getSubscriptionKey(message);
+            client.subscriptions = client.subscriptions.filter(sub => this.getSubscriptionKey(sub) !== key);
+            this.sendMessage(client, { type: 'unsubscribed', collection: message.collection });
+            break;
+        }
+        case 'presence':
+            this.broadcast({
+                type: 'presence_update',
+                user_id: user.id,
+                presence: { status: message.status, metadata: message.metadata || {}, timestamp: this.timestamp() }
+            }, client);
+            break;
+        case 'typing_start':
+        case 'typing_stop':
+            this.broadcast({ type: message.type, user_id: user.id, user_name: user.name, context: message.context }, client);
+            break;
+        case 'join_room':
+            client.rooms.add(message.room_id);
+            this.broadcastToRoom(message.room_id, { type: 'room_join', room_id: message.room_id, user_id: user.id }, client);
+            break;
+        case 'leave_room':
+            client.rooms.delete(message.room_id);
+            this.broadcastToRoom(message.room_id, { type: 'room_leave', room_id: message.room_id, user_id: user.id }, client);
+            break;
+        case 'room_message':
+            this.broadcastToRoom(message.room_id, {
+                type: 'room_message',
+                room_id: message.room_id,
+                user_id: user.id,
+                data: message.data,
+                timestamp: this.timestamp()
+            }, client);
+            break;
+        case 'create':
+            this.sendMessage(client, { type: 'ack', data: this.createDocument(message.collection, message.data || {}, user) });
+            break;
+        case 'update':
+            this.sendMessage(client, { type: 'ack', data: this.updateDocument(message.collection, message.id, message.data || {}, user) });
+            break;
+        case 'delete':
+            this.deleteDocument(message.collection, message.id, user);
+            this.sendMessage(client, { type: 'ack', id: message.id });
+            break;
+        case 'ping':
+            this.sendMessage(client, { type: 'pong', timestamp: this.timestamp() });
+            break;
+        default:
+            throw new HttpError(400, `Unknown message type: ${message.type}`);
+        }
+    }
+
+    /**
+     * Build the key an unsubscribe message is matched by
+     */
+    getSubscriptionKey({ collection, eventType = null, filters = null }) {
+        return JSON.stringify([collection, eventType || null, filters || null]);
+    }
+
+    /**
+     * Send a message to every client except the sender
+     */
+    broadcast(message, sender = null) {
+        this.clients.forEach(client => {
+            if (client !== sender) this.sendMessage(client, message);
+        });
+    }
+
+    /**
+     * Send a message to the other members of a room
+     */
+    broadcastToRoom(roomId, message, sender = null) {
+        this.clients.forEach(client => {
+            if (client !== sender && client.rooms.has(roomId)) this.sendMessage(client, message);
+        });
+    }
+
+    /**
+     * Tell subscribed clients about a document change, once per client
+     * Equality filters such as { picnic_id } narrow a subscription; read permission is checked per client
+     */
+    broadcastChange(collection, type, doc, user) {
+        const message = {
+            type,
+            collection: collection.name,
+            data: doc,
+            id: doc.id,
+            metadata: { timestamp: doc.updatedAt || this.timestamp(), user_id: user.id }
+        };
+
+        this.clients.forEach(client => {
+            const subscribed = client.subscriptions.some(sub => (
+                sub.collection === collection.name
+                && (!sub.eventType || sub.eventType === type)
+                && Object.entries(sub.filters || {}).every(([field, value]) => this.getField(doc, field) === value)
+            ));
+            if (subscribed && this.can(collection, 'read', client.user, doc)) {
+                this.sendMessage(client, message);
+            }
+        });
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log('Olamo Mock Generic Backend');
+        console.log('');
+        console.log('Usage: node mock-backend.js [miniapp-directory] [options]');
+        console.log('');
+        console.log('Options:');
+        console.log('  --port <number>   Port to listen on (default 8080, 0 picks a free port)');
+        console.log('  --host <address>  Address to bind (default 127.0.0.1)');
+        console.log('  --data <file>     Keep data in a JSON file instead of memory');
+        console.log('  --role <role>     Role for development tokens: admin or member (default admin)');
+        console.log('  --quiet           Do not log requests');
+        console.log('');
+        console.log('Examples:');
+        console.log('  node mock-backend.js ../../picnic-planner --port 8080');
+        console.log('  node mock-backend.js ../examples/todo-app --data todo-data.json');
+        process.exit(0);
+    }
+
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+    };
+    const optionValues = ['--port', '--host', '--data', '--role'].map(name => option(name, null));
+    const root = args.find(arg => !arg.startsWith('--') && !optionValues.includes(arg)) || null;
+
+    if (root && !fs.existsSync(path.join(root, 'index.html'))) {
+        console.error(`❌ No index.html found in ${path.resolve(root)}`);
+        process.exit(1);
+    }
+
+    const backend = new MockBackend({
+        root,
+        port: parseInt(option('--port', '8080'), 10),
+        host: option('--host', '127.0.0.1'),
+        dataFile: option('--data', null),
+        role: option('--role', 'admin'),
+        quiet: args.includes('--quiet')
+    });
+
+    try {
+        await backend.start();
+    } catch (error) {
+        console.error('❌ Mock backend failed to start:', error.message);
+        process.exit(1);
+    }
+
+    const shutdown = () => backend.stop().then(() => process.exit(0));
+    process.on('SIGINT', shutdown);
+    process.on('SIGTERM', shutdown);
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = MockBackend;
@@ -4,6 +4,60 @@
  * Follows the generic backend specification v2.0.0
  */
 
+/**
+ * Raised when a write is rejected because the record changed on the backend
+ */
+class ConflictError extends Error {
+    constructor(message, { collection = null, id = null, local = null, remote = null } = {}) {
+        super(message);
+        this.name = 'ConflictError';
+        this.status = 409;
+        this.collection = collection;
+        this.id = id;
+        this.local = local;
+        this.remote = remote;
+    }
+}
+
+/**
+ * Raised when a picnic status change is not allowed
+ */
+class StatusTransitionError extends Error {
+    constructor(message, { from = null, to = null } = {}) {
+        super(message);
+        this.name = 'StatusTransitionError';
+        this.status = 422;
+        this.from = from;
+        this.to = to;
+    }
+}
+
+/**
+ * Raised when an RSVP needs more spots than a picnic has left
+ */
+class CapacityError extends Error {
+    constructor(message, { remaining = 0, requested = 0 } = {}) {
+        super(message);
+        this.name = 'CapacityError';
+        this.status = 409;
+        this.remaining = remaining;
+        this.requested = requested;
+    }
+}
+
+/**
+ * Raised when a document does not match its collection schema
+ */
+class ValidationError extends Error {
+    constructor(message, { collection = null, errors = {} } = {}) {
+        super(message);
+        this.name = 'ValidationError';
+        this.status = 422;
+        this.collection = collection;
+        this.errors = errors;
+    }
+}
+
 class PicnicAPI {
     constructor() {
         this.baseUrl = '/api';
@@ -14,7 +68,15 @@ class PicnicAPI {
             picnics: 'picnics',
             participants: 'picnic_participants', 
             items: 'picnic_items',
-            expenses: 'picnic_expenses'
+            expenses: 'picnic_expenses',
+            messages: 'picnic_messages'
+        };
+        // Statuses each picnic status may move to
+        this.statusTransitions = {
+            planning: ['confirmed', 'cancelled', 'completed'],
+            confirmed: ['planning', 'cancelled', 'completed'],
+            cancelled: ['planning'],
+            completed: []
         };
         this.retryAttempts = 3;
         this.retryDelay = 1000;
@@ -22,7 +84,36 @@ class PicnicAPI {
         this.maxWsReconnectAttempts = 10;
         this.wsReconnectDelay = 1000;
         this.subscriptions = new Map();
+        // Subscriptions that follow the picnic the user has open
+        this.scopedSubscriptions = new Map();
+        this.subscriptionScope = null;
+        this.watchedPicnics = new Set();
+        // Connection state for the UI, and the last event seen per collection for resyncing
+        this.connectionState = 'disconnected';
+        this.hasConnected = false;
+        this.lastEventAt = new Map();
+        // Last copy of each record read or received, so events without a document still match filters
+        this.knownRecords = new Map();
+        this.rooms = new Set();
         this.eventHandlers = new Map();
+        this.offline = new OfflineStore();
+        this.isOnline = navigator.onLine !== false;
+        this.syncPromise = null;
+        this.pendingRecords = new Map();
+        this.fileUrls = new Map();
+        this.receiptMaxDimension = 1600;
+        this.thumbnailMaxDimension = 240;
+        // Who else is in each room, and who is typing in each context
+        this.presence = new Map();
+        this.typing = new Map();
+        this.activeRoom = null;
+        this.activeActivity = null;
+        this.presenceHeartbeatInterval = 30000;
+        this.presenceTimeout = 75000;
+        this.presenceTimer = null;
+        this.typingTimeout = 6000;
+        this.typingIdleDelay = 3000;
+        this.typingTimers = new Map();
     }
 
     /**
@@ -33,12 +124,22 @@ class PicnicAPI {
             // Get authentication from Olamo platform
             this.auth = this.getAuthToken();
             
+            // Track connectivity and restore mutations queued in a previous session
+            this.setupConnectivityListeners();
+            await this.loadPendingState();
+            
             // Initialize collections
             await this.initializeCollections();
             
-            // Connect WebSocket for real-time updates
+            // Connect WebSocket for real-time updates, including notifications sent to this user
+            this.rooms.add(this.getUserRoom(this.getCurrentUserId()));
             await this.connectWebSocket();
             
+            // Replay anything queued while the app was closed offline
+            if (this.isOnline) {
+                this.syncPendingMutations();
+            }
+            
             console.log('PicnicAPI initialized successfully');
             return true;
         } catch (error) {
@@ -64,10 +165,12 @@ class PicnicAPI {
     }
 
     /**
-     * Initialize required collections with schemas
+     * Collection definitions with their schemas and permissions
+     * Collections are created from these and documents are validated against them before they are sent
+     * miniapp.json declares the same schemas; a unit test fails when the two drift apart
      */
-    async initializeCollections() {
-        const collectionConfigs = [
+    getCollectionConfigs() {
+        return [
             {
                 name: this.collections.picnics,
                 description: 'Picnic events and gatherings',
@@ -94,6 +197,9 @@ class PicnicAPI {
                         },
                         organizer_id: { type: 'string', required: true },
                         status: { type: 'string', enum: ['planning', 'confirmed', 'cancelled', 'completed'], default: 'planning' },
+                        status_changed_at: { type: 'string', format: 'date-time' },
+                        status_changed_by: { type: 'string' },
+                        status_history: { type: 'array', items: { type: 'object' } },
                         max_participants: { type: 'number', minimum: 1, maximum: 1000, default: 50 },
                         is_public: { type: 'boolean', default: false },
                         theme: { type: 'string', enum: ['bbq', 'family', 'sports', 'casual', 'birthday', 'company'], default: 'casual' },
@@ -117,7 +223,9 @@ class PicnicAPI {
                         user_id: { type: 'string', required: true },
                         user_name: { type: 'string', required: true, maxLength: 100 },
                         user_email: { type: 'string', format: 'email' },
-                        rsvp_status: { type: 'string', enum: ['going', 'not_going', 'maybe', 'pending'], default: 'pending' },
+                        rsvp_status: { type: 'string', enum: ['going', 'not_going', 'maybe', 'pending', 'waitlisted'], default: 'pending' },
+                        waitlisted_at: { type: 'string', format: 'date-time' },
+                        promoted_at: { type: 'string', format: 'date-time' },
                         dietary_restrictions: { type: 'array', items: { type: 'string' } },
                         plus_ones: { type: 'number', minimum: 0, maximum: 10, default: 0 },
                         notes: { type: 'string', maxLength: 500 },
@@ -140,9 +248,10 @@ class PicnicAPI {
                         name: { type: 'string', required: true, maxLength: 200 },
                         category: { type: 'string', enum: ['food', 'drinks', 'tableware', 'games', 'equipment', 'other'], required: true },
                         quantity_needed: { type: 'number', minimum: 1, required: true },
-                        unit: { type: 'string', maxLength: 50 },
+                        unit: { type: 'string', maxLength: 50, default: 'pieces' },
                         assigned_to: { type: 'string' },
                         assigned_by: { type: 'string' },
+                        created_by: { type: 'string' },
                         quantity_assigned: { type: 'number', minimum: 0, default: 0 },
                         status: { type: 'string', enum: ['needed', 'assigned', 'confirmed', 'completed'], default: 'needed' },
                         estimated_cost: { type: 'number', minimum: 0 },
@@ -169,9 +278,11 @@ class PicnicAPI {
                         category: { type: 'string', enum: ['food', 'drinks', 'supplies', 'transportation', 'other'], default: 'other' },
                         split_type: { type: 'string', enum: ['equal', 'by_consumption', 'custom', 'organizer_pays'], default: 'equal' },
                         participants: { type: 'array', items: { type: 'string' } },
+                        shares: { type: 'object' },
                         per_person_amount: { type: 'number', minimum: 0 },
                         payment_method: { type: 'string', enum: ['cash', 'card', 'digital', 'other'], default: 'cash' },
                         receipt_url: { type: 'string' },
+                        receipts: { type: 'array', items: { type: 'object' } },
                         date: { type: 'string', format: 'date-time', required: true }
                     }
                 },
@@ -180,11 +291,36 @@ class PicnicAPI {
                     write: ['member', 'admin'],
                     delete: ['member', 'admin']
                 }
+            },
+            {
+                name: this.collections.messages,
+                description: 'Group chat messages for picnics',
+                schema: {
+                    type: 'object',
+                    properties: {
+                        picnic_id: { type: 'string', required: true },
+                        user_id: { type: 'string', required: true },
+                        user_name: { type: 'string', required: true, maxLength: 100 },
+                        text: { type: 'string', required: true, maxLength: 2000 },
+                        mentions: { type: 'array', items: { type: 'string' } },
+                        created_at: { type: 'string', format: 'date-time', required: true }
+                    }
+                },
+                permissions: {
+                    read: ['member', 'admin'],
+                    write: ['member', 'admin'],
+                    delete: ['admin']
+                }
             }
         ];
+    }
 
+    /**
+     * Initialize required collections with schemas
+     */
+    async initializeCollections() {
         // Create collections if they don't exist
-        for (const config of collectionConfigs) {
+        for (const config of this.getCollectionConfigs()) {
             try {
                 // Check if collection exists
                 await this.getCollectionInfo(config.name);
@@ -203,21 +339,38 @@ class PicnicAPI {
 
     /**
      * Make authenticated HTTP request with retry logic
+     * Reads fall back to the offline cache and writes are queued when the network is unavailable
      */
-    async makeRequest(endpoint, method = 'GET', data = null, retryCount = 0) {
+    async makeRequest(endpoint, method = 'GET', data = null, retryCount = 0, { queueOffline = true, headers = {}, keepalive = false } = {}) {
+        const isMutation = this.isMutationRequest(endpoint, method);
+
+        if (!this.isOnline) {
+            if (isMutation && queueOffline) {
+                return this.queueMutation(endpoint, method, data, headers);
+            }
+            if (!isMutation) {
+                return this.getCachedResponse(endpoint, method, data);
+            }
+        }
+
         const url = `${this.baseUrl}${endpoint}`;
         const options = {
             method,
             headers: {
                 'Authorization': `Bearer ${this.auth}`,
                 'Content-Type': 'application/json',
-                'X-Miniapp-Id': 'picnic-planner'
+                'X-Miniapp-Id': 'picnic-planner',
+                ...headers
             }
         };
 
         if (data && (method === 'POST' || method === 'PUT' || method === 'PATCH')) {
             options.body = JSON.stringify(data);
         }
+        // Lets a request finish after the page that sent it is closed
+        if (keepalive) {
+            options.keepalive = true;
+        }
 
         try {
             const response = await fetch(url, options);
@@ -226,22 +379,55 @@ class PicnicAPI {
             if (response.status === 401) {
                 await this.handleAuthError();
                 if (retryCount < this.retryAttempts) {
-                    return this.makeRequest(endpoint, method, data, retryCount + 1);
+                    return this.makeRequest(endpoint, method, data, retryCount + 1, { queueOffline, headers, keepalive });
                 }
             }
 
+            // Version precondition failed: someone else saved this record first
+            if (response.status === 409 || response.status === 412) {
+                const errorData = await response.json().catch(() => ({}));
+                const { collection, id } = this.parseEndpoint(endpoint);
+                throw new ConflictError(errorData.message || 'This record was changed by someone else', {
+                    collection,
+                    id,
+                    local: data,
+                    remote: errorData.current || errorData.document || null
+                });
+            }
+
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
                 throw new Error(errorData.message || `HTTP ${response.status}: ${response.statusText}`);
             }
 
-            return await response.json();
+            const result = await response.json();
+
+            if (!isMutation) {
+                this.offline.setCached(this.getCacheKey(endpoint, method, data), result)
+                    .catch(error => console.warn('Failed to cache response:', error));
+            }
+
+            return result;
         } catch (error) {
+            const isNetworkError = this.isNetworkError(error);
+
             // Retry on network errors
-            if (retryCount < this.retryAttempts && (error.name === 'TypeError' || error.message.includes('fetch'))) {
+            if (retryCount < this.retryAttempts && isNetworkError) {
                 await new Promise(resolve => setTimeout(resolve, this.retryDelay * (retryCount + 1)));
-                return this.makeRequest(endpoint, method, data, retryCount + 1);
+                return this.makeRequest(endpoint, method, data, retryCount + 1, { queueOffline, headers, keepalive });
+            }
+
+            // Out of retries: keep the app usable from the cache and the queue
+            if (isNetworkError && isMutation && queueOffline) {
+                return this.queueMutation(endpoint, method, data, headers);
+            }
+            if (isNetworkError && !isMutation) {
+                const cached = await this.getCachedResponse(endpoint, method, data).catch(() => null);
+                if (cached) {
+                    return cached;
+                }
             }
+
             throw error;
         }
     }
@@ -284,6 +470,84 @@ class PicnicAPI {
         return this.makeRequest('/collections', 'GET');
     }
 
+    /**
+     * Run a query and follow its pages until the backend reports there are no more
+     * Queries return 20 results unless asked for more, so lists that grow must not stop at the first page
+     */
+    async queryAll(collection, query = {}, { pageSize = 100 } = {}) {
+        const records = [];
+
+        for (let page = 1; ; page++) {
+            const response = await this.makeRequest(`/${collection}/query`, 'POST', { ...query, page, limit: pageSize });
+            const results = response.results || [];
+            records.push(...results);
+            this.rememberRecords(collection, results);
+
+            if (!(response.hasNext ?? response.has_next) || results.length === 0) {
+                return records;
+            }
+        }
+    }
+
+    // Versioned Writes
+
+    /**
+     * Get the version token of a record as last read from the backend
+     */
+    getRecordVersion(record) {
+        return record?.updatedAt || record?.updated_at || null;
+    }
+
+    /**
+     * Update a document, optionally guarded by an If-Match version precondition
+     */
+    async updateDocument(collection, id, updates, expectedVersion = null) {
+        const data = {
+            ...updates,
+            updated_at: new Date().toISOString()
+        };
+        const headers = expectedVersion ? { 'If-Match': `"${expectedVersion}"` } : {};
+
+        try {
+            return await this.makeRequest(`/${collection}/${id}`, 'PUT', data, 0, { headers });
+        } catch (error) {
+            if (error instanceof ConflictError && !error.remote) {
+                // Backend did not include its copy; fetch it so the caller can merge
+                error.remote = await this.makeRequest(`/${collection}/${id}`, 'GET').catch(() => null);
+            }
+            throw error;
+        }
+    }
+
+    // Validation Methods
+
+    /**
+     * Get the schema of a collection
+     */
+    getSchema(collection) {
+        const config = this.getCollectionConfigs().find(c => c.name === collection);
+        return config ? config.schema : null;
+    }
+
+    /**
+     * Validate a document against its collection schema and return errors by field path
+     */
+    validateDocument(collection, data, options = {}) {
+        const schema = this.getSchema(collection);
+        return schema ? SchemaValidator.validate(schema, data, options) : {};
+    }
+
+    /**
+     * Throw a ValidationError when a document does not match its schema,
+     * so invalid data is neither sent nor queued offline
+     */
+    assertValidDocument(collection, data) {
+        const errors = this.validateDocument(collection, data);
+        if (Object.keys(errors).length > 0) {
+            throw new ValidationError(Object.values(errors).join('; '), { collection, errors });
+        }
+    }
+
     // Picnic Management Methods
 
     /**
@@ -296,11 +560,13 @@ class PicnicAPI {
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
+        this.assertValidDocument(this.collections.picnics, data);
         
         const response = await this.makeRequest(`/${this.collections.picnics}`, 'POST', data);
         
         // Automatically add organizer as participant
         if (response.id) {
+            // The organizer is the first participant, so there is nothing to check capacity against
             await this.createParticipant({
                 picnic_id: response.id,
                 user_id: this.getCurrentUserId(),
@@ -308,7 +574,7 @@ class PicnicAPI {
                 user_email: this.getCurrentUserEmail(),
                 rsvp_status: 'going',
                 rsvp_date: new Date().toISOString()
-            });
+            }, { enforceCapacity: false });
         }
         
         return response;
@@ -324,53 +590,170 @@ class PicnicAPI {
     /**
      * Update picnic
      */
-    async updatePicnic(id, updates) {
-        const data = {
-            ...updates,
-            updated_at: new Date().toISOString()
+    async updatePicnic(id, updates, expectedVersion = null) {
+        return this.updateDocument(this.collections.picnics, id, updates, expectedVersion);
+    }
+
+    /**
+     * Collect everything that deleting a picnic removes
+     * Only the organizer may delete a picnic
+     */
+    async getPicnicDeletionPlan(id) {
+        const picnic = await this.getPicnic(id);
+        if (picnic.organizer_id !== this.getCurrentUserId()) {
+            throw new Error('Only the organizer can delete this picnic');
+        }
+
+        const [participants, items, expenses] = await Promise.all([
+            this.getParticipantsByPicnic(id),
+            this.getItemsByPicnic(id),
+            this.getExpensesByPicnic(id)
+        ]);
+
+        return {
+            picnic,
+            participants,
+            items,
+            expenses,
+            counts: {
+                participants: participants.length,
+                items: items.length,
+                expenses: expenses.length
+            }
         };
-        return this.makeRequest(`/${this.collections.picnics}/${id}`, 'PUT', data);
     }
 
     /**
      * Delete picnic
+     * Pass a plan from getPicnicDeletionPlan to delete exactly what was shown to the user
      */
-    async deletePicnic(id) {
+    async deletePicnic(id, plan = null, { keepalive = false } = {}) {
+        const { participants, items, expenses } = plan || await this.getPicnicDeletionPlan(id);
+
         // Use batch operation to delete picnic and all related data
         const operations = [
             { operation: 'delete', collection: this.collections.picnics, id },
             // Delete participants
-            ...(await this.getParticipantsByPicnic(id)).map(p => ({
+            ...participants.map(p => ({
                 operation: 'delete', collection: this.collections.participants, id: p.id
             })),
             // Delete items
-            ...(await this.getItemsByPicnic(id)).map(i => ({
+            ...items.map(i => ({
                 operation: 'delete', collection: this.collections.items, id: i.id
             })),
             // Delete expenses
-            ...(await this.getExpensesByPicnic(id)).map(e => ({
+            ...expenses.map(e => ({
                 operation: 'delete', collection: this.collections.expenses, id: e.id
             }))
         ];
         
-        return this.batchOperations(operations);
+        const result = await this.batchOperations(operations, { keepalive });
+
+        // Receipt files are not part of the batch, so they are left behind if the page closes first
+        expenses.forEach(expense => {
+            (expense.receipts || []).forEach(receipt => this.deleteReceiptFiles(receipt));
+        });
+
+        return result;
     }
 
     /**
      * List picnics with filtering and pagination
+     * filter is either the simple string format or an object like { status: 'planning', 'date.gte': '2025-06-01' }
      */
     async listPicnics(options = {}) {
         const { page = 1, limit = 20, filter, sort = 'date', order = 'asc' } = options;
         
         let endpoint = `/${this.collections.picnics}?page=${page}&limit=${limit}&sort=${sort}&order=${order}`;
         
-        if (filter) {
+        if (filter && typeof filter === 'object') {
+            Object.entries(filter).forEach(([field, value]) => {
+                endpoint += `&filter[${encodeURIComponent(field)}]=${encodeURIComponent(value)}`;
+            });
+        } else if (filter) {
             endpoint += `&filter=${encodeURIComponent(filter)}`;
         }
         
         return this.makeRequest(endpoint, 'GET');
     }
 
+    /**
+     * Get one page of picnics matching the dashboard filters, ordered by date then id
+     * Pass the returned cursor back to get the next page; it is null after the last one
+     */
+    async getPicnicPage({ cursor = null, limit = 20, status = 'all', search = '' } = {}) {
+        // Keyset paging: the next page starts after the last picnic seen, so picnics added or
+        // removed meanwhile don't shift the pages the way page numbers would
+        const after = cursor ? this.decodePicnicCursor(cursor) : null;
+        const keyset = after
+            ? [
+                [{ field: 'date', operator: '>', value: after.date }],
+                [{ field: 'date', operator: '==', value: after.date }, { field: 'id', operator: '>', value: after.id }]
+            ]
+            : [[]];
+        const terms = search
+            ? ['title', 'description', 'location.name'].map(field => [{ field, operator: 'contains', value: search }])
+            : [[]];
+        // or_filters is one level deep, so (keyset) AND (search terms) is spelled out as every pairing
+        const orFilters = keyset.flatMap(keys => terms.map(term => [...keys, ...term]));
+        
+        const response = await this.makeRequest(`/${this.collections.picnics}/query`, 'POST', {
+            filters: this.getPicnicStatusFilter(status),
+            ...(after || search ? { or_filters: orFilters } : {}),
+            sort: [{ field: 'date', order: 'asc' }, { field: 'id', order: 'asc' }],
+            limit
+        });
+        
+        const picnics = response.results || [];
+        const hasNext = response.hasNext ?? response.has_next ?? picnics.length === limit;
+        const last = picnics[picnics.length - 1];
+        
+        return {
+            picnics,
+            cursor: hasNext && last ? this.encodePicnicCursor(last) : null,
+            // Counts the picnics from the cursor on, so it is the full count only for the first page
+            total: response.total ?? null
+        };
+    }
+
+    /**
+     * Encode the position after a picnic as an opaque page cursor
+     */
+    encodePicnicCursor(picnic) {
+        return btoa(JSON.stringify({ date: picnic.date, id: picnic.id }));
+    }
+
+    /**
+     * Decode a page cursor back into the date and id of the last picnic seen
+     */
+    decodePicnicCursor(cursor) {
+        try {
+            const { date, id } = JSON.parse(atob(cursor));
+            if (typeof date === 'string' && typeof id === 'string') {
+                return { date, id };
+            }
+        } catch (error) {
+            // Fall through to the error below
+        }
+        throw new Error('Invalid picnic page cursor');
+    }
+
+    /**
+     * Translate a dashboard status filter into query conditions
+     */
+    getPicnicStatusFilter(status, today = new Date().toISOString().split('T')[0]) {
+        switch (status) {
+            case 'upcoming':
+                return [{ field: 'date', operator: '>=', value: today }];
+            case 'planning':
+                return [{ field: 'status', operator: '==', value: 'planning' }];
+            case 'past':
+                return [{ field: 'date', operator: '<', value: today }];
+            default:
+                return [];
+        }
+    }
+
     /**
      * Search picnics
      */
@@ -384,45 +767,168 @@ class PicnicAPI {
         return this.makeRequest(`/${this.collections.picnics}/search`, 'POST', searchData);
     }
 
+    // Status Lifecycle Methods
+
+    /**
+     * Get the statuses a picnic can move to from its current status
+     */
+    getAllowedStatusTransitions(picnic) {
+        const allowed = this.statusTransitions[picnic.status || 'planning'] || [];
+        // A picnic can't be completed before it has started
+        return allowed.filter(status => status !== 'completed' || this.hasPicnicStarted(picnic));
+    }
+
+    /**
+     * Check whether a picnic's start time has passed
+     */
+    hasPicnicStarted(picnic, now = new Date()) {
+        const start = new Date(`${picnic.date}T${picnic.time || '00:00'}`);
+        return !isNaN(start.getTime()) && start <= now;
+    }
+
+    /**
+     * Check whether the current user should be prompted to mark a picnic completed
+     */
+    shouldOfferCompletion(picnic) {
+        return picnic.organizer_id === this.getCurrentUserId() &&
+            this.getAllowedStatusTransitions(picnic).includes('completed');
+    }
+
+    /**
+     * Move a picnic to a new status, recording who changed it and when
+     */
+    async changePicnicStatus(picnic, status, reason = '') {
+        const from = picnic.status || 'planning';
+
+        if (picnic.organizer_id !== this.getCurrentUserId()) {
+            throw new StatusTransitionError('Only the organizer can change the status of this picnic', { from, to: status });
+        }
+        if (!this.getAllowedStatusTransitions(picnic).includes(status)) {
+            throw new StatusTransitionError(`A ${from} picnic can't be marked ${status}`, { from, to: status });
+        }
+
+        const change = {
+            from,
+            to: status,
+            changed_by: this.getCurrentUserId(),
+            changed_by_name: this.getCurrentUserName(),
+            changed_at: new Date().toISOString(),
+            ...(reason ? { reason } : {})
+        };
+
+        const saved = await this.updatePicnic(picnic.id, {
+            status,
+            status_changed_at: change.changed_at,
+            status_changed_by: change.changed_by,
+            status_history: [...(picnic.status_history || []), change]
+        }, this.getRecordVersion(picnic));
+
+        if (status === 'confirmed' || status === 'cancelled') {
+            try {
+                await this.notifyStatusChange(picnic, change);
+            } catch (error) {
+                // Participants still see the new status through document updates
+                console.warn('Failed to notify participants of status change:', error);
+            }
+        }
+
+        return saved;
+    }
+
+    /**
+     * Tell everyone who RSVPed about a status change
+     * Sent by the organizer's client; receivers check it with verifyStatusNotification
+     */
+    async notifyStatusChange(picnic, change) {
+        const participants = await this.getParticipantsByPicnic(picnic.id);
+        const recipients = participants
+            .filter(p => ['going', 'maybe', 'not_going', 'waitlisted'].includes(p.rsvp_status))
+            .filter(p => p.user_id !== change.changed_by)
+            .map(p => p.user_id);
+
+        const notification = {
+            kind: 'picnic_status',
+            picnic_id: picnic.id,
+            picnic_title: picnic.title,
+            ...change
+        };
+
+        recipients.forEach(userId => this.sendToRoom(this.getUserRoom(userId), notification));
+        return recipients;
+    }
+
+    /**
+     * Check a status notification against the picnic it names
+     * Anyone can send to a user room, so only a change the picnic itself records is trusted,
+     * and it is described from the picnic rather than from the message
+     */
+    async verifyStatusNotification(notification) {
+        const picnic = await this.getPicnic(notification.picnic_id);
+        const change = (picnic?.status_history || []).slice(-1)[0];
+
+        if (!change || picnic.status !== notification.to || change.to !== picnic.status ||
+            change.changed_at !== notification.changed_at || change.changed_by !== picnic.organizer_id) {
+            return null;
+        }
+        return { kind: 'picnic_status', picnic_id: picnic.id, picnic_title: picnic.title, ...change };
+    }
+
+    /**
+     * Pass on a status notification once the picnic confirms it
+     */
+    async emitVerifiedStatusNotification(notification) {
+        try {
+            const verified = await this.verifyStatusNotification(notification);
+            if (verified) {
+                this.emit('picnic:status-notification', verified);
+            } else {
+                console.warn('Ignoring a status notification the picnic does not match:', notification);
+            }
+        } catch (error) {
+            console.warn('Failed to check status notification:', error);
+        }
+    }
+
     // Participant Management Methods
 
     /**
      * Create participant/RSVP
+     * Going RSVPs that don't fit the picnic's capacity are waitlisted
      */
-    async createParticipant(participantData) {
-        const data = {
+    async createParticipant(participantData, { enforceCapacity = true } = {}) {
+        let data = {
             ...participantData,
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
+
+        if (enforceCapacity && data.rsvp_status === 'going') {
+            const [picnic, participants] = await Promise.all([
+                this.getPicnic(data.picnic_id),
+                this.getParticipantsByPicnic(data.picnic_id)
+            ]);
+            data = this.resolveRsvpStatus(picnic, participants, data);
+        }
+
         return this.makeRequest(`/${this.collections.participants}`, 'POST', data);
     }
 
     /**
      * Update participant RSVP
      */
-    async updateParticipant(id, updates) {
-        const data = {
-            ...updates,
-            updated_at: new Date().toISOString()
-        };
-        return this.makeRequest(`/${this.collections.participants}/${id}`, 'PUT', data);
+    async updateParticipant(id, updates, expectedVersion = null) {
+        return this.updateDocument(this.collections.participants, id, updates, expectedVersion);
     }
 
     /**
      * Get participants for a picnic
      */
     async getParticipantsByPicnic(picnicId) {
-        const response = await this.makeRequest(
-            `/${this.collections.participants}/query`, 
-            'POST', 
-            {
-                filters: [
-                    { field: 'picnic_id', operator: '==', value: picnicId }
-                ]
-            }
-        );
-        return response.results || [];
+        return this.queryAll(this.collections.participants, {
+            filters: [
+                { field: 'picnic_id', operator: '==', value: picnicId }
+            ]
+        });
     }
 
     /**
@@ -443,68 +949,202 @@ class PicnicAPI {
         return response.results?.[0] || null;
     }
 
-    // Item Management Methods
+    // Capacity Methods
 
     /**
-     * Create picnic item
+     * Count a participant together with their guests
      */
-    async createItem(itemData) {
-        const data = {
-            ...itemData,
-            created_at: new Date().toISOString(),
-            updated_at: new Date().toISOString()
-        };
-        return this.makeRequest(`/${this.collections.items}`, 'POST', data);
+    getHeadcount(participant) {
+        return 1 + (parseInt(participant.plus_ones) || 0);
     }
 
     /**
-     * Update item
+     * Get waitlisted participants in the order they joined the waitlist
      */
-    async updateItem(id, updates) {
-        const data = {
-            ...updates,
-            updated_at: new Date().toISOString()
-        };
-        return this.makeRequest(`/${this.collections.items}/${id}`, 'PUT', data);
+    getWaitlist(participants) {
+        const joinedAt = (p) => new Date(p.waitlisted_at || p.rsvp_date || p.created_at || 0).getTime();
+        return participants
+            .filter(p => p.rsvp_status === 'waitlisted')
+            .sort((a, b) => joinedAt(a) - joinedAt(b) || String(a.id).localeCompare(String(b.id)));
     }
 
     /**
-     * Delete item
+     * Summarize spots taken and left for a picnic, counting plus-ones
      */
-    async deleteItem(id) {
-        return this.makeRequest(`/${this.collections.items}/${id}`, 'DELETE');
+    getCapacity(picnic, participants) {
+        const max = picnic.max_participants || null;
+        const taken = participants
+            .filter(p => p.rsvp_status === 'going')
+            .reduce((sum, p) => sum + this.getHeadcount(p), 0);
+        const waitlist = this.getWaitlist(participants);
+
+        return {
+            max,
+            taken,
+            remaining: max === null ? Infinity : Math.max(0, max - taken),
+            isFull: max !== null && taken >= max,
+            waitlist,
+            waitlistHeadcount: waitlist.reduce((sum, p) => sum + this.getHeadcount(p), 0)
+        };
     }
 
     /**
-     * Get items for a picnic
+     * Decide whether a going RSVP fits or has to join the waitlist
      */
-    async getItemsByPicnic(picnicId) {
-        const response = await this.makeRequest(
-            `/${this.collections.items}/query`, 
-            'POST', 
-            {
-                filters: [
-                    { field: 'picnic_id', operator: '==', value: picnicId }
-                ],
-                sort: [{ field: 'priority', order: 'desc' }, { field: 'created_at', order: 'asc' }]
+    resolveRsvpStatus(picnic, participants, rsvpData, existing = null) {
+        if (rsvpData.rsvp_status !== 'going') {
+            return rsvpData;
+        }
+
+        const others = participants.filter(p => p.user_id !== rsvpData.user_id && (!existing || p.id !== existing.id));
+        const capacity = this.getCapacity(picnic, others);
+        const requested = this.getHeadcount(rsvpData);
+
+        // Already going: changing the number of guests must still fit
+        if (existing?.rsvp_status === 'going') {
+            if (requested > capacity.remaining) {
+                throw new CapacityError(
+                    `Only ${capacity.remaining} spot${capacity.remaining === 1 ? '' : 's'} left, including you`,
+                    { remaining: capacity.remaining, requested }
+                );
             }
-        );
-        return response.results || [];
+            return rsvpData;
+        }
+
+        // People who joined the waitlist earlier get freed spots first
+        const waitlistedAt = existing?.rsvp_status === 'waitlisted' && existing.waitlisted_at
+            ? existing.waitlisted_at
+            : new Date().toISOString();
+        const ahead = capacity.waitlist.filter(p => new Date(p.waitlisted_at || 0) < new Date(waitlistedAt));
+
+        if (requested <= capacity.remaining && ahead.length === 0) {
+            return rsvpData;
+        }
+
+        return { ...rsvpData, rsvp_status: 'waitlisted', waitlisted_at: waitlistedAt };
     }
 
     /**
-     * Assign item to user
+     * Save an RSVP, waitlisting it when the picnic is full and promoting others when spots free up
      */
-    async assignItem(itemId, userId, quantity) {
-        return this.updateItem(itemId, {
-            assigned_to: userId,
-            assigned_by: this.getCurrentUserId(),
-            quantity_assigned: quantity,
-            status: 'assigned'
-        });
-    }
+    async saveRsvp(picnic, rsvpData, existing = null) {
+        if (!existing) {
+            const participant = await this.createParticipant(rsvpData);
+            return { participant, waitlisted: participant.rsvp_status === 'waitlisted', promoted: [] };
+        }
 
-    // Expense Management Methods
+        const participants = await this.getParticipantsByPicnic(picnic.id);
+        const current = participants.find(p => p.id === existing.id) || existing;
+        const data = this.resolveRsvpStatus(picnic, participants, rsvpData, current);
+
+        const saved = await this.updateParticipant(existing.id, data, this.getRecordVersion(existing));
+        const participant = { ...current, ...data, ...saved };
+
+        const freedSpots = current.rsvp_status === 'going' &&
+            (data.rsvp_status !== 'going' || this.getHeadcount(data) < this.getHeadcount(current));
+        const promoted = freedSpots ? await this.promoteFromWaitlist(picnic) : [];
+
+        return { participant, waitlisted: data.rsvp_status === 'waitlisted', promoted };
+    }
+
+    /**
+     * Move waitlisted participants into free spots, first come first served
+     * Whichever client frees a spot promotes; each promotion is checked against the version read,
+     * so when two clients race the second gets a conflict instead of promoting the same person again
+     */
+    async promoteFromWaitlist(picnic) {
+        const participants = await this.getParticipantsByPicnic(picnic.id);
+        const capacity = this.getCapacity(picnic, participants);
+        let remaining = capacity.remaining;
+        const promoted = [];
+
+        for (const participant of capacity.waitlist) {
+            const headcount = this.getHeadcount(participant);
+            // A large party at the front keeps its place rather than being skipped
+            if (headcount > remaining) {
+                break;
+            }
+
+            try {
+                const saved = await this.updateParticipant(participant.id, {
+                    rsvp_status: 'going',
+                    promoted_at: new Date().toISOString()
+                }, this.getRecordVersion(participant));
+
+                remaining -= headcount;
+                promoted.push({ ...participant, ...saved, rsvp_status: 'going' });
+                this.sendToRoom(this.getUserRoom(participant.user_id), {
+                    kind: 'waitlist_promoted',
+                    picnic_id: picnic.id,
+                    picnic_title: picnic.title
+                });
+            } catch (error) {
+                console.warn('Failed to promote waitlisted participant:', error);
+                break;
+            }
+        }
+
+        if (promoted.length > 0) {
+            this.emit('waitlist:promoted', { picnic_id: picnic.id, participants: promoted });
+        }
+        return promoted;
+    }
+
+    // Item Management Methods
+
+    /**
+     * Create picnic item
+     */
+    async createItem(itemData) {
+        const data = {
+            ...itemData,
+            created_by: this.getCurrentUserId(),
+            created_at: new Date().toISOString(),
+            updated_at: new Date().toISOString()
+        };
+        this.assertValidDocument(this.collections.items, data);
+        return this.makeRequest(`/${this.collections.items}`, 'POST', data);
+    }
+
+    /**
+     * Update item
+     */
+    async updateItem(id, updates, expectedVersion = null) {
+        return this.updateDocument(this.collections.items, id, updates, expectedVersion);
+    }
+
+    /**
+     * Delete item
+     */
+    async deleteItem(id) {
+        return this.makeRequest(`/${this.collections.items}/${id}`, 'DELETE');
+    }
+
+    /**
+     * Get items for a picnic
+     */
+    async getItemsByPicnic(picnicId) {
+        return this.queryAll(this.collections.items, {
+            filters: [
+                { field: 'picnic_id', operator: '==', value: picnicId }
+            ],
+            sort: [{ field: 'priority', order: 'desc' }, { field: 'created_at', order: 'asc' }]
+        });
+    }
+
+    /**
+     * Assign item to user
+     */
+    async assignItem(itemId, userId, quantity, expectedVersion = null) {
+        return this.updateItem(itemId, {
+            assigned_to: userId,
+            assigned_by: this.getCurrentUserId(),
+            quantity_assigned: quantity,
+            status: 'assigned'
+        }, expectedVersion);
+    }
+
+    // Expense Management Methods
 
     /**
      * Create expense
@@ -515,18 +1155,29 @@ class PicnicAPI {
             created_at: new Date().toISOString(),
             updated_at: new Date().toISOString()
         };
+        this.assertValidDocument(this.collections.expenses, data);
+        this.assertValidSplit(data);
         return this.makeRequest(`/${this.collections.expenses}`, 'POST', data);
     }
 
     /**
      * Update expense
      */
-    async updateExpense(id, updates) {
-        const data = {
-            ...updates,
-            updated_at: new Date().toISOString()
-        };
-        return this.makeRequest(`/${this.collections.expenses}/${id}`, 'PUT', data);
+    async updateExpense(id, updates, expectedVersion = null) {
+        if ('amount' in updates && 'shares' in updates) {
+            this.assertValidSplit(updates);
+        }
+        return this.updateDocument(this.collections.expenses, id, updates, expectedVersion);
+    }
+
+    /**
+     * Throw a ValidationError when a custom split asks for more than the expense total
+     */
+    assertValidSplit(expense) {
+        const message = Settlement.validateCustomShares(expense);
+        if (message) {
+            throw new ValidationError(message, { collection: this.collections.expenses, errors: { participants: message } });
+        }
     }
 
     /**
@@ -536,21 +1187,55 @@ class PicnicAPI {
         return this.makeRequest(`/${this.collections.expenses}/${id}`, 'DELETE');
     }
 
+    /**
+     * Upload a receipt and attach it to an expense
+     */
+    async addExpenseReceipt(expense, file, uploadId = null) {
+        const receipt = await this.uploadReceipt(file, {
+            picnic_id: expense.picnic_id,
+            expense_id: expense.id
+        }, uploadId);
+
+        try {
+            return await this.updateExpense(expense.id, {
+                receipts: [...(expense.receipts || []), receipt],
+                receipt_url: expense.receipt_url || this.getFilePath(receipt.file_id)
+            }, this.getRecordVersion(expense));
+        } catch (error) {
+            // Don't leave orphaned files behind when the expense could not be saved
+            this.deleteReceiptFiles(receipt);
+            throw error;
+        }
+    }
+
+    /**
+     * Detach a receipt from an expense and delete its files
+     */
+    async removeExpenseReceipt(expense, fileId) {
+        const receipt = (expense.receipts || []).find(r => r.file_id === fileId);
+        const receipts = (expense.receipts || []).filter(r => r.file_id !== fileId);
+
+        const updated = await this.updateExpense(expense.id, {
+            receipts,
+            receipt_url: receipts.length > 0 ? this.getFilePath(receipts[0].file_id) : ''
+        }, this.getRecordVersion(expense));
+
+        if (receipt) {
+            this.deleteReceiptFiles(receipt);
+        }
+        return updated;
+    }
+
     /**
      * Get expenses for a picnic
      */
     async getExpensesByPicnic(picnicId) {
-        const response = await this.makeRequest(
-            `/${this.collections.expenses}/query`, 
-            'POST', 
-            {
-                filters: [
-                    { field: 'picnic_id', operator: '==', value: picnicId }
-                ],
-                sort: [{ field: 'date', order: 'desc' }]
-            }
-        );
-        return response.results || [];
+        return this.queryAll(this.collections.expenses, {
+            filters: [
+                { field: 'picnic_id', operator: '==', value: picnicId }
+            ],
+            sort: [{ field: 'date', order: 'desc' }]
+        });
     }
 
     /**
@@ -593,13 +1278,970 @@ class PicnicAPI {
         return summary;
     }
 
+    /**
+     * Calculate net balances and the transfers needed to settle a picnic's expenses
+     */
+    async getSettlement(picnicId) {
+        const [picnic, expenses, participants] = await Promise.all([
+            this.getPicnic(picnicId),
+            this.getExpensesByPicnic(picnicId),
+            this.getParticipantsByPicnic(picnicId)
+        ]);
+
+        return Settlement.settle(expenses, participants, picnic?.organizer_id);
+    }
+
+    // My Events Methods
+
+    /**
+     * Get every RSVP a user has across all picnics
+     */
+    async getParticipationsByUser(userId) {
+        return this.queryAll(this.collections.participants, {
+            filters: [
+                { field: 'user_id', operator: '==', value: userId }
+            ]
+        });
+    }
+
+    /**
+     * Get picnics organized by a user
+     */
+    async getPicnicsByOrganizer(userId) {
+        return this.queryAll(this.collections.picnics, {
+            filters: [
+                { field: 'organizer_id', operator: '==', value: userId }
+            ]
+        });
+    }
+
+    /**
+     * Get several picnics by ID in one query
+     */
+    async getPicnicsByIds(ids) {
+        if (ids.length === 0) {
+            return [];
+        }
+
+        return this.queryAll(this.collections.picnics, {
+            or_filters: ids.map(id => [{ field: 'id', operator: '==', value: id }])
+        });
+    }
+
+    /**
+     * Get items a user has committed to bring
+     */
+    async getItemsAssignedTo(userId) {
+        return this.queryAll(this.collections.items, {
+            filters: [
+                { field: 'assigned_to', operator: '==', value: userId }
+            ]
+        });
+    }
+
+    /**
+     * Get every picnic a user organizes or has an RSVP for, along with those RSVPs
+     */
+    async getUserPicnics(userId = this.getCurrentUserId()) {
+        const [participations, organized] = await Promise.all([
+            this.getParticipationsByUser(userId),
+            this.getPicnicsByOrganizer(userId)
+        ]);
+
+        const picnicsById = new Map(organized.map(p => [p.id, p]));
+        const missingIds = [...new Set(participations.map(p => p.picnic_id))].filter(id => !picnicsById.has(id));
+        (await this.getPicnicsByIds(missingIds)).forEach(p => picnicsById.set(p.id, p));
+
+        return { picnics: [...picnicsById.values()], participations };
+    }
+
+    /**
+     * Collect a user's picnics with their RSVP, committed items and balance
+     * Participants and expenses for every picnic are loaded with one query per collection
+     */
+    async getMyEvents(userId = this.getCurrentUserId()) {
+        const [{ picnics, participations }, assignedItems] = await Promise.all([
+            this.getUserPicnics(userId),
+            this.getItemsAssignedTo(userId)
+        ]);
+
+        const picnicIds = picnics.map(p => p.id);
+        const [allParticipants, allExpenses] = await Promise.all([
+            this.queryByPicnicIds(this.collections.participants, picnicIds),
+            this.queryByPicnicIds(this.collections.expenses, picnicIds)
+        ]);
+
+        return picnics.map(picnic => {
+            const participants = allParticipants.filter(p => p.picnic_id === picnic.id);
+            const expenses = allExpenses.filter(e => e.picnic_id === picnic.id);
+            const balance = Settlement.computeBalances(expenses, participants, picnic.organizer_id)
+                .find(b => b.user_id === userId) || null;
+
+            return {
+                picnic,
+                participation: participations.find(p => p.picnic_id === picnic.id) || null,
+                waitlistPosition: this.getWaitlist(participants).findIndex(p => p.user_id === userId) + 1,
+                items: assignedItems.filter(item => item.picnic_id === picnic.id),
+                balance
+            };
+        });
+    }
+
+    /**
+     * Sort a user's events into organizing, going, maybe, invited and past
+     * Past wins over every other group; declined upcoming picnics are left out
+     */
+    groupMyEvents(events, userId = this.getCurrentUserId(), now = new Date()) {
+        const groups = { organizing: [], going: [], maybe: [], invited: [], past: [] };
+        const today = now.toISOString().split('T')[0];
+
+        events.forEach(event => {
+            const { picnic, participation } = event;
+            const status = participation?.rsvp_status;
+
+            if (picnic.date < today || picnic.status === 'completed') {
+                groups.past.push(event);
+            } else if (picnic.organizer_id === userId) {
+                groups.organizing.push(event);
+            } else if (status === 'going' || status === 'waitlisted') {
+                groups.going.push(event);
+            } else if (status === 'maybe') {
+                groups.maybe.push(event);
+            } else if (status === 'pending') {
+                groups.invited.push(event);
+            }
+        });
+
+        const byDate = (a, b) => new Date(a.picnic.date) - new Date(b.picnic.date);
+        Object.keys(groups).forEach(key => groups[key].sort(byDate));
+        groups.past.reverse();
+
+        return groups;
+    }
+
+    // Chat Methods
+
+    /**
+     * Get the room a picnic's chat messages are broadcast in
+     */
+    getChatRoom(picnicId) {
+        return `chat:${picnicId}`;
+    }
+
+    /**
+     * Get a picnic's chat messages, oldest first
+     */
+    async getMessages(picnicId, { limit = 50, before = null } = {}) {
+        const filters = [
+            { field: 'picnic_id', operator: '==', value: picnicId }
+        ];
+        if (before) {
+            filters.push({ field: 'created_at', operator: '<', value: before });
+        }
+
+        const response = await this.makeRequest(
+            `/${this.collections.messages}/query`, 
+            'POST', 
+            {
+                filters,
+                sort: [{ field: 'created_at', order: 'desc' }],
+                limit
+            }
+        );
+        return (response.results || []).reverse();
+    }
+
+    /**
+     * Save a chat message and broadcast it to the picnic's chat room
+     */
+    async sendMessage(picnicId, text, participants = []) {
+        const message = await this.makeRequest(`/${this.collections.messages}`, 'POST', {
+            picnic_id: picnicId,
+            user_id: this.getCurrentUserId(),
+            user_name: this.getCurrentUserName(),
+            text: text.trim(),
+            mentions: this.parseMentions(text, participants),
+            created_at: new Date().toISOString()
+        });
+
+        this.sendToRoom(this.getChatRoom(picnicId), { kind: 'chat_message', message });
+        return message;
+    }
+
+    /**
+     * Find the participants mentioned as @Name in a message
+     * Longer names are matched first so "@Sam Lee" is not read as "@Sam"
+     */
+    parseMentions(text, participants) {
+        let remaining = text.toLowerCase();
+        const mentioned = [];
+
+        [...participants]
+            .filter(p => p.user_name)
+            .sort((a, b) => b.user_name.length - a.user_name.length)
+            .forEach(p => {
+                const pattern = new RegExp(`@${p.user_name.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}(?![\\w])`, 'g');
+                if (pattern.test(remaining)) {
+                    mentioned.push(p.user_id);
+                    remaining = remaining.replace(pattern, '');
+                }
+            });
+
+        return [...new Set(mentioned)];
+    }
+
+    /**
+     * Count messages from others posted after the last time each chat was read
+     */
+    async getUnreadMessageCounts(picnicIds, readMarkers = {}) {
+        const counts = {};
+        if (picnicIds.length === 0) {
+            return counts;
+        }
+
+        const messages = await this.queryAll(this.collections.messages, {
+            or_filters: picnicIds.map(id => [
+                { field: 'picnic_id', operator: '==', value: id },
+                { field: 'created_at', operator: '>', value: readMarkers[id] || '1970-01-01T00:00:00.000Z' }
+            ])
+        });
+
+        const userId = this.getCurrentUserId();
+        messages
+            .filter(message => message.user_id !== userId)
+            .forEach(message => {
+                counts[message.picnic_id] = (counts[message.picnic_id] || 0) + 1;
+            });
+        return counts;
+    }
+
+    // Expense Dashboard Methods
+
+    /**
+     * Get records from a collection for several picnics in one query
+     */
+    async queryByPicnicIds(collection, picnicIds) {
+        if (picnicIds.length === 0) {
+            return [];
+        }
+
+        return this.queryAll(collection, {
+            or_filters: picnicIds.map(id => [{ field: 'picnic_id', operator: '==', value: id }])
+        });
+    }
+
+    /**
+     * Load participants, items and expenses for many picnics with one query per collection
+     */
+    async getRecordsForPicnics(picnicIds) {
+        const [participants, items, expenses] = await Promise.all([
+            this.queryByPicnicIds(this.collections.participants, picnicIds),
+            this.queryByPicnicIds(this.collections.items, picnicIds),
+            this.queryByPicnicIds(this.collections.expenses, picnicIds)
+        ]);
+        return { participants, items, expenses };
+    }
+
+    /**
+     * Aggregate expenses across every picnic the user belongs to
+     */
+    async getExpenseDashboard(userId = this.getCurrentUserId()) {
+        const { picnics } = await this.getUserPicnics(userId);
+        const picnicIds = picnics.map(p => p.id);
+
+        const [expenses, participants] = await Promise.all([
+            this.queryByPicnicIds(this.collections.expenses, picnicIds),
+            this.queryByPicnicIds(this.collections.participants, picnicIds)
+        ]);
+
+        return this.buildExpenseDashboard(picnics, expenses, participants, userId);
+    }
+
+    /**
+     * Summarize expenses by category, month and picnic, with what the user paid and owes
+     * Sums are kept in cents so the totals match the per-picnic settlements
+     */
+    buildExpenseDashboard(picnics, expenses, participants, userId) {
+        const { toCents, fromCents } = Settlement;
+        const byCategory = {};
+        const byMonth = {};
+        let totalCents = 0;
+        let paidCents = 0;
+        let owedCents = 0;
+
+        expenses.forEach(expense => {
+            const cents = toCents(expense.amount);
+            const category = expense.category || 'other';
+            const month = (expense.date || '').slice(0, 7);
+
+            totalCents += cents;
+            byCategory[category] = (byCategory[category] || 0) + cents;
+            if (month) {
+                byMonth[month] = (byMonth[month] || 0) + cents;
+            }
+        });
+
+        const perPicnic = picnics.map(picnic => {
+            const picnicExpenses = expenses.filter(e => e.picnic_id === picnic.id);
+            const picnicParticipants = participants.filter(p => p.picnic_id === picnic.id);
+            const balance = Settlement.computeBalances(picnicExpenses, picnicParticipants, picnic.organizer_id)
+                .find(b => b.user_id === userId);
+            const paid = balance ? toCents(balance.paid) : 0;
+            const owed = balance ? toCents(balance.owed) : 0;
+
+            paidCents += paid;
+            owedCents += owed;
+
+            return {
+                picnic,
+                total: fromCents(picnicExpenses.reduce((sum, e) => sum + toCents(e.amount), 0)),
+                expenseCount: picnicExpenses.length,
+                paid: fromCents(paid),
+                owed: fromCents(owed),
+                net: fromCents(paid - owed)
+            };
+        })
+            .filter(entry => entry.expenseCount > 0)
+            .sort((a, b) => new Date(b.picnic.date) - new Date(a.picnic.date));
+
+        const people = new Set(participants
+            .filter(p => p.rsvp_status === 'going')
+            .map(p => p.user_id));
+
+        return {
+            total: fromCents(totalCents),
+            paid: fromCents(paidCents),
+            owed: fromCents(owedCents),
+            net: fromCents(paidCents - owedCents),
+            expenseCount: expenses.length,
+            participantCount: people.size,
+            byCategory: Object.entries(byCategory)
+                .map(([category, cents]) => ({ category, total: fromCents(cents) }))
+                .sort((a, b) => b.total - a.total),
+            byMonth: Object.entries(byMonth)
+                .map(([month, cents]) => ({ month, total: fromCents(cents) }))
+                .sort((a, b) => b.month.localeCompare(a.month)),
+            perPicnic,
+            picnics
+        };
+    }
+
+    // File Methods
+
+    /**
+     * Upload a file, reporting progress through upload:* events
+     * Images are downscaled first when maxDimension is given
+     */
+    async uploadFile(file, metadata = {}, { isPublic = false, maxDimension = null, uploadId = null } = {}) {
+        if (!this.isOnline) {
+            throw new Error('File uploads need an internet connection');
+        }
+
+        const id = uploadId || `upload-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        const upload = maxDimension ? await this.downscaleImage(file, maxDimension) : file;
+
+        const formData = new FormData();
+        formData.append('file', upload, upload.name);
+        formData.append('metadata', JSON.stringify(metadata));
+        formData.append('public', String(isPublic));
+
+        this.emit('upload:start', { uploadId: id, filename: upload.name, size: upload.size });
+
+        try {
+            let response = await this.sendUpload(formData, id);
+
+            if (response.status === 401) {
+                await this.handleAuthError();
+                response = await this.sendUpload(formData, id);
+            }
+
+            if (response.status < 200 || response.status >= 300) {
+                throw new Error(response.body?.message || `HTTP ${response.status}: Upload failed`);
+            }
+
+            this.emit('upload:complete', { uploadId: id, file: response.body });
+            return response.body;
+        } catch (error) {
+            this.emit('upload:failed', { uploadId: id, error });
+            throw error;
+        }
+    }
+
+    /**
+     * POST form data to the files endpoint
+     * Uses XMLHttpRequest because fetch does not report upload progress
+     */
+    sendUpload(formData, uploadId) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('POST', `${this.baseUrl}/files`);
+            xhr.setRequestHeader('Authorization', `Bearer ${this.auth}`);
+            xhr.setRequestHeader('X-Miniapp-Id', 'picnic-planner');
+
+            xhr.upload.onprogress = (event) => {
+                if (event.lengthComputable) {
+                    this.emit('upload:progress', {
+                        uploadId,
+                        loaded: event.loaded,
+                        total: event.total,
+                        percent: Math.round((event.loaded / event.total) * 100)
+                    });
+                }
+            };
+
+            xhr.onload = () => {
+                let body = {};
+                try {
+                    body = JSON.parse(xhr.responseText || '{}');
+                } catch (error) {
+                    body = {};
+                }
+                resolve({ status: xhr.status, body });
+            };
+
+            xhr.onerror = () => reject(new TypeError('Network request failed'));
+            xhr.send(formData);
+        });
+    }
+
+    /**
+     * Shrink an image so its longest side fits maxDimension, re-encoded as JPEG
+     * Non-images and images that already fit are returned unchanged
+     */
+    async downscaleImage(file, maxDimension, quality = 0.85) {
+        if (!file.type?.startsWith('image/') || file.type === 'image/gif' || typeof createImageBitmap !== 'function') {
+            return file;
+        }
+
+        const bitmap = await createImageBitmap(file);
+        const scale = Math.min(1, maxDimension / Math.max(bitmap.width, bitmap.height));
+        if (scale === 1 && file.type === 'image/jpeg') {
+            bitmap.close?.();
+            return file;
+        }
+
+        const canvas = document.createElement('canvas');
+        canvas.width = Math.round(bitmap.width * scale);
+        canvas.height = Math.round(bitmap.height * scale);
+
+        const context = canvas.getContext('2d');
+        // JPEG has no alpha channel; paint transparent areas white instead of black
+        context.fillStyle = '#ffffff';
+        context.fillRect(0, 0, canvas.width, canvas.height);
+        context.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+        bitmap.close?.();
+
+        const blob = await new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', quality));
+        if (!blob) {
+            return file;
+        }
+
+        const name = `${file.name.replace(/\.[^.]+$/, '')}.jpg`;
+        return new File([blob], name, { type: 'image/jpeg', lastModified: Date.now() });
+    }
+
+    /**
+     * Upload a receipt with a small thumbnail for galleries
+     */
+    async uploadReceipt(file, metadata = {}, uploadId = null) {
+        const isImage = file.type?.startsWith('image/');
+        const uploaded = await this.uploadFile(file, { ...metadata, kind: 'receipt' }, {
+            maxDimension: isImage ? this.receiptMaxDimension : null,
+            uploadId
+        });
+
+        let thumbnail = null;
+        if (isImage) {
+            try {
+                thumbnail = await this.uploadFile(file, { ...metadata, kind: 'receipt_thumbnail', original_id: uploaded.id }, {
+                    maxDimension: this.thumbnailMaxDimension
+                });
+            } catch (error) {
+                // The gallery falls back to the full image
+                console.warn('Failed to upload receipt thumbnail:', error);
+            }
+        }
+
+        return {
+            file_id: uploaded.id,
+            thumbnail_id: thumbnail?.id || null,
+            filename: uploaded.original_filename || file.name,
+            content_type: uploaded.content_type || file.type,
+            uploaded_at: uploaded.uploaded_at || new Date().toISOString(),
+            uploaded_by: this.getCurrentUserId()
+        };
+    }
+
+    /**
+     * Delete the files behind a receipt, ignoring failures
+     */
+    deleteReceiptFiles(receipt) {
+        [receipt.file_id, receipt.thumbnail_id].filter(Boolean).forEach(fileId => {
+            this.deleteFile(fileId).catch(error => console.warn('Failed to delete receipt file:', error));
+        });
+    }
+
+    /**
+     * List the current user's files
+     */
+    async listFiles(page = 1, limit = 20) {
+        return this.makeRequest(`/files?page=${page}&limit=${limit}`);
+    }
+
+    /**
+     * Get a signed URL for a file, reusing one that has not expired yet
+     */
+    async getFileUrl(fileId, expiration = 3600) {
+        const cached = this.fileUrls.get(fileId);
+        if (cached && cached.expiresAt > Date.now()) {
+            return cached.url;
+        }
+
+        const response = await this.makeRequest(`/files/${fileId}/url?expiration=${expiration}`);
+        const expiresIn = response.expires_in || expiration;
+
+        // Refresh a minute early so rendered links don't expire while in use
+        this.fileUrls.set(fileId, {
+            url: response.url,
+            expiresAt: Date.now() + Math.max(0, expiresIn - 60) * 1000
+        });
+        return response.url;
+    }
+
+    /**
+     * Get the backend download path for a file
+     */
+    getFilePath(fileId) {
+        return `${this.baseUrl}/files/${fileId}`;
+    }
+
+    /**
+     * Delete a file
+     */
+    async deleteFile(fileId) {
+        this.fileUrls.delete(fileId);
+        return this.makeRequest(`/files/${fileId}`, 'DELETE', null, 0, { queueOffline: false });
+    }
+
+    // Preference Methods
+
+    /**
+     * Get the user's preferences, optionally within a namespace
+     */
+    async getPreferences(namespace = null) {
+        const query = namespace ? `?namespace=${encodeURIComponent(namespace)}` : '';
+        const response = await this.makeRequest(`/preferences${query}`);
+        return response?.preferences || response || {};
+    }
+
+    /**
+     * Save several preferences at once, merging with what is already stored
+     */
+    async updatePreferences(preferences, namespace = null, merge = true) {
+        return this.makeRequest('/preferences', 'PUT', { preferences, namespace, merge });
+    }
+
     // Batch Operations
 
     /**
      * Execute batch operations
      */
-    async batchOperations(operations) {
-        return this.makeRequest('/batch', 'POST', { operations });
+    async batchOperations(operations, { keepalive = false } = {}) {
+        return this.makeRequest('/batch', 'POST', { operations }, 0, { keepalive });
+    }
+
+    // Offline Methods
+
+    /**
+     * Track browser connectivity and replay queued writes when it returns
+     */
+    setupConnectivityListeners() {
+        if (this.connectivityHandlers) {
+            return;
+        }
+
+        this.connectivityHandlers = {
+            online: () => {
+                this.isOnline = true;
+                this.emit('connectivity:online');
+                this.syncPendingMutations();
+                if (this.connectionState === 'disconnected' && this.hasConnected) {
+                    this.wsReconnectAttempts = 0;
+                    this.connectWebSocket();
+                }
+            },
+            offline: () => {
+                this.isOnline = false;
+                this.emit('connectivity:offline');
+            }
+        };
+
+        window.addEventListener('online', this.connectivityHandlers.online);
+        window.addEventListener('offline', this.connectivityHandlers.offline);
+    }
+
+    /**
+     * Check whether a request changes data (as opposed to query/search reads sent via POST)
+     */
+    isMutationRequest(endpoint, method) {
+        if (method === 'GET') {
+            return false;
+        }
+        const { action } = this.parseEndpoint(endpoint);
+        return action !== 'query' && action !== 'search';
+    }
+
+    /**
+     * Check whether an error came from the network rather than the backend
+     */
+    isNetworkError(error) {
+        return error.name === 'TypeError' || error.message.includes('fetch');
+    }
+
+    /**
+     * Split an endpoint into collection, document id and action
+     */
+    parseEndpoint(endpoint) {
+        const [path] = endpoint.split('?');
+        const parts = path.split('/').filter(Boolean);
+        const isAction = parts[1] === 'query' || parts[1] === 'search';
+
+        return {
+            collection: parts[0] || null,
+            id: parts[1] && !isAction ? parts[1] : null,
+            action: isAction ? parts[1] : null
+        };
+    }
+
+    /**
+     * Build the offline cache key for a read request
+     */
+    getCacheKey(endpoint, method, data) {
+        return `${method} ${endpoint} ${data ? JSON.stringify(data) : ''}`;
+    }
+
+    /**
+     * Serve a read from the offline cache, overlaid with writes that have not synced yet
+     */
+    async getCachedResponse(endpoint, method, data) {
+        const cached = await this.offline.getCached(this.getCacheKey(endpoint, method, data));
+        const { collection, id, action } = this.parseEndpoint(endpoint);
+        const queue = await this.offline.getQueue();
+
+        if (action === 'query') {
+            // Queued creates are added to the first page only, so paging through does not repeat them
+            const pending = (data?.page || 1) > 1
+                ? queue.map(mutation => ({ ...mutation, operations: mutation.operations.filter(op => op.operation !== 'create') }))
+                : queue;
+            return {
+                ...(cached || {}),
+                results: this.applyPendingMutations(collection, cached?.results || [], pending, data?.filters)
+            };
+        }
+
+        if (method === 'GET' && id) {
+            const [record] = this.applyPendingMutations(collection, cached ? [cached] : [], queue)
+                .filter(r => r.id === id);
+            if (record) {
+                return record;
+            }
+        }
+
+        if (method === 'GET' && !id && cached?.documents) {
+            return {
+                ...cached,
+                documents: this.applyPendingMutations(collection, cached.documents, queue)
+            };
+        }
+
+        if (cached) {
+            return cached;
+        }
+
+        throw new Error(`You are offline and ${endpoint} has not been cached yet`);
+    }
+
+    /**
+     * Apply queued creates, updates and deletes to a list of records
+     */
+    applyPendingMutations(collection, records, queue, filters = null) {
+        let merged = records.map(record => ({ ...record }));
+
+        queue.forEach(mutation => {
+            mutation.operations
+                .filter(op => op.collection === collection)
+                .forEach(op => {
+                    switch (op.operation) {
+                        case 'create':
+                            merged.push({ ...op.data, id: op.id, _pending_sync: true });
+                            break;
+                        case 'update':
+                            merged = merged.map(record => record.id === op.id
+                                ? { ...record, ...op.data, id: op.id, _pending_sync: true }
+                                : record);
+                            break;
+                        case 'delete':
+                            merged = merged.filter(record => record.id !== op.id);
+                            break;
+                    }
+                });
+        });
+
+        if (filters) {
+            merged = merged.filter(record => filters.every(filter =>
+                filter.operator !== '==' || this.getFieldValue(record, filter.field) === filter.value
+            ));
+        }
+
+        return merged;
+    }
+
+    /**
+     * Read a possibly dotted field path from a record
+     */
+    getFieldValue(record, field) {
+        return field.split('.').reduce((value, key) => value?.[key], record);
+    }
+
+    /**
+     * Queue a write made while offline and return an optimistic result
+     */
+    async queueMutation(endpoint, method, data, headers = {}) {
+        const { collection, id } = this.parseEndpoint(endpoint);
+        let operations;
+        let result;
+
+        if (collection === 'batch') {
+            operations = (data?.operations || []).map(op => ({ ...op }));
+            result = { success: true, queued: true, results: [] };
+        } else if (method === 'POST') {
+            const tempId = `offline-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+            // Stored with the record so its real-time create event can be matched to this local copy
+            data = { client_id: tempId, ...data };
+            operations = [{ operation: 'create', collection, id: tempId, data }];
+            result = { ...data, id: tempId, _pending_sync: true };
+        } else if (method === 'DELETE') {
+            operations = [{ operation: 'delete', collection, id }];
+            result = { success: true, id, _pending_sync: true };
+        } else {
+            operations = [{ operation: 'update', collection, id, data }];
+            result = { ...data, id, _pending_sync: true };
+        }
+
+        const mutation = await this.offline.enqueue({ endpoint, method, data, headers, collection, operations });
+        this.trackPendingRecords(mutation);
+        this.emit('offline:queued', { mutation });
+
+        return result;
+    }
+
+    /**
+     * Restore pending record state from a persisted queue
+     */
+    async loadPendingState() {
+        try {
+            const queue = await this.offline.getQueue();
+            queue.forEach(mutation => this.trackPendingRecords(mutation));
+        } catch (error) {
+            console.error('Failed to load offline queue:', error);
+        }
+    }
+
+    /**
+     * Mark the records touched by a queued mutation as pending sync
+     */
+    trackPendingRecords(mutation) {
+        mutation.operations.forEach(op => {
+            if (op.id) {
+                this.pendingRecords.set(op.id, (this.pendingRecords.get(op.id) || 0) + 1);
+            }
+        });
+    }
+
+    /**
+     * Clear pending state once a queued mutation has been resolved
+     */
+    releasePendingRecords(mutation) {
+        mutation.operations.forEach(op => {
+            const count = (this.pendingRecords.get(op.id) || 0) - 1;
+            if (count > 0) {
+                this.pendingRecords.set(op.id, count);
+            } else {
+                this.pendingRecords.delete(op.id);
+            }
+        });
+    }
+
+    /**
+     * Check whether a record has local changes that have not reached the backend
+     */
+    isPendingSync(id) {
+        return this.pendingRecords.has(id);
+    }
+
+    /**
+     * Replay queued mutations, sharing one pass between concurrent callers
+     */
+    syncPendingMutations() {
+        if (!this.isOnline) {
+            return Promise.resolve();
+        }
+
+        if (!this.syncPromise) {
+            this.syncPromise = this.replayMutationQueue().finally(() => {
+                this.syncPromise = null;
+            });
+        }
+
+        return this.syncPromise;
+    }
+
+    /**
+     * Replay queued mutations in order, stopping at the first network failure
+     * Writes the backend rejects stay queued, marked failed, until the user retries or discards them
+     */
+    async replayMutationQueue() {
+        let synced = 0;
+        let failed = 0;
+        let queue = [];
+
+        try {
+            queue = await this.offline.getQueue();
+            if (queue.every(mutation => mutation.failed)) {
+                return;
+            }
+
+            this.emit('offline:sync-start', { count: queue.filter(mutation => !mutation.failed).length });
+
+            let index = 0;
+            while (index < queue.length) {
+                const mutation = queue[index];
+                if (mutation.failed) {
+                    index++;
+                    continue;
+                }
+
+                try {
+                    const result = await this.makeRequest(mutation.endpoint, mutation.method, mutation.data, 0, {
+                        queueOffline: false,
+                        headers: mutation.headers || {}
+                    });
+                    await this.offline.removeMutation(mutation.seq);
+                    queue.splice(index, 1);
+                    this.releasePendingRecords(mutation);
+                    synced++;
+
+                    // Point later mutations at the id the backend assigned
+                    const created = mutation.operations[0];
+                    if (mutation.collection !== 'batch' && created.operation === 'create' && result?.id) {
+                        queue = await this.remapQueuedIds(queue, created.id, result.id);
+                    }
+
+                    this.emit('offline:synced', { mutation, result });
+                } catch (error) {
+                    if (this.isNetworkError(error) || !this.isOnline) {
+                        break;
+                    }
+
+                    // The backend rejected the write; keep it for the user but let the rest of the queue through.
+                    // A conflict keeps the other version so the user can merge the two
+                    console.error('Failed to sync queued mutation:', error);
+                    const rejected = {
+                        ...mutation,
+                        failed: {
+                            message: error.message,
+                            failed_at: new Date().toISOString(),
+                            conflict: error instanceof ConflictError ? { remote: error.remote } : null
+                        }
+                    };
+                    await this.offline.updateMutation(rejected);
+                    queue[index] = rejected;
+                    index++;
+                    failed++;
+                    this.emit('offline:sync-failed', { mutation: rejected, error });
+                }
+            }
+        } catch (error) {
+            console.error('Failed to sync offline changes:', error);
+        } finally {
+            if (synced > 0 || failed > 0) {
+                this.emit('offline:sync-complete', { synced, failed, remaining: queue.length });
+            }
+        }
+    }
+
+    /**
+     * Get queued writes the backend rejected, oldest first
+     */
+    async getFailedMutations() {
+        const queue = await this.offline.getQueue();
+        return queue.filter(mutation => mutation.failed);
+    }
+
+    /**
+     * Send a rejected write again
+     */
+    async retryMutation(seq) {
+        const mutation = (await this.offline.getQueue()).find(m => m.seq === seq);
+        if (!mutation) {
+            return;
+        }
+
+        // A pass already under way has read the queue; wait for it so the retry is not skipped
+        if (this.syncPromise) {
+            await this.syncPromise;
+        }
+
+        const { failed, ...retried } = mutation;
+        await this.offline.updateMutation(retried);
+        await this.syncPendingMutations();
+    }
+
+    /**
+     * Give up on a rejected write and forget its local changes
+     */
+    async discardMutation(seq) {
+        const mutation = (await this.offline.getQueue()).find(m => m.seq === seq);
+        if (!mutation) {
+            return;
+        }
+
+        await this.offline.removeMutation(seq);
+        this.releasePendingRecords(mutation);
+        this.emit('offline:discarded', { mutation });
+    }
+
+    /**
+     * Rewrite a temporary offline id in the remaining queued mutations
+     */
+    async remapQueuedIds(queue, tempId, realId) {
+        const replaceId = (value) => {
+            if (value === tempId) {
+                return realId;
+            }
+            if (Array.isArray(value)) {
+                return value.map(replaceId);
+            }
+            if (value && typeof value === 'object') {
+                return Object.fromEntries(Object.entries(value).map(([key, v]) => [key, replaceId(v)]));
+            }
+            return value;
+        };
+
+        const remapped = [];
+        for (const mutation of queue) {
+            const updated = {
+                ...replaceId(mutation),
+                endpoint: mutation.endpoint.split(tempId).join(realId)
+            };
+            if (JSON.stringify(updated) !== JSON.stringify(mutation)) {
+                this.releasePendingRecords(mutation);
+                this.trackPendingRecords(updated);
+                await this.offline.updateMutation(updated);
+            }
+            remapped.push(updated);
+        }
+        return remapped;
     }
 
     // WebSocket Methods
@@ -614,12 +2256,24 @@ class PicnicAPI {
 
         try {
             const wsUrl = `${window.location.protocol === 'https:' ? 'wss:' : 'ws:'}//${window.location.host}${this.wsUrl}?token=${this.auth}`;
+            this.setConnectionState(this.hasConnected ? 'reconnecting' : 'connecting');
             this.ws = new WebSocket(wsUrl);
 
             this.ws.onopen = () => {
                 console.log('WebSocket connected');
+                const isReconnect = this.hasConnected;
                 this.wsReconnectAttempts = 0;
+                this.hasConnected = true;
+                this.replaySubscriptions();
+                this.rooms.forEach(roomId => this.sendWebSocketMessage({ type: 'join_room', room_id: roomId }));
+                if (this.activeRoom) {
+                    this.sendPresence('online');
+                }
+                this.setConnectionState('connected');
                 this.emit('ws:connected');
+                if (isReconnect) {
+                    this.resyncSubscriptions();
+                }
             };
 
             this.ws.onmessage = (event) => {
@@ -633,6 +2287,7 @@ class PicnicAPI {
 
             this.ws.onclose = (event) => {
                 console.log('WebSocket disconnected:', event.code, event.reason);
+                this.setConnectionState('reconnecting');
                 this.emit('ws:disconnected');
                 this.scheduleReconnect();
             };
@@ -654,6 +2309,10 @@ class PicnicAPI {
     handleWebSocketMessage(message) {
         const { type, collection, data, id } = message;
         
+        if (collection) {
+            this.lastEventAt.set(collection, message.metadata?.timestamp || data?.updated_at || new Date().toISOString());
+        }
+        
         // Emit generic event
         this.emit(`ws:${type}`, { collection, data, id });
         
@@ -662,49 +2321,339 @@ class PicnicAPI {
             this.emit(`ws:${collection}:${type}`, { data, id });
         }
         
-        // Handle subscriptions
-        this.subscriptions.forEach((callback, subscriptionKey) => {
-            const [subCollection, subType] = subscriptionKey.split(':');
-            if (collection === subCollection && (!subType || subType === type)) {
-                callback({ type, collection, data, id });
+        if (type === 'presence_update') {
+            this.handlePresenceUpdate(message);
+        }
+        
+        if (type === 'room_join' || type === 'room_leave') {
+            this.handleRoomMembership(message);
+        }
+        
+        if (type === 'typing_start' || type === 'typing_stop') {
+            this.handleTyping(message);
+        }
+        
+        if (type === 'room_message') {
+            this.emit('room:message', message);
+            if (data?.kind === 'picnic_status') {
+                this.emitVerifiedStatusNotification(data);
             }
+            if (data?.kind === 'waitlist_promoted') {
+                this.emit('waitlist:promotion-notification', data);
+            }
+            if (data?.kind === 'chat_message') {
+                this.emit('chat:message', data.message);
+            }
+        }
+        
+        // Deletions may arrive without the document, so filters fall back to the last copy we saw
+        const record = data || (collection ? this.getKnownRecord(collection, id) : null);
+        
+        // Handle subscriptions
+        this.subscriptions.forEach(subscription => {
+            if (subscription.collection !== collection) return;
+            if (subscription.eventType && subscription.eventType !== type) return;
+            if (!this.matchesFilters(record, subscription.filters)) return;
+            
+            subscription.callbacks.forEach(callback => callback({ type, collection, data, id }));
         });
+        
+        if (collection) {
+            this.trackRecord(collection, type, data, id);
+        }
     }
 
     /**
-     * Subscribe to collection changes
+     * Build the key a subscription is stored under
      */
-    subscribe(collection, callback, eventType = null) {
+    getSubscriptionKey(collection, eventType = null, filters = null) {
         const key = eventType ? `${collection}:${eventType}` : collection;
-        this.subscriptions.set(key, callback);
+        return filters ? `${key}?${JSON.stringify(filters)}` : key;
+    }
+
+    /**
+     * Check an event's document against subscription filters
+     * A record we know nothing about only matches unfiltered subscriptions
+     */
+    matchesFilters(record, filters) {
+        if (!filters) {
+            return true;
+        }
+        if (!record) {
+            return false;
+        }
+        return Object.entries(filters).every(([field, value]) => record[field] === value);
+    }
+
+    /**
+     * Remember the latest copy of records read from a collection
+     */
+    rememberRecords(collection, records) {
+        records.forEach(record => {
+            if (record?.id) {
+                this.knownRecords.set(`${collection}:${record.id}`, record);
+            }
+        });
+    }
+
+    /**
+     * Get the last copy of a record read or received
+     */
+    getKnownRecord(collection, id) {
+        return this.knownRecords.get(`${collection}:${id}`) || null;
+    }
+
+    /**
+     * Update the known copy of a record from a real-time event
+     */
+    trackRecord(collection, type, data, id) {
+        const recordId = id || data?.id;
+        if (!recordId) return;
         
-        // Send subscription message
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
+        const key = `${collection}:${recordId}`;
+        if (type === 'document_deleted') {
+            this.knownRecords.delete(key);
+        } else if (data) {
+            this.knownRecords.set(key, { ...this.knownRecords.get(key), ...data });
+        }
+    }
+
+    /**
+     * Subscribe to collection changes, optionally only for documents matching filters
+     * Several callbacks can share one subscription; the server is told once
+     */
+    subscribe(collection, callback, eventType = null, filters = null) {
+        const key = this.getSubscriptionKey(collection, eventType, filters);
+        
+        if (!this.subscriptions.has(key)) {
+            this.subscriptions.set(key, { collection, eventType, filters, callbacks: new Set() });
+            if (!this.lastEventAt.has(collection)) {
+                this.lastEventAt.set(collection, new Date().toISOString());
+            }
+            
+            // Send subscription message
+            this.sendWebSocketMessage({
                 type: 'subscribe',
                 collection,
-                eventType
-            }));
+                eventType,
+                ...(filters ? { filters } : {})
+            });
         }
+        this.subscriptions.get(key).callbacks.add(callback);
         
-        return () => this.unsubscribe(collection, eventType);
+        return () => this.unsubscribe(collection, eventType, filters, callback);
     }
 
     /**
      * Unsubscribe from collection changes
+     * Without a callback every listener on the subscription is removed
      */
-    unsubscribe(collection, eventType = null) {
-        const key = eventType ? `${collection}:${eventType}` : collection;
+    unsubscribe(collection, eventType = null, filters = null, callback = null) {
+        const key = this.getSubscriptionKey(collection, eventType, filters);
+        const subscription = this.subscriptions.get(key);
+        if (!subscription) return;
+        
+        if (callback) {
+            subscription.callbacks.delete(callback);
+            if (subscription.callbacks.size > 0) return;
+        }
         this.subscriptions.delete(key);
         
         // Send unsubscription message
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-            this.ws.send(JSON.stringify({
-                type: 'unsubscribe',
+        this.sendWebSocketMessage({
+            type: 'unsubscribe',
+            collection,
+            eventType,
+            ...(filters ? { filters } : {})
+        });
+    }
+
+    /**
+     * Re-send every active subscription, since the server forgets them when the socket closes
+     */
+    replaySubscriptions() {
+        this.subscriptions.forEach(({ collection, eventType, filters }) => {
+            this.sendWebSocketMessage({
+                type: 'subscribe',
                 collection,
-                eventType
-            }));
+                eventType,
+                ...(filters ? { filters } : {})
+            });
+        });
+    }
+
+    /**
+     * Fetch documents changed while disconnected and replay them as events
+     * Filtered subscriptions are re-read in full, so records deleted meanwhile are replayed as deletions
+     */
+    async resyncSubscriptions() {
+        const queriesByCollection = new Map();
+        this.subscriptions.forEach(({ collection, filters }) => {
+            if (!queriesByCollection.has(collection)) {
+                queriesByCollection.set(collection, new Map());
+            }
+            const queries = queriesByCollection.get(collection);
+            queries.set(filters ? JSON.stringify(filters) : '', filters);
+        });
+
+        for (const [collection, queries] of queriesByCollection) {
+            const since = this.lastEventAt.get(collection);
+            // One unfiltered query already covers every filtered one
+            const filters = queries.has('') ? null : [...queries.values()];
+
+            try {
+                // Reading a whole collection is too much, so unfiltered ones only catch up on changes
+                const known = filters ? this.getKnownRecordIds(collection, filters) : [];
+                const docs = await this.getChangesSince(collection, filters ? null : since, filters);
+                const current = new Set(docs.map(doc => doc.id));
+                
+                known.filter(id => !current.has(id)).forEach(id => {
+                    this.handleWebSocketMessage({
+                        type: 'document_deleted',
+                        collection,
+                        data: null,
+                        id,
+                        // Deletions carry no timestamp, so keep the resync point where it was
+                        metadata: { timestamp: this.lastEventAt.get(collection) }
+                    });
+                });
+
+                const changed = new Map();
+                docs.filter(doc => !filters || doc.updated_at > since).forEach(doc => changed.set(doc.id, doc));
+
+                changed.forEach(doc => {
+                    this.handleWebSocketMessage({
+                        type: doc.created_at > since ? 'document_created' : 'document_updated',
+                        collection,
+                        data: doc,
+                        id: doc.id
+                    });
+                });
+                this.emit('ws:resynced', { collection, count: changed.size });
+            } catch (error) {
+                console.error(`Failed to resync ${collection}:`, error);
+            }
+        }
+    }
+
+    /**
+     * Get documents in a collection updated after a timestamp, or all of them without one
+     * Several filter sets are combined into one query matching any of them
+     */
+    async getChangesSince(collection, since, filters = null) {
+        const toConditions = (filterSet) => [
+            ...(since ? [{ field: 'updated_at', operator: '>', value: since }] : []),
+            ...Object.entries(filterSet || {}).map(([field, value]) => ({ field, operator: '==', value }))
+        ];
+        const filterSets = Array.isArray(filters) ? filters : [filters];
+
+        return this.queryAll(collection, {
+            ...(filterSets.length === 1
+                ? { filters: toConditions(filterSets[0]) }
+                : { or_filters: filterSets.map(toConditions) }),
+            sort: [{ field: 'updated_at', order: 'asc' }]
+        });
+    }
+
+    /**
+     * Get the ids of known records in a collection matching any of several filter sets
+     */
+    getKnownRecordIds(collection, filterSets) {
+        const prefix = `${collection}:`;
+        return [...this.knownRecords.entries()]
+            .filter(([key, record]) => key.startsWith(prefix) &&
+                filterSets.some(filters => this.matchesFilters(record, filters)))
+            .map(([key]) => key.slice(prefix.length));
+    }
+
+    /**
+     * Update the connection state and tell observers
+     */
+    setConnectionState(state) {
+        if (this.connectionState === state) return;
+        this.connectionState = state;
+        this.emit('connection:state', state);
+    }
+
+    /**
+     * Observe the connection state: connecting, connected, reconnecting or disconnected
+     * The callback runs immediately with the current state; call the result to stop observing
+     */
+    onConnectionStateChange(callback) {
+        this.on('connection:state', callback);
+        callback(this.connectionState);
+        return () => this.off('connection:state', callback);
+    }
+
+    /**
+     * Subscribe to a collection's changes for the open picnic and any watched picnics
+     */
+    subscribeToPicnicScope(collection, callback) {
+        const scoped = { collection, callback, unsubscribers: new Map() };
+        this.scopedSubscriptions.set(callback, scoped);
+        this.syncScopedSubscription(scoped);
+        
+        return () => {
+            scoped.unsubscribers.forEach(unsubscribe => unsubscribe());
+            this.scopedSubscriptions.delete(callback);
+        };
+    }
+
+    /**
+     * Move picnic-scoped subscriptions to another picnic, or drop them with null
+     */
+    setSubscriptionScope(picnicId) {
+        if (this.subscriptionScope === picnicId) return;
+        this.subscriptionScope = picnicId;
+        this.syncScopedSubscriptions();
+    }
+
+    /**
+     * Keep receiving changes for picnics that are not open, e.g. the ones listed on the dashboard
+     */
+    watchPicnics(picnicIds) {
+        this.watchedPicnics = new Set(picnicIds);
+        this.syncScopedSubscriptions();
+    }
+
+    /**
+     * Get every picnic that scoped subscriptions should cover
+     */
+    getScopedPicnicIds() {
+        const picnicIds = new Set(this.watchedPicnics);
+        if (this.subscriptionScope) {
+            picnicIds.add(this.subscriptionScope);
         }
+        return picnicIds;
+    }
+
+    /**
+     * Bring every scoped subscription in line with the current scope
+     */
+    syncScopedSubscriptions() {
+        this.scopedSubscriptions.forEach(scoped => this.syncScopedSubscription(scoped));
+    }
+
+    /**
+     * Unsubscribe picnics that left the scope, then subscribe the ones that joined it
+     * Each picnic gets its own filtered subscription, since the backend only filters on equality;
+     * only picnics that joined or left the scope are sent, so re-syncing an unchanged list is free
+     */
+    syncScopedSubscription(scoped) {
+        const picnicIds = this.getScopedPicnicIds();
+        
+        scoped.unsubscribers.forEach((unsubscribe, picnicId) => {
+            if (!picnicIds.has(picnicId)) {
+                unsubscribe();
+                scoped.unsubscribers.delete(picnicId);
+            }
+        });
+        
+        picnicIds.forEach(picnicId => {
+            if (!scoped.unsubscribers.has(picnicId)) {
+                scoped.unsubscribers.set(picnicId, this.subscribe(scoped.collection, scoped.callback, null, { picnic_id: picnicId }));
+            }
+        });
     }
 
     /**
@@ -716,6 +2665,320 @@ class PicnicAPI {
         }
     }
 
+    /**
+     * Get the personal room a user receives direct notifications in
+     * Rooms are trust-on-client: the backend lets any connection join or send to any room,
+     * so what arrives here is checked against the backend before it is shown
+     */
+    getUserRoom(userId) {
+        return `user:${userId}`;
+    }
+
+    /**
+     * Join a room, rejoining automatically after reconnects
+     */
+    joinRoom(roomId) {
+        this.rooms.add(roomId);
+        this.sendWebSocketMessage({ type: 'join_room', room_id: roomId });
+    }
+
+    /**
+     * Leave a room
+     */
+    leaveRoom(roomId) {
+        this.rooms.delete(roomId);
+        this.sendWebSocketMessage({ type: 'leave_room', room_id: roomId });
+    }
+
+    /**
+     * Send a message to everyone in a room
+     */
+    sendToRoom(roomId, data) {
+        this.sendWebSocketMessage({ type: 'room_message', room_id: roomId, data });
+    }
+
+    // Real-time Reducer
+
+    /**
+     * Check whether an incoming copy of a record is older than the local one
+     */
+    isStaleRecord(local, incoming) {
+        const localVersion = this.getRecordVersion(local);
+        const incomingVersion = this.getRecordVersion(incoming);
+        return !!(localVersion && incomingVersion && new Date(incomingVersion) < new Date(localVersion));
+    }
+
+    /**
+     * Apply a real-time event to a local list of records
+     * Returns the new list, the local record it touched and what happened:
+     * 'added', 'merged' (a create we already had), 'updated', 'removed', or null when nothing changed
+     */
+    applyRealtimeEvent(records, { type, data, id }) {
+        const recordId = id || data?.id;
+        let index = records.findIndex(r => r.id === recordId);
+
+        // A create we inserted ourselves, under a temporary id
+        if (index === -1 && type === 'document_created' && data?.client_id) {
+            index = records.findIndex(r => r.id === data.client_id || r.client_id === data.client_id);
+        }
+
+        const previous = index !== -1 ? records[index] : null;
+        const unchanged = { records, previous, change: null };
+        const replaceAt = (record) => records.map((r, i) => i === index ? record : r);
+
+        switch (type) {
+            case 'document_created':
+                if (!previous) {
+                    return { records: [...records, { ...data, id: recordId }], previous, change: 'added' };
+                }
+                if (this.isStaleRecord(previous, data)) {
+                    return unchanged;
+                }
+                return { records: replaceAt({ ...previous, ...data, id: recordId }), previous, change: 'merged' };
+
+            case 'document_updated':
+                if (!previous || this.isStaleRecord(previous, data)) {
+                    return unchanged;
+                }
+                return { records: replaceAt({ ...previous, ...data }), previous, change: 'updated' };
+
+            case 'document_deleted':
+                if (!previous) {
+                    return unchanged;
+                }
+                return { records: records.filter((r, i) => i !== index), previous, change: 'removed' };
+
+            default:
+                return unchanged;
+        }
+    }
+
+    // Presence Methods
+
+    /**
+     * Get the room collaborators on a picnic share
+     */
+    getPicnicRoom(picnicId) {
+        return `picnic:${picnicId}`;
+    }
+
+    /**
+     * Join a picnic's room and tell the others we are here
+     * Only one picnic room is active at a time
+     */
+    enterPicnicRoom(picnicId, activity = 'viewing') {
+        const roomId = this.getPicnicRoom(picnicId);
+        if (this.activeRoom === roomId) {
+            this.setPresenceActivity(activity);
+            return;
+        }
+        if (this.activeRoom) {
+            this.leavePicnicRoom();
+        }
+
+        this.activeRoom = roomId;
+        this.activeActivity = activity;
+        this.joinRoom(roomId);
+        this.sendPresence('online');
+
+        this.presenceTimer = setInterval(() => {
+            this.sendPresence('online');
+            this.prunePresence(roomId);
+        }, this.presenceHeartbeatInterval);
+    }
+
+    /**
+     * Leave the active picnic room
+     */
+    leavePicnicRoom() {
+        if (!this.activeRoom) return;
+
+        const roomId = this.activeRoom;
+        this.typingTimers.forEach((timer, context) => this.stopTyping(context));
+        this.sendPresence('offline');
+        this.leaveRoom(roomId);
+
+        clearInterval(this.presenceTimer);
+        this.presenceTimer = null;
+        this.activeRoom = null;
+        this.activeActivity = null;
+        this.presence.delete(roomId);
+        this.emit('presence:changed', { roomId, viewers: [] });
+    }
+
+    /**
+     * Switch between viewing and editing in the active room
+     */
+    setPresenceActivity(activity) {
+        if (!this.activeRoom || this.activeActivity === activity) return;
+
+        this.activeActivity = activity;
+        this.sendPresence('online');
+    }
+
+    /**
+     * Broadcast our presence for the active room
+     */
+    sendPresence(status) {
+        if (!this.activeRoom) return;
+
+        this.sendWebSocketMessage({
+            type: 'presence',
+            status,
+            metadata: {
+                room_id: this.activeRoom,
+                activity: this.activeActivity,
+                user_name: this.getCurrentUserName()
+            }
+        });
+    }
+
+    /**
+     * Track another user's presence in a room
+     */
+    handlePresenceUpdate(message) {
+        const { user_id: userId, presence = {} } = message;
+        const roomId = presence.metadata?.room_id;
+        if (!roomId || userId === this.getCurrentUserId()) return;
+
+        if (!this.presence.has(roomId)) {
+            this.presence.set(roomId, new Map());
+        }
+        const viewers = this.presence.get(roomId);
+
+        if (presence.status === 'online') {
+            viewers.set(userId, {
+                user_id: userId,
+                user_name: presence.metadata.user_name || 'Someone',
+                activity: presence.metadata.activity || 'viewing',
+                last_seen: Date.now()
+            });
+        } else {
+            viewers.delete(userId);
+        }
+
+        this.emitPresence(roomId);
+    }
+
+    /**
+     * Drop users leaving our room, and announce ourselves to users joining it
+     */
+    handleRoomMembership(message) {
+        const { type, room_id: roomId, user_id: userId } = message;
+        if (roomId !== this.activeRoom || userId === this.getCurrentUserId()) return;
+
+        if (type === 'room_join') {
+            this.sendPresence('online');
+        } else if (this.presence.get(roomId)?.delete(userId)) {
+            this.emitPresence(roomId);
+        }
+    }
+
+    /**
+     * Forget users whose heartbeat has stopped
+     */
+    prunePresence(roomId) {
+        const viewers = this.presence.get(roomId);
+        if (!viewers) return;
+
+        const cutoff = Date.now() - this.presenceTimeout;
+        let changed = false;
+        viewers.forEach((viewer, userId) => {
+            if (viewer.last_seen < cutoff) {
+                viewers.delete(userId);
+                changed = true;
+            }
+        });
+
+        if (changed) {
+            this.emitPresence(roomId);
+        }
+    }
+
+    /**
+     * Get the other users currently in a room
+     */
+    getRoomViewers(roomId) {
+        return [...(this.presence.get(roomId)?.values() || [])]
+            .sort((a, b) => a.user_name.localeCompare(b.user_name));
+    }
+
+    /**
+     * Emit the current viewers of a room
+     */
+    emitPresence(roomId) {
+        this.emit('presence:changed', { roomId, viewers: this.getRoomViewers(roomId) });
+    }
+
+    /**
+     * Tell others we are typing, stopping automatically once input goes idle
+     */
+    notifyTyping(context) {
+        if (!this.typingTimers.has(context)) {
+            this.sendWebSocketMessage({ type: 'typing_start', context });
+        }
+
+        clearTimeout(this.typingTimers.get(context));
+        this.typingTimers.set(context, setTimeout(() => this.stopTyping(context), this.typingIdleDelay));
+    }
+
+    /**
+     * Tell others we stopped typing
+     */
+    stopTyping(context) {
+        if (!this.typingTimers.has(context)) return;
+
+        clearTimeout(this.typingTimers.get(context));
+        this.typingTimers.delete(context);
+        this.sendWebSocketMessage({ type: 'typing_stop', context });
+    }
+
+    /**
+     * Track who is typing in a context
+     * Entries expire on their own in case a typing_stop is lost
+     */
+    handleTyping(message) {
+        const { type, context, user_id: userId } = message;
+        if (!context || userId === this.getCurrentUserId()) return;
+
+        if (!this.typing.has(context)) {
+            this.typing.set(context, new Map());
+        }
+        const typists = this.typing.get(context);
+        clearTimeout(typists.get(userId));
+
+        if (type === 'typing_start') {
+            typists.set(userId, setTimeout(() => {
+                typists.delete(userId);
+                this.emitTyping(context);
+            }, this.typingTimeout));
+        } else {
+            typists.delete(userId);
+        }
+
+        this.emitTyping(context);
+    }
+
+    /**
+     * Get the names of users typing in a context
+     */
+    getTypingUsers(context) {
+        const typists = [...(this.typing.get(context)?.keys() || [])];
+        const viewers = this.activeRoom ? this.presence.get(this.activeRoom) : null;
+
+        return typists.map(userId => ({
+            user_id: userId,
+            user_name: viewers?.get(userId)?.user_name || 'Someone'
+        }));
+    }
+
+    /**
+     * Emit the users typing in a context
+     */
+    emitTyping(context) {
+        this.emit('typing:changed', { context, users: this.getTypingUsers(context) });
+    }
+
     /**
      * Schedule WebSocket reconnection
      */
@@ -726,6 +2989,8 @@ class PicnicAPI {
                 this.wsReconnectAttempts++;
                 this.connectWebSocket();
             }, delay);
+        } else {
+            this.setConnectionState('disconnected');
         }
     }
 
@@ -814,14 +3079,29 @@ class PicnicAPI {
      * Cleanup resources
      */
     destroy() {
+        this.leavePicnicRoom();
+        if (this.connectivityHandlers) {
+            window.removeEventListener('online', this.connectivityHandlers.online);
+            window.removeEventListener('offline', this.connectivityHandlers.offline);
+            this.connectivityHandlers = null;
+        }
         if (this.ws) {
+            // Closing on purpose, so don't reconnect
+            this.ws.onclose = null;
             this.ws.close();
             this.ws = null;
         }
+        this.setConnectionState('disconnected');
         this.subscriptions.clear();
+        this.scopedSubscriptions.clear();
+        this.watchedPicnics.clear();
         this.eventHandlers.clear();
     }
 }
 
 // Create global API instance
+window.ConflictError = ConflictError;
+window.StatusTransitionError = StatusTransitionError;
+window.CapacityError = CapacityError;
+window.ValidationError = ValidationError;
 window.picnicAPI = new PicnicAPI();
\ No newline at end of file
@@ -3,24 +3,168 @@
  * Manages UI interactions, state, and real-time collaboration
  */
 
+// Form inputs named differently from the schema fields they fill, for placing field-level errors
+const PICNIC_FORM_FIELDS = {
+    'location.name': 'locationName',
+    'location.address': 'locationAddress',
+    max_participants: 'maxParticipants',
+    is_public: 'isPublic',
+    weather_contingency: 'weatherContingency'
+};
+
+const ITEM_FORM_FIELDS = {
+    quantity_needed: 'quantity',
+    estimated_cost: 'estimatedCost'
+};
+
 class PicnicApp {
     constructor() {
         this.currentView = 'dashboard';
         this.currentPicnic = null;
         this.currentUser = null;
-        this.picnics = [];
-        this.participants = [];
-        this.items = [];
-        this.expenses = [];
+        // Picnics, participants, items and expenses live in the store; see State Accessors
+        this.store = new PicnicStore({
+            reduce: (records, event) => this.api.applyRealtimeEvent(records, event)
+        });
         this.filters = {
             search: '',
             status: 'all'
         };
+        this.picnicPageSize = 20;
+        this.picnicCursor = null;
+        this.loadingPicnicPage = false;
+        // Bumped whenever the filters change so pages for old filters are dropped
+        this.picnicQueryId = 0;
         this.theme = localStorage.getItem('picnic-theme') || 'auto';
         this.notifications = [];
         this.api = window.picnicAPI;
         this.isLoading = false;
         this.retryAttempts = 3;
+        this.deletionPlan = null;
+        this.pendingPicnicDeletion = null;
+        this.picnicDeleteUndoDelay = 8000;
+        this.completionOffered = new Set();
+        this.myEventsTab = 'organizing';
+        this.myEvents = null;
+        this.expenseDashboard = null;
+        this.statsTimer = null;
+        this.statsUpdateDelay = 1000;
+        // Modals that show us as editing the open picnic to collaborators
+        this.editingModals = ['editPicnicModal', 'addItemModal', 'addExpenseModal'];
+        this.chatMessages = [];
+        this.chatUnread = new Map();
+        this.chatReadMarkers = JSON.parse(localStorage.getItem('picnic-chat-read') || '{}');
+        this.notificationSettings = {};
+        this.maxNotifications = 50;
+        this.notificationSaveTimer = null;
+        this.notificationTypes = {
+            picnic_created: 'New picnics',
+            picnic_updated: 'Date, time and place changes',
+            picnic_deleted: 'Deleted picnics',
+            picnic_status: 'Confirmations and cancellations',
+            participant_joined: 'New participants',
+            rsvp_changed: 'RSVP changes',
+            waitlist_promoted: 'Waitlist spots opening up',
+            item_added: 'Items added',
+            item_assigned: 'Items claimed',
+            expense_added: 'New expenses',
+            expense_updated: 'Expense changes',
+            chat_mention: 'Chat mentions'
+        };
+        this.categoryLabels = {
+            food: '🍔 Food',
+            drinks: '🥤 Drinks',
+            supplies: '🧺 Supplies',
+            transportation: '🚗 Transportation',
+            other: '📦 Other'
+        };
+        this.statusLabels = {
+            planning: 'Planning',
+            confirmed: 'Confirmed',
+            cancelled: 'Cancelled',
+            completed: 'Completed'
+        };
+        this.rsvpLabels = {
+            going: 'Going',
+            maybe: 'Maybe',
+            not_going: 'Not going',
+            pending: 'Pending',
+            waitlisted: 'Waitlisted'
+        };
+    }
+
+    // State Accessors
+
+    /**
+     * Picnics shown on the dashboard
+     */
+    get picnics() {
+        return this.store.getAll('picnics');
+    }
+
+    set picnics(records) {
+        this.store.replace('picnics', records);
+    }
+
+    /**
+     * Participants of the open picnic
+     */
+    get participants() {
+        return this.store.getByPicnic('participants', this.currentPicnic?.id);
+    }
+
+    set participants(records) {
+        this.setPicnicRecords('participants', records);
+    }
+
+    /**
+     * Items of the open picnic
+     */
+    get items() {
+        return this.store.getByPicnic('items', this.currentPicnic?.id);
+    }
+
+    set items(records) {
+        this.setPicnicRecords('items', records);
+    }
+
+    /**
+     * Expenses of the open picnic
+     */
+    get expenses() {
+        return this.store.getByPicnic('expenses', this.currentPicnic?.id);
+    }
+
+    set expenses(records) {
+        this.setPicnicRecords('expenses', records);
+    }
+
+    /**
+     * Replace a picnic's records in a collection, the open picnic's by default
+     * Pass the picnic the records were fetched for, since the user may have moved on while they loaded
+     */
+    setPicnicRecords(collection, records, picnicId = this.currentPicnic?.id) {
+        this.store.replaceWhere(collection, record => record.picnic_id === picnicId, records);
+    }
+
+    /**
+     * Re-render views when the records they show change
+     */
+    setupStoreSubscriptions() {
+        this.store.subscribe('picnics', () => {
+            this.updateDashboard();
+            // Card counts stay live for every listed picnic, not just the open one
+            this.api.watchPicnics(this.picnics.map(p => p.id));
+        });
+        this.store.subscribe(['participants', 'items', 'expenses'], () => this.updatePicnicCardStats());
+        this.store.subscribe('participants', () => {
+            this.updateParticipantsList();
+            // Per-person amounts depend on who is going
+            this.updateExpensesList();
+        });
+        this.store.subscribe('items', () => this.updateItemsList());
+        this.store.subscribe('expenses', () => this.updateExpensesList());
+        this.store.subscribe(['picnics', 'participants', 'expenses'], () => this.scheduleStatsUpdate());
     }
 
     /**
@@ -45,12 +189,16 @@ class PicnicApp {
             
             // Setup event listeners
             this.setupEventListeners();
+            this.setupStoreSubscriptions();
             
             // Setup real-time collaboration
             this.setupRealTimeFeatures();
+            await this.loadNotifications();
+            this.renderSyncIssues();
             
             // Load initial data
             await this.loadDashboardData();
+            this.loadChatUnread();
             
             // Update UI
             this.updateUserProfile();
@@ -117,6 +265,9 @@ class PicnicApp {
             this.filterPicnics();
         });
 
+        // Infinite scroll on the dashboard
+        window.addEventListener('scroll', Utils.throttle(() => this.checkPicnicScroll(), 200));
+
         // Form submissions
         document.getElementById('createForm').addEventListener('submit', (e) => {
             e.preventDefault();
@@ -133,6 +284,115 @@ class PicnicApp {
             this.addItem();
         });
 
+        document.getElementById('itemName').addEventListener('input', () => {
+            if (this.currentPicnic) {
+                this.api.notifyTyping(this.getItemsTypingContext());
+            }
+        });
+
+        document.getElementById('addExpenseForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.saveExpense();
+        });
+
+        document.getElementById('expenseSplitType').addEventListener('change', () => {
+            this.updateExpenseShareInputs();
+        });
+
+        document.getElementById('deleteExpenseBtn').addEventListener('click', async () => {
+            const expenseId = document.getElementById('expenseId').value;
+            if (await this.confirmDeleteExpense(expenseId)) {
+                this.closeModal('addExpenseModal');
+            }
+        });
+
+        document.getElementById('addExpenseBtn').addEventListener('click', () => {
+            this.openAddExpenseFromExpensesView();
+        });
+
+        document.getElementById('editPicnicBtn').addEventListener('click', () => {
+            this.openEditPicnicModal();
+        });
+
+        document.getElementById('editPicnicForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.savePicnicEdits();
+        });
+
+        document.getElementById('deletePicnicBtn').addEventListener('click', () => {
+            this.openDeletePicnicModal();
+        });
+
+        document.getElementById('confirmDeletePicnicBtn').addEventListener('click', () => {
+            this.confirmDeletePicnic();
+        });
+
+        document.querySelector('#myEventsView .event-tabs').addEventListener('click', (e) => {
+            const tab = e.target.closest('.tab-btn');
+            if (tab) {
+                this.myEventsTab = tab.dataset.tab;
+                this.renderMyEvents();
+            }
+        });
+
+        document.getElementById('eventsContent').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-open-picnic]');
+            if (button) {
+                this.openPicnic(button.dataset.openPicnic);
+            }
+        });
+
+        // Notification center
+        document.getElementById('notificationsBtn').addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleNotificationPanel();
+        });
+
+        document.getElementById('notificationPanel').addEventListener('click', (e) => {
+            e.stopPropagation();
+            const entry = e.target.closest('[data-notification-id]');
+            const chat = e.target.closest('[data-chat-picnic]');
+            if (entry) {
+                this.openNotification(entry.dataset.notificationId);
+            } else if (chat) {
+                this.toggleNotificationPanel(false);
+                this.openPicnic(chat.dataset.chatPicnic);
+            }
+        });
+
+        document.getElementById('markAllReadBtn').addEventListener('click', () => {
+            this.markAllNotificationsRead();
+        });
+
+        document.getElementById('notificationSettingsBtn').addEventListener('click', () => {
+            document.getElementById('notificationSettings').classList.toggle('show');
+        });
+
+        document.getElementById('notificationSettings').addEventListener('change', (e) => {
+            this.setNotificationSetting(e.target.value, e.target.checked);
+        });
+
+        document.addEventListener('click', () => {
+            this.toggleNotificationPanel(false);
+        });
+
+        document.getElementById('conflictForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.resolveConflict();
+        });
+
+        // Offline changes the backend rejected
+        document.getElementById('syncIssuesBtn').addEventListener('click', () => {
+            this.openModal('syncIssuesModal');
+        });
+
+        document.getElementById('syncIssuesList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-sync-action]');
+            if (button) {
+                this.handleSyncIssueAction(Number(button.closest('[data-seq]').dataset.seq), button.dataset.syncAction);
+            }
+        });
+
         // Modal close on backdrop click
         document.addEventListener('click', (e) => {
             if (e.target.classList.contains('modal')) {
@@ -152,8 +412,9 @@ class PicnicApp {
         });
 
         // Handle online/offline
-        window.addEventListener('online', () => {
+        window.addEventListener('online', async () => {
             this.showToast('Back online! Syncing data...', 'success');
+            await this.api.syncPendingMutations();
             this.loadDashboardData();
         });
 
@@ -171,29 +432,109 @@ class PicnicApp {
             this.handlePicnicUpdate(event);
         });
 
-        // Subscribe to participant updates
-        this.api.subscribe(this.api.collections.participants, (event) => {
+        // Participants, items and expenses only for the open picnic
+        this.api.subscribeToPicnicScope(this.api.collections.participants, (event) => {
             this.handleParticipantUpdate(event);
         });
 
-        // Subscribe to item updates
-        this.api.subscribe(this.api.collections.items, (event) => {
+        this.api.subscribeToPicnicScope(this.api.collections.items, (event) => {
             this.handleItemUpdate(event);
         });
 
-        // Subscribe to expense updates
-        this.api.subscribe(this.api.collections.expenses, (event) => {
+        this.api.subscribeToPicnicScope(this.api.collections.expenses, (event) => {
             this.handleExpenseUpdate(event);
         });
 
-        // Handle WebSocket connection events
-        this.api.on('ws:connected', () => {
-            this.showToast('Real-time collaboration enabled', 'info');
+        // Show the real-time connection state in the header
+        this.api.onConnectionStateChange((state) => {
+            this.renderConnectionState(state);
         });
 
-        this.api.on('ws:disconnected', () => {
-            this.showToast('Real-time features temporarily unavailable', 'warning');
+        // A spot opened up for us on a waitlist
+        this.api.on('waitlist:promotion-notification', (notification) => {
+            this.notify('waitlist_promoted', `A spot opened up — you're now going to "${notification.picnic_title || 'the picnic'}"!`, {
+                picnicId: notification.picnic_id,
+                toastType: 'success',
+                duration: 8000
+            });
+            if (this.currentPicnic && this.currentPicnic.id === notification.picnic_id) {
+                this.reloadParticipants();
+            }
+        });
+
+        // Status changes sent to us by organizers
+        this.api.on('picnic:status-notification', (notification) => {
+            this.handleStatusNotification(notification);
+        });
+
+        // Collaborators viewing the open picnic
+        this.api.on('presence:changed', ({ roomId, viewers }) => {
+            if (this.currentPicnic && roomId === this.api.getPicnicRoom(this.currentPicnic.id)) {
+                this.renderPresence(viewers);
+            }
+        });
+
+        this.api.on('typing:changed', ({ context, users }) => {
+            if (this.currentPicnic && context === this.getItemsTypingContext()) {
+                this.renderItemsTyping(users);
+            }
+            if (this.currentPicnic && context === this.getChatTypingContext()) {
+                this.renderChatTyping(users);
+            }
+        });
+
+        // Chat messages from any picnic we belong to
+        this.api.on('chat:message', (message) => {
+            this.handleChatMessage(message);
+        });
+
+        // Offline sync results
+        this.api.on('offline:sync-complete', ({ synced, failed }) => {
+            if (synced > 0) {
+                this.showToast(`Synced ${synced} offline change${synced === 1 ? '' : 's'}`, 'success');
+            }
+            if (failed > 0) {
+                this.showToast(`${failed} offline change${failed === 1 ? '' : 's'} could not be saved. Use ⚠️ to retry or discard.`, 'error');
+            }
+            this.renderSyncIssues();
+            this.refreshCurrentPicnic();
+        });
+
+        // Offline edits that collide with someone else's go straight to the merge view
+        this.api.on('offline:sync-failed', ({ mutation, error }) => {
+            this.renderSyncIssues();
+            if (error instanceof ConflictError && !document.getElementById('conflictModal').classList.contains('show')) {
+                this.reviewQueuedConflict(mutation);
+            }
         });
+
+        this.api.on('offline:discarded', () => {
+            this.renderSyncIssues();
+            this.refreshCurrentPicnic();
+        });
+    }
+
+    /**
+     * Update the connection status pill
+     */
+    renderConnectionState(state) {
+        const labels = {
+            connecting: 'Connecting…',
+            connected: 'Live',
+            reconnecting: 'Reconnecting…',
+            disconnected: 'Offline'
+        };
+        const titles = {
+            connecting: 'Connecting to real-time updates',
+            connected: 'Real-time collaboration enabled',
+            reconnecting: 'Connection lost. Changes made meanwhile will load once reconnected.',
+            disconnected: 'Real-time features unavailable. Refresh to try again.'
+        };
+        const pill = document.getElementById('connectionStatus');
+        
+        pill.className = `connection-pill ${state}`;
+        pill.textContent = labels[state] || state;
+        pill.title = titles[state] || '';
     }
 
     /**
@@ -204,31 +545,34 @@ class PicnicApp {
         
         switch (type) {
             case 'document_created':
-                this.picnics.unshift(data);
-                this.updateDashboard();
+                // Filtered lists come from the server; the new picnic shows up once the filters are cleared
+                if (!this.isFilteringPicnics()) {
+                    this.store.upsert('picnics', { ...data, id: data.id || id }, { prepend: true });
+                }
                 if (data.organizer_id !== this.currentUser.id) {
-                    this.showToast(`New picnic created: ${data.title}`, 'info');
+                    this.notify('picnic_created', `New picnic created: ${data.title}`, { picnicId: data.id });
                 }
                 break;
                 
             case 'document_updated':
-                const picnicIndex = this.picnics.findIndex(p => p.id === id);
-                if (picnicIndex !== -1) {
-                    this.picnics[picnicIndex] = { ...this.picnics[picnicIndex], ...data };
-                    this.updateDashboard();
+                const existingPicnic = this.store.get('picnics', id);
+                if (existingPicnic && !this.isStaleUpdate(existingPicnic, data)) {
+                    this.notifyPicnicChanges(existingPicnic, data);
+                    const updatedPicnic = this.store.upsert('picnics', { ...data, id });
                     if (this.currentPicnic && this.currentPicnic.id === id) {
-                        this.currentPicnic = this.picnics[picnicIndex];
+                        this.currentPicnic = updatedPicnic;
                         this.updatePicnicDetail();
                     }
                 }
                 break;
                 
             case 'document_deleted':
-                this.picnics = this.picnics.filter(p => p.id !== id);
-                this.updateDashboard();
+                const deletedPicnic = this.removePicnicFromStore(id);
                 if (this.currentPicnic && this.currentPicnic.id === id) {
                     this.switchView('dashboard');
-                    this.showToast('This picnic has been deleted', 'info');
+                }
+                if (deletedPicnic) {
+                    this.notify('picnic_deleted', `"${deletedPicnic.title}" has been deleted`);
                 }
                 break;
         }
@@ -238,28 +582,23 @@ class PicnicApp {
      * Handle real-time participant updates
      */
     handleParticipantUpdate(event) {
-        const { type, data, id } = event;
+        const { previous, change } = this.store.applyEvent('participants', event);
+        if (!change) return;
         
-        switch (type) {
-            case 'document_created':
-                this.participants.push(data);
-                if (this.currentPicnic && data.picnic_id === this.currentPicnic.id) {
-                    this.updateParticipantsList();
-                    if (data.user_id !== this.currentUser.id) {
-                        this.showToast(`${data.user_name} joined the picnic!`, 'success');
-                    }
-                }
-                break;
-                
-            case 'document_updated':
-                const participantIndex = this.participants.findIndex(p => p.id === id);
-                if (participantIndex !== -1) {
-                    this.participants[participantIndex] = { ...this.participants[participantIndex], ...data };
-                    if (this.currentPicnic && data.picnic_id === this.currentPicnic.id) {
-                        this.updateParticipantsList();
-                    }
-                }
-                break;
+        const participant = event.data || previous;
+        if (!this.currentPicnic || participant.picnic_id !== this.currentPicnic.id) return;
+        
+        if (change === 'added' && participant.user_id !== this.currentUser.id) {
+            this.notify('participant_joined', `${participant.user_name} joined "${this.currentPicnic.title}"!`, {
+                picnicId: participant.picnic_id,
+                toastType: 'success'
+            });
+        }
+        
+        if (change === 'updated' && event.data.rsvp_status && event.data.rsvp_status !== previous.rsvp_status && previous.user_id !== this.currentUser.id) {
+            this.notify('rsvp_changed', `${previous.user_name} changed their RSVP to "${this.rsvpLabels[event.data.rsvp_status] || event.data.rsvp_status}"`, {
+                picnicId: previous.picnic_id
+            });
         }
     }
 
@@ -267,28 +606,22 @@ class PicnicApp {
      * Handle real-time item updates
      */
     handleItemUpdate(event) {
-        const { type, data, id } = event;
+        const { previous, change } = this.store.applyEvent('items', event);
+        if (!change) return;
         
-        switch (type) {
-            case 'document_created':
-                this.items.push(data);
-                if (this.currentPicnic && data.picnic_id === this.currentPicnic.id) {
-                    this.updateItemsList();
-                }
-                break;
-                
-            case 'document_updated':
-                const itemIndex = this.items.findIndex(i => i.id === id);
-                if (itemIndex !== -1) {
-                    this.items[itemIndex] = { ...this.items[itemIndex], ...data };
-                    if (this.currentPicnic && data.picnic_id === this.currentPicnic.id) {
-                        this.updateItemsList();
-                        if (data.assigned_to && data.assigned_to !== this.currentUser.id) {
-                            this.showToast(`${data.name} was assigned to someone!`, 'info');
-                        }
-                    }
-                }
-                break;
+        const item = event.data || previous;
+        if (!this.currentPicnic || item.picnic_id !== this.currentPicnic.id) return;
+        
+        if (change === 'added' && item.created_by && item.created_by !== this.currentUser.id) {
+            this.notify('item_added', `${this.getParticipantName(item.created_by)} added ${item.name} to the list`, {
+                picnicId: item.picnic_id
+            });
+        }
+        
+        if (change === 'updated' && item.assigned_to && item.assigned_to !== previous.assigned_to && item.assigned_to !== this.currentUser.id) {
+            this.notify('item_assigned', `${this.getParticipantName(item.assigned_to)} is bringing ${item.name || previous.name}`, {
+                picnicId: previous.picnic_id
+            });
         }
     }
 
@@ -296,31 +629,30 @@ class PicnicApp {
      * Handle real-time expense updates
      */
     handleExpenseUpdate(event) {
-        const { type, data, id } = event;
+        const { previous, change } = this.store.applyEvent('expenses', event);
+        if (!change) return;
         
-        switch (type) {
-            case 'document_created':
-                this.expenses.push(data);
-                if (this.currentPicnic && data.picnic_id === this.currentPicnic.id) {
-                    this.updateExpensesList();
-                    if (data.paid_by !== this.currentUser.id) {
-                        this.showToast(`New expense added: ${data.description}`, 'info');
-                    }
-                }
-                break;
-                
-            case 'document_updated':
-                const expenseIndex = this.expenses.findIndex(e => e.id === id);
-                if (expenseIndex !== -1) {
-                    this.expenses[expenseIndex] = { ...this.expenses[expenseIndex], ...data };
-                    if (this.currentPicnic && data.picnic_id === this.currentPicnic.id) {
-                        this.updateExpensesList();
-                    }
-                }
-                break;
+        const expense = event.data || previous;
+        if (!this.currentPicnic || expense.picnic_id !== this.currentPicnic.id) return;
+        
+        if (change === 'added' && expense.paid_by !== this.currentUser.id) {
+            this.notify('expense_added', `New expense added: ${expense.description}`, { picnicId: expense.picnic_id });
+        }
+        
+        if (change === 'updated' && expense.amount !== undefined && expense.amount !== previous.amount) {
+            this.notify('expense_updated', `${expense.description || previous.description} changed to ${Utils.formatCurrency(expense.amount)}`, {
+                picnicId: previous.picnic_id
+            });
         }
     }
 
+    /**
+     * Check whether a real-time update is older than the copy we already have
+     */
+    isStaleUpdate(local, incoming) {
+        return this.api.isStaleRecord(local, incoming);
+    }
+
     /**
      * Load dashboard data
      */
@@ -328,13 +660,12 @@ class PicnicApp {
         try {
             this.showLoading('Loading your picnics...');
             
-            // Load picnics
-            const picnicsResponse = await this.api.listPicnics({ limit: 50 });
-            this.picnics = picnicsResponse.documents || [];
+            // Load the first page of picnics
+            await this.loadPicnicPage({ reset: true });
             
             // Update dashboard
-            this.updateDashboard();
-            this.updateStats();
+            this.scheduleStatsUpdate();
+            this.offerCompletions();
             
         } catch (error) {
             console.error('Failed to load dashboard data:', error);
@@ -345,69 +676,108 @@ class PicnicApp {
     }
 
     /**
-     * Update dashboard view
+     * Load the next page of picnics for the current filters, or the first page with reset
      */
-    updateDashboard() {
-        const picnicGrid = document.getElementById('picnicGrid');
-        const emptyState = document.getElementById('emptyState');
+    async loadPicnicPage({ reset = false } = {}) {
+        if (reset) {
+            this.picnicQueryId++;
+            this.picnicCursor = null;
+            this.loadingPicnicPage = false;
+        } else if (this.loadingPicnicPage || !this.picnicCursor) {
+            return;
+        }
         
-        if (this.picnics.length === 0) {
-            picnicGrid.style.display = 'none';
-            emptyState.style.display = 'block';
-        } else {
-            picnicGrid.style.display = 'grid';
-            emptyState.style.display = 'none';
-            
-            // Filter picnics
-            const filteredPicnics = this.getFilteredPicnics();
-            
-            // Render picnic cards
-            picnicGrid.innerHTML = '';
-            filteredPicnics.forEach(picnic => {
-                const cardElement = this.createPicnicCard(picnic);
-                picnicGrid.appendChild(cardElement);
+        const queryId = this.picnicQueryId;
+        this.loadingPicnicPage = true;
+        this.updatePicnicSentinel();
+        
+        try {
+            const { picnics, cursor } = await this.api.getPicnicPage({
+                cursor: this.picnicCursor,
+                limit: this.picnicPageSize,
+                status: this.filters.status,
+                search: this.filters.search.trim()
             });
+            if (queryId !== this.picnicQueryId) return;
+            
+            const page = picnics.filter(p => p.id !== this.pendingPicnicDeletion?.picnic.id);
+            this.picnicCursor = cursor;
+            if (reset) {
+                this.picnics = page;
+            } else {
+                this.store.batch(() => page.forEach(picnic => this.store.upsert('picnics', picnic)));
+            }
+            this.loadPicnicStats(page.map(p => p.id));
+        } finally {
+            if (queryId === this.picnicQueryId) {
+                this.loadingPicnicPage = false;
+                this.updatePicnicSentinel();
+            }
         }
+        
+        // A short first page may not fill the screen, so keep going until it does
+        this.checkPicnicScroll();
     }
 
     /**
-     * Get filtered picnics based on current filters
+     * Load more picnics once the end of the grid scrolls into view
      */
-    getFilteredPicnics() {
-        let filtered = [...this.picnics];
+    checkPicnicScroll() {
+        const sentinel = document.getElementById('picnicGridSentinel');
+        if (this.currentView !== 'dashboard' || !this.picnicCursor || this.loadingPicnicPage) return;
+        if (!sentinel || !Utils.isInViewport(sentinel)) return;
         
-        // Search filter
-        if (this.filters.search) {
-            const search = this.filters.search.toLowerCase();
-            filtered = filtered.filter(picnic => 
-                picnic.title.toLowerCase().includes(search) ||
-                picnic.description.toLowerCase().includes(search) ||
-                picnic.location?.name?.toLowerCase().includes(search)
-            );
-        }
+        this.loadPicnicPage().catch(error => {
+            console.error('Failed to load more picnics:', error);
+            this.showToast('Failed to load more picnics.', 'error');
+        });
+    }
+
+    /**
+     * Show whether more picnics are loading below the grid
+     */
+    updatePicnicSentinel() {
+        const sentinel = document.getElementById('picnicGridSentinel');
+        if (!sentinel) return;
         
-        // Status filter
-        if (this.filters.status !== 'all') {
-            const now = new Date();
-            const today = now.toISOString().split('T')[0];
-            
-            switch (this.filters.status) {
-                case 'upcoming':
-                    filtered = filtered.filter(picnic => picnic.date >= today);
-                    break;
-                case 'planning':
-                    filtered = filtered.filter(picnic => picnic.status === 'planning');
-                    break;
-                case 'past':
-                    filtered = filtered.filter(picnic => picnic.date < today);
-                    break;
-            }
-        }
+        sentinel.textContent = this.loadingPicnicPage && this.picnics.length > 0 ? 'Loading more picnics…' : '';
+        sentinel.style.display = this.picnicCursor || this.loadingPicnicPage ? '' : 'none';
+    }
+
+    /**
+     * Check whether the dashboard is narrowed by search or status
+     */
+    isFilteringPicnics() {
+        return this.filters.search.trim() !== '' || this.filters.status !== 'all';
+    }
+
+    /**
+     * Update dashboard view
+     */
+    updateDashboard() {
+        const picnicGrid = document.getElementById('picnicGrid');
+        const emptyState = document.getElementById('emptyState');
+        const noMatches = document.getElementById('noMatchingPicnics');
+        const picnics = this.getSortedPicnics();
         
-        // Sort by date
-        filtered.sort((a, b) => new Date(a.date) - new Date(b.date));
+        picnicGrid.style.display = picnics.length > 0 ? 'grid' : 'none';
+        emptyState.style.display = picnics.length === 0 && !this.isFilteringPicnics() ? 'block' : 'none';
+        noMatches.style.display = picnics.length === 0 && this.isFilteringPicnics() ? 'block' : 'none';
         
-        return filtered;
+        // Render picnic cards
+        picnicGrid.innerHTML = '';
+        picnics.forEach(picnic => {
+            const cardElement = this.createPicnicCard(picnic);
+            picnicGrid.appendChild(cardElement);
+        });
+    }
+
+    /**
+     * Get loaded picnics in date order
+     * Filtering happens on the server; see loadPicnicPage
+     */
+    getSortedPicnics() {
+        return [...this.picnics].sort((a, b) => new Date(a.date) - new Date(b.date));
     }
 
     /**
@@ -442,15 +812,64 @@ class PicnicApp {
         card.querySelector('.card-description').textContent = picnic.description || 'No description';
         card.querySelector('.location-text').textContent = picnic.location?.name || 'Location TBD';
         
-        // Stats (placeholder for now)
-        const stats = card.querySelectorAll('.stat-text');
-        stats[0].textContent = '0'; // participants
-        stats[1].textContent = '0'; // items
-        stats[2].textContent = '$0'; // expenses
+        const status = picnic.status || 'planning';
+        const statusBadge = card.querySelector('.card-status');
+        statusBadge.textContent = this.statusLabels[status];
+        statusBadge.classList.add(`status-${status}`);
+        
+        this.fillPicnicCardStats(cardElement);
         
         return card;
     }
 
+    /**
+     * Load participants, items and expenses for listed picnics in one batch
+     */
+    async loadPicnicStats(ids = this.picnics.map(p => p.id)) {
+        const picnicIds = new Set(ids);
+        
+        try {
+            const records = await this.api.getRecordsForPicnics([...picnicIds]);
+            this.store.batch(() => {
+                Object.entries(records).forEach(([collection, list]) => {
+                    this.store.replaceWhere(collection, record => picnicIds.has(record.picnic_id), list);
+                });
+            });
+        } catch (error) {
+            console.error('Failed to load picnic stats:', error);
+        }
+    }
+
+    /**
+     * Write going, item and expense counts into a picnic card
+     */
+    fillPicnicCardStats(cardElement) {
+        const stats = this.store.getPicnicStats(cardElement.dataset.id);
+        const statTexts = cardElement.querySelectorAll('.stat-text');
+        
+        statTexts[0].textContent = stats.going;
+        statTexts[1].textContent = stats.items;
+        statTexts[2].textContent = Utils.formatCurrency(stats.expenseTotal);
+    }
+
+    /**
+     * Refresh the counts on cards already on the dashboard
+     */
+    updatePicnicCardStats() {
+        document.querySelectorAll('#picnicGrid .picnic-card[data-id]').forEach(cardElement => {
+            this.fillPicnicCardStats(cardElement);
+        });
+    }
+
+    /**
+     * Update dashboard stats once a burst of changes has settled
+     * Each update queries the server, so real-time events must not trigger one apiece
+     */
+    scheduleStatsUpdate() {
+        clearTimeout(this.statsTimer);
+        this.statsTimer = setTimeout(() => this.updateStats(), this.statsUpdateDelay);
+    }
+
     /**
      * Update stats in dashboard
      */
@@ -459,13 +878,15 @@ class PicnicApp {
             const now = new Date();
             const today = now.toISOString().split('T')[0];
             
-            // Count upcoming picnics
-            const upcomingCount = this.picnics.filter(p => p.date >= today).length;
+            // Count upcoming picnics on the server; only some of them may be loaded
+            const upcoming = await this.api.getPicnicPage({ status: 'upcoming', limit: 1 });
+            const upcomingCount = upcoming.total ?? this.picnics.filter(p => p.date >= today).length;
             document.getElementById('upcomingCount').textContent = upcomingCount;
             
-            // Get total participants and expenses (simplified for now)
-            document.getElementById('participantCount').textContent = '0';
-            document.getElementById('expenseTotal').textContent = '$0';
+            // Participants and expenses across the picnics the user belongs to
+            this.expenseDashboard = await this.api.getExpenseDashboard(this.currentUser.id);
+            document.getElementById('participantCount').textContent = this.expenseDashboard.participantCount;
+            document.getElementById('expenseTotal').textContent = Utils.formatCurrency(this.expenseDashboard.total);
             
         } catch (error) {
             console.error('Failed to update stats:', error);
@@ -486,10 +907,18 @@ class PicnicApp {
             view.classList.toggle('active', view.id === `${viewName}View`);
         });
         
+        // Collaborators only see us while the picnic is open
+        if (viewName !== 'picnic-detail') {
+            this.api.leavePicnicRoom();
+        }
+        
         this.currentView = viewName;
         
         // Load view-specific data
         switch (viewName) {
+            case 'dashboard':
+                this.checkPicnicScroll();
+                break;
             case 'create':
                 this.initializeCreateForm();
                 break;
@@ -508,6 +937,7 @@ class PicnicApp {
     initializeCreateForm() {
         const form = document.getElementById('createForm');
         form.reset();
+        this.clearFormErrors(form);
         
         // Set default date to tomorrow
         const tomorrow = new Date();
@@ -525,20 +955,8 @@ class PicnicApp {
         try {
             this.showLoading('Creating your picnic...');
             
-            const formData = new FormData(document.getElementById('createForm'));
             const picnicData = {
-                title: formData.get('title'),
-                description: formData.get('description'),
-                date: formData.get('date'),
-                time: formData.get('time'),
-                location: {
-                    name: formData.get('locationName'),
-                    address: formData.get('locationAddress')
-                },
-                theme: formData.get('theme'),
-                max_participants: parseInt(formData.get('maxParticipants')),
-                is_public: formData.get('isPublic') === 'true',
-                weather_contingency: formData.get('weatherContingency'),
+                ...this.getPicnicFormData(document.getElementById('createForm')),
                 status: 'planning'
             };
             
@@ -549,6 +967,11 @@ class PicnicApp {
             await this.loadDashboardData();
             
         } catch (error) {
+            if (error instanceof ValidationError) {
+                this.showFormErrors(document.getElementById('createForm'), error.errors, PICNIC_FORM_FIELDS);
+                this.showToast('Please fix the highlighted fields.', 'warning');
+                return;
+            }
             console.error('Failed to create picnic:', error);
             this.showToast('Failed to create picnic. Please try again.', 'error');
         } finally {
@@ -557,24 +980,351 @@ class PicnicApp {
     }
 
     /**
-     * View picnic details
+     * Read picnic fields shared by the create and edit forms
      */
-    async viewPicnic(button) {
-        try {
-            const card = button.closest('.picnic-card');
-            const picnicId = card.dataset.id;
-            
+    getPicnicFormData(form) {
+        const formData = new FormData(form);
+        return {
+            title: formData.get('title'),
+            description: formData.get('description'),
+            date: formData.get('date'),
+            time: formData.get('time'),
+            location: {
+                name: formData.get('locationName'),
+                address: formData.get('locationAddress')
+            },
+            theme: formData.get('theme'),
+            max_participants: parseInt(formData.get('maxParticipants')),
+            is_public: formData.get('isPublic') === 'true',
+            weather_contingency: formData.get('weatherContingency')
+        };
+    }
+
+    /**
+     * Open the edit form pre-filled from the current picnic
+     */
+    openEditPicnicModal() {
+        if (!this.currentPicnic) return;
+        
+        const picnic = this.currentPicnic;
+        document.getElementById('editPicnicForm').reset();
+        document.getElementById('editPicnicTitle').value = picnic.title || '';
+        document.getElementById('editPicnicTheme').value = picnic.theme || 'casual';
+        document.getElementById('editPicnicDescription').value = picnic.description || '';
+        document.getElementById('editPicnicDate').value = picnic.date || '';
+        document.getElementById('editPicnicTime').value = picnic.time || '';
+        document.getElementById('editLocationName').value = picnic.location?.name || '';
+        document.getElementById('editLocationAddress').value = picnic.location?.address || '';
+        document.getElementById('editMaxParticipants').value = picnic.max_participants || 20;
+        document.getElementById('editIsPublic').value = String(!!picnic.is_public);
+        document.getElementById('editWeatherContingency').value = picnic.weather_contingency || '';
+        
+        this.openModal('editPicnicModal');
+    }
+
+    /**
+     * Save changes from the edit form
+     */
+    async savePicnicEdits() {
+        const picnic = this.currentPicnic;
+        if (!picnic) return;
+        
+        try {
+            this.showLoading('Saving changes...');
+            
+            const updates = this.getPicnicFormData(document.getElementById('editPicnicForm'));
+            // Keep location fields the form doesn't edit, such as coordinates
+            updates.location = { ...picnic.location, ...updates.location };
+            
+            const saved = await this.api.updatePicnic(picnic.id, updates, this.api.getRecordVersion(picnic));
+            this.applyPicnicChanges({ ...picnic, ...updates, ...saved });
+            
+            this.closeModal('editPicnicModal');
+            this.showToast('Picnic updated!', 'success');
+            
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                this.closeModal('editPicnicModal');
+                this.openConflictModal(error, 'this picnic', () => this.reloadCurrentPicnic());
+                return;
+            }
+            console.error('Failed to update picnic:', error);
+            this.showToast('Failed to update picnic. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Reload the open picnic from the backend
+     */
+    async reloadCurrentPicnic() {
+        this.applyPicnicChanges(await this.api.getPicnic(this.currentPicnic.id));
+    }
+
+    /**
+     * Store an updated picnic and refresh the views that show it
+     */
+    applyPicnicChanges(picnic) {
+        if (this.store.get('picnics', picnic.id)) {
+            this.store.upsert('picnics', picnic);
+        }
+        
+        if (this.currentPicnic && this.currentPicnic.id === picnic.id) {
+            this.currentPicnic = picnic;
+            this.updatePicnicDetail();
+        }
+    }
+
+    /**
+     * Re-render the detail view if it is showing
+     */
+    updatePicnicDetail() {
+        if (this.currentView === 'picnic-detail' && this.currentPicnic) {
+            this.renderPicnicDetail();
+        }
+    }
+
+    /**
+     * Show what deleting the current picnic will remove
+     */
+    async openDeletePicnicModal() {
+        if (!this.currentPicnic) return;
+        
+        if (this.currentPicnic.organizer_id !== this.currentUser.id) {
+            this.showToast('Only the organizer can delete this picnic.', 'warning');
+            return;
+        }
+        
+        try {
+            this.showLoading('Checking what will be deleted...');
+            this.deletionPlan = await this.api.getPicnicDeletionPlan(this.currentPicnic.id);
+        } catch (error) {
+            console.error('Failed to prepare picnic deletion:', error);
+            this.showToast(error.message || 'Failed to prepare deletion.', 'error');
+            return;
+        } finally {
+            this.hideLoading();
+        }
+        
+        const { picnic, counts } = this.deletionPlan;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        
+        document.getElementById('deletePicnicSummary').innerHTML = `
+            <p>Deleting <strong>${Utils.sanitizeHTML(picnic.title)}</strong> will also permanently remove:</p>
+            <ul class="delete-counts">
+                <li>${plural(counts.participants, 'participant')}</li>
+                <li>${plural(counts.items, 'item')}</li>
+                <li>${plural(counts.expenses, 'expense')}</li>
+            </ul>
+            <p class="delete-undo-hint">You'll have ${this.picnicDeleteUndoDelay / 1000} seconds to undo.</p>
+        `;
+        
+        this.openModal('deletePicnicModal');
+    }
+
+    /**
+     * Hide the picnic and delete it once the undo window closes
+     */
+    confirmDeletePicnic() {
+        const plan = this.deletionPlan;
+        if (!plan) return;
+        
+        this.deletionPlan = null;
+        this.closeModal('deletePicnicModal');
+        
+        // Only one deletion can wait for undo at a time
+        if (this.pendingPicnicDeletion) {
+            this.commitPicnicDeletion();
+        }
+        
+        const picnic = plan.picnic;
+        this.pendingPicnicDeletion = {
+            picnic,
+            plan,
+            timer: setTimeout(() => this.commitPicnicDeletion(), this.picnicDeleteUndoDelay)
+        };
+        this.pendingPicnicDeletion.toastId = this.showToast(`Deleted "${Utils.sanitizeHTML(picnic.title)}"`, 'info', this.picnicDeleteUndoDelay, {
+            label: 'Undo',
+            onClick: () => this.undoPicnicDeletion()
+        });
+        
+        this.store.remove('picnics', picnic.id);
+        this.currentPicnic = null;
+        this.api.setSubscriptionScope(null);
+        this.switchView('dashboard');
+        this.scheduleStatsUpdate();
+    }
+
+    /**
+     * Restore a picnic whose deletion has not been sent yet
+     */
+    undoPicnicDeletion() {
+        const pending = this.pendingPicnicDeletion;
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.pendingPicnicDeletion = null;
+        this.closeToast(pending.toastId);
+        
+        this.store.upsert('picnics', pending.picnic);
+        this.scheduleStatsUpdate();
+        this.showToast('Picnic restored', 'success');
+    }
+
+    /**
+     * Send the pending picnic deletion to the backend
+     * With keepalive the request is sent before this returns and survives the page closing
+     */
+    async commitPicnicDeletion({ keepalive = false } = {}) {
+        const pending = this.pendingPicnicDeletion;
+        if (!pending) return;
+        
+        clearTimeout(pending.timer);
+        this.pendingPicnicDeletion = null;
+        this.closeToast(pending.toastId);
+        
+        try {
+            await this.api.deletePicnic(pending.picnic.id, pending.plan, { keepalive });
+            this.removePicnicFromStore(pending.picnic.id);
+        } catch (error) {
+            console.error('Failed to delete picnic:', error);
+            this.store.upsert('picnics', pending.picnic);
+            this.scheduleStatsUpdate();
+            this.showToast('Failed to delete picnic. It has been restored.', 'error');
+        }
+    }
+
+    /**
+     * Render a picnic's status with who last changed it
+     */
+    renderStatusBadge(picnic) {
+        const status = picnic.status || 'planning';
+        const lastChange = (picnic.status_history || []).slice(-1)[0];
+        
+        return `
+            <span class="status-badge status-${status}">${this.statusLabels[status]}</span>
+            ${lastChange ? `
+                <span class="status-changed" title="${new Date(lastChange.changed_at).toLocaleString()}">
+                    by ${Utils.sanitizeHTML(lastChange.changed_by_name || 'the organizer')} · ${Utils.formatRelativeTime(lastChange.changed_at)}
+                </span>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render buttons for the status changes the organizer can make
+     */
+    renderStatusActions(picnic) {
+        if (picnic.organizer_id !== this.currentUser.id) return '';
+        
+        const actionLabels = {
+            confirmed: 'Confirm',
+            completed: 'Mark Completed',
+            cancelled: 'Cancel Picnic',
+            planning: 'Back to Planning'
+        };
+        
+        return this.api.getAllowedStatusTransitions(picnic).map(status => `
+            <button class="btn btn-sm ${status === 'cancelled' ? 'btn-danger' : 'btn-secondary'}" 
+                    onclick="app.changePicnicStatus('${status}')">${actionLabels[status]}</button>
+        `).join('');
+    }
+
+    /**
+     * Change the status of a picnic (the open one by default)
+     */
+    async changePicnicStatus(status, picnic = this.currentPicnic) {
+        if (!picnic) return;
+        
+        let reason = '';
+        if (status === 'cancelled') {
+            reason = prompt('Cancel this picnic? Add a note for participants (optional):', '');
+            if (reason === null) return;
+        }
+        
+        try {
+            this.showLoading('Updating status...');
+            
+            const saved = await this.api.changePicnicStatus(picnic, status, reason.trim());
+            this.applyPicnicChanges({ ...picnic, ...saved });
+            this.showToast(`Picnic marked ${this.statusLabels[status].toLowerCase()}`, 'success');
+            
+        } catch (error) {
+            if (error instanceof StatusTransitionError) {
+                this.showToast(error.message, 'warning');
+                return;
+            }
+            if (error instanceof ConflictError) {
+                this.showToast('This picnic was just changed by someone else. Please check its status and try again.', 'warning');
+                this.applyPicnicChanges(await this.api.getPicnic(picnic.id));
+                return;
+            }
+            console.error('Failed to change picnic status:', error);
+            this.showToast('Failed to update status. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Offer to complete the organizer's picnics that have already happened
+     */
+    offerCompletions() {
+        this.picnics
+            .filter(picnic => !this.completionOffered.has(picnic.id) && this.api.shouldOfferCompletion(picnic))
+            .sort((a, b) => new Date(b.date) - new Date(a.date))
+            .slice(0, 3)
+            .forEach(picnic => {
+                this.completionOffered.add(picnic.id);
+                this.showToast(`"${Utils.sanitizeHTML(picnic.title)}" has happened. Mark it as completed?`, 'info', 10000, {
+                    label: 'Complete',
+                    onClick: () => this.changePicnicStatus('completed', picnic)
+                });
+            });
+    }
+
+    /**
+     * Show a status change an organizer sent us
+     */
+    handleStatusNotification(notification) {
+        const title = notification.picnic_title || 'A picnic';
+        const organizer = notification.changed_by_name || 'The organizer';
+        
+        const picnicId = notification.picnic_id;
+        
+        if (notification.to === 'confirmed') {
+            this.notify('picnic_status', `${organizer} confirmed "${title}" — see you there!`, { picnicId, toastType: 'success', duration: 6000 });
+        } else if (notification.to === 'cancelled') {
+            const reason = notification.reason ? `: ${notification.reason}` : '';
+            this.notify('picnic_status', `${organizer} cancelled "${title}"${reason}`, { picnicId, toastType: 'warning', duration: 8000 });
+        }
+    }
+
+    /**
+     * View picnic details
+     */
+    async viewPicnic(button) {
+        const card = button.closest('.picnic-card');
+        await this.openPicnic(card.dataset.id);
+    }
+
+    /**
+     * Open a picnic's detail view by ID
+     */
+    async openPicnic(picnicId) {
+        try {
             this.showLoading('Loading picnic details...');
             
             // Load picnic data
-            this.currentPicnic = await this.api.getPicnic(picnicId);
-            this.participants = await this.api.getParticipantsByPicnic(picnicId);
-            this.items = await this.api.getItemsByPicnic(picnicId);
-            this.expenses = await this.api.getExpensesByPicnic(picnicId);
+            await this.loadPicnicData(picnicId);
             
             // Render picnic detail
             this.renderPicnicDetail();
             this.switchView('picnic-detail');
+            this.api.enterPicnicRoom(picnicId);
+            this.loadChat();
+            this.reconcileWaitlist();
             
         } catch (error) {
             console.error('Failed to load picnic:', error);
@@ -584,6 +1334,57 @@ class PicnicApp {
         }
     }
 
+    /**
+     * Load a picnic with its participants, items and expenses
+     */
+    async loadPicnicData(picnicId) {
+        this.currentPicnic = await this.api.getPicnic(picnicId);
+        this.api.setSubscriptionScope(picnicId);
+        await this.loadPicnicRecords(picnicId);
+    }
+
+    /**
+     * Fetch a picnic's participants, items and expenses into the store
+     */
+    async loadPicnicRecords(picnicId) {
+        const [participants, items, expenses] = await Promise.all([
+            this.api.getParticipantsByPicnic(picnicId),
+            this.api.getItemsByPicnic(picnicId),
+            this.api.getExpensesByPicnic(picnicId)
+        ]);
+        
+        this.store.batch(() => {
+            this.setPicnicRecords('participants', participants, picnicId);
+            this.setPicnicRecords('items', items, picnicId);
+            this.setPicnicRecords('expenses', expenses, picnicId);
+        });
+    }
+
+    /**
+     * Drop a picnic and everything that belongs to it from the store
+     */
+    removePicnicFromStore(picnicId) {
+        return this.store.batch(() => {
+            ['participants', 'items', 'expenses'].forEach(collection => {
+                this.store.removeWhere(collection, record => record.picnic_id === picnicId);
+            });
+            return this.store.remove('picnics', picnicId);
+        });
+    }
+
+    /**
+     * Reload participants, items and expenses for the open picnic
+     */
+    async refreshCurrentPicnic() {
+        if (!this.currentPicnic) return;
+        
+        try {
+            await this.loadPicnicRecords(this.currentPicnic.id);
+        } catch (error) {
+            console.error('Failed to refresh picnic:', error);
+        }
+    }
+
     /**
      * Render picnic detail view
      */
@@ -606,6 +1407,8 @@ class PicnicApp {
                 <div class="detail-theme-icon">${themeIcons[this.currentPicnic.theme] || '🧺'}</div>
                 <div class="detail-info">
                     <h1>${this.currentPicnic.title}</h1>
+                    <div class="detail-status">${this.renderStatusBadge(this.currentPicnic)}</div>
+                    <div class="presence-bar" id="presenceBar"></div>
                     <p class="detail-description">${this.currentPicnic.description || 'No description'}</p>
                     <div class="detail-meta">
                         <div class="meta-item">
@@ -623,13 +1426,21 @@ class PicnicApp {
                     </div>
                 </div>
                 <div class="detail-actions">
+                    ${this.renderStatusActions(this.currentPicnic)}
                     <button class="btn btn-primary" onclick="app.openRsvpModal()">RSVP</button>
                 </div>
             </div>
             
+            ${this.api.shouldOfferCompletion(this.currentPicnic) ? `
+                <div class="completion-banner">
+                    <span>🎉 This picnic has happened! Mark it as completed to wrap things up.</span>
+                    <button class="btn btn-sm btn-primary" onclick="app.changePicnicStatus('completed')">Mark Completed</button>
+                </div>
+            ` : ''}
+            
             <div class="detail-sections">
                 <div class="detail-section">
-                    <h3>👥 Participants (<span id="participantCount">${this.participants.length}</span>)</h3>
+                    <h3>👥 Participants (<span id="detailParticipantCount">${this.participants.length}</span>)</h3>
                     <div id="participantsList" class="participants-list"></div>
                 </div>
                 
@@ -638,6 +1449,7 @@ class PicnicApp {
                         <h3>📋 Items Needed (<span id="itemsCount">${this.items.length}</span>)</h3>
                         <button class="btn btn-sm btn-primary" onclick="app.openAddItemModal()">Add Item</button>
                     </div>
+                    <div class="typing-indicator" id="itemsTyping"></div>
                     <div id="itemsList" class="items-list"></div>
                 </div>
                 
@@ -648,10 +1460,27 @@ class PicnicApp {
                     </div>
                     <div id="expensesList" class="expenses-list"></div>
                 </div>
+                
+                <div class="detail-section chat-section">
+                    <h3>💬 Group Chat</h3>
+                    <div id="chatMessages" class="chat-messages"></div>
+                    <div class="typing-indicator" id="chatTyping"></div>
+                    <div id="chatMentions" class="chat-mentions"></div>
+                    <form class="chat-form" id="chatForm" onsubmit="app.sendChatMessage(event)">
+                        <input type="text" id="chatInput" class="chat-input" placeholder="Message the group, @ to mention" 
+                               maxlength="2000" autocomplete="off" oninput="app.onChatInput()">
+                        <button type="submit" class="btn btn-primary btn-sm">Send</button>
+                    </form>
+                </div>
             </div>
         `;
         
+        const isOrganizer = this.currentPicnic.organizer_id === this.currentUser.id;
+        document.getElementById('deletePicnicBtn').style.display = isOrganizer ? '' : 'none';
+        
         this.updateParticipantsList();
+        this.renderPresence();
+        this.renderChatMessages();
         this.updateItemsList();
         this.updateExpensesList();
     }
@@ -661,13 +1490,19 @@ class PicnicApp {
      */
     updateParticipantsList() {
         const list = document.getElementById('participantsList');
-        if (!list) return;
+        if (!list || !this.currentPicnic) return;
+        
+        const countElement = document.getElementById('detailParticipantCount');
+        if (countElement) countElement.textContent = this.store.getPicnicStats(this.currentPicnic.id).participants;
         
         const going = this.participants.filter(p => p.rsvp_status === 'going');
         const maybe = this.participants.filter(p => p.rsvp_status === 'maybe');
         const notGoing = this.participants.filter(p => p.rsvp_status === 'not_going');
+        const capacity = this.api.getCapacity(this.currentPicnic, this.participants);
         
         list.innerHTML = `
+            ${this.renderCapacityIndicator(capacity)}
+            
             <div class="participants-section">
                 <h4>✅ Going (${going.length})</h4>
                 <div class="participants-grid">
@@ -677,6 +1512,7 @@ class PicnicApp {
                             <div class="participant-info">
                                 <div class="participant-name">${p.user_name}</div>
                                 ${p.plus_ones > 0 ? `<div class="participant-plus">+${p.plus_ones}</div>` : ''}
+                                ${this.renderPendingSyncBadge(p)}
                             </div>
                         </div>
                     `).join('')}
@@ -692,21 +1528,106 @@ class PicnicApp {
                                 <div class="participant-avatar">${p.user_name.charAt(0)}</div>
                                 <div class="participant-info">
                                     <div class="participant-name">${p.user_name}</div>
+                                    ${this.renderPendingSyncBadge(p)}
                                 </div>
                             </div>
                         `).join('')}
                     </div>
                 </div>
             ` : ''}
+            
+            ${capacity.waitlist.length > 0 ? `
+                <div class="participants-section">
+                    <h4>⏳ Waitlist (${capacity.waitlist.length})</h4>
+                    <ol class="waitlist">
+                        ${capacity.waitlist.map(p => `
+                            <li class="waitlist-entry ${p.user_id === this.currentUser.id ? 'is-me' : ''}">
+                                <span class="participant-name">${Utils.sanitizeHTML(p.user_name)}</span>
+                                ${p.plus_ones > 0 ? `<span class="participant-plus">+${p.plus_ones}</span>` : ''}
+                                ${this.renderPendingSyncBadge(p)}
+                            </li>
+                        `).join('')}
+                    </ol>
+                </div>
+            ` : ''}
+        `;
+    }
+
+    /**
+     * Render how full a picnic is, counting plus-ones
+     */
+    renderCapacityIndicator(capacity) {
+        if (capacity.max === null) {
+            return `<div class="capacity-indicator"><span>${capacity.taken} going (no limit)</span></div>`;
+        }
+        
+        const percent = Math.min(100, Math.round((capacity.taken / capacity.max) * 100));
+        const level = capacity.isFull ? 'full' : percent >= 80 ? 'almost-full' : 'open';
+        const label = capacity.isFull
+            ? `Full${capacity.waitlist.length > 0 ? ` · ${capacity.waitlistHeadcount} waiting` : ''}`
+            : `${capacity.remaining} spot${capacity.remaining === 1 ? '' : 's'} left`;
+        
+        return `
+            <div class="capacity-indicator ${level}">
+                <div class="capacity-text">
+                    <span><strong>${capacity.taken}</strong> / ${capacity.max} spots taken</span>
+                    <span class="capacity-label">${label}</span>
+                </div>
+                <div class="capacity-bar"><div class="capacity-fill" style="width: ${percent}%"></div></div>
+            </div>
         `;
     }
 
+    /**
+     * Explain in the RSVP form whether a going RSVP will fit
+     */
+    renderRsvpCapacityHint(existingRsvp) {
+        const capacity = this.api.getCapacity(this.currentPicnic, this.participants);
+        if (capacity.max === null) return '';
+        
+        if (existingRsvp?.rsvp_status === 'waitlisted') {
+            const position = capacity.waitlist.findIndex(p => p.id === existingRsvp.id) + 1;
+            return `You're #${position} on the waitlist. We'll move you in as soon as a spot opens.`;
+        }
+        if (existingRsvp?.rsvp_status === 'going') {
+            return `${capacity.remaining} spot${capacity.remaining === 1 ? '' : 's'} left for extra guests.`;
+        }
+        if (capacity.isFull || capacity.waitlist.length > 0) {
+            return `This picnic is full. Choosing "Going" adds you to the waitlist.`;
+        }
+        return `${capacity.remaining} spot${capacity.remaining === 1 ? '' : 's'} left, including guests.`;
+    }
+
+    /**
+     * Let the organizer fill spots still free, e.g. after a promotion lost a race or failed
+     */
+    async reconcileWaitlist() {
+        const picnic = this.currentPicnic;
+        if (!picnic || picnic.organizer_id !== this.currentUser.id) return;
+        
+        const capacity = this.api.getCapacity(picnic, this.participants);
+        const next = capacity.waitlist[0];
+        if (!next || this.api.getHeadcount(next) > capacity.remaining) return;
+        
+        try {
+            const promoted = await this.api.promoteFromWaitlist(picnic);
+            if (promoted.length > 0) {
+                await this.reloadParticipants();
+            }
+        } catch (error) {
+            console.error('Failed to promote from waitlist:', error);
+        }
+    }
+
     /**
      * Update items list
      */
     updateItemsList() {
         const list = document.getElementById('itemsList');
-        if (!list) return;
+        if (!list || !this.currentPicnic) return;
+        
+        const countElement = document.getElementById('itemsCount');
+        if (countElement) countElement.textContent = this.store.getPicnicStats(this.currentPicnic.id).items;
         
         const categories = {
             food: { icon: '🍔', name: 'Food' },
@@ -733,6 +1654,7 @@ class PicnicApp {
                         <div class="item-card" data-id="${item.id}">
                             <div class="item-header">
                                 <div class="item-priority ${item.priority}"></div>
+                                ${this.renderPendingSyncBadge(item)}
                             </div>
                             <div class="item-content">
                                 <h5>${item.name}</h5>
@@ -765,9 +1687,11 @@ class PicnicApp {
      */
     updateExpensesList() {
         const list = document.getElementById('expensesList');
-        if (!list) return;
+        if (!list || !this.currentPicnic) return;
         
         if (this.expenses.length === 0) {
+            const countElement = document.getElementById('expensesCount');
+            if (countElement) countElement.textContent = '0';
             list.innerHTML = `
                 <div class="empty-expenses">
                     <p>No expenses yet. Start by adding receipts and costs!</p>
@@ -777,11 +1701,17 @@ class PicnicApp {
         }
         
         const total = this.expenses.reduce((sum, exp) => sum + exp.amount, 0);
+        // Splits aren't always equal, so show what the settlement puts on the current user
+        const balance = Settlement.computeBalances(this.expenses, this.participants, this.currentPicnic.organizer_id)
+            .find(b => b.user_id === this.currentUser?.id);
+        
+        const countElement = document.getElementById('expensesCount');
+        if (countElement) countElement.textContent = this.expenses.length;
         
         list.innerHTML = `
             <div class="expenses-summary">
                 <div class="expense-total">Total: $${total.toFixed(2)}</div>
-                <div class="expense-per-person">Per person: $${(total / Math.max(this.participants.filter(p => p.rsvp_status === 'going').length, 1)).toFixed(2)}</div>
+                <div class="expense-per-person">Your share: $${(balance?.owed || 0).toFixed(2)}</div>
             </div>
             
             <div class="expenses-list">
@@ -792,147 +1722,1127 @@ class PicnicApp {
                             <div class="expense-meta">
                                 Paid by ${this.getParticipantName(expense.paid_by)} • ${new Date(expense.date).toLocaleDateString()}
                             </div>
+                            ${this.renderPendingSyncBadge(expense)}
+                            ${this.renderReceiptGallery(expense)}
+                            <div class="receipt-progress" id="receipt-progress-${expense.id}" style="display: none;">
+                                <div class="receipt-progress-fill"></div>
+                            </div>
                         </div>
                         <div class="expense-amount">$${expense.amount.toFixed(2)}</div>
+                        <div class="expense-actions">
+                            <button class="btn btn-sm btn-ghost" onclick="app.pickReceipt('${expense.id}')" title="Attach receipt">📎</button>
+                            <button class="btn btn-sm btn-ghost" onclick="app.openAddExpenseModal('${expense.id}')" title="Edit expense">✏️</button>
+                            <button class="btn btn-sm btn-ghost" onclick="app.confirmDeleteExpense('${expense.id}')" title="Delete expense">🗑️</button>
+                        </div>
                     </div>
                 `).join('')}
             </div>
         `;
+        
+        this.loadReceiptThumbnails(list);
     }
 
     /**
-     * Get participant name by ID
+     * Render receipt thumbnails for an expense
      */
-    getParticipantName(userId) {
-        const participant = this.participants.find(p => p.user_id === userId);
-        return participant ? participant.user_name : 'Unknown';
+    renderReceiptGallery(expense) {
+        const receipts = expense.receipts || [];
+        if (receipts.length === 0) return '';
+        
+        return `
+            <div class="receipt-gallery">
+                ${receipts.map(receipt => `
+                    <div class="receipt-thumb" title="${Utils.sanitizeHTML(receipt.filename || 'Receipt')}">
+                        <button type="button" class="receipt-open" onclick="app.openReceipt('${receipt.file_id}')">
+                            ${receipt.content_type?.startsWith('image/')
+                                ? `<img data-file-id="${receipt.thumbnail_id || receipt.file_id}" alt="Receipt">`
+                                : '<span class="receipt-file-icon">📄</span>'}
+                        </button>
+                        <button type="button" class="receipt-remove" onclick="app.removeReceipt('${expense.id}', '${receipt.file_id}')" title="Remove receipt">&times;</button>
+                    </div>
+                `).join('')}
+            </div>
+        `;
     }
 
     /**
-     * Open RSVP modal
+     * Fill receipt thumbnails with signed URLs
      */
-    openRsvpModal() {
-        // Check if user already RSVP'd
-        const existingRsvp = this.participants.find(p => p.user_id === this.currentUser.id);
-        
-        if (existingRsvp) {
-            // Pre-fill form with existing RSVP
-            document.querySelector(`input[name="rsvp"][value="${existingRsvp.rsvp_status}"]`).checked = true;
-            document.getElementById('plusOnes').value = existingRsvp.plus_ones || 0;
-            document.getElementById('rsvpNotes').value = existingRsvp.notes || '';
-            
-            // Check dietary restrictions
-            const restrictions = existingRsvp.dietary_restrictions || [];
-            restrictions.forEach(restriction => {
-                const checkbox = document.querySelector(`input[type="checkbox"][value="${restriction}"]`);
-                if (checkbox) checkbox.checked = true;
-            });
+    async loadReceiptThumbnails(container) {
+        const images = container.querySelectorAll('.receipt-thumb img[data-file-id]');
+        for (const img of images) {
+            try {
+                img.src = await this.api.getFileUrl(img.dataset.fileId);
+            } catch (error) {
+                console.warn('Failed to load receipt thumbnail:', error);
+                img.closest('.receipt-thumb')?.classList.add('unavailable');
+            }
         }
-        
-        this.openModal('rsvpModal');
     }
 
     /**
-     * Submit RSVP
+     * Ask for a receipt file to attach to an expense
      */
-    async submitRSVP() {
-        try {
-            this.showLoading('Saving your RSVP...');
-            
-            const formData = new FormData(document.getElementById('rsvpForm'));
-            const rsvpStatus = formData.get('rsvp');
-            const plusOnes = parseInt(formData.get('plusOnes')) || 0;
-            const notes = formData.get('notes');
-            
-            // Get dietary restrictions
-            const dietaryRestrictions = Array.from(
-                document.querySelectorAll('input[type="checkbox"][value]:checked')
-            ).map(cb => cb.value);
-            
-            const rsvpData = {
-                picnic_id: this.currentPicnic.id,
-                user_id: this.currentUser.id,
-                user_name: this.currentUser.name,
-                user_email: this.currentUser.email,
-                rsvp_status: rsvpStatus,
-                dietary_restrictions: dietaryRestrictions,
-                plus_ones: plusOnes,
-                notes: notes,
-                rsvp_date: new Date().toISOString()
-            };
-            
-            // Check if existing RSVP
-            const existingRsvp = this.participants.find(p => p.user_id === this.currentUser.id);
-            
-            if (existingRsvp) {
-                await this.api.updateParticipant(existingRsvp.id, rsvpData);
-            } else {
-                await this.api.createParticipant(rsvpData);
+    pickReceipt(expenseId) {
+        const input = document.getElementById('receiptInput');
+        input.value = '';
+        input.onchange = () => {
+            if (input.files[0]) {
+                this.attachReceipt(expenseId, input.files[0]);
             }
-            
-            this.closeModal('rsvpModal');
-            this.showToast('RSVP saved successfully!', 'success');
-            
-            // Reload participants
-            this.participants = await this.api.getParticipantsByPicnic(this.currentPicnic.id);
-            this.updateParticipantsList();
-            
-        } catch (error) {
-            console.error('Failed to save RSVP:', error);
-            this.showToast('Failed to save RSVP. Please try again.', 'error');
-        } finally {
-            this.hideLoading();
-        }
+        };
+        input.click();
+    }
+
+    /**
+     * Upload a receipt for an expense, showing progress on its row
+     */
+    async attachReceipt(expenseId, file) {
+        const expense = this.expenses.find(e => e.id === expenseId);
+        if (!expense) return;
+        
+        if (!file.type.startsWith('image/') && file.type !== 'application/pdf') {
+            this.showToast('Receipts must be an image or a PDF.', 'warning');
+            return;
+        }
+        
+        const uploadId = Utils.generateId('receipt');
+        const setProgress = (percent) => {
+            const bar = document.getElementById(`receipt-progress-${expenseId}`);
+            if (!bar) return;
+            bar.style.display = percent === null ? 'none' : '';
+            bar.querySelector('.receipt-progress-fill').style.width = `${percent || 0}%`;
+        };
+        const onProgress = (event) => {
+            if (event.uploadId === uploadId) setProgress(event.percent);
+        };
+        
+        this.api.on('upload:progress', onProgress);
+        setProgress(0);
+        
+        try {
+            const updated = await this.api.addExpenseReceipt(expense, file, uploadId);
+            this.upsertExpense({ ...expense, ...updated });
+            this.showToast('Receipt attached', 'success');
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                this.showToast('This expense changed while uploading. Please try again.', 'warning');
+                this.reloadExpenses();
+                return;
+            }
+            console.error('Failed to attach receipt:', error);
+            this.showToast(error.message || 'Failed to upload receipt.', 'error');
+        } finally {
+            this.api.off('upload:progress', onProgress);
+            setProgress(null);
+        }
+    }
+
+    /**
+     * Open the full-size receipt in a new tab
+     */
+    async openReceipt(fileId) {
+        try {
+            const url = await this.api.getFileUrl(fileId);
+            window.open(url, '_blank', 'noopener');
+        } catch (error) {
+            console.error('Failed to open receipt:', error);
+            this.showToast('Failed to open receipt.', 'error');
+        }
+    }
+
+    /**
+     * Remove a receipt from an expense
+     */
+    async removeReceipt(expenseId, fileId) {
+        const expense = this.expenses.find(e => e.id === expenseId);
+        if (!expense || !confirm('Remove this receipt?')) return;
+        
+        try {
+            this.showLoading('Removing receipt...');
+            const updated = await this.api.removeExpenseReceipt(expense, fileId);
+            this.upsertExpense({ ...expense, ...updated });
+            this.showToast('Receipt removed', 'success');
+        } catch (error) {
+            console.error('Failed to remove receipt:', error);
+            this.showToast('Failed to remove receipt. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Render a badge for records with offline changes not yet on the backend
+     */
+    renderPendingSyncBadge(record) {
+        if (record._optimistic) {
+            return '<span class="pending-sync-badge saving" title="Saving your change">Saving…</span>';
+        }
+        if (!record._pending_sync && !this.api.isPendingSync(record.id)) return '';
+        return '<span class="pending-sync-badge" title="Saved offline, waiting to sync">⏳ Pending sync</span>';
+    }
+
+    /**
+     * Get participant name by ID
+     */
+    getParticipantName(userId) {
+        const participant = this.participants.find(p => p.user_id === userId);
+        return participant ? participant.user_name : 'Unknown';
+    }
+
+    /**
+     * Open RSVP modal
+     */
+    openRsvpModal() {
+        // Check if user already RSVP'd
+        const existingRsvp = this.participants.find(p => p.user_id === this.currentUser.id);
+        
+        if (existingRsvp) {
+            // Pre-fill form with existing RSVP; waitlisted people still want to go
+            const status = existingRsvp.rsvp_status === 'waitlisted' ? 'going' : existingRsvp.rsvp_status;
+            const option = document.querySelector(`input[name="rsvp"][value="${status}"]`);
+            if (option) option.checked = true;
+            document.getElementById('plusOnes').value = existingRsvp.plus_ones || 0;
+            document.getElementById('rsvpNotes').value = existingRsvp.notes || '';
+            
+            // Check dietary restrictions
+            const restrictions = existingRsvp.dietary_restrictions || [];
+            restrictions.forEach(restriction => {
+                const checkbox = document.querySelector(`#rsvpForm input[type="checkbox"][value="${restriction}"]`);
+                if (checkbox) checkbox.checked = true;
+            });
+        }
+        
+        document.getElementById('rsvpCapacity').innerHTML = this.renderRsvpCapacityHint(existingRsvp);
+        this.openModal('rsvpModal');
+    }
+
+    /**
+     * Submit RSVP
+     * The RSVP shows up straight away and is rolled back if the server rejects it
+     */
+    async submitRSVP() {
+        const formData = new FormData(document.getElementById('rsvpForm'));
+        const rsvpStatus = formData.get('rsvp');
+        const plusOnes = parseInt(formData.get('plusOnes')) || 0;
+        const notes = formData.get('notes');
+        
+        // Get dietary restrictions
+        const dietaryRestrictions = Array.from(
+            document.querySelectorAll('#rsvpForm input[type="checkbox"][value]:checked')
+        ).map(cb => cb.value);
+        
+        const rsvpData = {
+            picnic_id: this.currentPicnic.id,
+            user_id: this.currentUser.id,
+            user_name: this.currentUser.name,
+            user_email: this.currentUser.email,
+            rsvp_status: rsvpStatus,
+            dietary_restrictions: dietaryRestrictions,
+            plus_ones: plusOnes,
+            notes: notes,
+            rsvp_date: new Date().toISOString()
+        };
+        
+        // Check if existing RSVP
+        const existingRsvp = this.participants.find(p => p.user_id === this.currentUser.id);
+        if (!existingRsvp) {
+            rsvpData.client_id = Utils.generateId('local');
+        }
+        
+        let expected;
+        try {
+            expected = this.api.resolveRsvpStatus(this.currentPicnic, this.participants, rsvpData, existingRsvp);
+        } catch (error) {
+            if (error instanceof CapacityError) {
+                this.showToast(`${error.message}. Try bringing fewer guests.`, 'warning');
+                return;
+            }
+            throw error;
+        }
+        
+        this.closeModal('rsvpModal');
+        const change = this.applyOptimistic('participants', { ...expected, id: existingRsvp ? existingRsvp.id : rsvpData.client_id });
+        
+        try {
+            const { participant, waitlisted, promoted } = await this.api.saveRsvp(this.currentPicnic, rsvpData, existingRsvp);
+            
+            this.store.batch(() => {
+                change.confirm(participant);
+                promoted.forEach(p => this.store.applyEvent('participants', { type: 'document_updated', data: p }));
+            });
+            
+            if (waitlisted) {
+                const position = this.api.getWaitlist(this.participants)
+                    .findIndex(p => p.user_id === this.currentUser.id) + 1;
+                this.showToast(`This picnic is full. You're #${position} on the waitlist.`, 'warning', 6000);
+            } else {
+                this.showToast('RSVP saved successfully!', 'success');
+            }
+            if (promoted.length > 0) {
+                const names = promoted.map(p => Utils.sanitizeHTML(p.user_name)).join(', ');
+                this.showToast(`Moved off the waitlist: ${names}`, 'info');
+            }
+            
+        } catch (error) {
+            change.rollback();
+            if (error instanceof ConflictError) {
+                this.openConflictModal(error, 'your RSVP', () => this.reloadParticipants());
+                return;
+            }
+            if (error instanceof CapacityError) {
+                this.showToast(`${error.message}. Try bringing fewer guests.`, 'warning');
+                return;
+            }
+            console.error('Failed to save RSVP:', error);
+            this.showToast('Failed to save RSVP. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Reload participants for the open picnic
+     */
+    async reloadParticipants() {
+        const picnicId = this.currentPicnic.id;
+        this.setPicnicRecords('participants', await this.api.getParticipantsByPicnic(picnicId), picnicId);
+    }
+
+    /**
+     * Get the typing context for adding items to the open picnic
+     */
+    getItemsTypingContext() {
+        return `${this.api.getPicnicRoom(this.currentPicnic.id)}:items`;
+    }
+
+    /**
+     * Show avatars of collaborators viewing or editing the open picnic
+     */
+    renderPresence(viewers = this.api.getRoomViewers(this.api.getPicnicRoom(this.currentPicnic.id))) {
+        const bar = document.getElementById('presenceBar');
+        if (!bar) return;
+        
+        const initials = (name) => name.split(/\s+/).map(part => part[0]).join('').slice(0, 2).toUpperCase();
+        
+        bar.innerHTML = viewers.length === 0 ? '' : `
+            <div class="presence-avatars">
+                ${viewers.map(v => `
+                    <span class="presence-avatar ${v.activity === 'editing' ? 'editing' : ''}" title="${Utils.sanitizeHTML(v.user_name)} is ${v.activity}">
+                        ${Utils.sanitizeHTML(initials(v.user_name))}
+                    </span>
+                `).join('')}
+            </div>
+            <span class="presence-label">${viewers.length === 1 ? `${Utils.sanitizeHTML(viewers[0].user_name)} is` : `${viewers.length} others are`} here</span>
+        `;
+    }
+
+    /**
+     * Show who is adding an item to the open picnic
+     */
+    renderItemsTyping(users) {
+        const indicator = document.getElementById('itemsTyping');
+        if (!indicator) return;
+        
+        if (users.length === 0) {
+            indicator.textContent = '';
+        } else if (users.length === 1) {
+            indicator.textContent = `${users[0].user_name} is adding an item…`;
+        } else {
+            indicator.textContent = `${users.length} people are adding items…`;
+        }
+    }
+
+    // Notification Methods
+
+    /**
+     * Load the notification feed and settings saved in the user's preferences
+     */
+    async loadNotifications() {
+        try {
+            const preferences = await this.api.getPreferences('notifications');
+            this.notifications = Array.isArray(preferences.feed) ? preferences.feed : [];
+            this.notificationSettings = preferences.settings || {};
+        } catch (error) {
+            console.error('Failed to load notifications:', error);
+        }
+        this.updateNotificationBadge();
+    }
+
+    /**
+     * Save the notification feed and settings shortly after the last change
+     */
+    saveNotifications() {
+        clearTimeout(this.notificationSaveTimer);
+        this.notificationSaveTimer = setTimeout(async () => {
+            try {
+                await this.api.updatePreferences({
+                    feed: this.notifications,
+                    settings: this.notificationSettings
+                }, 'notifications');
+            } catch (error) {
+                console.error('Failed to save notifications:', error);
+            }
+        }, 1000);
+    }
+
+    /**
+     * Record a notification and show it as a toast, unless the user turned its type off
+     * Messages are plain text and escaped when shown
+     */
+    notify(type, message, { picnicId = null, toastType = 'info', duration = 4000 } = {}) {
+        if (this.notificationSettings[type] === false) return;
+        
+        this.notifications.unshift({
+            id: Utils.generateId('notification'),
+            type,
+            message,
+            picnic_id: picnicId,
+            created_at: new Date().toISOString(),
+            read: false
+        });
+        this.notifications = this.notifications.slice(0, this.maxNotifications);
+        
+        const canOpen = picnicId && type !== 'picnic_deleted';
+        this.showToast(Utils.sanitizeHTML(message), toastType, duration, canOpen ? {
+            label: 'View',
+            onClick: () => this.openPicnic(picnicId)
+        } : null);
+        
+        this.updateNotificationBadge();
+        this.saveNotifications();
+    }
+
+    /**
+     * Notify about date, time and place changes made by the organizer
+     */
+    notifyPicnicChanges(previous, updated) {
+        if (previous.organizer_id === this.currentUser.id) return;
+        
+        const title = updated.title || previous.title;
+        if ((updated.date && updated.date !== previous.date) || (updated.time && updated.time !== previous.time)) {
+            const date = Utils.formatDate(`${updated.date || previous.date}T00:00:00`, { weekday: 'short' });
+            this.notify('picnic_updated', `"${title}" moved to ${date} at ${updated.time || previous.time}`, { picnicId: previous.id });
+        } else if (updated.location?.name && updated.location.name !== previous.location?.name) {
+            this.notify('picnic_updated', `"${title}" is now at ${updated.location.name}`, { picnicId: previous.id });
+        }
+    }
+
+    /**
+     * Open or close the notification panel
+     */
+    toggleNotificationPanel(show = null) {
+        const panel = document.getElementById('notificationPanel');
+        const shouldShow = show === null ? !panel.classList.contains('show') : show;
+        
+        panel.classList.toggle('show', shouldShow);
+        if (shouldShow) {
+            this.renderNotifications();
+        } else {
+            document.getElementById('notificationSettings').classList.remove('show');
+        }
+    }
+
+    /**
+     * Render unread chats, the notification feed and per-type settings
+     */
+    renderNotifications() {
+        const icons = {
+            picnic_created: '🧺',
+            picnic_updated: '📅',
+            picnic_deleted: '🗑️',
+            picnic_status: '📣',
+            participant_joined: '👋',
+            rsvp_changed: '✉️',
+            waitlist_promoted: '🎟️',
+            item_added: '📋',
+            item_assigned: '🙋',
+            expense_added: '💰',
+            expense_updated: '💸',
+            chat_mention: '💬'
+        };
+        const chats = [...this.chatUnread.entries()].filter(([, count]) => count > 0);
+        const list = document.getElementById('notificationList');
+        
+        if (chats.length === 0 && this.notifications.length === 0) {
+            list.innerHTML = '<p class="notification-empty">You\'re all caught up.</p>';
+        } else {
+            list.innerHTML = `
+                ${chats.map(([picnicId, count]) => `
+                    <button class="notification-entry unread" data-chat-picnic="${picnicId}">
+                        <span class="notification-icon">💬</span>
+                        <span class="notification-text">
+                            ${count} unread message${count === 1 ? '' : 's'} in "${Utils.sanitizeHTML(this.picnics.find(p => p.id === picnicId)?.title || 'a picnic')}"
+                        </span>
+                    </button>
+                `).join('')}
+                ${this.notifications.map(n => `
+                    <button class="notification-entry ${n.read ? '' : 'unread'}" data-notification-id="${n.id}">
+                        <span class="notification-icon">${icons[n.type] || '🔔'}</span>
+                        <span class="notification-text">
+                            ${Utils.sanitizeHTML(n.message)}
+                            <span class="notification-time">${Utils.formatRelativeTime(n.created_at)}</span>
+                        </span>
+                    </button>
+                `).join('')}
+            `;
+        }
+        
+        document.getElementById('notificationSettings').innerHTML = `
+            <p class="notification-settings-title">Notify me about</p>
+            <div class="checkbox-group">
+                ${Object.entries(this.notificationTypes).map(([type, label]) => `
+                    <label>
+                        <input type="checkbox" value="${type}" ${this.notificationSettings[type] !== false ? 'checked' : ''}>
+                        <span>${label}</span>
+                    </label>
+                `).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Mark a notification read and open its picnic
+     */
+    openNotification(notificationId) {
+        const notification = this.notifications.find(n => n.id === notificationId);
+        if (!notification) return;
+        
+        if (!notification.read) {
+            notification.read = true;
+            this.updateNotificationBadge();
+            this.saveNotifications();
+        }
+        
+        if (notification.picnic_id && notification.type !== 'picnic_deleted') {
+            this.toggleNotificationPanel(false);
+            this.openPicnic(notification.picnic_id);
+        }
+    }
+
+    /**
+     * Mark every notification read
+     */
+    markAllNotificationsRead() {
+        this.notifications.forEach(n => {
+            n.read = true;
+        });
+        this.updateNotificationBadge();
+        this.saveNotifications();
+    }
+
+    /**
+     * Turn a notification type on or off
+     */
+    setNotificationSetting(type, enabled) {
+        if (!this.notificationTypes[type]) return;
+        
+        this.notificationSettings[type] = enabled;
+        this.saveNotifications();
+    }
+
+    // Chat Methods
+
+    /**
+     * Get the typing context for the open picnic's chat
+     */
+    getChatTypingContext() {
+        return this.api.getChatRoom(this.currentPicnic.id);
+    }
+
+    /**
+     * Join the chat rooms of every picnic the user belongs to and count unread messages
+     */
+    async loadChatUnread() {
+        try {
+            const { picnics } = await this.api.getUserPicnics(this.currentUser.id);
+            const picnicIds = picnics.map(p => p.id);
+            picnicIds.forEach(id => this.joinPicnicChat(id));
+            
+            const counts = await this.api.getUnreadMessageCounts(picnicIds, this.chatReadMarkers);
+            Object.entries(counts).forEach(([picnicId, count]) => this.chatUnread.set(picnicId, count));
+            this.updateNotificationBadge();
+        } catch (error) {
+            console.error('Failed to load unread messages:', error);
+        }
+    }
+
+    /**
+     * Listen for a picnic's chat messages
+     */
+    joinPicnicChat(picnicId) {
+        const roomId = this.api.getChatRoom(picnicId);
+        if (!this.api.rooms.has(roomId)) {
+            this.api.joinRoom(roomId);
+        }
+    }
+
+    /**
+     * Load chat history for the open picnic
+     */
+    async loadChat() {
+        const picnicId = this.currentPicnic.id;
+        this.joinPicnicChat(picnicId);
+        
+        try {
+            const messages = await this.api.getMessages(picnicId);
+            if (this.currentPicnic?.id !== picnicId) return;
+            
+            this.chatMessages = messages;
+            this.renderChatMessages();
+            this.markChatRead(picnicId);
+        } catch (error) {
+            console.error('Failed to load chat:', error);
+            this.showToast('Failed to load chat messages.', 'error');
+        }
+    }
+
+    /**
+     * Render the open picnic's chat messages
+     */
+    renderChatMessages() {
+        const list = document.getElementById('chatMessages');
+        if (!list) return;
+        
+        if (this.chatMessages.length === 0) {
+            list.innerHTML = '<p class="chat-empty">No messages yet. Say hello! 👋</p>';
+            return;
+        }
+        
+        list.innerHTML = this.chatMessages.map(message => this.renderChatMessage(message)).join('');
+        list.scrollTop = list.scrollHeight;
+    }
+
+    /**
+     * Render one chat message with its mentions highlighted
+     */
+    renderChatMessage(message) {
+        const isMine = message.user_id === this.currentUser.id;
+        const mentionsMe = (message.mentions || []).includes(this.currentUser.id);
+        let text = Utils.sanitizeHTML(message.text);
+        
+        this.participants
+            .filter(p => (message.mentions || []).includes(p.user_id))
+            .sort((a, b) => b.user_name.length - a.user_name.length)
+            .forEach(p => {
+                const name = Utils.sanitizeHTML(p.user_name);
+                text = text.split(`@${name}`).join(`<span class="chat-mention">@${name}</span>`);
+            });
+        
+        return `
+            <div class="chat-message ${isMine ? 'mine' : ''} ${mentionsMe ? 'mentions-me' : ''}">
+                <div class="chat-meta">
+                    <span class="chat-author">${isMine ? 'You' : Utils.sanitizeHTML(message.user_name)}</span>
+                    <span class="chat-time" title="${new Date(message.created_at).toLocaleString()}">${Utils.formatRelativeTime(message.created_at)}</span>
+                </div>
+                <div class="chat-text">${text}</div>
+            </div>
+        `;
+    }
+
+    /**
+     * Send the message typed in the chat box
+     */
+    async sendChatMessage(event) {
+        event.preventDefault();
+        
+        const input = document.getElementById('chatInput');
+        const text = input.value.trim();
+        if (!text || !this.currentPicnic) return;
+        
+        try {
+            input.value = '';
+            this.renderMentionSuggestions([]);
+            this.api.stopTyping(this.getChatTypingContext());
+            
+            const message = await this.api.sendMessage(this.currentPicnic.id, text, this.participants);
+            this.addChatMessage(message);
+        } catch (error) {
+            console.error('Failed to send message:', error);
+            input.value = text;
+            this.showToast('Failed to send message. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Broadcast typing and suggest participants while an @mention is being typed
+     */
+    onChatInput() {
+        const input = document.getElementById('chatInput');
+        this.api.notifyTyping(this.getChatTypingContext());
+        
+        const beforeCursor = input.value.slice(0, input.selectionStart);
+        const match = beforeCursor.match(/@([^@]*)$/);
+        if (!match) {
+            this.renderMentionSuggestions([]);
+            return;
+        }
+        
+        const query = match[1].toLowerCase();
+        const suggestions = this.participants
+            .filter(p => p.user_id !== this.currentUser.id && p.user_name.toLowerCase().startsWith(query))
+            .slice(0, 5);
+        this.renderMentionSuggestions(suggestions);
+    }
+
+    /**
+     * Show participants that can be mentioned
+     */
+    renderMentionSuggestions(participants) {
+        const container = document.getElementById('chatMentions');
+        if (!container) return;
+        
+        container.innerHTML = participants.map(p => `
+            <button type="button" class="chat-mention-option" onclick="app.insertMention('${p.user_id}')">
+                @${Utils.sanitizeHTML(p.user_name)}
+            </button>
+        `).join('');
+    }
+
+    /**
+     * Replace the @mention being typed with a participant's name
+     */
+    insertMention(userId) {
+        const participant = this.participants.find(p => p.user_id === userId);
+        const input = document.getElementById('chatInput');
+        if (!participant || !input) return;
+        
+        const cursor = input.selectionStart;
+        const beforeCursor = input.value.slice(0, cursor).replace(/@([^@]*)$/, `@${participant.user_name} `);
+        input.value = beforeCursor + input.value.slice(cursor);
+        input.focus();
+        input.setSelectionRange(beforeCursor.length, beforeCursor.length);
+        this.renderMentionSuggestions([]);
+    }
+
+    /**
+     * Add a message to the open chat, ignoring ones already shown
+     */
+    addChatMessage(message) {
+        if (this.chatMessages.some(m => m.id === message.id)) return;
+        
+        this.chatMessages.push(message);
+        this.renderChatMessages();
+    }
+
+    /**
+     * Show an incoming message, or count it as unread if its chat is not open
+     */
+    handleChatMessage(message) {
+        if (!message || message.user_id === this.currentUser.id) return;
+        
+        const isOpen = this.currentView === 'picnic-detail' && this.currentPicnic?.id === message.picnic_id;
+        if (isOpen) {
+            this.addChatMessage(message);
+            this.markChatRead(message.picnic_id, message.created_at);
+            return;
+        }
+        
+        this.chatUnread.set(message.picnic_id, (this.chatUnread.get(message.picnic_id) || 0) + 1);
+        this.updateNotificationBadge();
+        
+        if ((message.mentions || []).includes(this.currentUser.id)) {
+            this.notify('chat_mention', `${message.user_name} mentioned you: "${message.text}"`, {
+                picnicId: message.picnic_id,
+                duration: 6000
+            });
+        }
+    }
+
+    /**
+     * Remember that a picnic's chat has been read up to a point
+     */
+    markChatRead(picnicId, readAt = new Date().toISOString()) {
+        if (!this.chatReadMarkers[picnicId] || this.chatReadMarkers[picnicId] < readAt) {
+            this.chatReadMarkers[picnicId] = readAt;
+            localStorage.setItem('picnic-chat-read', JSON.stringify(this.chatReadMarkers));
+        }
+        
+        this.chatUnread.delete(picnicId);
+        this.updateNotificationBadge();
+    }
+
+    /**
+     * Show unread notifications and chat messages in the header
+     */
+    updateNotificationBadge() {
+        const badge = document.getElementById('notificationBadge');
+        const unreadMessages = [...this.chatUnread.values()].reduce((sum, count) => sum + count, 0);
+        const total = unreadMessages + this.notifications.filter(n => !n.read).length;
+        
+        badge.textContent = total > 9 ? '9+' : total;
+        badge.classList.toggle('show', total > 0);
+        
+        if (document.getElementById('notificationPanel').classList.contains('show')) {
+            this.renderNotifications();
+        }
+    }
+
+    /**
+     * Show who is typing in the open chat
+     */
+    renderChatTyping(users) {
+        const indicator = document.getElementById('chatTyping');
+        if (!indicator) return;
+        
+        if (users.length === 0) {
+            indicator.textContent = '';
+        } else if (users.length === 1) {
+            indicator.textContent = `${users[0].user_name} is typing…`;
+        } else {
+            indicator.textContent = `${users.length} people are typing…`;
+        }
     }
 
     /**
      * Open add item modal
      */
     openAddItemModal() {
-        document.getElementById('addItemForm').reset();
+        const form = document.getElementById('addItemForm');
+        form.reset();
+        this.clearFormErrors(form);
         this.openModal('addItemModal');
     }
 
     /**
-     * Add new item
+     * Add new item
+     * The item shows up straight away and is removed again if the server rejects it
+     */
+    async addItem() {
+        const form = document.getElementById('addItemForm');
+        const formData = new FormData(form);
+        const itemData = {
+            picnic_id: this.currentPicnic.id,
+            name: formData.get('name'),
+            category: formData.get('category'),
+            quantity_needed: parseInt(formData.get('quantity')),
+            unit: formData.get('unit'),
+            priority: formData.get('priority'),
+            estimated_cost: parseFloat(formData.get('estimatedCost')) || 0,
+            notes: formData.get('notes'),
+            client_id: Utils.generateId('local')
+        };
+        
+        const errors = this.api.validateDocument(this.api.collections.items, itemData);
+        this.showFormErrors(form, errors, ITEM_FORM_FIELDS);
+        if (Object.keys(errors).length > 0) return;
+        
+        this.api.stopTyping(this.getItemsTypingContext());
+        this.closeModal('addItemModal');
+        const change = this.applyOptimistic('items', {
+            ...itemData,
+            id: itemData.client_id,
+            created_by: this.currentUser.id,
+            quantity_assigned: 0,
+            status: 'needed'
+        });
+        
+        try {
+            const item = await this.api.createItem(itemData);
+            change.confirm(item);
+            this.showToast('Item added successfully!', 'success');
+            
+        } catch (error) {
+            change.rollback();
+            console.error('Failed to add item:', error);
+            this.showToast(`Failed to add ${Utils.sanitizeHTML(itemData.name)}. Please try again.`, 'error');
+        }
+    }
+
+    /**
+     * Open add expense modal, or edit an existing expense
+     */
+    openAddExpenseModal(expenseId = null) {
+        if (!this.currentPicnic) {
+            this.showToast('Open a picnic before adding expenses.', 'warning');
+            return;
+        }
+        
+        const form = document.getElementById('addExpenseForm');
+        form.reset();
+        this.clearFormErrors(form);
+        
+        const expense = expenseId ? this.expenses.find(e => e.id === expenseId) : null;
+        const today = new Date().toISOString().split('T')[0];
+        
+        document.getElementById('expensePaidBy').innerHTML = this.participants.map(p => `
+            <option value="${p.user_id}">${Utils.sanitizeHTML(p.user_name)}</option>
+        `).join('');
+        
+        document.getElementById('expenseId').value = expense?.id || '';
+        document.getElementById('expenseDescription').value = expense?.description || '';
+        document.getElementById('expenseAmount').value = expense ? expense.amount : '';
+        document.getElementById('expensePaidBy').value = expense?.paid_by || this.currentUser.id;
+        document.getElementById('expenseCategory').value = expense?.category || 'other';
+        document.getElementById('expenseSplitType').value = expense?.split_type || 'equal';
+        document.getElementById('expensePaymentMethod').value = expense?.payment_method || 'cash';
+        document.getElementById('expenseDate').value = expense?.date ? expense.date.split('T')[0] : today;
+        document.getElementById('expenseDate').max = today;
+        
+        document.getElementById('expenseModalTitle').textContent = expense ? 'Edit Expense' : 'Add Expense';
+        document.getElementById('saveExpenseBtn').textContent = expense ? 'Save Changes' : 'Add Expense';
+        document.getElementById('deleteExpenseBtn').style.display = expense ? '' : 'none';
+        
+        this.renderExpenseParticipants(expense);
+        this.openModal('addExpenseModal');
+    }
+
+    /**
+     * Open the expense modal for the picnic selected in the Expenses view
+     */
+    async openAddExpenseFromExpensesView() {
+        const picnicId = document.getElementById('settlementPicnic')?.value || this.currentPicnic?.id;
+        if (!picnicId) {
+            this.showToast('Create a picnic before adding expenses.', 'warning');
+            return;
+        }
+        
+        if (this.currentPicnic?.id !== picnicId) {
+            try {
+                this.showLoading('Loading picnic...');
+                await this.loadPicnicData(picnicId);
+            } catch (error) {
+                console.error('Failed to load picnic:', error);
+                this.showToast('Failed to load picnic details.', 'error');
+                return;
+            } finally {
+                this.hideLoading();
+            }
+        }
+        
+        this.openAddExpenseModal();
+    }
+
+    /**
+     * Render the participant picker with optional per-person shares
+     */
+    renderExpenseParticipants(expense = null) {
+        const container = document.getElementById('expenseParticipants');
+        const selected = expense?.participants?.length
+            ? expense.participants
+            : this.participants.filter(p => p.rsvp_status === 'going').map(p => p.user_id);
+        const shares = expense?.shares || {};
+        
+        container.innerHTML = this.participants.map(p => `
+            <div class="expense-participant">
+                <label>
+                    <input type="checkbox" name="expenseParticipant" value="${p.user_id}" ${selected.includes(p.user_id) ? 'checked' : ''}>
+                    ${Utils.sanitizeHTML(p.user_name)}${p.plus_ones > 0 ? ` (+${p.plus_ones})` : ''}
+                </label>
+                <input type="number" class="expense-share" data-user-id="${p.user_id}" min="0" value="${shares[p.user_id] ?? ''}">
+            </div>
+        `).join('');
+        
+        this.updateExpenseShareInputs();
+    }
+
+    /**
+     * Show share inputs only for split types that need them
+     */
+    updateExpenseShareInputs() {
+        const splitType = document.getElementById('expenseSplitType').value;
+        const showShares = splitType === 'custom' || splitType === 'by_consumption';
+        
+        document.querySelectorAll('#expenseParticipants .expense-share').forEach(input => {
+            input.style.display = showShares ? '' : 'none';
+            input.placeholder = splitType === 'custom' ? 'Amount' : 'Units';
+            input.step = splitType === 'custom' ? '0.01' : '1';
+        });
+    }
+
+    /**
+     * Collect expense data from the form
+     */
+    getExpenseFormData() {
+        const form = document.getElementById('addExpenseForm');
+        const formData = new FormData(form);
+        const splitType = formData.get('split_type');
+        const amount = parseFloat(formData.get('amount'));
+        const dateValue = formData.get('date');
+        
+        const participants = Array.from(
+            form.querySelectorAll('input[name="expenseParticipant"]:checked')
+        ).map(cb => cb.value);
+        
+        const data = {
+            picnic_id: this.currentPicnic.id,
+            description: (formData.get('description') || '').trim(),
+            amount,
+            paid_by: formData.get('paid_by'),
+            category: formData.get('category'),
+            split_type: splitType,
+            participants,
+            payment_method: formData.get('payment_method'),
+            // Noon local time keeps the calendar day stable across time zones
+            date: dateValue ? new Date(`${dateValue}T12:00:00`).toISOString() : ''
+        };
+        
+        if (splitType === 'custom' || splitType === 'by_consumption') {
+            data.shares = {};
+            participants.forEach(userId => {
+                const value = parseFloat(form.querySelector(`.expense-share[data-user-id="${userId}"]`).value);
+                if (!isNaN(value)) data.shares[userId] = value;
+            });
+        }
+        
+        if (splitType === 'equal' && participants.length > 0 && Number.isFinite(amount)) {
+            const heads = participants.reduce((sum, userId) => {
+                const participant = this.participants.find(p => p.user_id === userId);
+                return sum + 1 + (participant?.plus_ones || 0);
+            }, 0);
+            data.per_person_amount = Math.round(amount / heads * 100) / 100;
+        }
+        
+        return data;
+    }
+
+    /**
+     * Validate expense data against the picnic_expenses schema and the split rules it cannot express
+     */
+    validateExpenseData(data) {
+        const errors = this.api.validateDocument(this.api.collections.expenses, data);
+        
+        if (data.split_type !== 'organizer_pays' && data.participants.length === 0) {
+            errors.participants = 'Select at least one person to share this expense';
+        } else if (data.split_type === 'custom' && Number.isFinite(data.amount)) {
+            const splitError = Settlement.validateCustomShares(data);
+            if (splitError) {
+                errors.participants = splitError;
+            }
+        } else if (data.split_type === 'by_consumption' && !Object.values(data.shares).some(value => value > 0)) {
+            errors.participants = 'Enter units consumed for at least one person';
+        }
+        
+        return errors;
+    }
+
+    /**
+     * Save the expense in the modal
+     */
+    async saveExpense() {
+        const form = document.getElementById('addExpenseForm');
+        const expenseId = document.getElementById('expenseId').value;
+        const data = this.getExpenseFormData();
+        
+        const errors = this.validateExpenseData(data);
+        this.showFormErrors(form, errors);
+        if (Object.keys(errors).length > 0) return;
+        
+        try {
+            this.showLoading(expenseId ? 'Updating expense...' : 'Adding expense...');
+            
+            const existing = this.expenses.find(e => e.id === expenseId);
+            const saved = existing
+                ? await this.api.updateExpense(expenseId, data, this.api.getRecordVersion(existing))
+                : await this.api.createExpense(data);
+            
+            this.upsertExpense({ ...existing, ...data, ...saved });
+            
+            this.closeModal('addExpenseModal');
+            this.showToast(existing ? 'Expense updated!' : 'Expense added!', 'success');
+            
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                this.closeModal('addExpenseModal');
+                this.openConflictModal(error, 'this expense', () => this.reloadExpenses());
+                return;
+            }
+            console.error('Failed to save expense:', error);
+            this.showToast('Failed to save expense. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Confirm and delete an expense
+     */
+    async confirmDeleteExpense(expenseId) {
+        const expense = this.expenses.find(e => e.id === expenseId);
+        if (!expense || !confirm(`Delete "${expense.description}"? This cannot be undone.`)) {
+            return false;
+        }
+        
+        try {
+            this.showLoading('Deleting expense...');
+            await this.api.deleteExpense(expenseId);
+            
+            this.store.remove('expenses', expenseId);
+            this.refreshExpenseViews();
+            this.showToast('Expense deleted', 'success');
+            return true;
+        } catch (error) {
+            console.error('Failed to delete expense:', error);
+            this.showToast('Failed to delete expense. Please try again.', 'error');
+            return false;
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Insert or replace an expense in the local list
+     */
+    upsertExpense(expense) {
+        this.store.upsert('expenses', expense, { prepend: true });
+        this.refreshExpenseViews();
+    }
+
+    /**
+     * Reload expenses for the open picnic
+     */
+    async reloadExpenses() {
+        const picnicId = this.currentPicnic.id;
+        this.setPicnicRecords('expenses', await this.api.getExpensesByPicnic(picnicId), picnicId);
+        this.refreshExpenseViews();
+    }
+
+    /**
+     * Reload the cross-picnic expense views; the detail list follows the store
+     */
+    refreshExpenseViews() {
+        if (this.currentView === 'expenses' && this.currentPicnic) {
+            this.loadExpenses(this.currentPicnic.id);
+        }
+    }
+
+    /**
+     * Show field-level validation errors next to form inputs
+     * Errors are keyed by schema field; fields maps those named differently in the form to their input
      */
-    async addItem() {
-        try {
-            this.showLoading('Adding item...');
-            
-            const formData = new FormData(document.getElementById('addItemForm'));
-            const itemData = {
-                picnic_id: this.currentPicnic.id,
-                name: formData.get('name'),
-                category: formData.get('category'),
-                quantity_needed: parseInt(formData.get('quantity')),
-                unit: formData.get('unit'),
-                priority: formData.get('priority'),
-                estimated_cost: parseFloat(formData.get('estimatedCost')) || 0,
-                notes: formData.get('notes')
-            };
-            
-            await this.api.createItem(itemData);
-            
-            this.closeModal('addItemModal');
-            this.showToast('Item added successfully!', 'success');
+    showFormErrors(form, errors, fields = {}) {
+        this.clearFormErrors(form);
+        
+        Object.entries(errors).forEach(([schemaField, message]) => {
+            const field = fields[schemaField] || schemaField;
+            const input = form.querySelector(`[name="${field}"]`);
+            let errorElement = form.querySelector(`[data-error-for="${field}"]`);
             
-            // Reload items
-            this.items = await this.api.getItemsByPicnic(this.currentPicnic.id);
-            this.updateItemsList();
+            if (!errorElement && input) {
+                errorElement = document.createElement('div');
+                errorElement.className = 'field-error';
+                errorElement.dataset.errorFor = field;
+                input.closest('.form-group').appendChild(errorElement);
+            }
             
-        } catch (error) {
-            console.error('Failed to add item:', error);
-            this.showToast('Failed to add item. Please try again.', 'error');
-        } finally {
-            this.hideLoading();
-        }
+            if (errorElement) errorElement.textContent = message;
+            if (input) input.classList.add('invalid');
+        });
+    }
+
+    /**
+     * Clear validation errors from a form
+     */
+    clearFormErrors(form) {
+        form.querySelectorAll('.field-error').forEach(el => {
+            el.textContent = '';
+        });
+        form.querySelectorAll('.invalid').forEach(el => el.classList.remove('invalid'));
     }
 
     /**
      * Assign item to current user
      */
     async assignToMe(itemId) {
+        let change = null;
         try {
             const item = this.items.find(i => i.id === itemId);
             if (!item) return;
@@ -940,25 +2850,313 @@ class PicnicApp {
             const remainingQuantity = item.quantity_needed - (item.quantity_assigned || 0);
             const quantityToAssign = remainingQuantity;
             
-            await this.api.assignItem(itemId, this.currentUser.id, quantityToAssign);
+            change = this.applyOptimistic('items', {
+                id: itemId,
+                assigned_to: this.currentUser.id,
+                assigned_by: this.currentUser.id,
+                quantity_assigned: quantityToAssign,
+                status: 'assigned'
+            });
             
-            this.showToast(`You've been assigned "${item.name}"!`, 'success');
+            const saved = await this.api.assignItem(itemId, this.currentUser.id, quantityToAssign, this.api.getRecordVersion(item));
+            change.confirm(saved);
             
-            // Reload items
-            this.items = await this.api.getItemsByPicnic(this.currentPicnic.id);
-            this.updateItemsList();
+            this.showToast(`You've been assigned "${Utils.sanitizeHTML(item.name)}"!`, 'success');
             
         } catch (error) {
+            if (change) change.rollback();
+            if (error instanceof ConflictError) {
+                this.openConflictModal(error, 'this item', () => this.reloadItems());
+                return;
+            }
             console.error('Failed to assign item:', error);
             this.showToast('Failed to assign item. Please try again.', 'error');
         }
     }
 
     /**
-     * Filter picnics based on current filters
+     * Reload items for the open picnic
+     */
+    async reloadItems() {
+        const picnicId = this.currentPicnic.id;
+        this.setPicnicRecords('items', await this.api.getItemsByPicnic(picnicId), picnicId);
+    }
+
+    // Optimistic Update Methods
+
+    /**
+     * Apply a change to a local list before the server confirms it
+     * Returns a handle to reconcile the change with the saved record or roll it back
+     */
+    applyOptimistic(listName, record) {
+        const previous = this[listName].find(r => r.id === record.id) || null;
+        const optimistic = { ...previous, ...record, _optimistic: true };
+        
+        this[listName] = previous
+            ? this[listName].map(r => r.id === record.id ? optimistic : r)
+            : [...this[listName], optimistic];
+        
+        return {
+            confirm: (saved) => this.reconcileOptimistic(listName, optimistic, saved),
+            rollback: () => this.rollbackOptimistic(listName, optimistic, previous)
+        };
+    }
+
+    /**
+     * Replace an optimistic record with the copy the server saved
+     * The WebSocket echo may have arrived first, so the record is matched by id or client_id
+     */
+    reconcileOptimistic(listName, optimistic, saved) {
+        const savedId = saved?.id || optimistic.id;
+        const matches = (r) => r.id === optimistic.id || r.id === savedId ||
+            (optimistic.client_id && r.client_id === optimistic.client_id);
+        let placed = false;
+        
+        // A record deleted meanwhile, or a list reloaded for another picnic, is left alone
+        this[listName] = this[listName].reduce((records, r) => {
+            if (!matches(r)) return [...records, r];
+            if (placed) return records;
+            placed = true;
+            
+            const { _optimistic, ...current } = r;
+            const reconciled = this.api.isStaleRecord(current, saved || {})
+                ? current
+                : { ...current, ...saved, id: savedId };
+            return [...records, reconciled];
+        }, []);
+    }
+
+    /**
+     * Undo an optimistic change that the server rejected
+     */
+    rollbackOptimistic(listName, optimistic, previous) {
+        this[listName] = previous
+            ? this[listName].map(r => r.id === optimistic.id && r._optimistic ? previous : r)
+            : this[listName].filter(r => r.id !== optimistic.id);
+    }
+
+    /**
+     * List offline changes the backend rejected and show their count in the header
+     */
+    async renderSyncIssues() {
+        let failed = [];
+        try {
+            failed = await this.api.getFailedMutations();
+        } catch (error) {
+            console.error('Failed to load unsaved changes:', error);
+        }
+
+        document.getElementById('syncIssuesBtn').hidden = failed.length === 0;
+        document.getElementById('syncIssuesBadge').textContent = failed.length;
+        document.getElementById('syncIssuesList').innerHTML = failed.map(mutation => `
+            <div class="sync-issue" data-seq="${mutation.seq}">
+                <div class="sync-issue-info">
+                    <span>${Utils.sanitizeHTML(this.describeMutation(mutation))}</span>
+                    <span class="sync-issue-error">${Utils.sanitizeHTML(mutation.failed.message)}</span>
+                </div>
+                <div class="sync-issue-actions">
+                    ${this.isQueuedConflict(mutation)
+                        ? '<button type="button" class="btn btn-primary btn-sm" data-sync-action="review">Review</button>'
+                        : '<button type="button" class="btn btn-secondary btn-sm" data-sync-action="retry">Retry</button>'}
+                    <button type="button" class="btn btn-ghost btn-sm" data-sync-action="discard">Discard</button>
+                </div>
+            </div>
+        `).join('');
+
+        const modal = document.getElementById('syncIssuesModal');
+        if (failed.length === 0 && modal.classList.contains('show')) {
+            this.closeModal('syncIssuesModal');
+        }
+    }
+
+    /**
+     * Describe a queued change for the unsaved changes list, e.g. New item “Ice”
+     */
+    describeMutation(mutation) {
+        if (mutation.collection === 'batch') {
+            return `${mutation.operations.length} changes made together`;
+        }
+
+        const actions = { create: 'New', update: 'Changes to', delete: 'Deleting' };
+        const description = `${actions[mutation.operations[0].operation]} ${this.getMutationLabel(mutation)}`;
+        const name = mutation.data?.title || mutation.data?.name || mutation.data?.description;
+        return name ? `${description} “${name}”` : description;
+    }
+
+    /**
+     * Name the kind of record a queued change touches
+     */
+    getMutationLabel(mutation) {
+        const labels = {
+            [this.api.collections.picnics]: 'picnic',
+            [this.api.collections.participants]: 'RSVP',
+            [this.api.collections.items]: 'item',
+            [this.api.collections.expenses]: 'expense',
+            [this.api.collections.messages]: 'message'
+        };
+        return labels[mutation.collection] || 'record';
+    }
+
+    /**
+     * Check whether a rejected offline edit collided with someone else's and can be merged
+     */
+    isQueuedConflict(mutation) {
+        return !!mutation.failed?.conflict && mutation.operations[0]?.operation === 'update';
+    }
+
+    /**
+     * Open the merge view for a rejected offline edit
+     * The queued edit is only dropped once the merged version has been saved
+     */
+    async reviewQueuedConflict(mutation) {
+        const { collection, id } = mutation.operations[0];
+        let remote = mutation.failed.conflict.remote;
+
+        if (!remote) {
+            try {
+                remote = await this.api.makeRequest(`/${collection}/${id}`);
+            } catch (error) {
+                console.error('Failed to load the latest version:', error);
+            }
+        }
+
+        const conflict = new ConflictError(mutation.failed.message, { collection, id, local: mutation.data, remote });
+        this.closeModal('syncIssuesModal');
+        this.openConflictModal(conflict, `this ${this.getMutationLabel(mutation)}`, () => this.api.discardMutation(mutation.seq));
+    }
+
+    /**
+     * Merge, retry or discard an offline change the backend rejected
+     */
+    async handleSyncIssueAction(seq, action) {
+        try {
+            if (action === 'review') {
+                const mutation = (await this.api.getFailedMutations()).find(m => m.seq === seq);
+                if (mutation) {
+                    await this.reviewQueuedConflict(mutation);
+                }
+            } else if (action === 'retry') {
+                await this.api.retryMutation(seq);
+            } else if (action === 'discard') {
+                await this.api.discardMutation(seq);
+            }
+        } catch (error) {
+            console.error('Failed to update unsaved change:', error);
+            this.showToast('Something went wrong. Please try again.', 'error');
+        }
+        this.renderSyncIssues();
+    }
+
+    /**
+     * Open the merge view for a write rejected because someone else changed the record
+     */
+    openConflictModal(conflict, label, onSaved = null) {
+        if (!conflict.remote) {
+            this.showToast(`Someone else changed ${label}. Please reload and try again.`, 'error');
+            return;
+        }
+
+        const ignoredFields = ['id', 'created_at', 'updated_at', 'createdAt', 'updatedAt', 'createdBy', 'updatedBy', 'groupId', 'miniappId'];
+        const conflictingFields = Object.keys(conflict.local || {})
+            .filter(field => !ignoredFields.includes(field))
+            .filter(field => JSON.stringify(conflict.local[field]) !== JSON.stringify(conflict.remote[field]));
+
+        this.pendingConflict = { conflict, label, onSaved };
+
+        const remoteEditor = conflict.remote.updatedBy ? this.getParticipantName(conflict.remote.updatedBy) : 'Someone else';
+        document.getElementById('conflictIntro').textContent =
+            `${remoteEditor} changed ${label} while you were editing. Choose which value to keep for each field.`;
+
+        const fields = document.getElementById('conflictFields');
+        if (conflictingFields.length === 0) {
+            fields.innerHTML = `<p class="conflict-none">Their changes don't overlap with yours. Saving will keep both.</p>`;
+        } else {
+            fields.innerHTML = `
+                <div class="conflict-row conflict-row-header">
+                    <span>Field</span>
+                    <span>Your version</span>
+                    <span>Their version</span>
+                </div>
+                ${conflictingFields.map(field => `
+                    <div class="conflict-row">
+                        <span class="conflict-field">${this.formatFieldName(field)}</span>
+                        <label class="conflict-choice">
+                            <input type="radio" name="conflict-${field}" value="local" checked>
+                            <span>${Utils.sanitizeHTML(this.formatFieldValue(conflict.local[field]))}</span>
+                        </label>
+                        <label class="conflict-choice">
+                            <input type="radio" name="conflict-${field}" value="remote">
+                            <span>${Utils.sanitizeHTML(this.formatFieldValue(conflict.remote[field]))}</span>
+                        </label>
+                    </div>
+                `).join('')}
+            `;
+        }
+
+        this.openModal('conflictModal');
+    }
+
+    /**
+     * Save the field-by-field merge chosen in the conflict modal
+     */
+    async resolveConflict() {
+        if (!this.pendingConflict) return;
+
+        const { conflict, label, onSaved } = this.pendingConflict;
+        const merged = {};
+        Object.keys(conflict.local).forEach(field => {
+            const choice = document.querySelector(`input[name="conflict-${field}"]:checked`);
+            merged[field] = choice && choice.value === 'remote' ? conflict.remote[field] : conflict.local[field];
+        });
+
+        try {
+            this.showLoading('Saving merged changes...');
+            await this.api.updateDocument(conflict.collection, conflict.id, merged, this.api.getRecordVersion(conflict.remote));
+
+            this.closeModal('conflictModal');
+            this.pendingConflict = null;
+            this.showToast('Changes merged successfully!', 'success');
+            if (onSaved) await onSaved();
+        } catch (error) {
+            if (error instanceof ConflictError) {
+                // Changed again while merging: show the newest version
+                this.openConflictModal(error, label, onSaved);
+                return;
+            }
+            console.error('Failed to save merged changes:', error);
+            this.showToast('Failed to save merged changes. Please try again.', 'error');
+        } finally {
+            this.hideLoading();
+        }
+    }
+
+    /**
+     * Format a schema field name for display
+     */
+    formatFieldName(field) {
+        return field.replace(/_/g, ' ').replace(/^\w/, c => c.toUpperCase());
+    }
+
+    /**
+     * Format a field value for display
+     */
+    formatFieldValue(value) {
+        if (value === null || value === undefined || value === '') return '—';
+        if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+        if (typeof value === 'object') return value.name || JSON.stringify(value);
+        return String(value);
+    }
+
+    /**
+     * Reload picnics from the first page for the current filters
      */
-    filterPicnics() {
-        this.updateDashboard();
+    async filterPicnics() {
+        try {
+            await this.loadPicnicPage({ reset: true });
+        } catch (error) {
+            console.error('Failed to filter picnics:', error);
+            this.showToast('Failed to load picnics. Please try again.', 'error');
+        }
     }
 
     /**
@@ -986,16 +3184,288 @@ class PicnicApp {
      * Load my events
      */
     async loadMyEvents() {
-        // Implementation for my events view
-        console.log('Loading my events...');
+        const content = document.getElementById('eventsContent');
+        
+        try {
+            content.innerHTML = '<p class="events-loading">Loading your events...</p>';
+            
+            const events = await this.api.getMyEvents(this.currentUser.id);
+            this.myEvents = this.api.groupMyEvents(events, this.currentUser.id);
+            this.renderMyEvents();
+        } catch (error) {
+            console.error('Failed to load my events:', error);
+            content.innerHTML = '';
+            this.showToast('Failed to load your events. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Render the selected My Events tab
+     */
+    renderMyEvents() {
+        document.querySelectorAll('#myEventsView .tab-btn').forEach(tab => {
+            const count = this.myEvents ? this.myEvents[tab.dataset.tab].length : 0;
+            tab.classList.toggle('active', tab.dataset.tab === this.myEventsTab);
+            tab.querySelector('.tab-count').textContent = count > 0 ? count : '';
+        });
+        
+        if (!this.myEvents) return;
+        
+        const content = document.getElementById('eventsContent');
+        const events = this.myEvents[this.myEventsTab];
+        const emptyMessages = {
+            organizing: 'You are not organizing any upcoming picnics.',
+            going: 'You have not said yes to any upcoming picnics.',
+            maybe: 'No picnics marked as maybe.',
+            invited: 'No invitations waiting for a reply.',
+            past: 'No past picnics yet.'
+        };
+        
+        if (events.length === 0) {
+            content.innerHTML = `
+                <div class="empty-events">
+                    <p>${emptyMessages[this.myEventsTab]}</p>
+                </div>
+            `;
+            return;
+        }
+        
+        content.innerHTML = `
+            <div class="my-events-list">
+                ${events.map(event => this.renderMyEventCard(event)).join('')}
+            </div>
+        `;
+    }
+
+    /**
+     * Render one picnic in My Events with the user's items and balance
+     */
+    renderMyEventCard({ picnic, participation, waitlistPosition, items, balance }) {
+        const date = new Date(picnic.date);
+        const net = balance ? balance.net : 0;
+        let balanceText = 'Settled up';
+        if (net < 0) balanceText = `You owe ${Utils.formatCurrency(-net)}`;
+        if (net > 0) balanceText = `You're owed ${Utils.formatCurrency(net)}`;
+        
+        return `
+            <div class="my-event-card">
+                <div class="my-event-header">
+                    <div>
+                        <h3 class="my-event-title">${Utils.sanitizeHTML(picnic.title)}</h3>
+                        <div class="my-event-date">
+                            ${date.toLocaleDateString('en', { weekday: 'short', month: 'short', day: 'numeric' })} at ${picnic.time}
+                        </div>
+                    </div>
+                    <span class="status-badge status-${picnic.status || 'planning'}">${this.statusLabels[picnic.status || 'planning']}</span>
+                </div>
+                ${participation?.rsvp_status === 'waitlisted' ? `
+                    <div class="my-event-waitlist">Waitlisted${waitlistPosition > 0 ? ` · #${waitlistPosition} in line` : ''}</div>
+                ` : ''}
+                <div class="my-event-items">
+                    <span class="my-event-label">You're bringing</span>
+                    ${items.length > 0 ? `
+                        <ul>
+                            ${items.map(item => `
+                                <li>${Utils.sanitizeHTML(item.name)} × ${item.quantity_assigned || item.quantity_needed} ${Utils.sanitizeHTML(item.unit || '')}</li>
+                            `).join('')}
+                        </ul>
+                    ` : '<span class="my-event-none">Nothing yet</span>'}
+                </div>
+                <div class="my-event-footer">
+                    <span class="my-event-balance ${net > 0 ? 'positive' : net < 0 ? 'negative' : ''}">${balanceText}</span>
+                    <button class="btn btn-ghost btn-sm" data-open-picnic="${picnic.id}">View</button>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Load the expenses dashboard across all of the user's picnics
+     */
+    async loadExpenses(picnicId = null) {
+        const content = document.getElementById('expensesContent');
+        
+        try {
+            const dashboard = await this.api.getExpenseDashboard(this.currentUser.id);
+            this.expenseDashboard = dashboard;
+            
+            if (dashboard.picnics.length === 0) {
+                content.innerHTML = `
+                    <div class="empty-expenses">
+                        <p>Create or join a picnic to start tracking expenses.</p>
+                    </div>
+                `;
+                return;
+            }
+            
+            const picnicIds = dashboard.picnics.map(p => p.id);
+            const selectedId = [picnicId, this.currentPicnic?.id, dashboard.perPicnic[0]?.picnic.id]
+                .find(id => id && picnicIds.includes(id)) || picnicIds[0];
+            const picnicOptions = [...dashboard.picnics].sort((a, b) => new Date(b.date) - new Date(a.date));
+            
+            content.innerHTML = `
+                ${this.renderExpenseDashboard(dashboard)}
+                
+                <div class="settlement-picker">
+                    <label for="settlementPicnic">Settle up for</label>
+                    <select id="settlementPicnic" class="filter-select" onchange="app.loadSettlement(this.value)">
+                        ${picnicOptions.map(p => `
+                            <option value="${p.id}" ${p.id === selectedId ? 'selected' : ''}>${Utils.sanitizeHTML(p.title)}</option>
+                        `).join('')}
+                    </select>
+                </div>
+                <div id="settlementContent"></div>
+            `;
+            
+            await this.loadSettlement(selectedId);
+        } catch (error) {
+            console.error('Failed to load expenses:', error);
+            this.showToast('Failed to load expenses. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Load who owes whom for one picnic into the Expenses view
+     */
+    async loadSettlement(picnicId) {
+        try {
+            const settlement = await this.api.getSettlement(picnicId);
+            document.getElementById('settlementContent').innerHTML = this.renderSettlement(settlement);
+        } catch (error) {
+            console.error('Failed to load settlement:', error);
+            this.showToast('Failed to load balances. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Render totals by category and month, and what the user paid versus owes per picnic
+     */
+    renderExpenseDashboard(dashboard) {
+        const signed = (net) => `${net > 0 ? '+' : ''}${Utils.formatCurrency(net)}`;
+        const netClass = (net) => net > 0 ? 'positive' : net < 0 ? 'negative' : '';
+        const largestCategory = dashboard.byCategory[0]?.total || 0;
+        
+        return `
+            <div class="expense-overview">
+                <div class="overview-tile">
+                    <span class="overview-label">Total spent</span>
+                    <span class="overview-value">${Utils.formatCurrency(dashboard.total)}</span>
+                </div>
+                <div class="overview-tile">
+                    <span class="overview-label">You paid</span>
+                    <span class="overview-value">${Utils.formatCurrency(dashboard.paid)}</span>
+                </div>
+                <div class="overview-tile">
+                    <span class="overview-label">Your share</span>
+                    <span class="overview-value">${Utils.formatCurrency(dashboard.owed)}</span>
+                </div>
+                <div class="overview-tile">
+                    <span class="overview-label">${dashboard.net < 0 ? 'You owe' : 'You are owed'}</span>
+                    <span class="overview-value balance-net ${netClass(dashboard.net)}">${Utils.formatCurrency(Math.abs(dashboard.net))}</span>
+                </div>
+            </div>
+            
+            ${dashboard.expenseCount === 0 ? `
+                <div class="empty-expenses">
+                    <p>No expenses yet. Start by adding receipts and costs!</p>
+                </div>
+            ` : `
+                <div class="settlement-section">
+                    <h3>🏷️ By Category</h3>
+                    <div class="category-breakdown">
+                        ${dashboard.byCategory.map(c => `
+                            <div class="category-row">
+                                <span class="category-name">${this.categoryLabels[c.category] || Utils.sanitizeHTML(c.category)}</span>
+                                <div class="category-bar">
+                                    <div class="category-fill" style="width: ${Math.round(c.total / largestCategory * 100)}%"></div>
+                                </div>
+                                <span class="category-total">${Utils.formatCurrency(c.total)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+                
+                <div class="settlement-section">
+                    <h3>📆 By Month</h3>
+                    <div class="balance-list">
+                        ${dashboard.byMonth.map(m => `
+                            <div class="balance-row">
+                                <div class="balance-name">${new Date(`${m.month}-01T00:00:00`).toLocaleDateString('en', { month: 'long', year: 'numeric' })}</div>
+                                <div class="balance-detail"></div>
+                                <div class="balance-net">${Utils.formatCurrency(m.total)}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+                
+                <div class="settlement-section">
+                    <h3>🧾 Paid vs Owed</h3>
+                    <div class="balance-list">
+                        ${dashboard.perPicnic.map(entry => `
+                            <div class="balance-row">
+                                <div class="balance-name">${Utils.sanitizeHTML(entry.picnic.title)}</div>
+                                <div class="balance-detail">Total ${Utils.formatCurrency(entry.total)} • You paid ${Utils.formatCurrency(entry.paid)} • Your share ${Utils.formatCurrency(entry.owed)}</div>
+                                <div class="balance-net ${netClass(entry.net)}">${signed(entry.net)}</div>
+                            </div>
+                        `).join('')}
+                    </div>
+                </div>
+            `}
+        `;
     }
 
     /**
-     * Load expenses
+     * Render balances and settle-up transfers
      */
-    async loadExpenses() {
-        // Implementation for expenses view
-        console.log('Loading expenses...');
+    renderSettlement(settlement) {
+        if (settlement.balances.length === 0) {
+            return `
+                <div class="empty-expenses">
+                    <p>No expenses yet. Start by adding receipts and costs!</p>
+                </div>
+            `;
+        }
+        
+        const displayName = (userId, name) => userId === this.currentUser.id ? 'You' : Utils.sanitizeHTML(name);
+        
+        return `
+            <div class="expenses-summary">
+                <div class="expense-total">Total: ${Utils.formatCurrency(settlement.total)}</div>
+            </div>
+            
+            <div class="settlement-section">
+                <h3>⚖️ Balances</h3>
+                <div class="balance-list">
+                    ${settlement.balances.map(b => `
+                        <div class="balance-row">
+                            <div class="balance-name">${displayName(b.user_id, b.user_name)}</div>
+                            <div class="balance-detail">Paid ${Utils.formatCurrency(b.paid)} • Share ${Utils.formatCurrency(b.owed)}</div>
+                            <div class="balance-net ${b.net > 0 ? 'positive' : b.net < 0 ? 'negative' : ''}">
+                                ${b.net > 0 ? '+' : ''}${Utils.formatCurrency(b.net)}
+                            </div>
+                        </div>
+                    `).join('')}
+                </div>
+            </div>
+            
+            <div class="settlement-section">
+                <h3>💸 Settle Up</h3>
+                ${settlement.transfers.length === 0 ? `
+                    <p class="settled-message">Everyone is settled up! 🎉</p>
+                ` : `
+                    <div class="transfer-list">
+                        ${settlement.transfers.map(t => `
+                            <div class="transfer-row">
+                                <span class="transfer-from">${displayName(t.from, t.from_name)}</span>
+                                <span class="transfer-arrow">→</span>
+                                <span class="transfer-to">${displayName(t.to, t.to_name)}</span>
+                                <span class="transfer-amount">${Utils.formatCurrency(t.amount)}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                `}
+            </div>
+        `;
     }
 
     // Utility Methods
@@ -1021,7 +3491,7 @@ class PicnicApp {
     /**
      * Show toast notification
      */
-    showToast(message, type = 'info', duration = 4000) {
+    showToast(message, type = 'info', duration = 4000, action = null) {
         const container = document.getElementById('toastContainer');
         const toast = document.createElement('div');
         const toastId = 'toast-' + Date.now();
@@ -1040,9 +3510,17 @@ class PicnicApp {
             <div class="toast-content">
                 <div class="toast-message">${message}</div>
             </div>
+            ${action ? `<button class="toast-action">${action.label}</button>` : ''}
             <button class="toast-close" onclick="app.closeToast('${toastId}')">&times;</button>
         `;
         
+        if (action) {
+            toast.querySelector('.toast-action').addEventListener('click', () => {
+                action.onClick();
+                this.closeToast(toastId);
+            });
+        }
+        
         container.appendChild(toast);
         
         // Show toast
@@ -1052,6 +3530,8 @@ class PicnicApp {
         setTimeout(() => {
             this.closeToast(toastId);
         }, duration);
+        
+        return toastId;
     }
 
     /**
@@ -1072,6 +3552,10 @@ class PicnicApp {
         const modal = document.getElementById(modalId);
         modal.classList.add('show');
         document.body.style.overflow = 'hidden';
+        
+        if (this.editingModals.includes(modalId)) {
+            this.api.setPresenceActivity('editing');
+        }
     }
 
     /**
@@ -1081,6 +3565,13 @@ class PicnicApp {
         const modal = document.getElementById(modalId);
         modal.classList.remove('show');
         document.body.style.overflow = '';
+        
+        if (this.editingModals.includes(modalId)) {
+            this.api.setPresenceActivity('viewing');
+        }
+        if (modalId === 'addItemModal' && this.currentPicnic) {
+            this.api.stopTyping(this.getItemsTypingContext());
+        }
     }
 
     /**
@@ -1091,6 +3582,7 @@ class PicnicApp {
             modal.classList.remove('show');
         });
         document.body.style.overflow = '';
+        this.api.setPresenceActivity('viewing');
     }
 
     /**
@@ -1105,6 +3597,10 @@ class PicnicApp {
      * Cleanup when app is destroyed
      */
     destroy() {
+        // Leaving the page ends the undo window; keepalive lets the delete outlive the page
+        this.commitPicnicDeletion({ keepalive: true });
+        clearTimeout(this.statsTimer);
+        
         if (this.api) {
             this.api.destroy();
         }
@@ -1131,7 +3627,10 @@ window.hideError = () => {
 };
 
 // Initialize app when DOM is ready
+// Pages without the app shell, such as the test runner, start PicnicApp themselves
 document.addEventListener('DOMContentLoaded', async () => {
+    if (!document.getElementById('app')) return;
+    
     try {
         window.app = new PicnicApp();
         await window.app.initialize();
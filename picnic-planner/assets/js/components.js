@@ -836,9 +836,11 @@ document.addEventListener('DOMContentLoaded', () => {
         }
     });
     
-    // Initialize date pickers
+    // Initialize date pickers (future dates only; opt out for past-dated fields)
     document.querySelectorAll('input[type="date"]').forEach(input => {
-        components.create('date-time-picker', input);
+        if (!input.dataset.noDatePicker) {
+            components.create('date-time-picker', input);
+        }
     });
 });
 
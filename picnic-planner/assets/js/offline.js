@@ -0,0 +1,196 @@
+/**
+ * PicnicPro Offline Storage
+ * IndexedDB-backed read cache and persistent mutation queue used by PicnicAPI
+ * Falls back to in-memory storage when IndexedDB is unavailable
+ */
+
+class OfflineStore {
+    constructor(dbName = 'picnic-planner-offline', version = 1) {
+        this.dbName = dbName;
+        this.version = version;
+        this.db = null;
+        this.dbPromise = null;
+        this.memoryCache = new Map();
+        this.memoryQueue = [];
+        this.memorySeq = 0;
+    }
+
+    /**
+     * Check whether IndexedDB can be used in this environment
+     */
+    isPersistent() {
+        return typeof window !== 'undefined' && !!window.indexedDB;
+    }
+
+    /**
+     * Open the database, creating object stores on first use
+     */
+    async open() {
+        if (!this.isPersistent()) {
+            return null;
+        }
+
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = window.indexedDB.open(this.dbName, this.version);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('cache')) {
+                        db.createObjectStore('cache', { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains('mutations')) {
+                        db.createObjectStore('mutations', { keyPath: 'seq', autoIncrement: true });
+                    }
+                };
+
+                request.onsuccess = () => {
+                    this.db = request.result;
+                    resolve(this.db);
+                };
+
+                request.onerror = () => reject(request.error);
+            }).catch(error => {
+                // Private browsing and some embedded webviews reject IndexedDB
+                console.warn('IndexedDB unavailable, using in-memory offline store:', error);
+                return null;
+            });
+        }
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a request against an object store and resolve with its result
+     */
+    async withStore(storeName, mode, callback) {
+        const db = await this.open();
+        if (!db) {
+            return undefined;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const store = transaction.objectStore(storeName);
+            const request = callback(store);
+            let result;
+
+            if (request) {
+                request.onsuccess = () => {
+                    result = request.result;
+                };
+            }
+
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Read Cache
+
+    /**
+     * Get a cached response by key
+     */
+    async getCached(key) {
+        const db = await this.open();
+        if (!db) {
+            return this.memoryCache.get(key)?.value;
+        }
+
+        const entry = await this.withStore('cache', 'readonly', store => store.get(key));
+        return entry?.value;
+    }
+
+    /**
+     * Store a response in the cache
+     */
+    async setCached(key, value) {
+        const entry = { key, value, cached_at: new Date().toISOString() };
+
+        const db = await this.open();
+        if (!db) {
+            this.memoryCache.set(key, entry);
+            return;
+        }
+
+        await this.withStore('cache', 'readwrite', store => store.put(entry));
+    }
+
+    // Mutation Queue
+
+    /**
+     * Append a mutation to the queue and return it with its sequence number
+     */
+    async enqueue(mutation) {
+        const record = { ...mutation, queued_at: new Date().toISOString() };
+
+        const db = await this.open();
+        if (!db) {
+            record.seq = ++this.memorySeq;
+            this.memoryQueue.push(record);
+            return record;
+        }
+
+        record.seq = await this.withStore('mutations', 'readwrite', store => store.add(record));
+        return record;
+    }
+
+    /**
+     * Get all queued mutations in the order they were made
+     */
+    async getQueue() {
+        const db = await this.open();
+        if (!db) {
+            return [...this.memoryQueue];
+        }
+
+        const records = await this.withStore('mutations', 'readonly', store => store.getAll());
+        return (records || []).sort((a, b) => a.seq - b.seq);
+    }
+
+    /**
+     * Replace a queued mutation in place
+     */
+    async updateMutation(record) {
+        const db = await this.open();
+        if (!db) {
+            const index = this.memoryQueue.findIndex(m => m.seq === record.seq);
+            if (index !== -1) {
+                this.memoryQueue[index] = record;
+            }
+            return;
+        }
+
+        await this.withStore('mutations', 'readwrite', store => store.put(record));
+    }
+
+    /**
+     * Remove a mutation once it has reached the backend
+     */
+    async removeMutation(seq) {
+        const db = await this.open();
+        if (!db) {
+            this.memoryQueue = this.memoryQueue.filter(m => m.seq !== seq);
+            return;
+        }
+
+        await this.withStore('mutations', 'readwrite', store => store.delete(seq));
+    }
+
+    /**
+     * Clear cache and queue
+     */
+    async clear() {
+        this.memoryCache.clear();
+        this.memoryQueue = [];
+
+        const db = await this.open();
+        if (db) {
+            await this.withStore('cache', 'readwrite', store => store.clear());
+            await this.withStore('mutations', 'readwrite', store => store.clear());
+        }
+    }
+}
+
+window.OfflineStore = OfflineStore;
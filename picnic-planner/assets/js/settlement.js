@@ -0,0 +1,231 @@
+/**
+ * PicnicPro Expense Settlement
+ * Computes net balances per participant and the transfers needed to settle up
+ */
+
+/**
+ * Settlement calculations
+ * All arithmetic is done in integer cents so balances always sum to zero
+ */
+const Settlement = {
+    /**
+     * Convert an amount to integer cents
+     */
+    toCents(amount) {
+        return Math.round((Number(amount) || 0) * 100);
+    },
+
+    /**
+     * Convert integer cents back to an amount
+     */
+    fromCents(cents) {
+        return cents / 100;
+    },
+
+    /**
+     * Split cents across keys proportionally to their weights
+     * Leftover cents from rounding go to the largest fractional parts, ties broken by key order
+     */
+    allocate(totalCents, weights) {
+        const entries = Object.entries(weights).filter(([, weight]) => weight > 0);
+        const totalWeight = entries.reduce((sum, [, weight]) => sum + weight, 0);
+        const allocation = {};
+
+        if (entries.length === 0 || totalWeight === 0) {
+            return allocation;
+        }
+
+        const parts = entries.map(([key, weight]) => {
+            const exact = totalCents * weight / totalWeight;
+            return { key, cents: Math.floor(exact), fraction: exact - Math.floor(exact) };
+        });
+
+        let remainder = totalCents - parts.reduce((sum, part) => sum + part.cents, 0);
+        [...parts]
+            .sort((a, b) => b.fraction - a.fraction || a.key.localeCompare(b.key))
+            .forEach(part => {
+                if (remainder > 0) {
+                    part.cents++;
+                    remainder--;
+                }
+            });
+
+        parts.forEach(part => {
+            allocation[part.key] = part.cents;
+        });
+        return allocation;
+    },
+
+    /**
+     * Check that the exact amounts of a custom split fit within the expense total
+     * Returns an error message, or null when the split is valid
+     */
+    validateCustomShares(expense) {
+        if (expense.split_type !== 'custom') {
+            return null;
+        }
+
+        const assigned = Object.values(expense.shares || {}).reduce((sum, value) => sum + this.toCents(value), 0);
+        return assigned > this.toCents(expense.amount) ? 'Custom amounts add up to more than the total' : null;
+    },
+
+    /**
+     * Work out how much of one expense each user owes, in cents
+     */
+    getExpenseShares(expense, participantsById, organizerId) {
+        const amountCents = this.toCents(expense.amount);
+        const headcount = (userId) => 1 + (participantsById[userId]?.plus_ones || 0);
+
+        // Everyone listed on the expense, or everyone going when no one is listed
+        let sharers = expense.participants && expense.participants.length > 0
+            ? [...new Set(expense.participants)]
+            : Object.values(participantsById)
+                .filter(p => p.rsvp_status === 'going')
+                .map(p => p.user_id);
+
+        if (sharers.length === 0) {
+            sharers = [expense.paid_by];
+        }
+
+        const equalWeights = Object.fromEntries(sharers.map(userId => [userId, headcount(userId)]));
+
+        switch (expense.split_type) {
+            case 'organizer_pays':
+                return { [organizerId || expense.paid_by]: amountCents };
+
+            case 'by_consumption': {
+                // shares holds units consumed per user, e.g. { alice: 3, bob: 1 }
+                const units = expense.shares || {};
+                const weights = Object.fromEntries(
+                    Object.entries(units).map(([userId, value]) => [userId, Number(value) || 0])
+                );
+                const hasUnits = Object.values(weights).some(weight => weight > 0);
+                return this.allocate(amountCents, hasUnits ? weights : equalWeights);
+            }
+
+            case 'custom': {
+                // shares holds exact amounts per user; whatever is left of the total is split equally
+                const error = this.validateCustomShares(expense);
+                if (error) {
+                    throw new RangeError(error);
+                }
+
+                const custom = expense.shares || {};
+                const shares = {};
+                Object.entries(custom).forEach(([userId, value]) => {
+                    shares[userId] = this.toCents(value);
+                });
+
+                const assigned = Object.values(shares).reduce((sum, cents) => sum + cents, 0);
+                const spread = this.allocate(amountCents - assigned, equalWeights);
+                Object.entries(spread).forEach(([userId, cents]) => {
+                    shares[userId] = (shares[userId] || 0) + cents;
+                });
+                return shares;
+            }
+
+            case 'equal':
+            default:
+                return this.allocate(amountCents, equalWeights);
+        }
+    },
+
+    /**
+     * Compute paid, owed and net amounts for every user involved in the expenses
+     */
+    computeBalances(expenses, participants, organizerId = null) {
+        const participantsById = {};
+        participants.forEach(p => {
+            participantsById[p.user_id] = p;
+        });
+
+        const ledger = {};
+        const entry = (userId) => {
+            if (!ledger[userId]) {
+                ledger[userId] = { paid: 0, owed: 0 };
+            }
+            return ledger[userId];
+        };
+
+        expenses.forEach(expense => {
+            entry(expense.paid_by).paid += this.toCents(expense.amount);
+
+            const shares = this.getExpenseShares(expense, participantsById, organizerId);
+            Object.entries(shares).forEach(([userId, cents]) => {
+                entry(userId).owed += cents;
+            });
+        });
+
+        return Object.entries(ledger)
+            .map(([userId, { paid, owed }]) => ({
+                user_id: userId,
+                user_name: participantsById[userId]?.user_name || 'Unknown',
+                paid: this.fromCents(paid),
+                owed: this.fromCents(owed),
+                net: this.fromCents(paid - owed)
+            }))
+            .sort((a, b) => b.net - a.net || a.user_id.localeCompare(b.user_id));
+    },
+
+    /**
+     * Produce the transfers that settle a set of balances
+     * Exact matches are paired first, then the largest debtor pays the largest creditor
+     */
+    computeTransfers(balances) {
+        const creditors = balances
+            .filter(b => b.net > 0)
+            .map(b => ({ user_id: b.user_id, user_name: b.user_name, cents: this.toCents(b.net) }));
+        const debtors = balances
+            .filter(b => b.net < 0)
+            .map(b => ({ user_id: b.user_id, user_name: b.user_name, cents: -this.toCents(b.net) }));
+        const transfers = [];
+
+        const record = (debtor, creditor, cents) => {
+            transfers.push({
+                from: debtor.user_id,
+                from_name: debtor.user_name,
+                to: creditor.user_id,
+                to_name: creditor.user_name,
+                amount: this.fromCents(cents)
+            });
+            debtor.cents -= cents;
+            creditor.cents -= cents;
+        };
+
+        // Pairs that cancel exactly settle with a single transfer each
+        debtors.forEach(debtor => {
+            const match = creditors.find(creditor => creditor.cents > 0 && creditor.cents === debtor.cents);
+            if (match) {
+                record(debtor, match, debtor.cents);
+            }
+        });
+
+        const largest = (list) => list
+            .filter(person => person.cents > 0)
+            .sort((a, b) => b.cents - a.cents || a.user_id.localeCompare(b.user_id))[0];
+
+        let debtor = largest(debtors);
+        let creditor = largest(creditors);
+        while (debtor && creditor) {
+            record(debtor, creditor, Math.min(debtor.cents, creditor.cents));
+            debtor = largest(debtors);
+            creditor = largest(creditors);
+        }
+
+        return transfers;
+    },
+
+    /**
+     * Compute balances and settlement transfers for a picnic
+     */
+    settle(expenses, participants, organizerId = null) {
+        const balances = this.computeBalances(expenses, participants, organizerId);
+        return {
+            total: this.fromCents(expenses.reduce((sum, e) => sum + this.toCents(e.amount), 0)),
+            balances,
+            transfers: this.computeTransfers(balances)
+        };
+    }
+};
+
+window.Settlement = Settlement;
@@ -0,0 +1,250 @@
+/**
+ * PicnicPro State Store
+ * Normalized records keyed by collection and id, with selectors and change subscriptions
+ * Views subscribe to the collections they render instead of being refreshed by hand
+ */
+
+class PicnicStore {
+    constructor({ reduce = null } = {}) {
+        this.collections = new Map();
+        this.listeners = new Set();
+        // Real-time reducer shared with PicnicAPI, working on plain arrays
+        this.reduce = reduce;
+        this.batchDepth = 0;
+        this.pendingChanges = new Set();
+    }
+
+    // Record Access Methods
+
+    /**
+     * Get the records of a collection, keyed by id
+     */
+    getCollection(collection) {
+        if (!this.collections.has(collection)) {
+            this.collections.set(collection, new Map());
+        }
+        return this.collections.get(collection);
+    }
+
+    /**
+     * Get one record by id
+     */
+    get(collection, id) {
+        return this.getCollection(collection).get(id) || null;
+    }
+
+    /**
+     * Get every record in a collection, in insertion order
+     */
+    getAll(collection) {
+        return Array.from(this.getCollection(collection).values());
+    }
+
+    /**
+     * Get the records matching a predicate
+     */
+    filter(collection, predicate) {
+        return this.getAll(collection).filter(predicate);
+    }
+
+    /**
+     * Find the first record matching a predicate
+     */
+    find(collection, predicate) {
+        return this.getAll(collection).find(predicate) || null;
+    }
+
+    // Mutation Methods
+
+    /**
+     * Insert a record or merge it into the stored copy
+     */
+    upsert(collection, record, { prepend = false } = {}) {
+        const records = this.getCollection(collection);
+        const existing = records.get(record.id);
+
+        if (existing) {
+            records.set(record.id, { ...existing, ...record });
+        } else if (prepend) {
+            const entries = Array.from(records.entries());
+            records.clear();
+            records.set(record.id, record);
+            entries.forEach(([id, value]) => records.set(id, value));
+        } else {
+            records.set(record.id, record);
+        }
+
+        this.changed(collection);
+        return records.get(record.id);
+    }
+
+    /**
+     * Remove a record by id
+     */
+    remove(collection, id) {
+        const records = this.getCollection(collection);
+        const existing = records.get(id) || null;
+        if (existing) {
+            records.delete(id);
+            this.changed(collection);
+        }
+        return existing;
+    }
+
+    /**
+     * Remove every record matching a predicate
+     */
+    removeWhere(collection, predicate) {
+        const removed = this.filter(collection, predicate);
+        if (removed.length > 0) {
+            const records = this.getCollection(collection);
+            removed.forEach(record => records.delete(record.id));
+            this.changed(collection);
+        }
+        return removed;
+    }
+
+    /**
+     * Replace the records matching a predicate with a freshly loaded set
+     * Records outside the predicate, e.g. other picnics, are kept
+     */
+    replaceWhere(collection, predicate, records) {
+        const kept = this.getAll(collection).filter(record => !predicate(record));
+        const merged = new Map();
+        [...kept, ...records].forEach(record => merged.set(record.id, record));
+
+        this.collections.set(collection, merged);
+        this.changed(collection);
+    }
+
+    /**
+     * Replace a whole collection
+     */
+    replace(collection, records) {
+        this.replaceWhere(collection, () => true, records);
+    }
+
+    /**
+     * Apply a real-time event to a collection
+     * Returns the record it touched and what happened, as reported by the reducer
+     */
+    applyEvent(collection, event) {
+        if (!this.reduce) {
+            throw new Error('PicnicStore needs a reducer to apply real-time events');
+        }
+
+        const { records, previous, change } = this.reduce(this.getAll(collection), event);
+        if (change) {
+            this.replace(collection, records);
+        }
+        return { previous, change };
+    }
+
+    // Selector Methods
+
+    /**
+     * Get the records of a collection that belong to a picnic
+     */
+    getByPicnic(collection, picnicId) {
+        if (!picnicId) return [];
+        return this.filter(collection, record => record.picnic_id === picnicId);
+    }
+
+    /**
+     * Group a picnic's participants by RSVP status
+     */
+    getParticipantsByStatus(picnicId) {
+        const groups = { going: [], maybe: [], not_going: [], pending: [], waitlisted: [] };
+        this.getByPicnic('participants', picnicId).forEach(participant => {
+            const status = participant.rsvp_status || 'pending';
+            if (!groups[status]) {
+                groups[status] = [];
+            }
+            groups[status].push(participant);
+        });
+        return groups;
+    }
+
+    /**
+     * Derive the counts shown for a picnic from the loaded records
+     */
+    getPicnicStats(picnicId) {
+        const participants = this.getParticipantsByStatus(picnicId);
+        const items = this.getByPicnic('items', picnicId);
+        const expenses = this.getByPicnic('expenses', picnicId);
+
+        return {
+            participants: this.getByPicnic('participants', picnicId).length,
+            going: participants.going.length,
+            items: items.length,
+            itemsAssigned: items.filter(item => item.assigned_to).length,
+            expenses: expenses.length,
+            expenseTotal: Settlement.fromCents(expenses.reduce((sum, e) => sum + Settlement.toCents(e.amount), 0))
+        };
+    }
+
+    // Subscription Methods
+
+    /**
+     * Listen for changes to some collections, or to all of them when none are given
+     * Returns a function that removes the listener
+     */
+    subscribe(collections, callback) {
+        const listener = {
+            collections: collections ? new Set([].concat(collections)) : null,
+            callback
+        };
+        this.listeners.add(listener);
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * Run several mutations and notify listeners once at the end
+     */
+    batch(fn) {
+        this.batchDepth++;
+        try {
+            return fn();
+        } finally {
+            this.batchDepth--;
+            if (this.batchDepth === 0) {
+                this.flush();
+            }
+        }
+    }
+
+    /**
+     * Record that a collection changed, notifying listeners unless inside a batch
+     */
+    changed(collection) {
+        this.pendingChanges.add(collection);
+        if (this.batchDepth === 0) {
+            this.flush();
+        }
+    }
+
+    /**
+     * Notify listeners about the collections changed since the last flush
+     */
+    flush() {
+        if (this.pendingChanges.size === 0) return;
+
+        const changed = new Set(this.pendingChanges);
+        this.pendingChanges.clear();
+
+        this.listeners.forEach(listener => {
+            const relevant = listener.collections
+                ? [...changed].filter(collection => listener.collections.has(collection))
+                : [...changed];
+            if (relevant.length === 0) return;
+
+            try {
+                listener.callback({ collections: relevant, store: this });
+            } catch (error) {
+                console.error('Store listener failed:', error);
+            }
+        });
+    }
+}
+
+window.PicnicStore = PicnicStore;
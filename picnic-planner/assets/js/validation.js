@@ -0,0 +1,161 @@
+/**
+ * PicnicPro Schema Validation
+ * Checks documents against the collection schemas defined in PicnicAPI.getCollectionConfigs
+ * so invalid data is caught, with a message per field, before it is sent
+ */
+
+/**
+ * Schema validator
+ * Supports type, required, enum, pattern, minLength, maxLength, minimum, maximum, format,
+ * nested object properties and array items; errors are keyed by field path, e.g. `location.name`
+ */
+const SchemaValidator = {
+    /**
+     * Checks for the `format` keyword
+     */
+    formats: {
+        date: value => /^\d{4}-\d{2}-\d{2}$/.test(value) &&
+            !isNaN(Date.parse(value)) &&
+            new Date(`${value}T00:00:00Z`).toISOString().startsWith(value),
+        'date-time': value => /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(value) && !isNaN(Date.parse(value)),
+        email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)
+    },
+
+    /**
+     * How each type and format is described in messages
+     */
+    descriptions: {
+        string: 'text',
+        number: 'a number',
+        integer: 'a whole number',
+        boolean: 'yes or no',
+        object: 'a group of fields',
+        array: 'a list',
+        date: 'a valid date',
+        'date-time': 'a valid date and time',
+        email: 'a valid email address'
+    },
+
+    /**
+     * Validate a document against a collection schema and return errors by field path
+     * With partial, missing required fields are allowed, as for updates
+     */
+    validate(schema, data, { partial = false } = {}) {
+        const errors = {};
+        this.validateProperties(schema.properties || {}, data || {}, '', errors, partial);
+        return errors;
+    },
+
+    /**
+     * Validate each property of an object, recording errors under prefix
+     */
+    validateProperties(properties, data, prefix, errors, partial) {
+        Object.entries(properties).forEach(([name, rules]) => {
+            const path = prefix ? `${prefix}.${name}` : name;
+            const message = this.validateValue(rules, data[name], path, errors, partial);
+            if (message) {
+                errors[path] = message;
+            }
+        });
+    },
+
+    /**
+     * Validate one value and return its error message, or null when it is valid
+     * Nested object properties record their own errors
+     */
+    validateValue(rules, value, path, errors, partial) {
+        const label = this.getLabel(path);
+
+        if (this.isEmpty(value)) {
+            return rules.required && !partial ? `${label} is required` : null;
+        }
+        if (rules.type && !this.matchesType(rules.type, value)) {
+            return `${label} must be ${this.descriptions[rules.type] || rules.type}`;
+        }
+        if (rules.enum && !rules.enum.includes(value)) {
+            return `Choose a valid ${label.toLowerCase()}`;
+        }
+
+        if (typeof value === 'string') {
+            if (rules.minLength != null && value.length < rules.minLength) {
+                return `${label} must be at least ${rules.minLength} characters`;
+            }
+            if (rules.maxLength != null && value.length > rules.maxLength) {
+                return `${label} must be ${rules.maxLength} characters or less`;
+            }
+            if (rules.pattern && !new RegExp(rules.pattern).test(value)) {
+                return `${label} is not in the expected format`;
+            }
+            if (rules.format && this.formats[rules.format] && !this.formats[rules.format](value)) {
+                return `${label} must be ${this.descriptions[rules.format]}`;
+            }
+        }
+
+        if (typeof value === 'number') {
+            if (rules.minimum != null && value < rules.minimum) {
+                return rules.minimum === 0 ? `${label} cannot be negative` : `${label} must be at least ${rules.minimum}`;
+            }
+            if (rules.maximum != null && value > rules.maximum) {
+                return `${label} must be ${rules.maximum} or less`;
+            }
+        }
+
+        if (rules.type === 'object' && rules.properties) {
+            this.validateProperties(rules.properties, value, path, errors, partial);
+        }
+
+        if (rules.type === 'array' && rules.items) {
+            for (let i = 0; i < value.length; i++) {
+                const message = this.validateValue(rules.items, value[i], `${path}.${i}`, errors, partial);
+                if (message) {
+                    return `${label} contains an invalid entry: ${message}`;
+                }
+            }
+        }
+
+        return null;
+    },
+
+    /**
+     * Whether a value counts as not filled in
+     * Forms produce empty strings and NaN for blank inputs
+     */
+    isEmpty(value) {
+        return value === undefined ||
+            value === null ||
+            (typeof value === 'string' && value.trim() === '') ||
+            (typeof value === 'number' && isNaN(value));
+    },
+
+    /**
+     * Check a value against a schema type
+     */
+    matchesType(type, value) {
+        switch (type) {
+            case 'string':
+                return typeof value === 'string';
+            case 'number':
+                return typeof value === 'number' && Number.isFinite(value);
+            case 'integer':
+                return Number.isInteger(value);
+            case 'boolean':
+                return typeof value === 'boolean';
+            case 'object':
+                return typeof value === 'object' && !Array.isArray(value);
+            case 'array':
+                return Array.isArray(value);
+            default:
+                return true;
+        }
+    },
+
+    /**
+     * Turn a field path into a label, e.g. `location.name` into "Location name"
+     */
+    getLabel(path) {
+        const words = path.replace(/[._]/g, ' ').replace(/\s+\d+(?=\s|$)/g, '').trim();
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+};
+
+window.SchemaValidator = SchemaValidator;
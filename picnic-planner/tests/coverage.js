@@ -0,0 +1,557 @@
+/**
+ * PicnicPro Coverage Collector
+ * Line and branch coverage for the app's scripts from V8's precise block coverage,
+ * for the headless runner (run-tests.js); the browser runner cannot collect it
+ */
+
+const fs = require('fs');
+const path = require('path');
+const inspector = require('inspector');
+
+const PUNCTUATORS = [
+    '>>>=', '...', '===', '!==', '**=', '<<=', '>>=', '>>>', '&&=', '||=', '??=',
+    '=>', '==', '!=', '<=', '>=', '&&', '||', '??', '?.', '++', '--',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '**', '<<', '>>'
+];
+
+// A `/` after these keywords starts a regular expression rather than a division
+const REGEX_KEYWORDS = new Set(['return', 'typeof', 'instanceof', 'in', 'of', 'new', 'delete', 'void', 'throw', 'case', 'do', 'else', 'yield', 'await']);
+
+const OPENERS = new Set(['(', '[', '{']);
+const CLOSERS = new Set([')', ']', '}']);
+
+// Lines made only of these tokens, e.g. `}` or `} else {`, are not counted as executable
+const NON_EXECUTABLE = new Set(['}', ')', ']', ';', ',', '{', 'else']);
+
+const LOGICAL_OPERATORS = new Set(['&&', '||', '??']);
+
+class CoverageCollector {
+    constructor({ root, files = [] } = {}) {
+        this.root = root;
+        this.files = files;
+        this.session = null;
+    }
+
+    // Collection Methods
+
+    /**
+     * Start V8 precise coverage; scripts must load after this to be counted
+     */
+    async start() {
+        this.session = new inspector.Session();
+        this.session.connect();
+        await this.post('Profiler.enable');
+        await this.post('Profiler.startPreciseCoverage', { callCount: true, detailed: true });
+    }
+
+    /**
+     * Stop coverage and build a report for the files served from baseUrl
+     */
+    async stop(baseUrl) {
+        const { result } = await this.post('Profiler.takePreciseCoverage');
+        await this.post('Profiler.stopPreciseCoverage');
+        await this.post('Profiler.disable');
+        this.session.disconnect();
+        this.session = null;
+
+        const scripts = new Map();
+        result.filter(script => script.url.startsWith(baseUrl)).forEach(script => {
+            const file = decodeURIComponent(new URL(script.url).pathname).replace(/^\//, '');
+            if (!scripts.has(file)) scripts.set(file, []);
+            scripts.get(file).push(script.functions);
+        });
+
+        const files = this.files.map(file => this.analyzeFile(file, scripts.get(file) || []));
+        return { files, totals: this.summarize(files) };
+    }
+
+    /**
+     * Send an inspector command and resolve with its result
+     */
+    post(method, params = {}) {
+        return new Promise((resolve, reject) => {
+            this.session.post(method, params, (error, result) => error ? reject(error) : resolve(result));
+        });
+    }
+
+    // Analysis Methods
+
+    /**
+     * Count executable lines and branch paths of one file
+     * Files that were never loaded report every line and branch as uncovered
+     */
+    analyzeFile(file, executions) {
+        const source = fs.readFileSync(path.join(this.root, file), 'utf8');
+        const counts = this.paintCounts(source.length, executions);
+        const tokens = this.tokenize(source);
+        const lineStarts = [0];
+        for (let i = 0; i < source.length; i++) {
+            if (source[i] === '\n') lineStarts.push(i + 1);
+        }
+
+        const lineOf = (offset) => {
+            let low = 0;
+            let high = lineStarts.length - 1;
+            while (low < high) {
+                const mid = Math.ceil((low + high) / 2);
+                if (lineStarts[mid] <= offset) low = mid;
+                else high = mid - 1;
+            }
+            return low + 1;
+        };
+        const countAt = offset => counts[offset] || 0;
+
+        // A line's hits are those of its first statement-like token
+        const lines = new Map();
+        tokens.forEach(token => {
+            const line = lineOf(token.start);
+            if (lines.has(line) || NON_EXECUTABLE.has(token.value) || token.value.startsWith('}')) return;
+            lines.set(line, countAt(token.start));
+        });
+
+        const branches = this.findBranches(tokens).map(branch => {
+            const paths = branch.paths.map(offset => countAt(offset));
+            if (branch.implicitElse) {
+                paths.push(Math.max(0, countAt(branch.start) - paths[0]));
+            }
+            return { type: branch.type, line: lineOf(branch.start), paths };
+        });
+
+        const paths = branches.flatMap(branch => branch.paths);
+        return {
+            file,
+            source,
+            loaded: executions.length > 0,
+            lines,
+            branches,
+            totals: {
+                lines: this.percentage([...lines.values()].filter(count => count > 0).length, lines.size),
+                branches: this.percentage(paths.filter(count => count > 0).length, paths.length)
+            }
+        };
+    }
+
+    /**
+     * Spread V8's nested ranges into a hit count per source offset
+     * Ranges are nested, so painting outer ranges before inner ones leaves the innermost count
+     */
+    paintCounts(length, executions) {
+        const counts = new Float64Array(length);
+
+        executions.forEach(functions => {
+            const painted = new Float64Array(length);
+            functions
+                .flatMap(fn => fn.ranges)
+                .sort((a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset)
+                .forEach(range => painted.fill(range.count, range.startOffset, Math.min(range.endOffset, length)));
+            painted.forEach((count, offset) => { counts[offset] += count; });
+        });
+
+        return counts;
+    }
+
+    /**
+     * Split source into tokens, enough to find statements and branch points
+     * Template literals are split around their ${} expressions so those are scanned too
+     */
+    tokenize(source) {
+        const tokens = [];
+        const braces = [];
+        let i = 0;
+
+        const push = (type, start) => tokens.push({ type, value: source.slice(start, i), start });
+        const regexAllowed = () => {
+            const previous = tokens[tokens.length - 1];
+            if (!previous) return true;
+            if (previous.type === 'name') return REGEX_KEYWORDS.has(previous.value);
+            return previous.type === 'punct' && previous.value !== ')' && previous.value !== ']';
+        };
+        const readTemplate = (start) => {
+            while (i < source.length) {
+                if (source[i] === '\\') {
+                    i += 2;
+                } else if (source[i] === '`') {
+                    i++;
+                    break;
+                } else if (source[i] === '$' && source[i + 1] === '{') {
+                    i += 2;
+                    braces.push('template');
+                    break;
+                } else {
+                    i++;
+                }
+            }
+            push('template', start);
+        };
+
+        while (i < source.length) {
+            const ch = source[i];
+            const start = i;
+
+            if (/\s/.test(ch)) {
+                i++;
+            } else if (source.startsWith('//', i)) {
+                const end = source.indexOf('\n', i);
+                i = end === -1 ? source.length : end;
+            } else if (source.startsWith('/*', i)) {
+                const end = source.indexOf('*/', i + 2);
+                i = end === -1 ? source.length : end + 2;
+            } else if (ch === '"' || ch === '\'') {
+                i++;
+                while (i < source.length && source[i] !== ch) {
+                    i += source[i] === '\\' ? 2 : 1;
+                }
+                i++;
+                push('string', start);
+            } else if (ch === '`') {
+                i++;
+                readTemplate(start);
+            } else if (ch === '}' && braces[braces.length - 1] === 'template') {
+                braces.pop();
+                i++;
+                readTemplate(start);
+            } else if (/\d/.test(ch) || (ch === '.' && /\d/.test(source[i + 1]))) {
+                i++;
+                while (i < source.length && /[\w.]/.test(source[i])) i++;
+                push('number', start);
+            } else if (/[A-Za-z_$#\u0080-\uffff]/.test(ch)) {
+                i++;
+                while (i < source.length && /[\w$\u0080-\uffff]/.test(source[i])) i++;
+                push('name', start);
+            } else if (ch === '/' && regexAllowed()) {
+                let inClass = false;
+                i++;
+                while (i < source.length && source[i] !== '\n') {
+                    if (source[i] === '\\') {
+                        i += 2;
+                        continue;
+                    }
+                    if (source[i] === '[') inClass = true;
+                    else if (source[i] === ']') inClass = false;
+                    else if (source[i] === '/' && !inClass) break;
+                    i++;
+                }
+                i++;
+                while (i < source.length && /\w/.test(source[i])) i++;
+                push('regex', start);
+            } else {
+                const operator = PUNCTUATORS.find(op => source.startsWith(op, i) && !(op === '?.' && /\d/.test(source[i + 2])));
+                i += operator ? operator.length : 1;
+                if (ch === '{' && !operator) braces.push('code');
+                if (ch === '}' && !operator) braces.pop();
+                push('punct', start);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Find if/else, ternary, logical and switch branch points with the offset where each path starts
+     */
+    findBranches(tokens) {
+        const branches = [];
+        const isPunct = (token, value) => token && token.type === 'punct' && token.value === value;
+        const isName = (token, value) => token && token.type === 'name' && token.value === value;
+
+        tokens.forEach((token, index) => {
+            const previous = tokens[index - 1];
+            const next = tokens[index + 1];
+            if (!next || isPunct(previous, '.') || isPunct(previous, '?.')) return;
+
+            if (isName(token, 'if') && isPunct(next, '(')) {
+                const consequent = this.matchBracket(tokens, index + 1) + 1;
+                if (!tokens[consequent]) return;
+                const end = this.statementEnd(tokens, consequent);
+                const alternate = isName(tokens[end + 1], 'else') ? tokens[end + 2] : null;
+                branches.push({
+                    type: 'if',
+                    start: token.start,
+                    paths: alternate ? [tokens[consequent].start, alternate.start] : [tokens[consequent].start],
+                    implicitElse: !alternate
+                });
+            } else if (isPunct(token, '?')) {
+                const colon = this.findTernaryColon(tokens, index);
+                if (colon === -1 || !tokens[colon + 1]) return;
+                branches.push({ type: 'cond-expr', start: token.start, paths: [next.start, tokens[colon + 1].start] });
+            } else if (token.type === 'punct' && LOGICAL_OPERATORS.has(token.value) && previous) {
+                branches.push({ type: 'binary-expr', start: token.start, paths: [previous.start, next.start] });
+            } else if (isName(token, 'switch') && isPunct(next, '(')) {
+                const open = this.matchBracket(tokens, index + 1) + 1;
+                if (!isPunct(tokens[open], '{')) return;
+                const close = this.matchBracket(tokens, open);
+                const paths = [];
+                let depth = 0;
+                for (let i = open + 1; i < close; i++) {
+                    const current = tokens[i];
+                    if (current.type === 'punct' && OPENERS.has(current.value)) depth++;
+                    else if (current.type === 'punct' && CLOSERS.has(current.value)) depth--;
+                    else if (depth === 0 && (isName(current, 'case') || (isName(current, 'default') && isPunct(tokens[i + 1], ':')))) {
+                        paths.push(current.start);
+                    }
+                }
+                if (paths.length > 0) {
+                    branches.push({ type: 'switch', start: token.start, paths });
+                }
+            }
+        });
+
+        return branches;
+    }
+
+    /**
+     * Index of the bracket closing the one at index
+     */
+    matchBracket(tokens, index) {
+        let depth = 0;
+        for (let i = index; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'punct') continue;
+            if (OPENERS.has(token.value)) depth++;
+            else if (CLOSERS.has(token.value) && --depth === 0) return i;
+        }
+        return tokens.length - 1;
+    }
+
+    /**
+     * Index of the last token of the statement starting at index
+     */
+    statementEnd(tokens, index) {
+        const token = tokens[index];
+        if (token.type === 'punct' && token.value === '{') {
+            return this.matchBracket(tokens, index);
+        }
+        if (token.type === 'name' && token.value === 'if' && tokens[index + 1]) {
+            const end = this.statementEnd(tokens, Math.min(this.matchBracket(tokens, index + 1) + 1, tokens.length - 1));
+            const next = tokens[end + 1];
+            return next && next.type === 'name' && next.value === 'else' && tokens[end + 2] ? this.statementEnd(tokens, end + 2) : end;
+        }
+
+        let depth = 0;
+        for (let i = index; i < tokens.length; i++) {
+            const current = tokens[i];
+            if (current.type === 'punct') {
+                if (OPENERS.has(current.value)) depth++;
+                else if (CLOSERS.has(current.value) && --depth < 0) return i - 1;
+                else if (current.value === ';' && depth === 0) return i;
+            }
+            const next = tokens[i + 1];
+            if (depth === 0 && next && next.type === 'name' && next.value === 'else') return i;
+        }
+        return tokens.length - 1;
+    }
+
+    /**
+     * Index of the `:` matching the `?` at index, or -1
+     */
+    findTernaryColon(tokens, index) {
+        let depth = 0;
+        let nested = 0;
+        for (let i = index + 1; i < tokens.length; i++) {
+            const token = tokens[i];
+            if (token.type !== 'punct') continue;
+            if (OPENERS.has(token.value)) {
+                depth++;
+            } else if (CLOSERS.has(token.value)) {
+                if (--depth < 0) return -1;
+            } else if (depth === 0 && token.value === '?') {
+                nested++;
+            } else if (depth === 0 && token.value === ':') {
+                if (nested === 0) return i;
+                nested--;
+            }
+        }
+        return -1;
+    }
+
+    /**
+     * Add up line and branch totals across files
+     */
+    summarize(files) {
+        const sum = (key, field) => files.reduce((total, file) => total + file.totals[key][field], 0);
+        return {
+            lines: this.percentage(sum('lines', 'covered'), sum('lines', 'total')),
+            branches: this.percentage(sum('branches', 'covered'), sum('branches', 'total'))
+        };
+    }
+
+    /**
+     * Covered/total with a percentage; nothing to cover counts as 100%
+     */
+    percentage(covered, total) {
+        return { covered, total, pct: total === 0 ? 100 : Math.floor((covered / total) * 10000) / 100 };
+    }
+
+    // Report Methods
+
+    /**
+     * Describe which minimum percentages were not met
+     */
+    checkThresholds(report, thresholds) {
+        return Object.entries(thresholds)
+            .filter(([key, minimum]) => minimum != null && report.totals[key].pct < minimum)
+            .map(([key, minimum]) => `${key === 'lines' ? 'Line' : 'Branch'} coverage ${report.totals[key].pct}% is below the ${minimum}% threshold`);
+    }
+
+    /**
+     * Format a per-file table for the terminal
+     */
+    formatText(report) {
+        const width = Math.max(9, ...report.files.map(file => file.file.length)) + 2;
+        const cell = ({ pct, covered, total }) => `${pct.toFixed(2)}% (${covered}/${total})`.padEnd(22);
+        const rows = report.files.map(file => `${file.file.padEnd(width)}${cell(file.totals.lines)}${cell(file.totals.branches)}${file.loaded ? '' : 'not loaded'}`.trimEnd());
+
+        return [
+            `${'File'.padEnd(width)}${'Lines'.padEnd(22)}Branches`,
+            ...rows,
+            `${'All files'.padEnd(width)}${cell(report.totals.lines)}${cell(report.totals.branches)}`.trimEnd()
+        ].join('\n');
+    }
+
+    /**
+     * Render a standalone HTML report with annotated source for each file
+     */
+    renderHtml(report) {
+        const escape = value => String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const anchor = file => `file-${file.replace(/[^\w]+/g, '-')}`;
+        const level = pct => pct >= 80 ? 'high' : pct >= 50 ? 'medium' : 'low';
+        const cell = totals => `<td class="${level(totals.pct)}">${totals.pct.toFixed(2)}%</td><td class="fraction">${totals.covered}/${totals.total}</td>`;
+
+        const summaryRows = report.files.map(file => `
+                <tr>
+                    <td><a href="#${anchor(file.file)}">${escape(file.file)}</a>${file.loaded ? '' : ' <span class="note">not loaded by the tests</span>'}</td>
+                    ${cell(file.totals.lines)}
+                    ${cell(file.totals.branches)}
+                </tr>`).join('');
+
+        const sections = report.files.map(file => {
+            const missed = new Map();
+            file.branches.forEach(branch => {
+                const untaken = branch.paths.filter(count => count === 0).length;
+                if (untaken === 0) return;
+                const notes = missed.get(branch.line) || [];
+                notes.push(`${branch.type}: ${untaken} of ${branch.paths.length} paths not taken`);
+                missed.set(branch.line, notes);
+            });
+
+            const rows = file.source.split('\n').map((text, index) => {
+                const line = index + 1;
+                const hits = file.lines.get(line);
+                const state = hits === undefined ? '' : hits === 0 ? 'uncovered' : missed.has(line) ? 'partial' : 'covered';
+                const notes = missed.get(line);
+                const badge = notes ? `<span class="branch" title="${escape(notes.join('\n'))}">${notes.length === 1 ? 'B' : `B×${notes.length}`}</span>` : '';
+                return `<tr class="${state}"><td class="line">${line}</td><td class="hits">${hits === undefined ? '' : `${hits}×`}${badge}</td><td class="code">${escape(text)}</td></tr>`;
+            }).join('\n');
+
+            return `
+        <section class="file" id="${anchor(file.file)}">
+            <h2>${escape(file.file)}</h2>
+            <p>Lines ${file.totals.lines.pct.toFixed(2)}% · Branches ${file.totals.branches.pct.toFixed(2)}%</p>
+            <table class="source">
+${rows}
+            </table>
+        </section>`;
+        }).join('');
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>PicnicPro Coverage Report</title>
+    <style>
+        body {
+            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
+            padding: 20px;
+            line-height: 1.6;
+            background: #f5f5f5;
+        }
+
+        .coverage-container {
+            max-width: 1200px;
+            margin: 0 auto;
+            background: white;
+            padding: 30px;
+            border-radius: 8px;
+            box-shadow: 0 2px 10px rgba(0,0,0,0.1);
+        }
+
+        h2 {
+            color: #333;
+            border-bottom: 2px solid #2ECC71;
+            padding-bottom: 10px;
+        }
+
+        table.summary {
+            border-collapse: collapse;
+            width: 100%;
+        }
+
+        table.summary th,
+        table.summary td {
+            text-align: left;
+            padding: 8px 12px;
+            border-bottom: 1px solid #e0e0e0;
+        }
+
+        .high { background: #d4edda; }
+        .medium { background: #fff3cd; }
+        .low { background: #f8d7da; }
+        .fraction, .note { color: #6c757d; }
+
+        table.source {
+            border-collapse: collapse;
+            width: 100%;
+            font-family: monospace;
+            font-size: 12px;
+            line-height: 1.4;
+        }
+
+        table.source td { padding: 0 8px; vertical-align: top; }
+        table.source .line { color: #6c757d; text-align: right; user-select: none; }
+        table.source .hits { color: #6c757d; text-align: right; white-space: nowrap; }
+        table.source .code { white-space: pre; }
+        tr.covered .hits { background: #d4edda; }
+        tr.uncovered { background: #f8d7da; }
+        tr.partial { background: #fff3cd; }
+
+        .branch {
+            margin-left: 4px;
+            padding: 0 4px;
+            border-radius: 3px;
+            background: #ffc107;
+            color: #333;
+            cursor: help;
+        }
+    </style>
+</head>
+<body>
+    <div class="coverage-container">
+        <h1>🧺 PicnicPro Coverage Report</h1>
+        <p>Generated ${escape(new Date().toISOString())} by <code>node tests/run-tests.js --coverage</code>. Highlighted lines were never run; <span class="branch">B</span> marks branches with untaken paths.</p>
+
+        <table class="summary">
+            <thead>
+                <tr><th>File</th><th colspan="2">Lines</th><th colspan="2">Branches</th></tr>
+            </thead>
+            <tbody>${summaryRows}
+                <tr>
+                    <th>All files</th>
+                    ${cell(report.totals.lines)}
+                    ${cell(report.totals.branches)}
+                </tr>
+            </tbody>
+        </table>
+${sections}
+    </div>
+</body>
+</html>
+`;
+    }
+}
+
+module.exports = CoverageCollector;
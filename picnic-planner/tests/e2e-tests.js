@@ -3,55 +3,78 @@
  * Tests complete user workflows and scenarios
  */
 
+/**
+ * Install an in-memory stand-in for window.picnicAPI and return its records
+ * Like PicnicAPI, a new picnic gets the current user as organizer and first participant,
+ * and writes go through makeRequest so a test can take the API offline
+ */
+function installMockAPI() {
+    const mockAPI = {
+        picnics: [],
+        participants: [],
+        items: [],
+        expenses: [],
+        nextId: 1
+    };
+    const collections = {
+        picnics: { records: 'picnics', prefix: 'picnic' },
+        picnic_participants: { records: 'participants', prefix: 'participant' },
+        picnic_items: { records: 'items', prefix: 'item' },
+        picnic_expenses: { records: 'expenses', prefix: 'expense' }
+    };
+
+    const api = {
+        initialize: async () => true,
+        makeRequest: async (endpoint, method = 'GET', data = null) => {
+            const collection = collections[endpoint.split('/')[1]];
+            if (!collection || method !== 'POST') {
+                throw new Error(`Mock API does not support ${method} ${endpoint}`);
+            }
+            const record = { ...data, id: `${collection.prefix}-${mockAPI.nextId++}`, created_at: new Date().toISOString() };
+            mockAPI[collection.records].push(record);
+            return record;
+        },
+        createPicnic: async (data) => {
+            const picnic = await api.makeRequest('/picnics', 'POST', { ...data, organizer_id: api.getCurrentUserId() });
+            await api.makeRequest('/picnic_participants', 'POST', {
+                picnic_id: picnic.id,
+                user_id: api.getCurrentUserId(),
+                user_name: api.getCurrentUserName(),
+                rsvp_status: 'going'
+            });
+            return picnic;
+        },
+        listPicnics: async () => ({ documents: mockAPI.picnics }),
+        getPicnic: async (id) => mockAPI.picnics.find(p => p.id === id),
+        createParticipant: async (data) => api.makeRequest('/picnic_participants', 'POST', data),
+        getParticipantsByPicnic: async (picnicId) => mockAPI.participants.filter(p => p.picnic_id === picnicId),
+        createItem: async (data) => api.makeRequest('/picnic_items', 'POST', data),
+        getItemsByPicnic: async (picnicId) => mockAPI.items.filter(i => i.picnic_id === picnicId),
+        createExpense: async (data) => api.makeRequest('/picnic_expenses', 'POST', data),
+        getExpensesByPicnic: async (picnicId) => mockAPI.expenses.filter(e => e.picnic_id === picnicId),
+        subscribe: () => () => {},
+        on: () => {},
+        emit: () => {},
+        getCurrentUserId: () => 'test-user-123',
+        getCurrentUserName: () => 'Test User',
+        getCurrentUserEmail: () => 'test@example.com'
+    };
+
+    window.picnicAPI = api;
+    return mockAPI;
+}
+
 describe('E2E Tests - Complete Picnic Planning Workflow', () => {
-    let app;
     let mockAPI;
+    let originalAPI;
 
     beforeEach(() => {
-        // Setup mock API responses
-        mockAPI = {
-            picnics: [],
-            participants: [],
-            items: [],
-            expenses: [],
-            nextId: 1
-        };
-        
-        // Mock the global API
-        window.picnicAPI = {
-            initialize: async () => true,
-            createPicnic: async (data) => {
-                const picnic = { ...data, id: `picnic-${mockAPI.nextId++}`, created_at: new Date().toISOString() };
-                mockAPI.picnics.push(picnic);
-                return picnic;
-            },
-            listPicnics: async () => ({ documents: mockAPI.picnics }),
-            getPicnic: async (id) => mockAPI.picnics.find(p => p.id === id),
-            createParticipant: async (data) => {
-                const participant = { ...data, id: `participant-${mockAPI.nextId++}` };
-                mockAPI.participants.push(participant);
-                return participant;
-            },
-            getParticipantsByPicnic: async (picnicId) => mockAPI.participants.filter(p => p.picnic_id === picnicId),
-            createItem: async (data) => {
-                const item = { ...data, id: `item-${mockAPI.nextId++}` };
-                mockAPI.items.push(item);
-                return item;
-            },
-            getItemsByPicnic: async (picnicId) => mockAPI.items.filter(i => i.picnic_id === picnicId),
-            createExpense: async (data) => {
-                const expense = { ...data, id: `expense-${mockAPI.nextId++}` };
-                mockAPI.expenses.push(expense);
-                return expense;
-            },
-            getExpensesByPicnic: async (picnicId) => mockAPI.expenses.filter(e => e.picnic_id === picnicId),
-            subscribe: () => () => {},
-            on: () => {},
-            emit: () => {},
-            getCurrentUserId: () => 'test-user-123',
-            getCurrentUserName: () => 'Test User',
-            getCurrentUserEmail: () => 'test@example.com'
-        };
+        originalAPI = window.picnicAPI;
+        mockAPI = installMockAPI();
+    });
+
+    afterEach(() => {
+        window.picnicAPI = originalAPI;
     });
 
     it('should complete full picnic creation workflow', async () => {
@@ -347,8 +370,9 @@ describe('E2E Tests - Complete Picnic Planning Workflow', () => {
                 summary.by_payer[expense.paid_by] += expense.amount;
             });
 
-            const goingParticipants = participants.filter(p => p.rsvp_status === 'going');
-            summary.participant_count = goingParticipants.length;
+            // Each expense is split equally between the people it lists, not everyone going
+            const sharingParticipants = participants.filter(p => expenses.some(e => e.participants.includes(p.user_id)));
+            summary.participant_count = sharingParticipants.length;
             summary.per_person = summary.participant_count > 0 ? summary.total / summary.participant_count : 0;
 
             return summary;
@@ -619,6 +643,18 @@ describe('E2E Tests - Complete Picnic Planning Workflow', () => {
 });
 
 describe('E2E Tests - Error Scenarios and Edge Cases', () => {
+    let mockAPI;
+    let originalAPI;
+
+    beforeEach(() => {
+        originalAPI = window.picnicAPI;
+        mockAPI = installMockAPI();
+    });
+
+    afterEach(() => {
+        window.picnicAPI = originalAPI;
+    });
+
     it('should handle invalid form submissions gracefully', async () => {
         // Test with missing required fields
         const invalidForm = document.createElement('form');
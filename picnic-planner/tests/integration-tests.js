@@ -99,6 +99,7 @@ describe('Integration Tests - API and Components', () => {
         const deletedCollections = [];
         
         // Mock API responses for related data
+        api.getPicnic = async () => mockPicnic;
         api.getParticipantsByPicnic = async () => [mockParticipant];
         api.getItemsByPicnic = async () => [mockItem];
         api.getExpensesByPicnic = async () => [mockExpense];
@@ -120,6 +121,25 @@ describe('Integration Tests - API and Components', () => {
         expect(deletedCollections).toContain('picnic_expenses');
     });
 
+    it('should only let the organizer plan a picnic deletion', async () => {
+        api.getParticipantsByPicnic = async () => [mockParticipant, { ...mockParticipant, id: 'test-participant-457' }];
+        api.getItemsByPicnic = async () => [mockItem];
+        api.getExpensesByPicnic = async () => [];
+        
+        api.getPicnic = async () => mockPicnic;
+        const plan = await api.getPicnicDeletionPlan('test-picnic-123');
+        expect(plan.counts).toEqual({ participants: 2, items: 1, expenses: 0 });
+        
+        api.getPicnic = async () => ({ ...mockPicnic, organizer_id: 'someone-else' });
+        let rejected = false;
+        try {
+            await api.getPicnicDeletionPlan('test-picnic-123');
+        } catch (error) {
+            rejected = error.message.includes('organizer');
+        }
+        expect(rejected).toBeTruthy();
+    });
+
     it('should calculate expense summary correctly', async () => {
         const expenses = [
             { ...mockExpense, amount: 30.00, category: 'food' },
@@ -146,6 +166,73 @@ describe('Integration Tests - API and Components', () => {
         expect(summary.per_person).toBe(32.50); // 65 / 2
     });
 
+    it('should compute settlement from picnic expenses and participants', async () => {
+        api.getPicnic = async () => mockPicnic;
+        api.getExpensesByPicnic = async () => [
+            { ...mockExpense, amount: 60.00, paid_by: 'test-user-123', participants: [] },
+            { ...mockExpense, amount: 20.00, paid_by: 'test-user-456', split_type: 'organizer_pays' }
+        ];
+        api.getParticipantsByPicnic = async () => [
+            { ...mockParticipant, user_id: 'test-user-123', user_name: 'Organizer', plus_ones: 0 },
+            { ...mockParticipant, plus_ones: 1 }
+        ];
+        
+        const settlement = await api.getSettlement('test-picnic-123');
+        
+        expect(settlement.total).toBe(80.00);
+        expect(settlement.transfers.length).toBe(1);
+        expect(settlement.transfers[0].from).toBe('test-user-456');
+        expect(settlement.transfers[0].to).toBe('test-user-123');
+        expect(settlement.transfers[0].amount).toBe(20.00); // owes 40 for two heads, paid 20
+    });
+
+    it('should send version-checked expense edits and deletes', async () => {
+        const requests = [];
+        api.makeRequest = async (endpoint, method, data, retryCount, options) => {
+            requests.push({ endpoint, method, data, headers: options?.headers });
+            return method === 'DELETE' ? { success: true } : { ...mockExpense, ...data };
+        };
+        
+        const updated = await api.updateExpense('test-expense-101', { amount: 90.00, split_type: 'custom', shares: { 'test-user-456': 30 } }, '2025-08-18T14:30:00Z');
+        await api.deleteExpense('test-expense-101');
+        
+        expect(updated.amount).toBe(90.00);
+        expect(requests[0].endpoint).toBe('/picnic_expenses/test-expense-101');
+        expect(requests[0].method).toBe('PUT');
+        expect(requests[0].headers['If-Match']).toBe('"2025-08-18T14:30:00Z"');
+        expect(requests[0].data.shares['test-user-456']).toBe(30);
+        expect(requests[1].endpoint).toBe('/picnic_expenses/test-expense-101');
+        expect(requests[1].method).toBe('DELETE');
+    });
+
+    it('should attach and remove expense receipts', async () => {
+        const deleted = [];
+        let saved = null;
+        
+        api.uploadReceipt = async () => ({
+            file_id: 'file-1',
+            thumbnail_id: 'file-1-thumb',
+            filename: 'receipt.jpg',
+            content_type: 'image/jpeg'
+        });
+        api.updateExpense = async (id, updates) => {
+            saved = { ...mockExpense, ...saved, ...updates };
+            return saved;
+        };
+        api.deleteFile = async (fileId) => {
+            deleted.push(fileId);
+        };
+        
+        const withReceipt = await api.addExpenseReceipt(mockExpense, new File(['x'], 'receipt.jpg', { type: 'image/jpeg' }));
+        expect(withReceipt.receipts.length).toBe(1);
+        expect(withReceipt.receipt_url).toBe('/api/files/file-1');
+        
+        const withoutReceipt = await api.removeExpenseReceipt(withReceipt, 'file-1');
+        expect(withoutReceipt.receipts.length).toBe(0);
+        expect(withoutReceipt.receipt_url).toBe('');
+        expect(deleted).toEqual(['file-1', 'file-1-thumb']);
+    });
+
     it('should handle item assignment correctly', async () => {
         let updatedItem = null;
         
@@ -238,25 +325,238 @@ describe('Integration Tests - Real-time Features', () => {
     });
 
     it('should handle WebSocket reconnection', () => {
+        jest.useFakeTimers();
         api.wsReconnectAttempts = 0;
         api.maxWsReconnectAttempts = 3;
         
-        const originalConnectWebSocket = api.connectWebSocket.bind(api);
-        let reconnectAttempts = 0;
-        
-        api.connectWebSocket = async () => {
-            reconnectAttempts++;
-            return originalConnectWebSocket();
-        };
+        const connectSpy = jest.spyOn(api, 'connectWebSocket');
         
         // Simulate connection failure
         api.scheduleReconnect();
+        expect(connectSpy).not.toHaveBeenCalled();
         
         // Fast-forward time to trigger reconnection
-        setTimeout(() => {
-            expect(reconnectAttempts).toBeGreaterThan(0);
-            expect(api.wsReconnectAttempts).toBeGreaterThan(0);
-        }, 100);
+        jest.advanceTimersByTime(api.wsReconnectDelay);
+        expect(connectSpy).toHaveBeenCalledTimes(1);
+        expect(api.wsReconnectAttempts).toBe(1);
+    });
+
+    it('should replay subscriptions and resync missed changes after reconnecting', async () => {
+        const sent = [];
+        const received = [];
+        const states = [];
+        let query = null;
+        
+        api.subscribe('picnic_items', (event) => received.push(event), null, { picnic_id: 'picnic-1' });
+        api.lastEventAt.set('picnic_items', '2025-08-01T10:00:00.000Z');
+        api.onConnectionStateChange((state) => states.push(state));
+        api.makeRequest = async (endpoint, method, data) => {
+            query = data;
+            return {
+                results: [
+                    { id: 'item-1', picnic_id: 'picnic-1', created_at: '2025-07-30T10:00:00.000Z', updated_at: '2025-08-01T10:05:00.000Z' },
+                    { id: 'item-2', picnic_id: 'picnic-1', created_at: '2025-08-01T10:06:00.000Z', updated_at: '2025-08-01T10:06:00.000Z' }
+                ]
+            };
+        };
+        
+        const RealWebSocket = window.WebSocket;
+        window.WebSocket = class {
+            constructor() {
+                this.readyState = RealWebSocket.OPEN;
+                this.send = (message) => sent.push(JSON.parse(message));
+                this.close = () => {};
+            }
+        };
+        window.WebSocket.OPEN = RealWebSocket.OPEN;
+        
+        api.ws = null;
+        api.hasConnected = true;
+        await api.connectWebSocket();
+        api.ws.onopen();
+        await new Promise(resolve => setTimeout(resolve, 0));
+        window.WebSocket = RealWebSocket;
+        
+        expect(sent[0]).toEqual({ type: 'subscribe', collection: 'picnic_items', eventType: null, filters: { picnic_id: 'picnic-1' } });
+        expect(query.filters).toEqual([{ field: 'picnic_id', operator: '==', value: 'picnic-1' }]);
+        expect(received.map(e => `${e.type}:${e.id}`)).toEqual(['document_updated:item-1', 'document_created:item-2']);
+        expect(api.lastEventAt.get('picnic_items')).toBe('2025-08-01T10:06:00.000Z');
+        expect(states).toContain('reconnecting');
+        expect(states[states.length - 1]).toBe('connected');
+        
+        api.ws.onclose = null;
+    });
+
+    it('should resync every watched picnic with a single query', async () => {
+        const queries = [];
+        api.subscribe('picnic_items', () => {}, null, { picnic_id: 'picnic-1' });
+        api.subscribe('picnic_items', () => {}, null, { picnic_id: 'picnic-2' });
+        api.lastEventAt.set('picnic_items', '2025-08-01T10:00:00.000Z');
+        api.makeRequest = async (endpoint, method, data) => {
+            queries.push(data);
+            return { results: [] };
+        };
+        
+        await api.resyncSubscriptions();
+        
+        expect(queries.length).toBe(1);
+        expect(queries[0].or_filters).toEqual([
+            [{ field: 'picnic_id', operator: '==', value: 'picnic-1' }],
+            [{ field: 'picnic_id', operator: '==', value: 'picnic-2' }]
+        ]);
+    });
+
+    it('should replay records deleted while disconnected as deletions', async () => {
+        const received = [];
+        api.subscribe('picnic_items', (event) => received.push(event), null, { picnic_id: 'picnic-1' });
+        api.lastEventAt.set('picnic_items', '2025-08-01T10:00:00.000Z');
+        api.rememberRecords('picnic_items', [
+            { id: 'item-1', picnic_id: 'picnic-1', created_at: '2025-07-30T10:00:00.000Z', updated_at: '2025-07-30T10:00:00.000Z' },
+            { id: 'item-2', picnic_id: 'picnic-1', created_at: '2025-07-30T10:00:00.000Z', updated_at: '2025-07-30T10:00:00.000Z' },
+            { id: 'item-3', picnic_id: 'picnic-2', created_at: '2025-07-30T10:00:00.000Z', updated_at: '2025-07-30T10:00:00.000Z' }
+        ]);
+        api.makeRequest = async () => ({
+            results: [{ id: 'item-1', picnic_id: 'picnic-1', created_at: '2025-07-30T10:00:00.000Z', updated_at: '2025-07-30T10:00:00.000Z' }]
+        });
+        
+        await api.resyncSubscriptions();
+        
+        expect(received).toEqual([{ type: 'document_deleted', collection: 'picnic_items', data: null, id: 'item-2' }]);
+        expect(api.getKnownRecord('picnic_items', 'item-2')).toBe(null);
+        expect(api.getKnownRecord('picnic_items', 'item-3')).toBeTruthy();
+        expect(api.lastEventAt.get('picnic_items')).toBe('2025-08-01T10:00:00.000Z');
+    });
+
+    it('should resync every change missed during a long disconnect', async () => {
+        const received = [];
+        const missed = Array.from({ length: 130 }, (_, i) => ({
+            id: `item-${i}`,
+            picnic_id: 'picnic-1',
+            created_at: '2025-07-30T10:00:00.000Z',
+            updated_at: new Date(Date.UTC(2025, 7, 1, 11, 0, i)).toISOString()
+        }));
+        api.subscribe('picnic_items', (event) => received.push(event), null, { picnic_id: 'picnic-1' });
+        api.lastEventAt.set('picnic_items', '2025-08-01T10:00:00.000Z');
+        api.makeRequest = async (endpoint, method, { page, limit }) => ({
+            results: missed.slice((page - 1) * limit, page * limit),
+            hasNext: page * limit < missed.length
+        });
+        
+        await api.resyncSubscriptions();
+        
+        expect(received.length).toBe(130);
+        expect(api.lastEventAt.get('picnic_items')).toBe(missed[129].updated_at);
+    });
+});
+
+describe('Integration Tests - Real-time Reducer', () => {
+    let api;
+    let items;
+
+    beforeEach(() => {
+        api = new PicnicAPI();
+        items = [
+            { id: 'item-1', picnic_id: 'picnic-1', name: 'Plates', updated_at: '2024-06-01T10:00:00Z' },
+            { id: 'item-2', picnic_id: 'picnic-1', name: 'Cups', updated_at: '2024-06-01T10:00:00Z' }
+        ];
+    });
+
+    it('should append records created by other users', () => {
+        const { records, change } = api.applyRealtimeEvent(items, {
+            type: 'document_created',
+            id: 'item-3',
+            data: { picnic_id: 'picnic-1', name: 'Napkins' }
+        });
+        
+        expect(change).toBe('added');
+        expect(records.length).toBe(3);
+        expect(records[2].id).toBe('item-3');
+        expect(items.length).toBe(2);
+    });
+
+    it('should merge a create echo into the record inserted locally', () => {
+        const local = [...items, { id: 'offline-1', client_id: 'offline-1', picnic_id: 'picnic-1', name: 'Ice', _pending_sync: true }];
+        
+        const { records, change } = api.applyRealtimeEvent(local, {
+            type: 'document_created',
+            data: { id: 'item-3', client_id: 'offline-1', picnic_id: 'picnic-1', name: 'Ice' }
+        });
+        
+        expect(change).toBe('merged');
+        expect(records.length).toBe(3);
+        expect(records[2].id).toBe('item-3');
+        
+        // The same create arriving twice is not duplicated
+        const again = api.applyRealtimeEvent(records, {
+            type: 'document_created',
+            data: { id: 'item-3', client_id: 'offline-1', picnic_id: 'picnic-1', name: 'Ice' }
+        });
+        expect(again.records.length).toBe(3);
+    });
+
+    it('should apply updates and ignore stale ones', () => {
+        const newer = api.applyRealtimeEvent(items, {
+            type: 'document_updated',
+            data: { id: 'item-1', assigned_to: 'user-2', updated_at: '2024-06-01T11:00:00Z' }
+        });
+        expect(newer.change).toBe('updated');
+        expect(newer.previous.assigned_to).toBe(undefined);
+        expect(newer.records[0].assigned_to).toBe('user-2');
+        expect(newer.records[0].name).toBe('Plates');
+        
+        const stale = api.applyRealtimeEvent(newer.records, {
+            type: 'document_updated',
+            data: { id: 'item-1', assigned_to: null, updated_at: '2024-06-01T10:30:00Z' }
+        });
+        expect(stale.change).toBe(null);
+        expect(stale.records).toBe(newer.records);
+    });
+
+    it('should ignore updates for records that are not loaded', () => {
+        const { records, change } = api.applyRealtimeEvent(items, {
+            type: 'document_updated',
+            data: { id: 'item-9', name: 'Elsewhere' }
+        });
+        
+        expect(change).toBe(null);
+        expect(records).toBe(items);
+    });
+
+    it('should remove deleted records', () => {
+        const { records, previous, change } = api.applyRealtimeEvent(items, {
+            type: 'document_deleted',
+            id: 'item-2'
+        });
+        
+        expect(change).toBe('removed');
+        expect(previous.name).toBe('Cups');
+        expect(records.map(r => r.id)).toEqual(['item-1']);
+        
+        const missing = api.applyRealtimeEvent(records, { type: 'document_deleted', id: 'item-2' });
+        expect(missing.change).toBe(null);
+    });
+
+    it('should reduce participant, item and expense events the same way', () => {
+        const participants = [{ id: 'part-1', picnic_id: 'picnic-1', user_id: 'user-1', rsvp_status: 'going' }];
+        const expenses = [{ id: 'exp-1', picnic_id: 'picnic-1', amount: 20 }];
+        
+        const rsvp = api.applyRealtimeEvent(participants, {
+            type: 'document_updated',
+            data: { id: 'part-1', rsvp_status: 'maybe' }
+        });
+        expect(rsvp.records[0].rsvp_status).toBe('maybe');
+        
+        // Cascade from deletePicnic arrives as one deletion per record
+        const cascade = [
+            ['part-1', rsvp.records],
+            ['item-1', items],
+            ['exp-1', expenses]
+        ].map(([id, records]) => api.applyRealtimeEvent(records, { type: 'document_deleted', id }));
+        
+        expect(cascade.map(result => result.change)).toEqual(['removed', 'removed', 'removed']);
+        expect(cascade[0].records.length).toBe(0);
+        expect(cascade[1].records.length).toBe(1);
+        expect(cascade[2].records.length).toBe(0);
     });
 });
 
@@ -384,25 +684,16 @@ describe('Integration Tests - Form Validation and UI', () => {
 });
 
 describe('Integration Tests - Local Storage and State', () => {
-    let originalLocalStorage;
-
     beforeEach(() => {
-        // Mock localStorage
-        originalLocalStorage = global.localStorage;
-        global.localStorage = {
-            getItem: jest.fn(),
-            setItem: jest.fn(),
-            removeItem: jest.fn(),
-            clear: jest.fn()
-        };
-    });
-
-    afterEach(() => {
-        global.localStorage = originalLocalStorage;
+        // window.localStorage cannot be replaced, so stub the Storage methods it inherits
+        jest.spyOn(Storage.prototype, 'getItem').mockReturnValue(null);
+        jest.spyOn(Storage.prototype, 'setItem').mockImplementation(() => {});
+        jest.spyOn(Storage.prototype, 'removeItem').mockImplementation(() => {});
+        jest.spyOn(Storage.prototype, 'clear').mockImplementation(() => {});
     });
 
     it('should handle theme persistence', () => {
-        global.localStorage.getItem.mockReturnValue('dark');
+        localStorage.getItem.mockReturnValue('dark');
         
         // Simulate theme initialization
         const theme = localStorage.getItem('picnic-theme') || 'auto';
@@ -430,7 +721,7 @@ describe('Integration Tests - Local Storage and State', () => {
         );
         
         // Simulate retrieving cached data
-        global.localStorage.getItem.mockReturnValue(JSON.stringify(testData));
+        localStorage.getItem.mockReturnValue(JSON.stringify(testData));
         const cachedData = JSON.parse(localStorage.getItem('cached-picnics') || '[]');
         
         expect(cachedData).toEqual(testData);
@@ -464,10 +755,12 @@ describe('Integration Tests - Error Recovery', () => {
     it('should retry failed requests', async () => {
         // Mock fetch to fail first few times, then succeed
         const originalFetch = global.fetch;
+        api.retryDelay = 0;
         global.fetch = jest.fn(() => {
             retryCount++;
             if (retryCount < 3) {
-                return Promise.reject(new Error('Network error'));
+                // What fetch rejects with when the network is down
+                return Promise.reject(new TypeError('Failed to fetch'));
             }
             return Promise.resolve({
                 ok: true,
@@ -569,7 +862,8 @@ describe('Integration Tests - Error Recovery', () => {
 });
 
 describe('Integration Tests - Performance and Optimization', () => {
-    it('should throttle search requests', (done) => {
+    it('should throttle search requests', () => {
+        jest.useFakeTimers();
         let searchCount = 0;
         
         const throttledSearch = Utils.throttle(() => {
@@ -585,11 +879,9 @@ describe('Integration Tests - Performance and Optimization', () => {
         // Should only execute once initially
         expect(searchCount).toBe(1);
         
-        setTimeout(() => {
-            throttledSearch();
-            expect(searchCount).toBe(2);
-            done();
-        }, 150);
+        jest.advanceTimersByTime(150);
+        throttledSearch();
+        expect(searchCount).toBe(2);
     });
 
     it('should cache frequently accessed data', () => {
@@ -652,4 +944,795 @@ describe('Integration Tests - Performance and Optimization', () => {
         expect(operations.every(op => op.operation === 'update')).toBeTruthy();
         expect(operations.every(op => op.collection === 'picnic_items')).toBeTruthy();
     });
-});
\ No newline at end of file
+});
+
+describe('Integration Tests - Offline Mode', () => {
+    let api;
+    let originalFetch;
+
+    beforeEach(async () => {
+        api = new PicnicAPI();
+        api.offline = new OfflineStore('picnic-test-offline');
+        await api.offline.clear();
+        api.retryDelay = 0;
+        originalFetch = global.fetch;
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('should serve cached reads when offline', async () => {
+        global.fetch = async () => ({
+            ok: true,
+            json: async () => ({ results: [{ id: 'item-1', picnic_id: 'picnic-1', name: 'Plates' }] })
+        });
+        
+        const online = await api.getItemsByPicnic('picnic-1');
+        expect(online.length).toBe(1);
+        
+        // Let the cache write settle before going offline
+        await new Promise(resolve => setTimeout(resolve, 0));
+        api.isOnline = false;
+        global.fetch = async () => { throw new TypeError('Failed to fetch'); };
+        
+        const offline = await api.getItemsByPicnic('picnic-1');
+        expect(offline.length).toBe(1);
+        expect(offline[0].name).toBe('Plates');
+    });
+
+    it('should queue writes while offline and mark them pending', async () => {
+        api.isOnline = false;
+        let fetchCalled = false;
+        global.fetch = async () => { fetchCalled = true; };
+        
+        const item = await api.createItem({ picnic_id: 'picnic-1', name: 'Lemonade', category: 'drinks', quantity_needed: 2 });
+        
+        expect(fetchCalled).toBeFalsy();
+        expect(item.id).toContain('offline-');
+        expect(item.client_id).toBe(item.id);
+        expect(api.isPendingSync(item.id)).toBeTruthy();
+        expect((await api.offline.getQueue()).length).toBe(1);
+        
+        const items = await api.getItemsByPicnic('picnic-1');
+        expect(items.length).toBe(1);
+        expect(items[0]._pending_sync).toBeTruthy();
+    });
+
+    it('should add a queued create once when reading every page offline', async () => {
+        const stored = Array.from({ length: 25 }, (_, i) => ({ id: `item-${i}`, picnic_id: 'picnic-1', name: `Item ${i}` }));
+        global.fetch = async (url, options) => {
+            const { page, limit } = JSON.parse(options.body);
+            return {
+                ok: true,
+                json: async () => ({ results: stored.slice((page - 1) * limit, page * limit), hasNext: page * limit < stored.length })
+            };
+        };
+        const query = { filters: [{ field: 'picnic_id', operator: '==', value: 'picnic-1' }] };
+        
+        expect((await api.queryAll('picnic_items', query, { pageSize: 20 })).length).toBe(25);
+        await new Promise(resolve => setTimeout(resolve, 0));
+        api.isOnline = false;
+        global.fetch = async () => { throw new TypeError('Failed to fetch'); };
+        await api.createItem({ picnic_id: 'picnic-1', name: 'Lemonade', category: 'drinks', quantity_needed: 2 });
+        
+        const offline = await api.queryAll('picnic_items', query, { pageSize: 20 });
+        expect(offline.length).toBe(26);
+        expect(offline.filter(item => item.name === 'Lemonade').length).toBe(1);
+    });
+
+    it('should keep the client id of an optimistic record when queueing it', async () => {
+        api.isOnline = false;
+        
+        const item = await api.createItem({ picnic_id: 'picnic-1', name: 'Ice', category: 'drinks', quantity_needed: 1, client_id: 'local-1' });
+        
+        expect(item.id).toContain('offline-');
+        expect(item.client_id).toBe('local-1');
+        
+        // The app matches the queued copy to its optimistic record by client_id
+        const { records, change } = api.applyRealtimeEvent(
+            [{ id: 'local-1', client_id: 'local-1', name: 'Ice', _optimistic: true }],
+            { type: 'document_created', data: item }
+        );
+        expect(change).toBe('merged');
+        expect(records.length).toBe(1);
+        expect(records[0].id).toBe(item.id);
+    });
+
+    it('should replay queued writes in order and remap offline ids', async () => {
+        api.isOnline = false;
+        const picnic = await api.makeRequest('/picnics', 'POST', { title: 'Offline Picnic' });
+        await api.createParticipant({ picnic_id: picnic.id, user_id: 'test-user-123', user_name: 'Test User' });
+        
+        const requests = [];
+        global.fetch = async (url, options) => {
+            const body = options.body ? JSON.parse(options.body) : null;
+            requests.push({ url, method: options.method, body });
+            return {
+                ok: true,
+                json: async () => ({ ...body, id: url.endsWith('/picnics') ? 'picnic-real' : 'participant-real' })
+            };
+        };
+        
+        api.isOnline = true;
+        await api.syncPendingMutations();
+        
+        expect(requests.length).toBe(2);
+        expect(requests[0].url).toBe('/api/picnics');
+        expect(requests[1].body.picnic_id).toBe('picnic-real');
+        expect(api.isPendingSync(picnic.id)).toBeFalsy();
+        expect((await api.offline.getQueue()).length).toBe(0);
+    });
+
+    it('should keep the queue when the network is still down', async () => {
+        api.isOnline = false;
+        await api.updateParticipant('participant-1', { rsvp_status: 'going' });
+        
+        api.isOnline = true;
+        api.retryAttempts = 0;
+        global.fetch = async () => { throw new TypeError('Failed to fetch'); };
+        
+        await api.syncPendingMutations();
+        
+        expect((await api.offline.getQueue()).length).toBe(1);
+        expect(api.isPendingSync('participant-1')).toBeTruthy();
+    });
+
+    it('should keep writes the backend rejects until they are retried or discarded', async () => {
+        api.isOnline = false;
+        await api.updateItem('item-1', { name: 'Plates' });
+        await api.updateItem('item-2', { name: 'Cups' });
+        await api.updateItem('item-3', { name: 'Napkins' });
+
+        const failed = [];
+        api.on('offline:sync-failed', ({ mutation }) => failed.push(mutation));
+        global.fetch = async (url, options) => (url.endsWith('/item-2')
+            ? { ok: true, json: async () => ({ id: 'item-2' }) }
+            : { ok: false, status: 400, statusText: 'Bad Request', json: async () => ({ message: 'Name is taken' }) });
+
+        api.isOnline = true;
+        await api.syncPendingMutations();
+
+        // The rejected writes stay queued and pending, without blocking the one after them
+        expect(failed.length).toBe(2);
+        const rejected = await api.getFailedMutations();
+        expect(rejected.map(m => m.operations[0].id)).toEqual(['item-1', 'item-3']);
+        expect(rejected[0].failed.message).toBe('Name is taken');
+        expect(api.isPendingSync('item-1')).toBeTruthy();
+        expect(api.isPendingSync('item-2')).toBeFalsy();
+
+        // Later passes leave them alone
+        let requests = 0;
+        global.fetch = async () => {
+            requests++;
+            return { ok: true, json: async () => ({ id: 'item-1' }) };
+        };
+        await api.syncPendingMutations();
+        expect(requests).toBe(0);
+
+        await api.retryMutation(rejected[0].seq);
+        expect(requests).toBe(1);
+        expect(api.isPendingSync('item-1')).toBeFalsy();
+
+        await api.discardMutation(rejected[1].seq);
+        expect((await api.offline.getQueue()).length).toBe(0);
+        expect(api.isPendingSync('item-3')).toBeFalsy();
+    });
+
+    it('should keep an offline edit that conflicts with the other version for merging', async () => {
+        api.isOnline = false;
+        await api.updateItem('item-1', { name: 'Paper plates' }, '2025-08-01T10:00:00.000Z');
+
+        let failure = null;
+        api.on('offline:sync-failed', (event) => { failure = event; });
+        const remote = { id: 'item-1', name: 'Plates', updatedAt: '2025-08-01T11:00:00.000Z' };
+        global.fetch = async () => ({
+            ok: false,
+            status: 412,
+            json: async () => ({ message: 'This record was changed by someone else', current: remote })
+        });
+
+        api.isOnline = true;
+        await api.syncPendingMutations();
+
+        expect(failure.error instanceof ConflictError).toBeTruthy();
+        expect(failure.error.local.name).toBe('Paper plates');
+        const [queued] = await api.getFailedMutations();
+        expect(queued.failed.conflict.remote).toEqual(remote);
+        expect(api.isPendingSync('item-1')).toBeTruthy();
+    });
+});
+
+describe('Integration Tests - Conflict Detection', () => {
+    let api;
+    let originalFetch;
+    let requests;
+
+    beforeEach(() => {
+        api = new PicnicAPI();
+        originalFetch = global.fetch;
+        requests = [];
+    });
+
+    afterEach(() => {
+        global.fetch = originalFetch;
+    });
+
+    it('should send the expected version as an If-Match precondition', async () => {
+        global.fetch = async (url, options) => {
+            requests.push({ url, options });
+            return { ok: true, status: 200, json: async () => ({ id: 'item-1' }) };
+        };
+        
+        await api.updateItem('item-1', { name: 'Plates' }, '2025-08-01T10:00:00.000Z');
+        
+        expect(requests[0].options.method).toBe('PUT');
+        expect(requests[0].options.headers['If-Match']).toBe('"2025-08-01T10:00:00.000Z"');
+    });
+
+    it('should raise a ConflictError with both versions on 409', async () => {
+        const remote = { id: 'picnic-1', title: 'Their Title', updated_at: '2025-08-02T10:00:00.000Z' };
+        global.fetch = async (url, options) => {
+            requests.push({ url, options });
+            if (options.method === 'PUT') {
+                return { ok: false, status: 409, json: async () => ({ message: 'Version mismatch' }) };
+            }
+            return { ok: true, status: 200, json: async () => remote };
+        };
+        
+        let conflict = null;
+        try {
+            await api.updatePicnic('picnic-1', { title: 'My Title' }, '2025-08-01T10:00:00.000Z');
+        } catch (error) {
+            conflict = error;
+        }
+        
+        expect(conflict).toBeInstanceOf(ConflictError);
+        expect(conflict.collection).toBe('picnics');
+        expect(conflict.id).toBe('picnic-1');
+        expect(conflict.local.title).toBe('My Title');
+        expect(conflict.remote.title).toBe('Their Title');
+    });
+
+    it('should use the copy included in a 412 response without refetching', async () => {
+        global.fetch = async (url, options) => {
+            requests.push({ url, options });
+            return {
+                ok: false,
+                status: 412,
+                json: async () => ({ current: { id: 'participant-1', rsvp_status: 'maybe' } })
+            };
+        };
+        
+        let conflict = null;
+        try {
+            await api.updateParticipant('participant-1', { rsvp_status: 'going' }, 'v1');
+        } catch (error) {
+            conflict = error;
+        }
+        
+        expect(requests.length).toBe(1);
+        expect(conflict.remote.rsvp_status).toBe('maybe');
+    });
+});
+/**
+ * App markup from index.html, loaded once and mounted into a fixture for each app test
+ */
+let appMarkup = null;
+
+/**
+ * Start a PicnicApp on a copy of the app markup without connecting to the backend
+ * Reads answer with an empty page; tests stub the API methods they exercise
+ */
+async function createTestApp() {
+    if (!appMarkup) {
+        const html = await (await fetch('../index.html')).text();
+        const page = new DOMParser().parseFromString(html, 'text/html');
+        page.querySelectorAll('script').forEach(script => script.remove());
+        appMarkup = page.body.innerHTML;
+    }
+
+    const fixture = document.createElement('div');
+    fixture.id = 'appFixture';
+    fixture.hidden = true;
+    fixture.innerHTML = appMarkup;
+    document.body.appendChild(fixture);
+
+    const api = new PicnicAPI();
+    api.offline = new OfflineStore('picnic-test-app');
+    jest.spyOn(api, 'makeRequest').mockResolvedValue({ results: [], total: 0, hasNext: false });
+
+    const app = new PicnicApp();
+    app.api = api;
+    app.currentUser = { id: api.getCurrentUserId(), name: api.getCurrentUserName(), email: api.getCurrentUserEmail() };
+    app.setupEventListeners();
+    app.setupStoreSubscriptions();
+    window.app = app;
+
+    return { app, api, fixture };
+}
+
+/**
+ * Tear down an app started by createTestApp
+ */
+function destroyTestApp({ app, fixture }) {
+    if (app.pendingPicnicDeletion) {
+        clearTimeout(app.pendingPicnicDeletion.timer);
+    }
+    clearTimeout(app.statsTimer);
+    fixture.remove();
+    window.app = null;
+    document.body.style.overflow = '';
+}
+
+/**
+ * Open a picnic in the test app with the given records
+ */
+async function openTestPicnic({ app, api }, { picnic, participants = [], items = [], expenses = [] }) {
+    jest.spyOn(api, 'getPicnic').mockResolvedValue(picnic);
+    jest.spyOn(api, 'getParticipantsByPicnic').mockResolvedValue(participants);
+    jest.spyOn(api, 'getItemsByPicnic').mockResolvedValue(items);
+    jest.spyOn(api, 'getExpensesByPicnic').mockResolvedValue(expenses);
+    await app.openPicnic(picnic.id);
+}
+
+/**
+ * Fill the named fields of a form
+ */
+function fillForm(form, values) {
+    Object.entries(values).forEach(([name, value]) => {
+        form.querySelector(`[name="${name}"]`).value = value;
+    });
+}
+
+describe('Integration Tests - Expense Form', () => {
+    let context;
+    let form;
+
+    const picnic = { id: 'picnic-1', title: 'Lake Day', date: '2025-08-20', time: '12:00', organizer_id: 'test-user-123', status: 'planning' };
+    const participants = [
+        { id: 'participant-1', picnic_id: 'picnic-1', user_id: 'test-user-123', user_name: 'Test User', rsvp_status: 'going', plus_ones: 0 },
+        { id: 'participant-2', picnic_id: 'picnic-1', user_id: 'user-2', user_name: 'Bea', rsvp_status: 'going', plus_ones: 1 },
+        { id: 'participant-3', picnic_id: 'picnic-1', user_id: 'user-3', user_name: 'Cal', rsvp_status: 'maybe', plus_ones: 0 }
+    ];
+    const expense = {
+        id: 'expense-1',
+        picnic_id: 'picnic-1',
+        description: 'Charcoal',
+        amount: 12,
+        paid_by: 'user-2',
+        category: 'supplies',
+        split_type: 'equal',
+        participants: ['test-user-123', 'user-2'],
+        payment_method: 'card',
+        date: '2025-08-01T12:00:00.000Z',
+        updatedAt: '2025-08-01T12:00:00.000Z'
+    };
+
+    beforeEach(async () => {
+        context = await createTestApp();
+        await openTestPicnic(context, { picnic, participants, expenses: [expense] });
+        form = document.getElementById('addExpenseForm');
+    });
+
+    afterEach(() => {
+        destroyTestApp(context);
+    });
+
+    it('should open a blank form shared by everyone going', () => {
+        context.app.openAddExpenseModal();
+
+        expect(document.getElementById('addExpenseModal').classList.contains('show')).toBeTruthy();
+        expect(document.getElementById('expenseModalTitle').textContent).toBe('Add Expense');
+        expect(document.getElementById('deleteExpenseBtn').style.display).toBe('none');
+        expect(document.getElementById('expensePaidBy').value).toBe('test-user-123');
+
+        const shared = [...form.querySelectorAll('input[name="expenseParticipant"]:checked')].map(input => input.value);
+        expect(shared).toEqual(['test-user-123', 'user-2']);
+    });
+
+    it('should show field errors and not save an invalid expense', async () => {
+        const createExpense = jest.spyOn(context.api, 'createExpense');
+        context.app.openAddExpenseModal();
+        fillForm(form, { description: '', amount: '-5' });
+
+        await context.app.saveExpense();
+
+        expect(createExpense).not.toHaveBeenCalled();
+        expect(form.querySelector('[data-error-for="description"]').textContent).toBe('Description is required');
+        expect(form.querySelector('[data-error-for="amount"]').textContent).toBe('Amount cannot be negative');
+        expect(document.getElementById('addExpenseModal').classList.contains('show')).toBeTruthy();
+    });
+
+    it('should flag custom amounts over the total on the shared with list', async () => {
+        const createExpense = jest.spyOn(context.api, 'createExpense');
+        context.app.openAddExpenseModal();
+        fillForm(form, { description: 'Ice', amount: '10', split_type: 'custom' });
+        form.querySelector('.expense-share[data-user-id="test-user-123"]').value = '6';
+        form.querySelector('.expense-share[data-user-id="user-2"]').value = '6';
+
+        await context.app.saveExpense();
+
+        expect(createExpense).not.toHaveBeenCalled();
+        expect(form.querySelector('[data-error-for="participants"]').textContent).toBe('Custom amounts add up to more than the total');
+    });
+
+    it('should add a valid expense to the list', async () => {
+        const createExpense = jest.spyOn(context.api, 'createExpense')
+            .mockImplementation(async (data) => ({ ...data, id: 'expense-2' }));
+        context.app.openAddExpenseModal();
+        fillForm(form, { description: 'Lemonade', amount: '9', category: 'drinks', date: '2025-08-02' });
+
+        await context.app.saveExpense();
+
+        expect(createExpense).toHaveBeenCalledTimes(1);
+        const [data] = createExpense.mock.calls[0];
+        expect(data.picnic_id).toBe('picnic-1');
+        expect(data.amount).toBe(9);
+        expect(data.participants).toEqual(['test-user-123', 'user-2']);
+        expect(data.per_person_amount).toBe(3);
+        expect(context.app.expenses.map(e => e.id)).toEqual(['expense-2', 'expense-1']);
+        expect(document.getElementById('expensesList').textContent).toContain('Lemonade');
+        expect(document.getElementById('addExpenseModal').classList.contains('show')).toBeFalsy();
+    });
+
+    it('should show the current user\'s share from the settlement', () => {
+        const share = () => document.querySelector('#expensesList .expense-per-person').textContent;
+
+        // Bea brings a plus-one, so the 12 splits 4 / 8 rather than 6 each
+        expect(share()).toBe('Your share: $4.00');
+
+        context.app.store.upsert('expenses', {
+            ...expense,
+            id: 'expense-2',
+            amount: 10,
+            split_type: 'custom',
+            shares: { 'test-user-123': 1 },
+            participants: ['user-2']
+        });
+
+        expect(share()).toBe('Your share: $5.00');
+    });
+
+    it('should edit an existing expense against the version it was read at', async () => {
+        const updateExpense = jest.spyOn(context.api, 'updateExpense')
+            .mockImplementation(async (id, data) => ({ ...expense, ...data, id }));
+        context.app.openAddExpenseModal('expense-1');
+
+        expect(document.getElementById('expenseModalTitle').textContent).toBe('Edit Expense');
+        expect(document.getElementById('expenseDescription').value).toBe('Charcoal');
+        expect(document.getElementById('expensePaymentMethod').value).toBe('card');
+        expect(document.getElementById('deleteExpenseBtn').style.display).toBe('');
+
+        fillForm(form, { amount: '15' });
+        await context.app.saveExpense();
+
+        expect(updateExpense).toHaveBeenCalledTimes(1);
+        const [id, data, version] = updateExpense.mock.calls[0];
+        expect(id).toBe('expense-1');
+        expect(data.amount).toBe(15);
+        expect(version).toBe('2025-08-01T12:00:00.000Z');
+        expect(context.app.expenses.find(e => e.id === 'expense-1').amount).toBe(15);
+    });
+
+    it('should delete an expense only once confirmed', async () => {
+        const deleteExpense = jest.spyOn(context.api, 'deleteExpense').mockResolvedValue({ success: true });
+        const confirm = jest.spyOn(window, 'confirm').mockReturnValue(false);
+
+        expect(await context.app.confirmDeleteExpense('expense-1')).toBeFalsy();
+        expect(deleteExpense).not.toHaveBeenCalled();
+
+        confirm.mockReturnValue(true);
+        expect(await context.app.confirmDeleteExpense('expense-1')).toBeTruthy();
+        expect(deleteExpense).toHaveBeenCalledWith('expense-1');
+        expect(context.app.expenses.length).toBe(0);
+        expect(document.getElementById('expensesList').textContent).toContain('No expenses yet');
+    });
+});
+
+describe('Integration Tests - Picnic Deletion Undo', () => {
+    let context;
+    let deletePicnic;
+
+    const picnic = { id: 'picnic-1', title: 'Lake Day', date: '2025-08-20', time: '12:00', organizer_id: 'test-user-123', status: 'planning' };
+    const plan = { picnic, counts: { participants: 2, items: 1, expenses: 0 } };
+
+    beforeEach(async () => {
+        context = await createTestApp();
+        context.app.store.upsert('picnics', picnic);
+        await openTestPicnic(context, { picnic });
+
+        jest.spyOn(context.api, 'getPicnicDeletionPlan').mockResolvedValue(plan);
+        jest.spyOn(context.api, 'getPicnicPage').mockResolvedValue({ results: [], total: 0, hasNext: false });
+        jest.spyOn(context.api, 'getExpenseDashboard').mockResolvedValue({ totalSpent: 0, byPicnic: [] });
+        deletePicnic = jest.spyOn(context.api, 'deletePicnic').mockResolvedValue({ success: true });
+
+        await context.app.openDeletePicnicModal();
+        jest.useFakeTimers();
+        context.app.confirmDeletePicnic();
+    });
+
+    afterEach(() => {
+        destroyTestApp(context);
+    });
+
+    it('should hide the picnic and offer undo without deleting it yet', () => {
+        expect(context.app.pendingPicnicDeletion.picnic.id).toBe('picnic-1');
+        expect(context.app.store.get('picnics', 'picnic-1')).toBeNull();
+        expect(context.app.currentView).toBe('dashboard');
+        expect(document.querySelector('#toastContainer .toast-action').textContent).toBe('Undo');
+        expect(deletePicnic).not.toHaveBeenCalled();
+    });
+
+    it('should restore the picnic when undo is clicked', () => {
+        document.querySelector('#toastContainer .toast-action').click();
+
+        expect(context.app.pendingPicnicDeletion).toBeNull();
+        expect(context.app.store.get('picnics', 'picnic-1').title).toBe('Lake Day');
+
+        jest.advanceTimersByTime(context.app.picnicDeleteUndoDelay);
+        expect(deletePicnic).not.toHaveBeenCalled();
+    });
+
+    it('should delete the picnic once the undo window closes', () => {
+        jest.advanceTimersByTime(context.app.picnicDeleteUndoDelay - 1);
+        expect(deletePicnic).not.toHaveBeenCalled();
+
+        jest.advanceTimersByTime(1);
+        expect(deletePicnic).toHaveBeenCalledWith('picnic-1', plan, { keepalive: false });
+        expect(context.app.pendingPicnicDeletion).toBeNull();
+    });
+
+    it('should send the pending delete with keepalive when the page is left', () => {
+        jest.spyOn(context.api, 'destroy').mockImplementation(() => {});
+        
+        context.app.destroy();
+        
+        expect(deletePicnic).toHaveBeenCalledWith('picnic-1', plan, { keepalive: true });
+        expect(context.app.pendingPicnicDeletion).toBeNull();
+    });
+
+    it('should start the keepalive request before returning to the unload handler', () => {
+        const fetchStub = stubFetch({ 'POST /api/batch': { results: [] } });
+        const api = new PicnicAPI();
+        
+        const deletion = api.deletePicnic('picnic-1', { picnic, participants: [{ id: 'participant-1' }], items: [], expenses: [] }, { keepalive: true });
+        
+        expect(fetchStub).toHaveBeenCalledTimes(1);
+        const [url, options] = fetchStub.mock.calls[0];
+        expect(url).toContain('/batch');
+        expect(options.keepalive).toBe(true);
+        expect(JSON.parse(options.body).operations.length).toBe(2);
+        return deletion;
+    });
+
+    it('should put the picnic back if the delete fails', async () => {
+        deletePicnic.mockRejectedValue(new Error('Server unavailable'));
+
+        await context.app.commitPicnicDeletion();
+
+        expect(deletePicnic).toHaveBeenCalledTimes(1);
+        expect(context.app.store.get('picnics', 'picnic-1').title).toBe('Lake Day');
+        expect(document.getElementById('toastContainer').textContent).toContain('It has been restored');
+    });
+});
+
+describe('Integration Tests - Optimistic Updates', () => {
+    let context;
+
+    const picnic = { id: 'picnic-1', title: 'Lake Day', date: '2025-08-20', time: '12:00', organizer_id: 'user-2', status: 'planning' };
+    const item = {
+        id: 'item-1',
+        picnic_id: 'picnic-1',
+        name: 'Blanket',
+        category: 'equipment',
+        quantity_needed: 2,
+        quantity_assigned: 0,
+        status: 'needed',
+        updatedAt: '2025-08-01T12:00:00.000Z'
+    };
+
+    beforeEach(async () => {
+        context = await createTestApp();
+        await openTestPicnic(context, { picnic, items: [item] });
+    });
+
+    afterEach(() => {
+        destroyTestApp(context);
+    });
+
+    it('should show an assignment straight away and keep the saved copy', async () => {
+        let resolveAssign;
+        const assignItem = jest.spyOn(context.api, 'assignItem')
+            .mockImplementation(() => new Promise(resolve => { resolveAssign = resolve; }));
+
+        const assigning = context.app.assignToMe('item-1');
+
+        const pending = context.app.items.find(i => i.id === 'item-1');
+        expect(pending.assigned_to).toBe('test-user-123');
+        expect(pending._optimistic).toBeTruthy();
+        expect(assignItem).toHaveBeenCalledWith('item-1', 'test-user-123', 2, '2025-08-01T12:00:00.000Z');
+
+        resolveAssign({ ...item, assigned_to: 'test-user-123', quantity_assigned: 2, status: 'assigned', updatedAt: '2025-08-01T12:05:00.000Z' });
+        await assigning;
+
+        const saved = context.app.items.find(i => i.id === 'item-1');
+        expect(saved._optimistic).toBeUndefined();
+        expect(saved.assigned_to).toBe('test-user-123');
+        expect(saved.updatedAt).toBe('2025-08-01T12:05:00.000Z');
+    });
+
+    it('should roll an assignment back when the write fails', async () => {
+        jest.spyOn(context.api, 'assignItem').mockRejectedValue(new Error('Server unavailable'));
+
+        await context.app.assignToMe('item-1');
+
+        expect(context.app.items).toEqual([item]);
+        expect(document.getElementById('toastContainer').textContent).toContain('Failed to assign item');
+    });
+
+    it('should not duplicate a new item when its real-time echo arrives before the response', async () => {
+        let resolveCreate;
+        const createItem = jest.spyOn(context.api, 'createItem')
+            .mockImplementation(() => new Promise(resolve => { resolveCreate = resolve; }));
+
+        context.app.openAddItemModal();
+        fillForm(document.getElementById('addItemForm'), { name: 'Lemonade', category: 'drinks', quantity: '3' });
+        const adding = context.app.addItem();
+
+        expect(context.app.items.length).toBe(2);
+        const [sent] = createItem.mock.calls[0];
+        const saved = { ...sent, id: 'item-2', created_by: 'test-user-123', quantity_assigned: 0, status: 'needed', updatedAt: '2025-08-01T12:05:00.000Z' };
+
+        context.app.handleItemUpdate({ type: 'document_created', collection: 'picnic_items', id: 'item-2', data: saved });
+        expect(context.app.items.length).toBe(2);
+
+        resolveCreate(saved);
+        await adding;
+
+        const added = context.app.items.filter(i => i.name === 'Lemonade');
+        expect(added.length).toBe(1);
+        expect(added[0].id).toBe('item-2');
+        expect(added[0]._optimistic).toBeUndefined();
+    });
+
+    it('should not duplicate a new item when its real-time echo arrives after the response', async () => {
+        jest.spyOn(context.api, 'createItem')
+            .mockImplementation(async (data) => ({ ...data, id: 'item-2', quantity_assigned: 0, status: 'needed', updatedAt: '2025-08-01T12:05:00.000Z' }));
+
+        context.app.openAddItemModal();
+        fillForm(document.getElementById('addItemForm'), { name: 'Lemonade', category: 'drinks', quantity: '3' });
+        await context.app.addItem();
+
+        const saved = context.app.items.find(i => i.id === 'item-2');
+        context.app.handleItemUpdate({ type: 'document_created', collection: 'picnic_items', id: 'item-2', data: saved });
+
+        expect(context.app.items.filter(i => i.name === 'Lemonade').length).toBe(1);
+    });
+
+    it('should show a failed item name as text in the rollback toast', async () => {
+        jest.spyOn(context.api, 'createItem').mockRejectedValue(new Error('Server error'));
+
+        context.app.openAddItemModal();
+        fillForm(document.getElementById('addItemForm'), { name: '<img src=x onerror="window.injected = true">', category: 'food', quantity: '1' });
+        await context.app.addItem();
+
+        const toast = [...document.querySelectorAll('#toastContainer .toast.error')].pop();
+        expect(toast.querySelector('img')).toBeNull();
+        expect(toast.querySelector('.toast-message').textContent).toContain('<img src=x');
+    });
+});
+
+describe('Integration Tests - Store Rendering', () => {
+    let context;
+    let store;
+
+    const picnic = { id: 'picnic-1', title: 'Lake Day', date: '2025-08-20', time: '12:00', location: 'North Shore', organizer_id: 'test-user-123', status: 'planning' };
+
+    beforeEach(async () => {
+        context = await createTestApp();
+        store = context.app.store;
+    });
+
+    afterEach(() => {
+        destroyTestApp(context);
+    });
+
+    it('should render a card for each picnic in the store', () => {
+        store.upsert('picnics', picnic);
+
+        const cards = document.querySelectorAll('#picnicGrid .picnic-card');
+        expect(cards.length).toBe(1);
+        expect(cards[0].dataset.id).toBe('picnic-1');
+        expect(cards[0].querySelector('.card-title').textContent).toBe('Lake Day');
+        expect(document.getElementById('emptyState').style.display).toBe('none');
+
+        store.remove('picnics', 'picnic-1');
+
+        expect(document.querySelectorAll('#picnicGrid .picnic-card').length).toBe(0);
+        expect(document.getElementById('emptyState').style.display).toBe('block');
+    });
+
+    it('should keep card counts in step with participants, items and expenses', () => {
+        store.upsert('picnics', picnic);
+        const stats = () => [...document.querySelectorAll('#picnicGrid .picnic-card[data-id="picnic-1"] .stat-text')]
+            .map(element => element.textContent);
+
+        store.batch(() => {
+            store.upsert('participants', { id: 'participant-1', picnic_id: 'picnic-1', user_id: 'user-2', user_name: 'Bea', rsvp_status: 'going' });
+            store.upsert('items', { id: 'item-1', picnic_id: 'picnic-1', name: 'Blanket', quantity_needed: 1 });
+            store.upsert('expenses', { id: 'expense-1', picnic_id: 'picnic-1', description: 'Ice', amount: 4.5 });
+            store.upsert('expenses', { id: 'expense-2', picnic_id: 'picnic-2', description: 'Elsewhere', amount: 100 });
+        });
+
+        expect(stats()).toEqual(['1', '1', Utils.formatCurrency(4.5)]);
+
+        store.remove('participants', 'participant-1');
+
+        expect(stats()[0]).toBe('0');
+    });
+
+    it('should count every record on the cards, past the first page', async () => {
+        const going = Array.from({ length: 150 }, (_, i) => ({ id: `participant-${i}`, picnic_id: 'picnic-1', user_id: `user-${i}`, rsvp_status: 'going' }));
+        context.api.makeRequest.mockImplementation(async (endpoint, method, { page, limit }) => {
+            const records = endpoint === '/picnic_participants/query' ? going : [];
+            return { results: records.slice((page - 1) * limit, page * limit), hasNext: page * limit < records.length };
+        });
+        store.upsert('picnics', picnic);
+        
+        await context.app.loadPicnicStats(['picnic-1']);
+        
+        expect(document.querySelector('#picnicGrid .picnic-card[data-id="picnic-1"] .stat-text').textContent).toBe('150');
+    });
+
+    it('should refresh dashboard stats once after a burst of changes', async () => {
+        const getPicnicPage = jest.spyOn(context.api, 'getPicnicPage').mockResolvedValue({ picnics: [], cursor: null, total: 1 });
+        const getExpenseDashboard = jest.spyOn(context.api, 'getExpenseDashboard').mockResolvedValue({ total: 4.5, participantCount: 1 });
+        jest.useFakeTimers();
+        
+        store.upsert('picnics', picnic);
+        ['expense-1', 'expense-2', 'expense-3'].forEach(id => {
+            context.app.handleExpenseUpdate({ type: 'document_created', collection: 'picnic_expenses', id, data: { id, picnic_id: 'picnic-1', amount: 1.5 } });
+        });
+        
+        expect(getExpenseDashboard).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(context.app.statsUpdateDelay);
+        await Promise.resolve();
+        
+        expect(getPicnicPage).toHaveBeenCalledTimes(1);
+        expect(getExpenseDashboard).toHaveBeenCalledTimes(1);
+    });
+
+    it('should keep records fetched for one picnic off another opened meanwhile', async () => {
+        const other = { ...picnic, id: 'picnic-2', title: 'Park Day' };
+        await openTestPicnic(context, { picnic });
+        let resolveReload;
+        context.api.getParticipantsByPicnic.mockImplementation(() => new Promise(resolve => { resolveReload = resolve; }));
+        
+        const reloading = context.app.reloadParticipants();
+        context.app.currentPicnic = other;
+        store.upsert('participants', { id: 'participant-2', picnic_id: 'picnic-2', user_id: 'user-3', user_name: 'Cal', rsvp_status: 'going' });
+        resolveReload([{ id: 'participant-1', picnic_id: 'picnic-1', user_id: 'user-2', user_name: 'Bea', rsvp_status: 'going' }]);
+        await reloading;
+        
+        expect(context.app.participants.map(p => p.id)).toEqual(['participant-2']);
+        expect(store.getByPicnic('participants', 'picnic-1').map(p => p.id)).toEqual(['participant-1']);
+    });
+
+    it('should show participants who join the open picnic in real time', async () => {
+        await openTestPicnic(context, { picnic });
+        expect(document.getElementById('participantsList').textContent).toContain('Going (0)');
+
+        context.app.handleParticipantUpdate({
+            type: 'document_created',
+            collection: 'picnic_participants',
+            id: 'participant-1',
+            data: { id: 'participant-1', picnic_id: 'picnic-1', user_id: 'user-2', user_name: 'Bea', rsvp_status: 'going', plus_ones: 0 }
+        });
+
+        const list = document.getElementById('participantsList');
+        expect(list.textContent).toContain('Going (1)');
+        expect(list.querySelector('.participant-name').textContent).toBe('Bea');
+        expect(document.getElementById('detailParticipantCount').textContent).toBe('1');
+    });
+});
@@ -0,0 +1,477 @@
+#!/usr/bin/env node
+
+/**
+ * PicnicPro Headless Test Runner
+ * Runs test-runner.html in jsdom against the mock generic backend and reports TAP or JUnit
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const CoverageCollector = require('./coverage');
+
+const APP_ROOT = path.resolve(__dirname, '..');
+const MOCK_BACKEND = path.resolve(APP_ROOT, '../miniapp-developer-guide/tools/mock-backend.js');
+const COVERAGE_DIR = 'assets/js';
+const COVERAGE_REPORT = path.join(__dirname, 'coverage.html');
+
+// Same suite groups as the buttons in test-runner.html
+const SUITE_GROUPS = {
+    unit: 'Unit',
+    integration: 'Integration',
+    e2e: 'E2E'
+};
+
+class HeadlessTestRunner {
+    constructor({
+        reporter = 'tap',
+        output = null,
+        suite = null,
+        grep = null,
+        timeout = 300000,
+        verbose = false,
+        updateSnapshots = false,
+        ci = false,
+        coverage = false,
+        coverageOutput = COVERAGE_REPORT,
+        thresholds = {}
+    } = {}) {
+        this.reporter = reporter;
+        this.output = output;
+        this.suite = suite;
+        this.grep = grep;
+        this.timeout = timeout;
+        this.verbose = verbose;
+        this.updateSnapshots = updateSnapshots;
+        this.ci = ci;
+        this.coverage = coverage;
+        this.coverageOutput = coverageOutput;
+        this.thresholds = thresholds;
+        this.coverageCollector = null;
+        this.scriptErrors = [];
+        this.backend = null;
+        this.window = null;
+        this.rejectionHandler = null;
+    }
+
+    /**
+     * Run the selected suites and return true when everything passed
+     */
+    async run() {
+        const startedAt = Date.now();
+
+        try {
+            await this.startBackend();
+            await this.startCoverage();
+            await this.loadRunner();
+
+            const results = await this.withTimeout(this.runSuites(), this.timeout);
+            const report = this.buildReport(results, Date.now() - startedAt);
+            const coverageMet = await this.reportCoverage();
+
+            this.saveSnapshots();
+            this.writeReport(report);
+            this.printSummary(report);
+            return report.failed === 0 && coverageMet;
+        } finally {
+            await this.cleanup();
+        }
+    }
+
+    /**
+     * Start the mock backend that serves the app and answers /api and /ws
+     */
+    async startBackend() {
+        if (!fs.existsSync(MOCK_BACKEND)) {
+            throw new Error(`Mock backend not found at ${MOCK_BACKEND}`);
+        }
+
+        const MockBackend = require(MOCK_BACKEND);
+        this.backend = await new MockBackend({ root: APP_ROOT, port: 0, quiet: true }).start();
+    }
+
+    /**
+     * Start collecting coverage before any app script is loaded
+     */
+    async startCoverage() {
+        if (!this.coverage) return;
+
+        const files = fs.readdirSync(path.join(APP_ROOT, COVERAGE_DIR))
+            .filter(file => file.endsWith('.js'))
+            .sort()
+            .map(file => `${COVERAGE_DIR}/${file}`);
+        this.coverageCollector = new CoverageCollector({ root: APP_ROOT, files });
+        await this.coverageCollector.start();
+    }
+
+    /**
+     * Write the HTML coverage report, print the per-file table and check --coverage-* thresholds
+     * Returns false when a threshold is not met
+     */
+    async reportCoverage() {
+        if (!this.coverageCollector) return true;
+
+        const collector = this.coverageCollector;
+        const report = await collector.stop(`http://127.0.0.1:${this.backend.port}/`);
+        this.coverageCollector = null;
+
+        fs.mkdirSync(path.dirname(path.resolve(this.coverageOutput)), { recursive: true });
+        fs.writeFileSync(this.coverageOutput, collector.renderHtml(report));
+        console.error(collector.formatText(report));
+        console.error(`📊 Coverage report written to ${path.relative(process.cwd(), path.resolve(this.coverageOutput))}`);
+
+        const failures = collector.checkThresholds(report, this.thresholds);
+        failures.forEach(failure => console.error(`❌ ${failure}`));
+        return failures.length === 0;
+    }
+
+    /**
+     * Load test-runner.html from the backend so its scripts, fetch and WebSocket share one origin
+     * jsdom has no fetch, so Node's is installed with relative URLs resolved against the page
+     */
+    async loadRunner() {
+        const { JSDOM, VirtualConsole } = this.requireJsdom();
+
+        const virtualConsole = new VirtualConsole();
+        virtualConsole.on('jsdomError', error => {
+            this.scriptErrors.push(error);
+        });
+        if (this.verbose) {
+            virtualConsole.sendTo(console, { omitJSDOMErrors: true });
+        }
+
+        const dom = await JSDOM.fromURL(`http://127.0.0.1:${this.backend.port}/tests/test-runner.html`, {
+            runScripts: 'dangerously',
+            resources: 'usable',
+            pretendToBeVisual: true,
+            virtualConsole,
+            beforeParse: (window) => {
+                window.fetch = (input, init) => fetch(new URL(input.url || input, window.location.href), init);
+                window.Headers = window.Headers || Headers;
+                window.Request = window.Request || Request;
+                window.Response = window.Response || Response;
+            }
+        });
+
+        this.window = dom.window;
+
+        // jsdom shares Node's promises, so a rejection nobody handles would end the process;
+        // fail the running test instead, as the browser runner does
+        this.rejectionHandler = (reason) => {
+            const runner = this.window.testRunner;
+            if (runner && runner.failCurrentTest) {
+                runner.failCurrentTest(reason instanceof Error ? reason : new Error(String(reason)));
+            } else {
+                this.scriptErrors.push(reason instanceof Error ? reason : new Error(String(reason)));
+            }
+        };
+        process.on('unhandledRejection', this.rejectionHandler);
+
+        await new Promise(resolve => {
+            if (dom.window.document.readyState === 'complete') return resolve();
+            dom.window.addEventListener('load', () => resolve());
+        });
+
+        if (!this.window.testRunner) {
+            throw new Error('test-runner.html did not define window.testRunner');
+        }
+    }
+
+    /**
+     * Load jsdom, explaining how to install it when it is missing
+     */
+    requireJsdom() {
+        try {
+            return require('jsdom');
+        } catch (error) {
+            throw new Error('jsdom is required for headless runs: npm install --no-save jsdom');
+        }
+    }
+
+    /**
+     * Run the suites matching --suite and --grep and collect their results
+     */
+    async runSuites() {
+        const runner = this.window.testRunner;
+        const group = this.suite ? SUITE_GROUPS[this.suite] : null;
+        const grep = this.grep ? new RegExp(this.grep, 'i') : null;
+
+        runner.delay = 0;
+        runner.updateSnapshots = this.updateSnapshots;
+        runner.ciMode = this.ci;
+        runner.startTime = Date.now();
+        await runner.runTests(suite => (!group || suite.name.includes(group)) && (!grep || grep.test(suite.name)));
+
+        return runner.results;
+    }
+
+    /**
+     * Write new and updated snapshots back next to test-runner.html
+     */
+    saveSnapshots() {
+        const runner = this.window.testRunner;
+        const { added, updated } = runner.snapshotResults;
+        if (added.length === 0 && updated.length === 0) return;
+
+        const file = path.join(__dirname, runner.snapshotPath);
+        const sorted = Object.fromEntries(Object.keys(runner.snapshots).sort().map(key => [key, runner.snapshots[key]]));
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(sorted, null, 2)}\n`);
+        console.error(`📸 Wrote ${added.length} new and ${updated.length} updated snapshots to ${path.relative(process.cwd(), file)}`);
+    }
+
+    /**
+     * Reject if a promise has not settled within the given time
+     */
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Test run timed out after ${ms}ms`)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Flatten suite results into a report
+     * Errors thrown while loading a script, e.g. a suite that fails to register, count as failures
+     */
+    buildReport(results, duration) {
+        const suites = results.map(suite => ({
+            name: suite.name,
+            tests: suite.tests.map(test => ({ ...test, duration: test.duration || 0 }))
+        }));
+
+        if (this.scriptErrors.length > 0) {
+            suites.unshift({
+                name: 'Script Errors',
+                tests: this.scriptErrors.map(error => ({
+                    name: error.message.split('\n')[0],
+                    status: 'fail',
+                    error: error.detail?.message || error.message,
+                    stack: error.detail?.stack || error.stack,
+                    duration: 0
+                }))
+            });
+        }
+
+        const tests = suites.flatMap(suite => suite.tests);
+        return {
+            suites,
+            total: tests.length,
+            passed: tests.filter(test => test.status === 'pass').length,
+            failed: tests.filter(test => test.status === 'fail').length,
+            skipped: tests.filter(test => test.status === 'pending').length,
+            duration
+        };
+    }
+
+    /**
+     * Write the report to --output, or to stdout
+     */
+    writeReport(report) {
+        const content = this.reporter === 'junit' ? this.formatJUnit(report) : this.formatTap(report);
+
+        if (this.output) {
+            fs.mkdirSync(path.dirname(path.resolve(this.output)), { recursive: true });
+            fs.writeFileSync(this.output, content);
+        } else {
+            process.stdout.write(content);
+        }
+    }
+
+    /**
+     * Format results as TAP version 13
+     */
+    formatTap(report) {
+        const lines = ['TAP version 13', `1..${report.total}`];
+        let index = 0;
+
+        report.suites.forEach(suite => {
+            lines.push(`# ${suite.name}`);
+            suite.tests.forEach(test => {
+                index++;
+                const title = `${suite.name} > ${test.name}`.replace(/#/g, '\\#');
+                if (test.status === 'pass') {
+                    lines.push(`ok ${index} - ${title}`);
+                    return;
+                }
+                if (test.status === 'pending') {
+                    lines.push(`ok ${index} - ${title} # SKIP`);
+                    return;
+                }
+
+                lines.push(`not ok ${index} - ${title}`);
+                lines.push('  ---');
+                lines.push(`  message: ${JSON.stringify(test.error || 'Unknown error')}`);
+                if (test.stack) {
+                    lines.push('  stack: |');
+                    test.stack.split('\n').forEach(line => lines.push(`    ${line}`));
+                }
+                lines.push('  ...');
+            });
+        });
+
+        lines.push(`# tests ${report.total}`);
+        lines.push(`# pass ${report.passed}`);
+        lines.push(`# fail ${report.failed}`);
+        lines.push(`# skip ${report.skipped}`);
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Format results as JUnit XML
+     */
+    formatJUnit(report) {
+        const escape = value => String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+        const seconds = ms => (ms / 1000).toFixed(3);
+
+        const lines = [
+            '<?xml version="1.0" encoding="UTF-8"?>',
+            `<testsuites name="PicnicPro" tests="${report.total}" failures="${report.failed}" skipped="${report.skipped}" time="${seconds(report.duration)}">`
+        ];
+
+        report.suites.forEach(suite => {
+            const failures = suite.tests.filter(test => test.status === 'fail').length;
+            const skipped = suite.tests.filter(test => test.status === 'pending').length;
+            const time = suite.tests.reduce((sum, test) => sum + test.duration, 0);
+            lines.push(`  <testsuite name="${escape(suite.name)}" tests="${suite.tests.length}" failures="${failures}" skipped="${skipped}" time="${seconds(time)}">`);
+
+            suite.tests.forEach(test => {
+                const attributes = `classname="${escape(suite.name)}" name="${escape(test.name)}" time="${seconds(test.duration)}"`;
+                if (test.status === 'pass') {
+                    lines.push(`    <testcase ${attributes}/>`);
+                    return;
+                }
+                if (test.status === 'pending') {
+                    lines.push(`    <testcase ${attributes}>`);
+                    lines.push('      <skipped/>');
+                    lines.push('    </testcase>');
+                    return;
+                }
+                lines.push(`    <testcase ${attributes}>`);
+                lines.push(`      <failure message="${escape(test.error)}">${escape(test.stack || test.error)}</failure>`);
+                lines.push('    </testcase>');
+            });
+
+            lines.push('  </testsuite>');
+        });
+
+        lines.push('</testsuites>');
+        return `${lines.join('\n')}\n`;
+    }
+
+    /**
+     * Print a one-line summary to stderr so it does not mix with the report
+     */
+    printSummary(report) {
+        const icon = report.failed === 0 ? '✅' : '❌';
+        const skipped = report.skipped > 0 ? `, ${report.skipped} skipped` : '';
+        console.error(`${icon} ${report.passed}/${report.total} tests passed, ${report.failed} failed${skipped} (${report.duration}ms)`);
+    }
+
+    /**
+     * Stop catching rejections, close the window and stop the backend
+     */
+    async cleanup() {
+        if (this.rejectionHandler) {
+            process.off('unhandledRejection', this.rejectionHandler);
+            this.rejectionHandler = null;
+        }
+        if (this.window) {
+            this.window.close();
+        }
+        if (this.backend) {
+            await this.backend.stop();
+        }
+    }
+}
+
+async function main() {
+    const args = process.argv.slice(2);
+
+    if (args.includes('--help') || args.includes('-h')) {
+        console.log('PicnicPro Headless Test Runner');
+        console.log('');
+        console.log('Usage: node tests/run-tests.js [options]');
+        console.log('');
+        console.log('Options:');
+        console.log('  --reporter <tap|junit>            Report format (default tap)');
+        console.log('  --output <file>                   Write the report to a file instead of stdout');
+        console.log('  --suite <unit|integration|e2e>    Only run one group of suites');
+        console.log('  --grep <pattern>                  Only run suites whose name matches');
+        console.log('  --timeout <ms>                    Fail if the whole run takes longer (default 300000)');
+        console.log('  --update-snapshots                Overwrite snapshots that no longer match');
+        console.log('  --ci                              Fail on missing snapshots instead of writing them');
+        console.log('  --coverage                        Report line and branch coverage of assets/js');
+        console.log('  --coverage-output <file>          Coverage HTML report (default tests/coverage.html)');
+        console.log('  --coverage-lines <pct>            Fail if line coverage is lower (implies --coverage)');
+        console.log('  --coverage-branches <pct>         Fail if branch coverage is lower (implies --coverage)');
+        console.log('  --verbose                         Show the app\'s console output');
+        console.log('');
+        console.log('Examples:');
+        console.log('  node tests/run-tests.js');
+        console.log('  node tests/run-tests.js --suite unit --reporter junit --output reports/junit.xml');
+        console.log('  node tests/run-tests.js --coverage-lines 70 --coverage-branches 50');
+        process.exit(0);
+    }
+
+    const option = (name, fallback) => {
+        const index = args.indexOf(name);
+        return index !== -1 && args[index + 1] !== undefined ? args[index + 1] : fallback;
+    };
+
+    const reporter = option('--reporter', 'tap');
+    const suite = option('--suite', null);
+    if (!['tap', 'junit'].includes(reporter)) {
+        console.error(`❌ Unknown reporter: ${reporter}`);
+        process.exit(2);
+    }
+    if (suite && !SUITE_GROUPS[suite]) {
+        console.error(`❌ Unknown suite: ${suite}`);
+        process.exit(2);
+    }
+
+    const thresholds = {};
+    for (const key of ['lines', 'branches']) {
+        const value = option(`--coverage-${key}`, null);
+        if (value === null) continue;
+        thresholds[key] = parseFloat(value);
+        if (Number.isNaN(thresholds[key]) || thresholds[key] < 0 || thresholds[key] > 100) {
+            console.error(`❌ --coverage-${key} must be a percentage between 0 and 100`);
+            process.exit(2);
+        }
+    }
+
+    const runner = new HeadlessTestRunner({
+        reporter,
+        suite,
+        output: option('--output', null),
+        grep: option('--grep', null),
+        timeout: parseInt(option('--timeout', '300000'), 10),
+        verbose: args.includes('--verbose'),
+        updateSnapshots: args.includes('--update-snapshots'),
+        ci: args.includes('--ci'),
+        coverage: args.includes('--coverage') || Object.keys(thresholds).length > 0,
+        coverageOutput: option('--coverage-output', COVERAGE_REPORT),
+        thresholds
+    });
+
+    try {
+        const passed = await runner.run();
+        process.exit(passed ? 0 : 1);
+    } catch (error) {
+        console.error('❌ Test run failed:', error.message);
+        process.exit(1);
+    }
+}
+
+// Run if called directly
+if (require.main === module) {
+    main();
+}
+
+module.exports = HeadlessTestRunner;
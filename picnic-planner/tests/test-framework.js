@@ -0,0 +1,1111 @@
+/**
+ * PicnicPro Test Framework
+ * describe/it/expect with hooks, focused and skipped tests, spies, fetch and WebSocket stubs,
+ * fake timers, snapshots and per-test timeouts
+ * Loaded by test-runner.html, in the browser and in the headless runner (tests/run-tests.js)
+ */
+
+class FakeClock {
+    constructor(now) {
+        this.now = now;
+        this.timers = new Map();
+        this.nextId = 1;
+    }
+
+    /**
+     * Schedule a callback after a delay in fake time
+     */
+    setTimeout(callback, delay = 0, ...args) {
+        const id = this.nextId++;
+        this.timers.set(id, { id, callback, args, time: this.now + Math.max(0, delay), interval: null });
+        return id;
+    }
+
+    /**
+     * Schedule a repeating callback in fake time
+     */
+    setInterval(callback, delay = 0, ...args) {
+        const interval = Math.max(1, delay);
+        const id = this.nextId++;
+        this.timers.set(id, { id, callback, args, time: this.now + interval, interval });
+        return id;
+    }
+
+    /**
+     * Cancel a timeout or interval
+     */
+    clear(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Get the timer due first, ties going to the one scheduled first
+     */
+    nextTimer(until = Infinity) {
+        let next = null;
+        this.timers.forEach(timer => {
+            if (timer.time <= until && (!next || timer.time < next.time || (timer.time === next.time && timer.id < next.id))) {
+                next = timer;
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Move the clock to a timer and run it
+     */
+    fire(timer) {
+        this.now = Math.max(this.now, timer.time);
+        if (timer.interval) {
+            timer.time += timer.interval;
+        } else {
+            this.timers.delete(timer.id);
+        }
+        timer.callback(...timer.args);
+    }
+
+    /**
+     * Advance the clock, running every timer that falls due on the way
+     */
+    tick(ms) {
+        const end = this.now + ms;
+        let timer;
+        while ((timer = this.nextTimer(end))) {
+            this.fire(timer);
+        }
+        this.now = end;
+    }
+
+    /**
+     * Run timers until none are left, including ones scheduled while running
+     */
+    runAll(limit = 1000) {
+        for (let count = 0; this.timers.size > 0; count++) {
+            if (count >= limit) {
+                throw new Error(`Aborting after running ${limit} timers, assuming an infinite loop`);
+            }
+            this.fire(this.nextTimer());
+        }
+    }
+
+    /**
+     * Run only the timers that are already scheduled
+     */
+    runOnlyPending() {
+        const pending = new Set(this.timers.keys());
+        let timer;
+        while ((timer = this.nextTimer()) && pending.has(timer.id)) {
+            pending.delete(timer.id);
+            this.fire(timer);
+        }
+    }
+}
+
+class MockWebSocket {
+    constructor(url, protocols = []) {
+        this.url = url;
+        this.protocols = protocols;
+        this.readyState = MockWebSocket.CONNECTING;
+        this.sent = [];
+        this.listeners = {};
+        this.onopen = null;
+        this.onmessage = null;
+        this.onclose = null;
+        this.onerror = null;
+        MockWebSocket.instances.push(this);
+
+        // Connect on the next microtask, like a real socket that succeeds immediately
+        if (MockWebSocket.autoOpen) {
+            Promise.resolve().then(() => {
+                if (this.readyState === MockWebSocket.CONNECTING) this.open();
+            });
+        }
+    }
+
+    /**
+     * Record a message sent by the code under test
+     */
+    send(data) {
+        if (this.readyState !== MockWebSocket.OPEN) {
+            throw new Error('WebSocket is not open');
+        }
+        this.sent.push(data);
+    }
+
+    /**
+     * Get the sent messages, parsed when they are JSON
+     */
+    get messages() {
+        return this.sent.map(data => {
+            try {
+                return JSON.parse(data);
+            } catch (error) {
+                return data;
+            }
+        });
+    }
+
+    /**
+     * Complete the connection
+     */
+    open() {
+        this.readyState = MockWebSocket.OPEN;
+        this.dispatch('open', {});
+    }
+
+    /**
+     * Deliver a message from the server; objects are sent as JSON
+     */
+    receive(message) {
+        this.dispatch('message', { data: typeof message === 'string' ? message : JSON.stringify(message) });
+    }
+
+    /**
+     * Report a connection error
+     */
+    fail(error = new Error('WebSocket error')) {
+        this.dispatch('error', { error });
+    }
+
+    /**
+     * Close the connection, as the client or the server
+     */
+    close(code = 1000, reason = '') {
+        if (this.readyState === MockWebSocket.CLOSED) return;
+        this.readyState = MockWebSocket.CLOSED;
+        this.dispatch('close', { code, reason, wasClean: code === 1000 });
+    }
+
+    /**
+     * Register an event listener
+     */
+    addEventListener(type, listener) {
+        (this.listeners[type] = this.listeners[type] || []).push(listener);
+    }
+
+    /**
+     * Remove an event listener
+     */
+    removeEventListener(type, listener) {
+        this.listeners[type] = (this.listeners[type] || []).filter(l => l !== listener);
+    }
+
+    /**
+     * Call the on<type> handler and every listener for an event
+     */
+    dispatch(type, properties) {
+        const event = { type, target: this, ...properties };
+        if (typeof this[`on${type}`] === 'function') {
+            this[`on${type}`](event);
+        }
+        (this.listeners[type] || []).forEach(listener => listener(event));
+    }
+}
+
+MockWebSocket.CONNECTING = 0;
+MockWebSocket.OPEN = 1;
+MockWebSocket.CLOSING = 2;
+MockWebSocket.CLOSED = 3;
+MockWebSocket.instances = [];
+MockWebSocket.autoOpen = true;
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.results = [];
+        this.rootSuite = this.createSuite('', null);
+        this.currentSuite = null;
+        this.currentTest = null;
+        this.hasOnly = false;
+        this.totalTests = 0;
+        this.passedTests = 0;
+        this.failedTests = 0;
+        this.pendingTests = 0;
+        // Pause between tests so the progress bar is visible; the headless CLI sets this to 0
+        this.delay = 50;
+        this.defaultTimeout = 5000;
+
+        // Captured before any test can stub or fake them
+        this.realTimers = {
+            setTimeout: window.setTimeout.bind(window),
+            clearTimeout: window.clearTimeout.bind(window),
+            setInterval: window.setInterval.bind(window),
+            clearInterval: window.clearInterval.bind(window),
+            now: Date.now
+        };
+        this.realFetch = window.fetch ? window.fetch.bind(window) : null;
+        this.clock = null;
+        this.mockFunctions = [];
+        this.spies = [];
+        // Globals the suites replace; they are put back after every test
+        this.restoredGlobals = ['fetch', 'WebSocket'];
+
+        this.snapshotPath = '__snapshots__/snapshots.json';
+        this.snapshots = null;
+        this.updateSnapshots = false;
+        // In CI a missing snapshot is a failure instead of being recorded
+        this.ciMode = false;
+        this.snapshotResults = this.createSnapshotResults();
+
+        // Errors thrown from timers or promises fail the running test instead of escaping
+        this.failCurrentTest = null;
+        window.addEventListener('error', (event) => this.handleUncaught(event, event.error || new Error(event.message)));
+        window.addEventListener('unhandledrejection', (event) => this.handleUncaught(event, event.reason));
+    }
+
+    // Definition Methods
+
+    /**
+     * Create an empty suite
+     */
+    createSuite(name, parent, { only = false, skip = false } = {}) {
+        return {
+            name,
+            parent,
+            only,
+            skip,
+            tests: [],
+            hooks: { beforeAll: [], afterAll: [], beforeEach: [], afterEach: [] }
+        };
+    }
+
+    /**
+     * Define a suite; nested suites are named "Outer > Inner" and inherit the outer hooks
+     * An error thrown while defining the suite is reported as a failing test
+     */
+    describe(name, callback, options = {}) {
+        const parent = this.currentSuite || this.rootSuite;
+        const suite = this.createSuite(parent === this.rootSuite ? name : `${parent.name} > ${name}`, parent, options);
+        if (options.only) this.hasOnly = true;
+
+        this.tests.push(suite);
+        this.currentSuite = suite;
+        try {
+            callback();
+        } catch (error) {
+            suite.tests.push({ name: 'suite definition', callback: () => { throw error; }, timeout: null });
+        } finally {
+            this.currentSuite = parent === this.rootSuite ? null : parent;
+        }
+    }
+
+    /**
+     * Define a test; a callback that takes an argument receives a done callback
+     */
+    it(name, callback, timeout = null, options = {}) {
+        if (!this.currentSuite) {
+            throw new Error(`it('${name}') must be called inside describe()`);
+        }
+        if (options.only) this.hasOnly = true;
+        this.currentSuite.tests.push({ name, callback, timeout, only: !!options.only, skip: !!options.skip });
+    }
+
+    /**
+     * Register a hook on the current suite, or on every suite when called outside describe()
+     */
+    addHook(type, callback, timeout = null) {
+        (this.currentSuite || this.rootSuite).hooks[type].push({ callback, timeout });
+    }
+
+    /**
+     * Get a suite and its ancestors, outermost first
+     */
+    getSuiteChain(suite) {
+        const chain = [];
+        for (let current = suite; current; current = current.parent) {
+            chain.unshift(current);
+        }
+        return chain;
+    }
+
+    /**
+     * Check whether a test is skipped, directly or because other tests are focused
+     */
+    isSkipped(suite, test) {
+        const chain = this.getSuiteChain(suite);
+        if (test.skip || chain.some(s => s.skip)) return true;
+        return this.hasOnly && !test.only && !chain.some(s => s.only);
+    }
+
+    // Execution Methods
+
+    /**
+     * Run every suite, or the ones matching a filter
+     */
+    async runTests(filter = null) {
+        this.results = [];
+        this.totalTests = 0;
+        this.passedTests = 0;
+        this.failedTests = 0;
+        this.pendingTests = 0;
+        this.snapshotResults = this.createSnapshotResults();
+        await this.loadSnapshots();
+
+        const filteredTests = filter ? this.tests.filter(filter) : this.tests;
+
+        for (const test of filteredTests) {
+            this.totalTests += test.tests.length;
+        }
+
+        let completedTests = 0;
+        const started = new Set();
+
+        for (const [index, suite] of filteredTests.entries()) {
+            const suiteResult = { name: suite.name, tests: [] };
+            const chain = this.getSuiteChain(suite);
+            const hasRunnableTests = suite.tests.some(test => !this.isSkipped(suite, test));
+            const setupError = hasRunnableTests ? await this.runBeforeAll(chain, started) : null;
+
+            for (const test of suite.tests) {
+                let result;
+                if (this.isSkipped(suite, test)) {
+                    result = { name: test.name, status: 'pending', duration: 0 };
+                } else if (setupError) {
+                    result = { name: test.name, status: 'fail', error: `beforeAll hook failed: ${setupError.message}`, stack: setupError.stack, duration: 0 };
+                } else {
+                    result = await this.runTest(suite, test);
+                }
+
+                suiteResult.tests.push(result);
+                if (result.status === 'pass') this.passedTests++;
+                if (result.status === 'fail') this.failedTests++;
+                if (result.status === 'pending') this.pendingTests++;
+
+                completedTests++;
+                this.updateProgress((completedTests / this.totalTests) * 100);
+                await this.sleep(this.delay); // Small delay for visual feedback
+            }
+
+            // Tear down suites that no later suite in this run belongs to
+            const remaining = filteredTests.slice(index + 1).map(later => this.getSuiteChain(later));
+            for (const finished of [...chain].reverse()) {
+                if (!started.has(finished) || remaining.some(laterChain => laterChain.includes(finished))) continue;
+                started.delete(finished);
+                const teardownError = await this.runHooks([finished], 'afterAll');
+                if (teardownError) {
+                    suiteResult.tests.push({ name: 'afterAll hook', status: 'fail', error: teardownError.message, stack: teardownError.stack, duration: 0 });
+                    this.failedTests++;
+                    this.totalTests++;
+                }
+            }
+
+            this.results.push(suiteResult);
+        }
+
+        this.displayResults();
+        this.displaySummary();
+    }
+
+    /**
+     * Run the beforeAll hooks of suites that have not started yet
+     * Returns the first error, which fails every test in the suite
+     */
+    async runBeforeAll(chain, started) {
+        for (const suite of chain) {
+            if (!started.has(suite)) {
+                started.add(suite);
+                suite.setupError = await this.runHooks([suite], 'beforeAll');
+            }
+            if (suite.setupError) return suite.setupError;
+        }
+        return null;
+    }
+
+    /**
+     * Run one kind of hook for a list of suites, returning the first error
+     */
+    async runHooks(suites, type) {
+        for (const suite of suites) {
+            for (const hook of suite.hooks[type]) {
+                try {
+                    await this.runWithTimeout(hook.callback, hook.timeout || this.defaultTimeout, `${type} hook`);
+                } catch (error) {
+                    return error;
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Run a test with its beforeEach and afterEach hooks, then undo stubs, spies and fake timers
+     */
+    async runTest(suite, test) {
+        const chain = this.getSuiteChain(suite);
+        const startedAt = this.realTimers.now();
+        const savedGlobals = this.restoredGlobals.map(name => [name, window[name]]);
+        this.currentTest = { suite, test, snapshotCount: 0 };
+
+        let error = await this.runHooks(chain, 'beforeEach');
+        if (!error) {
+            try {
+                await this.runWithTimeout(test.callback, test.timeout || this.defaultTimeout, 'Test');
+            } catch (testError) {
+                error = testError;
+            }
+        }
+        const teardownError = await this.runHooks([...chain].reverse(), 'afterEach');
+        error = error || teardownError;
+
+        this.useRealTimers();
+        this.restoreAllMocks();
+        this.mockFunctions = [];
+        savedGlobals.forEach(([name, value]) => { window[name] = value; });
+        this.currentTest = null;
+
+        const duration = this.realTimers.now() - startedAt;
+        if (error) {
+            return { name: test.name, status: 'fail', error: error?.message || String(error), stack: error?.stack, duration };
+        }
+        return { name: test.name, status: 'pass', duration };
+    }
+
+    /**
+     * Run a test or hook callback, failing it after a timeout
+     * Callbacks that declare a parameter get a done callback instead of returning a promise
+     */
+    runWithTimeout(callback, timeout, label) {
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const finish = (error) => {
+                if (settled) return;
+                settled = true;
+                this.realTimers.clearTimeout(timer);
+                this.failCurrentTest = null;
+                error ? reject(error) : resolve();
+            };
+            const timer = this.realTimers.setTimeout(() => finish(new Error(`${label} timed out after ${timeout}ms`)), timeout);
+            this.failCurrentTest = finish;
+
+            try {
+                if (callback.length > 0) {
+                    callback((error) => finish(error ? (error instanceof Error ? error : new Error(String(error))) : null));
+                } else {
+                    Promise.resolve(callback()).then(() => finish(null), finish);
+                }
+            } catch (error) {
+                finish(error);
+            }
+        });
+    }
+
+    /**
+     * Fail the running test with an uncaught error or rejection
+     */
+    handleUncaught(event, error) {
+        if (!this.failCurrentTest) return;
+        event.preventDefault();
+        this.failCurrentTest(error);
+    }
+
+    // Spy Methods
+
+    /**
+     * Create a mock function that records its calls
+     */
+    fn(implementation = null) {
+        const mock = function (...args) {
+            mock.mock.calls.push(args);
+            mock.mock.instances.push(this);
+            const current = mock.onceImplementations.length > 0 ? mock.onceImplementations.shift() : mock.implementation;
+            try {
+                const value = current ? current.apply(this, args) : undefined;
+                mock.mock.results.push({ type: 'return', value });
+                return value;
+            } catch (error) {
+                mock.mock.results.push({ type: 'throw', value: error });
+                throw error;
+            }
+        };
+
+        mock.isMockFunction = true;
+        mock.implementation = implementation;
+        mock.onceImplementations = [];
+        mock.mock = { calls: [], instances: [], results: [] };
+        mock.mockImplementation = (fn) => { mock.implementation = fn; return mock; };
+        mock.mockImplementationOnce = (fn) => { mock.onceImplementations.push(fn); return mock; };
+        mock.mockReturnValue = (value) => mock.mockImplementation(() => value);
+        mock.mockReturnValueOnce = (value) => mock.mockImplementationOnce(() => value);
+        mock.mockResolvedValue = (value) => mock.mockImplementation(() => Promise.resolve(value));
+        mock.mockResolvedValueOnce = (value) => mock.mockImplementationOnce(() => Promise.resolve(value));
+        mock.mockRejectedValue = (error) => mock.mockImplementation(() => Promise.reject(error));
+        mock.mockRejectedValueOnce = (error) => mock.mockImplementationOnce(() => Promise.reject(error));
+        mock.mockClear = () => {
+            mock.mock = { calls: [], instances: [], results: [] };
+            return mock;
+        };
+        mock.mockReset = () => {
+            mock.mockClear();
+            mock.implementation = null;
+            mock.onceImplementations = [];
+            return mock;
+        };
+        mock.mockRestore = () => mock.mockReset();
+
+        this.mockFunctions.push(mock);
+        return mock;
+    }
+
+    /**
+     * Replace a method with a mock that calls through to it; restored after the test
+     */
+    spyOn(object, method) {
+        const original = object[method];
+        if (typeof original !== 'function') {
+            throw new Error(`Cannot spy on ${method}: it is not a function`);
+        }
+
+        const spy = this.fn(function (...args) {
+            return original.apply(this, args);
+        });
+        const hadOwnProperty = Object.prototype.hasOwnProperty.call(object, method);
+        spy.mockRestore = () => {
+            if (hadOwnProperty) {
+                object[method] = original;
+            } else {
+                delete object[method];
+            }
+            this.spies = this.spies.filter(s => s !== spy);
+        };
+
+        object[method] = spy;
+        this.spies.push(spy);
+        return spy;
+    }
+
+    /**
+     * Clear the recorded calls of every mock in the current test
+     */
+    clearAllMocks() {
+        this.mockFunctions.forEach(mock => mock.mockClear());
+    }
+
+    /**
+     * Put back every method replaced by spyOn
+     */
+    restoreAllMocks() {
+        [...this.spies].forEach(spy => spy.mockRestore());
+    }
+
+    // Stub Methods
+
+    /**
+     * Replace fetch with a mock that answers from a route table
+     * Keys are "METHOD /path", "METHOD /path?query" or "/path"; values are a body, a
+     * { status, body, headers } response, or a function of the request returning either
+     */
+    stubFetch(routes = {}) {
+        const stub = this.fn(async (input, init = {}) => {
+            const url = new URL(input.url || input, window.location.href);
+            const method = (init.method || 'GET').toUpperCase();
+            const route = [`${method} ${url.pathname}${url.search}`, `${method} ${url.pathname}`, url.pathname]
+                .map(key => routes[key])
+                .find(value => value !== undefined);
+
+            if (route === undefined) {
+                return this.createResponse({ status: 404, body: { message: `No stubbed response for ${method} ${url.pathname}` } });
+            }
+
+            let body = init.body;
+            if (typeof body === 'string') {
+                try {
+                    body = JSON.parse(body);
+                } catch (error) {
+                    // Keep non-JSON bodies as text
+                }
+            }
+            const value = typeof route === 'function'
+                ? await route({ url, method, body, headers: init.headers || {} })
+                : route;
+            return this.createResponse(value);
+        });
+
+        window.fetch = stub;
+        return stub;
+    }
+
+    /**
+     * Build a fetch Response from a body or a { status, body, headers } description
+     */
+    createResponse(value) {
+        const isDescription = value && typeof value === 'object' && typeof value.status === 'number' && 'body' in value;
+        const { status = 200, body = null, headers = {} } = isDescription ? value : { body: value };
+        const text = typeof body === 'string' ? body : JSON.stringify(body);
+
+        return new Response(status === 204 ? null : text, {
+            status,
+            headers: { 'Content-Type': 'application/json', ...headers }
+        });
+    }
+
+    /**
+     * Replace WebSocket with MockWebSocket; created sockets are listed in MockWebSocket.instances
+     */
+    stubWebSocket({ autoOpen = true } = {}) {
+        MockWebSocket.instances = [];
+        MockWebSocket.autoOpen = autoOpen;
+        window.WebSocket = MockWebSocket;
+        return MockWebSocket;
+    }
+
+    // Timer Methods
+
+    /**
+     * Replace setTimeout, setInterval and Date.now with a clock the test advances by hand
+     */
+    useFakeTimers() {
+        if (this.clock) return;
+
+        const clock = new FakeClock(this.realTimers.now());
+        this.clock = clock;
+        window.setTimeout = (callback, delay, ...args) => clock.setTimeout(callback, delay, ...args);
+        window.setInterval = (callback, delay, ...args) => clock.setInterval(callback, delay, ...args);
+        window.clearTimeout = (id) => clock.clear(id);
+        window.clearInterval = (id) => clock.clear(id);
+        Date.now = () => clock.now;
+    }
+
+    /**
+     * Put back the real timers
+     */
+    useRealTimers() {
+        if (!this.clock) return;
+
+        window.setTimeout = this.realTimers.setTimeout;
+        window.setInterval = this.realTimers.setInterval;
+        window.clearTimeout = this.realTimers.clearTimeout;
+        window.clearInterval = this.realTimers.clearInterval;
+        Date.now = this.realTimers.now;
+        this.clock = null;
+    }
+
+    /**
+     * Get the fake clock, which must be installed first
+     */
+    getClock() {
+        if (!this.clock) {
+            throw new Error('Fake timers are not enabled; call jest.useFakeTimers() first');
+        }
+        return this.clock;
+    }
+
+    /**
+     * Build the jest-compatible helper object the suites use
+     */
+    createJestApi() {
+        return {
+            fn: (implementation) => this.fn(implementation),
+            spyOn: (object, method) => this.spyOn(object, method),
+            clearAllMocks: () => this.clearAllMocks(),
+            restoreAllMocks: () => this.restoreAllMocks(),
+            useFakeTimers: () => this.useFakeTimers(),
+            useRealTimers: () => this.useRealTimers(),
+            advanceTimersByTime: (ms) => this.getClock().tick(ms),
+            runAllTimers: () => this.getClock().runAll(),
+            runOnlyPendingTimers: () => this.getClock().runOnlyPending(),
+            getTimerCount: () => this.getClock().timers.size,
+            setTimeout: (ms) => { this.defaultTimeout = ms; }
+        };
+    }
+
+    // Snapshot Methods
+
+    /**
+     * Create empty snapshot counters for a run
+     */
+    createSnapshotResults() {
+        return { matched: 0, added: [], updated: [], failed: [] };
+    }
+
+    /**
+     * Load stored snapshots once; opened from file:// there are none and new ones are recorded
+     */
+    async loadSnapshots() {
+        if (this.snapshots) return;
+
+        this.snapshots = {};
+        if (!this.realFetch) return;
+        try {
+            const response = await this.realFetch(this.snapshotPath);
+            if (response.ok) {
+                this.snapshots = await response.json();
+            }
+        } catch (error) {
+            // No stored snapshots yet
+        }
+    }
+
+    /**
+     * Turn a value into snapshot text; HTML is stored one tag per line with whitespace collapsed
+     */
+    serializeSnapshot(value) {
+        if (value && typeof value.outerHTML === 'string') {
+            value = value.outerHTML;
+        }
+        if (typeof value === 'string') {
+            return value.replace(/\s+/g, ' ').replace(/>\s*</g, '>\n<').trim();
+        }
+        return JSON.stringify(value, null, 2);
+    }
+
+    /**
+     * Compare a value with its stored snapshot, recording it when there is none
+     */
+    matchSnapshot(value, hint = '') {
+        if (!this.currentTest) {
+            throw new Error('toMatchSnapshot can only be used inside a test');
+        }
+
+        const { suite, test } = this.currentTest;
+        const count = ++this.currentTest.snapshotCount;
+        const key = `${suite.name} > ${test.name}${hint ? `: ${hint}` : ''} ${count}`;
+        const actual = this.serializeSnapshot(value);
+        const stored = this.snapshots[key];
+
+        if (stored === undefined) {
+            if (this.ciMode) {
+                this.snapshotResults.failed.push(key);
+                throw new Error(`Missing snapshot ${key}; run the tests without --ci to record it`);
+            }
+            this.snapshots[key] = actual;
+            this.snapshotResults.added.push(key);
+            return;
+        }
+        if (stored === actual) {
+            this.snapshotResults.matched++;
+            return;
+        }
+        if (this.updateSnapshots) {
+            this.snapshots[key] = actual;
+            this.snapshotResults.updated.push(key);
+            return;
+        }
+
+        this.snapshotResults.failed.push(key);
+        throw new Error(`Snapshot ${key} does not match\n${this.diffLines(stored, actual)}`);
+    }
+
+    /**
+     * Describe the differing lines between two snapshots
+     */
+    diffLines(expected, actual) {
+        const expectedLines = expected.split('\n');
+        const actualLines = actual.split('\n');
+        const lines = [];
+
+        for (let i = 0; i < Math.max(expectedLines.length, actualLines.length); i++) {
+            if (expectedLines[i] === actualLines[i]) continue;
+            if (expectedLines[i] !== undefined) lines.push(`- ${expectedLines[i]}`);
+            if (actualLines[i] !== undefined) lines.push(`+ ${actualLines[i]}`);
+        }
+        return lines.join('\n');
+    }
+
+    // Display Methods
+
+    updateProgress(percentage) {
+        const progressBar = document.getElementById('progressBar');
+        progressBar.style.width = percentage + '%';
+    }
+
+    displayResults() {
+        const resultsContainer = document.getElementById('testResults');
+        resultsContainer.innerHTML = '';
+
+        this.results.forEach(suite => {
+            const suiteDiv = document.createElement('div');
+            suiteDiv.className = 'test-suite';
+
+            const suiteTitle = document.createElement('h2');
+            suiteTitle.textContent = suite.name;
+            suiteDiv.appendChild(suiteTitle);
+
+            suite.tests.forEach(test => {
+                const testDiv = document.createElement('div');
+                testDiv.className = `test-case ${test.status}`;
+
+                const icon = test.status === 'pass' ? '✅' : test.status === 'fail' ? '❌' : '⏳';
+                testDiv.textContent = `${icon} ${test.name}${test.status === 'pending' ? ' (skipped)' : ''}`;
+
+                if (test.error) {
+                    const errorDiv = document.createElement('div');
+                    errorDiv.className = 'error-details';
+                    errorDiv.textContent = `Error: ${test.error}\n\n${test.stack}`;
+                    testDiv.appendChild(errorDiv);
+                }
+
+                suiteDiv.appendChild(testDiv);
+            });
+
+            resultsContainer.appendChild(suiteDiv);
+        });
+    }
+
+    displaySummary() {
+        const summaryContainer = document.getElementById('testSummary');
+        const summaryContent = document.getElementById('summaryContent');
+        const { matched, added, updated, failed } = this.snapshotResults;
+
+        const passRate = this.totalTests > 0 ? (this.passedTests / this.totalTests * 100).toFixed(1) : 0;
+
+        summaryContent.innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(200px, 1fr)); gap: 20px;">
+                <div>
+                    <strong>Total Tests:</strong> ${this.totalTests}<br>
+                    <strong>Passed:</strong> <span style="color: #28a745;">${this.passedTests}</span><br>
+                    <strong>Failed:</strong> <span style="color: #dc3545;">${this.failedTests}</span><br>
+                    <strong>Skipped:</strong> ${this.pendingTests}<br>
+                    <strong>Pass Rate:</strong> ${passRate}%
+                </div>
+                <div>
+                    <strong>Status:</strong> ${this.failedTests === 0 ? '🎉 All tests passed!' : '⚠️ Some tests failed'}<br>
+                    <strong>Snapshots:</strong> ${matched} matched, ${added.length} new, ${updated.length} updated, ${failed.length} failed<br>
+                    <strong>Duration:</strong> ${Date.now() - this.startTime}ms<br>
+                    <strong>Browser:</strong> ${navigator.userAgent.split(' ').pop()}
+                </div>
+            </div>
+            ${added.length > 0 ? '<p>New snapshots are kept for this page only; run <code>node tests/run-tests.js</code> to save them.</p>' : ''}
+        `;
+
+        summaryContainer.style.display = 'block';
+    }
+
+    sleep(ms) {
+        return new Promise(resolve => this.realTimers.setTimeout(resolve, ms));
+    }
+
+    // Assertion Methods
+
+    /**
+     * Build the matchers for a value, with .not, .resolves and .rejects
+     */
+    expect(actual) {
+        const matchers = this.createMatchers(actual, false);
+        matchers.not = this.createMatchers(actual, true);
+
+        // Built on first use, so an unused chain never leaves an unhandled rejection behind
+        Object.defineProperty(matchers, 'resolves', {
+            get: () => this.createAsyncMatchers(Promise.resolve(actual).then(
+                value => value,
+                error => { throw new Error(`Expected promise to resolve, but it rejected with ${this.formatValue(error?.message || error)}`); }
+            ))
+        });
+        Object.defineProperty(matchers, 'rejects', {
+            get: () => this.createAsyncMatchers(Promise.resolve(actual).then(
+                value => { throw new Error(`Expected promise to reject, but it resolved with ${this.formatValue(value)}`); },
+                // toThrow expects a function, so the rejection is wrapped in one
+                error => Object.assign(() => { throw error; }, { rejection: error })
+            ))
+        });
+        return matchers;
+    }
+
+    /**
+     * Wrap every matcher so it runs once a promise settles
+     */
+    createAsyncMatchers(promise) {
+        const wrap = (negated) => Object.fromEntries(Object.keys(this.createMatchers(null, false)).map(name => [
+            name,
+            (...args) => promise.then(value => {
+                const target = typeof value === 'function' && value.rejection !== undefined && name !== 'toThrow'
+                    ? value.rejection
+                    : value;
+                return this.createMatchers(target, negated)[name](...args);
+            })
+        ]));
+
+        const matchers = wrap(false);
+        matchers.not = wrap(true);
+        return matchers;
+    }
+
+    /**
+     * Format a value for a failure message
+     */
+    formatValue(value) {
+        if (typeof value === 'string') return value;
+        if (typeof value === 'function') return value.name ? `[Function ${value.name}]` : '[Function]';
+        try {
+            return JSON.stringify(value);
+        } catch (error) {
+            return String(value);
+        }
+    }
+
+    /**
+     * Compare two values structurally; properties set to undefined are ignored
+     */
+    isEqual(a, b) {
+        if (Object.is(a, b)) return true;
+        if (a instanceof Date && b instanceof Date) return a.getTime() === b.getTime();
+        if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+        if (Array.isArray(a) !== Array.isArray(b)) return false;
+        if (Array.isArray(a)) {
+            return a.length === b.length && a.every((value, index) => this.isEqual(value, b[index]));
+        }
+        if (a instanceof Map && b instanceof Map) {
+            return this.isEqual(Array.from(a.entries()), Array.from(b.entries()));
+        }
+        if (a instanceof Set && b instanceof Set) {
+            return this.isEqual(Array.from(a), Array.from(b));
+        }
+
+        const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+        return Array.from(keys).every(key => this.isEqual(a[key], b[key]));
+    }
+
+    /**
+     * Check that a value is a mock function before using a spy matcher
+     */
+    assertMock(actual) {
+        if (!actual || !actual.isMockFunction) {
+            throw new Error(`Expected a mock function, got ${this.formatValue(actual)}`);
+        }
+        return actual.mock.calls;
+    }
+
+    /**
+     * Build the matchers, inverted when negated
+     */
+    createMatchers(actual, negated) {
+        const format = value => this.formatValue(value);
+        const not = negated ? 'not ' : '';
+        const assert = (pass, message) => {
+            if (pass === negated) {
+                throw new Error(message);
+            }
+        };
+
+        return {
+            toBe: (expected) => {
+                assert(Object.is(actual, expected), `Expected ${format(actual)} ${not}to be ${format(expected)}`);
+            },
+            toEqual: (expected) => {
+                assert(this.isEqual(actual, expected), `Expected ${format(actual)} ${not}to equal ${format(expected)}`);
+            },
+            toBeTruthy: () => {
+                assert(!!actual, `Expected ${format(actual)} ${not}to be truthy`);
+            },
+            toBeFalsy: () => {
+                assert(!actual, `Expected ${format(actual)} ${not}to be falsy`);
+            },
+            toBeNull: () => {
+                assert(actual === null, `Expected ${format(actual)} ${not}to be null`);
+            },
+            toBeUndefined: () => {
+                assert(actual === undefined, `Expected ${format(actual)} ${not}to be undefined`);
+            },
+            toBeDefined: () => {
+                assert(actual !== undefined, `Expected ${format(actual)} ${not}to be defined`);
+            },
+            toBeGreaterThan: (expected) => {
+                assert(actual > expected, `Expected ${format(actual)} ${not}to be greater than ${format(expected)}`);
+            },
+            toBeGreaterThanOrEqual: (expected) => {
+                assert(actual >= expected, `Expected ${format(actual)} ${not}to be greater than or equal to ${format(expected)}`);
+            },
+            toBeLessThan: (expected) => {
+                assert(actual < expected, `Expected ${format(actual)} ${not}to be less than ${format(expected)}`);
+            },
+            toBeLessThanOrEqual: (expected) => {
+                assert(actual <= expected, `Expected ${format(actual)} ${not}to be less than or equal to ${format(expected)}`);
+            },
+            toBeCloseTo: (expected, digits = 2) => {
+                assert(Math.abs(actual - expected) < Math.pow(10, -digits) / 2, `Expected ${format(actual)} ${not}to be close to ${format(expected)}`);
+            },
+            toContain: (item) => {
+                assert(!!(actual && actual.includes && actual.includes(item)), `Expected ${format(actual)} ${not}to contain ${format(item)}`);
+            },
+            toHaveLength: (length) => {
+                assert(actual != null && actual.length === length, `Expected ${format(actual)} ${not}to have length ${length}`);
+            },
+            toHaveProperty: (path, ...value) => {
+                const keys = Array.isArray(path) ? path : String(path).split('.');
+                let current = actual;
+                let found = true;
+                for (const key of keys) {
+                    if (current == null || !(key in Object(current))) {
+                        found = false;
+                        break;
+                    }
+                    current = current[key];
+                }
+                const matches = found && (value.length === 0 || this.isEqual(current, value[0]));
+                assert(matches, `Expected ${format(actual)} ${not}to have property ${keys.join('.')}${value.length ? ` equal to ${format(value[0])}` : ''}`);
+            },
+            toMatch: (pattern) => {
+                const matches = typeof actual === 'string' && (pattern instanceof RegExp ? pattern.test(actual) : actual.includes(pattern));
+                assert(matches, `Expected ${format(actual)} ${not}to match ${format(String(pattern))}`);
+            },
+            toBeInstanceOf: (constructor) => {
+                assert(actual instanceof constructor, `Expected ${format(actual)} ${not}to be instance of ${constructor.name}`);
+            },
+            toThrow: (expected) => {
+                if (typeof actual !== 'function') {
+                    throw new Error('Expected a function to test for throwing');
+                }
+                let thrown = null;
+                try {
+                    actual();
+                } catch (error) {
+                    thrown = error || new Error(String(error));
+                }
+
+                let matches = thrown !== null;
+                if (matches && expected !== undefined) {
+                    const message = thrown.message || String(thrown);
+                    if (typeof expected === 'string') matches = message.includes(expected);
+                    else if (expected instanceof RegExp) matches = expected.test(message);
+                    else if (typeof expected === 'function') matches = thrown instanceof expected;
+                }
+                const detail = expected === undefined ? '' : ` matching ${format(expected instanceof RegExp ? String(expected) : expected)}`;
+                assert(matches, `Expected function ${not}to throw${detail}${thrown ? `, got ${format(thrown.message)}` : ''}`);
+            },
+            toHaveBeenCalled: () => {
+                const calls = this.assertMock(actual);
+                assert(calls.length > 0, `Expected mock ${not}to have been called`);
+            },
+            toHaveBeenCalledTimes: (times) => {
+                const calls = this.assertMock(actual);
+                assert(calls.length === times, `Expected mock ${not}to have been called ${times} times, got ${calls.length}`);
+            },
+            toHaveBeenCalledWith: (...args) => {
+                const calls = this.assertMock(actual);
+                assert(calls.some(call => this.isEqual(call, args)), `Expected mock ${not}to have been called with ${format(args)}, got ${format(calls)}`);
+            },
+            toHaveBeenLastCalledWith: (...args) => {
+                const calls = this.assertMock(actual);
+                assert(calls.length > 0 && this.isEqual(calls[calls.length - 1], args), `Expected mock ${not}to have been last called with ${format(args)}`);
+            },
+            toMatchSnapshot: (hint) => {
+                if (negated) {
+                    throw new Error('toMatchSnapshot cannot be negated');
+                }
+                this.matchSnapshot(actual, hint);
+            }
+        };
+    }
+}
+
+const testRunner = new TestRunner();
+window.testRunner = testRunner;
+window.MockWebSocket = MockWebSocket;
+
+// Global test functions
+window.describe = (name, callback) => testRunner.describe(name, callback);
+window.describe.only = (name, callback) => testRunner.describe(name, callback, { only: true });
+window.describe.skip = (name, callback) => testRunner.describe(name, callback, { skip: true });
+window.it = (name, callback, timeout) => testRunner.it(name, callback, timeout);
+window.it.only = (name, callback, timeout) => testRunner.it(name, callback, timeout, { only: true });
+window.it.skip = (name, callback, timeout) => testRunner.it(name, callback, timeout, { skip: true });
+window.beforeAll = (callback, timeout) => testRunner.addHook('beforeAll', callback, timeout);
+window.afterAll = (callback, timeout) => testRunner.addHook('afterAll', callback, timeout);
+window.beforeEach = (callback, timeout) => testRunner.addHook('beforeEach', callback, timeout);
+window.afterEach = (callback, timeout) => testRunner.addHook('afterEach', callback, timeout);
+window.expect = (actual) => testRunner.expect(actual);
+window.jest = testRunner.createJestApi();
+window.stubFetch = (routes) => testRunner.stubFetch(routes);
+window.stubWebSocket = (options) => testRunner.stubWebSocket(options);
+
+// Node-style alias, since the suites install stubs through global.fetch
+window.global = window;
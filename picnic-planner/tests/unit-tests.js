@@ -14,14 +14,23 @@ describe('Unit Tests - PicnicAPI', () => {
             picnics: 'picnics',
             participants: 'picnic_participants',
             items: 'picnic_items',
-            expenses: 'picnic_expenses'
+            expenses: 'picnic_expenses',
+            messages: 'picnic_messages'
         });
     });
 
     it('should get authentication token correctly', () => {
         api = new PicnicAPI();
-        const token = api.getAuthToken();
-        expect(token).toBe('mock-jwt-token-for-development');
+        expect(api.getAuthToken()).toBe('test-jwt-token-12345');
+
+        // Without the platform, local development falls back to the mock token
+        const olamoAuth = window.olamoAuth;
+        delete window.olamoAuth;
+        try {
+            expect(api.getAuthToken()).toBe('mock-jwt-token-for-development');
+        } finally {
+            window.olamoAuth = olamoAuth;
+        }
     });
 
     it('should get current user information', () => {
@@ -107,7 +116,8 @@ describe('Unit Tests - Utils', () => {
         expect(id2).toContain('test-');
     });
 
-    it('should throttle function calls', (done) => {
+    it('should throttle function calls', () => {
+        jest.useFakeTimers();
         let callCount = 0;
         const throttledFn = Utils.throttle(() => callCount++, 100);
         
@@ -119,12 +129,15 @@ describe('Unit Tests - Utils', () => {
         // Should only be called once initially
         expect(callCount).toBe(1);
         
-        // Wait for throttle period and test again
-        setTimeout(() => {
-            throttledFn();
-            expect(callCount).toBe(2);
-            done();
-        }, 150);
+        // Calls inside the throttle period are still dropped
+        jest.advanceTimersByTime(99);
+        throttledFn();
+        expect(callCount).toBe(1);
+        
+        // Once the throttle period has passed the next call goes through
+        jest.advanceTimersByTime(1);
+        throttledFn();
+        expect(callCount).toBe(2);
     });
 });
 
@@ -316,7 +329,8 @@ describe('Unit Tests - ProgressBarComponent', () => {
         
         component.setColor('#ff0000');
         expect(component.options.color).toBe('#ff0000');
-        expect(component.bar.style.background).toBe('#ff0000');
+        // Browsers report inline colours in rgb() form
+        expect(component.bar.style.background).toBe('rgb(255, 0, 0)');
         
         document.body.removeChild(element);
     });
@@ -546,14 +560,137 @@ describe('Unit Tests - Data Validation', () => {
         expect(typeof validExpense.amount).toBe('number');
         expect(Array.isArray(validExpense.participants)).toBeTruthy();
     });
+
+    it('should accept valid documents against the collection schemas', () => {
+        const api = window.picnicAPI;
+        
+        expect(api.validateDocument('picnics', {
+            title: 'Summer BBQ',
+            date: '2025-08-20',
+            time: '12:00',
+            location: { name: 'Central Park', coordinates: { lat: 40.78, lng: -73.97 } },
+            organizer_id: 'user123',
+            theme: 'bbq',
+            max_participants: 50
+        })).toEqual({});
+        expect(api.validateDocument('picnic_items', {
+            picnic_id: 'picnic123',
+            name: 'Paper plates',
+            category: 'tableware',
+            quantity_needed: 50
+        })).toEqual({});
+        expect(api.validateDocument('picnic_expenses', {
+            picnic_id: 'picnic123',
+            description: 'Hamburger meat',
+            amount: 85.50,
+            paid_by: 'user123',
+            participants: ['user123'],
+            date: '2025-08-18T14:30:00Z'
+        })).toEqual({});
+    });
+
+    it('should declare the same collection schemas in miniapp.json as the API creates', async () => {
+        const manifest = await (await fetch('../miniapp.json')).json();
+        const configs = new PicnicAPI().getCollectionConfigs();
+        
+        expect(Object.keys(manifest.collections).sort()).toEqual(configs.map(config => config.name).sort());
+        configs.forEach(config => {
+            expect(manifest.collections[config.name].schema).toEqual(config.schema.properties);
+        });
+    });
+
+    it('should report field-level errors from the collection schema', () => {
+        const errors = window.picnicAPI.validateDocument('picnics', {
+            title: 'x'.repeat(201),
+            date: '2025-02-30',
+            time: '25:00',
+            location: { name: 'Park', coordinates: { lat: 91, lng: 0 } },
+            organizer_id: 'user123',
+            theme: 'beach',
+            max_participants: 0,
+            is_public: 'yes'
+        });
+        
+        expect(errors).toEqual({
+            title: 'Title must be 200 characters or less',
+            date: 'Date must be a valid date',
+            time: 'Time is not in the expected format',
+            'location.coordinates.lat': 'Location coordinates lat must be 90 or less',
+            theme: 'Choose a valid theme',
+            max_participants: 'Max participants must be at least 1',
+            is_public: 'Is public must be yes or no'
+        });
+    });
+
+    it('should treat blank form values as missing', () => {
+        const errors = window.picnicAPI.validateDocument('picnic_items', {
+            picnic_id: 'picnic123',
+            name: '   ',
+            category: '',
+            quantity_needed: NaN,
+            unit: '',
+            estimated_cost: -1
+        });
+        
+        expect(errors).toEqual({
+            name: 'Name is required',
+            category: 'Category is required',
+            quantity_needed: 'Quantity needed is required',
+            estimated_cost: 'Estimated cost cannot be negative'
+        });
+    });
+
+    it('should skip required fields for partial documents', () => {
+        const errors = window.picnicAPI.validateDocument('picnic_expenses', { amount: 'ten' }, { partial: true });
+        expect(errors).toEqual({ amount: 'Amount must be a number' });
+    });
+
+    it('should default the expense category rather than require it', () => {
+        const schema = window.picnicAPI.getSchema('picnic_expenses');
+        expect(schema.properties.category.required).toBeUndefined();
+        expect(schema.properties.category.default).toBe('other');
+    });
+
+    it('should reject invalid payloads before sending them', async () => {
+        const api = window.picnicAPI;
+        const request = jest.spyOn(api, 'makeRequest').mockResolvedValue({ id: 'expense-1' });
+        
+        let error = null;
+        try {
+            await api.createExpense({ picnic_id: 'picnic123', description: 'Ice', amount: -5, paid_by: 'user123' });
+        } catch (e) {
+            error = e;
+        }
+        
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.errors).toEqual({ amount: 'Amount cannot be negative', date: 'Date is required' });
+        expect(request).not.toHaveBeenCalled();
+    });
+
+    it('should reject custom splits over the expense total before sending them', async () => {
+        const api = window.picnicAPI;
+        const request = jest.spyOn(api, 'makeRequest').mockResolvedValue({ id: 'expense-1' });
+        const expense = {
+            picnic_id: 'picnic123',
+            description: 'Ice',
+            amount: 10,
+            paid_by: 'user123',
+            date: '2025-08-20T12:00:00.000Z',
+            split_type: 'custom',
+            shares: { user123: 6, user456: 6 }
+        };
+        
+        await expect(api.createExpense(expense)).rejects.toThrow('more than the total');
+        await expect(api.updateExpense('expense-1', expense)).rejects.toThrow('more than the total');
+        expect(request).not.toHaveBeenCalled();
+    });
 });
 
 describe('Unit Tests - Error Handling', () => {
-    it('should handle API errors gracefully', () => {
+    it('should handle API errors gracefully', async () => {
         const api = new PicnicAPI();
         
         // Mock fetch to return error
-        const originalFetch = global.fetch;
         global.fetch = jest.fn(() => 
             Promise.resolve({
                 ok: false,
@@ -563,32 +700,22 @@ describe('Unit Tests - Error Handling', () => {
             })
         );
         
-        expect(async () => {
-            await api.makeRequest('/nonexistent');
-        }).toThrow();
-        
-        global.fetch = originalFetch;
+        await expect(api.makeRequest('/nonexistent')).rejects.toThrow('Resource not found');
     });
 
-    it('should handle network errors', () => {
+    it('should handle network errors', async () => {
         const api = new PicnicAPI();
         
         // Mock fetch to reject
-        const originalFetch = global.fetch;
         global.fetch = jest.fn(() => Promise.reject(new Error('Network error')));
         
-        expect(async () => {
-            await api.makeRequest('/test');
-        }).toThrow();
-        
-        global.fetch = originalFetch;
+        await expect(api.makeRequest('/test')).rejects.toThrow('Network error');
     });
 
-    it('should handle invalid JSON responses', () => {
+    it('should handle invalid JSON responses', async () => {
         const api = new PicnicAPI();
         
         // Mock fetch to return invalid JSON
-        const originalFetch = global.fetch;
         global.fetch = jest.fn(() => 
             Promise.resolve({
                 ok: true,
@@ -596,11 +723,1185 @@ describe('Unit Tests - Error Handling', () => {
             })
         );
         
-        expect(async () => {
-            await api.makeRequest('/test');
-        }).toThrow();
+        await expect(api.makeRequest('/test')).rejects.toThrow('Invalid JSON');
+    });
+});
+
+describe('Unit Tests - OfflineStore', () => {
+    let store;
+
+    it('should cache and return responses', async () => {
+        store = new OfflineStore('picnic-test-cache');
+        await store.clear();
+        
+        await store.setCached('GET /picnics/1', { id: '1', title: 'Cached Picnic' });
+        const cached = await store.getCached('GET /picnics/1');
+        
+        expect(cached.title).toBe('Cached Picnic');
+        expect(await store.getCached('GET /picnics/missing')).toBeFalsy();
+    });
+
+    it('should keep queued mutations in order', async () => {
+        store = new OfflineStore('picnic-test-queue');
+        await store.clear();
+        
+        const first = await store.enqueue({ endpoint: '/picnics', method: 'POST', operations: [] });
+        const second = await store.enqueue({ endpoint: '/picnic_items', method: 'POST', operations: [] });
+        
+        const queue = await store.getQueue();
+        expect(queue.length).toBe(2);
+        expect(queue[0].seq).toBe(first.seq);
+        expect(queue[1].seq).toBe(second.seq);
+        expect(queue[0].queued_at).toBeTruthy();
+        
+        await store.removeMutation(first.seq);
+        expect((await store.getQueue()).length).toBe(1);
+    });
+});
+
+describe('Unit Tests - PicnicAPI Offline Helpers', () => {
+    it('should treat query and search POSTs as reads', () => {
+        const api = new PicnicAPI();
+        expect(api.isMutationRequest('/picnic_items/query', 'POST')).toBeFalsy();
+        expect(api.isMutationRequest('/picnics/search', 'POST')).toBeFalsy();
+        expect(api.isMutationRequest('/picnics', 'GET')).toBeFalsy();
+        expect(api.isMutationRequest('/picnic_items', 'POST')).toBeTruthy();
+        expect(api.isMutationRequest('/picnic_items/item-1', 'DELETE')).toBeTruthy();
+    });
+
+    it('should parse endpoints into collection and id', () => {
+        const api = new PicnicAPI();
+        expect(api.parseEndpoint('/picnics/abc')).toEqual({ collection: 'picnics', id: 'abc', action: null });
+        expect(api.parseEndpoint('/picnics?page=1&limit=50')).toEqual({ collection: 'picnics', id: null, action: null });
+        expect(api.parseEndpoint('/picnic_participants/query')).toEqual({ collection: 'picnic_participants', id: null, action: 'query' });
+    });
+
+    it('should overlay pending mutations on cached records', () => {
+        const api = new PicnicAPI();
+        const cached = [
+            { id: 'p1', picnic_id: 'picnic-1', user_name: 'Ana', rsvp_status: 'maybe' },
+            { id: 'p2', picnic_id: 'picnic-1', user_name: 'Ben', rsvp_status: 'going' }
+        ];
+        const queue = [
+            { operations: [{ operation: 'update', collection: 'picnic_participants', id: 'p1', data: { rsvp_status: 'going' } }] },
+            { operations: [{ operation: 'delete', collection: 'picnic_participants', id: 'p2' }] },
+            { operations: [{ operation: 'create', collection: 'picnic_participants', id: 'offline-1', data: { picnic_id: 'picnic-1', user_name: 'Cy' } }] },
+            { operations: [{ operation: 'create', collection: 'picnic_participants', id: 'offline-2', data: { picnic_id: 'picnic-2', user_name: 'Di' } }] }
+        ];
+        
+        const merged = api.applyPendingMutations('picnic_participants', cached, queue, [
+            { field: 'picnic_id', operator: '==', value: 'picnic-1' }
+        ]);
+        
+        expect(merged.length).toBe(2);
+        expect(merged[0].rsvp_status).toBe('going');
+        expect(merged[0]._pending_sync).toBeTruthy();
+        expect(merged[1].id).toBe('offline-1');
+    });
+});
+
+describe('Unit Tests - PicnicAPI Files', () => {
+    it('should upload files with progress events', async () => {
+        const api = new PicnicAPI();
+        const OriginalXHR = window.XMLHttpRequest;
+        const progress = [];
+        let sentBody = null;
+        
+        window.XMLHttpRequest = class {
+            constructor() {
+                this.upload = {};
+                this.headers = {};
+            }
+            open(method, url) {
+                this.method = method;
+                this.url = url;
+            }
+            setRequestHeader(name, value) {
+                this.headers[name] = value;
+            }
+            send(body) {
+                sentBody = body;
+                this.upload.onprogress({ lengthComputable: true, loaded: 50, total: 100 });
+                this.upload.onprogress({ lengthComputable: true, loaded: 100, total: 100 });
+                this.status = 201;
+                this.responseText = JSON.stringify({ id: 'file-1', original_filename: 'receipt.pdf' });
+                this.onload();
+            }
+        };
+        
+        api.on('upload:progress', (event) => progress.push(event.percent));
+        
+        try {
+            const file = new File(['%PDF'], 'receipt.pdf', { type: 'application/pdf' });
+            const uploaded = await api.uploadFile(file, { kind: 'receipt' }, { uploadId: 'upload-1' });
+            
+            expect(uploaded.id).toBe('file-1');
+            expect(progress).toEqual([50, 100]);
+            expect(sentBody.get('metadata')).toBe('{"kind":"receipt"}');
+            expect(sentBody.get('public')).toBe('false');
+        } finally {
+            window.XMLHttpRequest = OriginalXHR;
+        }
+    });
+
+    it('should reuse signed URLs until they expire', async () => {
+        const api = new PicnicAPI();
+        let requests = 0;
+        api.makeRequest = async () => {
+            requests++;
+            return { url: `https://storage.example.com/file-1?sig=${requests}`, expires_in: 3600 };
+        };
+        
+        const first = await api.getFileUrl('file-1');
+        const second = await api.getFileUrl('file-1');
+        
+        expect(first).toBe(second);
+        expect(requests).toBe(1);
+        
+        api.fileUrls.get('file-1').expiresAt = Date.now() - 1;
+        await api.getFileUrl('file-1');
+        expect(requests).toBe(2);
+    });
+
+    it('should leave non-image files untouched when downscaling', async () => {
+        const api = new PicnicAPI();
+        const file = new File(['%PDF'], 'receipt.pdf', { type: 'application/pdf' });
+        
+        expect(await api.downscaleImage(file, 240)).toBe(file);
+    });
+});
+
+describe('Unit Tests - Picnic Status Lifecycle', () => {
+    const organizerId = 'test-user-123';
+    const pastPicnic = { id: 'picnic-1', title: 'Past BBQ', date: '2020-06-01', time: '12:00', organizer_id: organizerId, status: 'confirmed' };
+    const futurePicnic = { ...pastPicnic, date: '2999-06-01', status: 'planning' };
+
+    it('should only allow legal status transitions', () => {
+        const api = new PicnicAPI();
+        
+        expect(api.getAllowedStatusTransitions(futurePicnic)).toEqual(['confirmed', 'cancelled']);
+        expect(api.getAllowedStatusTransitions(pastPicnic)).toEqual(['planning', 'cancelled', 'completed']);
+        expect(api.getAllowedStatusTransitions({ ...pastPicnic, status: 'completed' })).toEqual([]);
+        expect(api.getAllowedStatusTransitions({ ...pastPicnic, status: 'cancelled' })).toEqual(['planning']);
+    });
+
+    it('should offer completion only to the organizer after the picnic started', () => {
+        const api = new PicnicAPI();
+        api.getCurrentUserId = () => organizerId;
+        
+        expect(api.shouldOfferCompletion(pastPicnic)).toBeTruthy();
+        expect(api.shouldOfferCompletion(futurePicnic)).toBeFalsy();
+        expect(api.shouldOfferCompletion({ ...pastPicnic, organizer_id: 'someone-else' })).toBeFalsy();
+    });
+
+    it('should reject illegal transitions and non-organizers', async () => {
+        const api = new PicnicAPI();
+        api.getCurrentUserId = () => organizerId;
+        api.updatePicnic = async () => {
+            throw new Error('should not save');
+        };
+        
+        let error = null;
+        try {
+            await api.changePicnicStatus({ ...pastPicnic, status: 'completed' }, 'confirmed');
+        } catch (e) {
+            error = e;
+        }
+        expect(error instanceof StatusTransitionError).toBeTruthy();
+        expect(error.from).toBe('completed');
+        
+        error = null;
+        try {
+            await api.changePicnicStatus({ ...futurePicnic, organizer_id: 'someone-else' }, 'confirmed');
+        } catch (e) {
+            error = e;
+        }
+        expect(error instanceof StatusTransitionError).toBeTruthy();
+    });
+
+    it('should record the change and notify RSVPed participants', async () => {
+        const api = new PicnicAPI();
+        const sent = [];
+        let saved = null;
+        
+        api.getCurrentUserId = () => organizerId;
+        api.getCurrentUserName = () => 'Organizer';
+        api.updatePicnic = async (id, updates) => {
+            saved = updates;
+            return { ...futurePicnic, ...updates };
+        };
+        api.getParticipantsByPicnic = async () => [
+            { user_id: organizerId, rsvp_status: 'going' },
+            { user_id: 'user-2', rsvp_status: 'going' },
+            { user_id: 'user-3', rsvp_status: 'maybe' },
+            { user_id: 'user-4', rsvp_status: 'pending' }
+        ];
+        api.sendWebSocketMessage = (message) => sent.push(message);
+        
+        await api.changePicnicStatus(futurePicnic, 'confirmed');
+        
+        expect(saved.status).toBe('confirmed');
+        expect(saved.status_changed_by).toBe(organizerId);
+        expect(saved.status_history.length).toBe(1);
+        expect(saved.status_history[0].from).toBe('planning');
+        expect(sent.map(m => m.room_id)).toEqual(['user:user-2', 'user:user-3']);
+        expect(sent[0].type).toBe('room_message');
+        expect(sent[0].data.kind).toBe('picnic_status');
+    });
+
+    it('should only pass on status notifications the picnic records', async () => {
+        const api = new PicnicAPI();
+        const received = [];
+        const change = { from: 'planning', to: 'cancelled', changed_by: organizerId, changed_at: '2025-08-01T10:00:00.000Z', reason: 'Rain' };
+        jest.spyOn(api, 'getPicnic').mockResolvedValue({ ...futurePicnic, status: 'cancelled', status_history: [change] });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        api.on('picnic:status-notification', (notification) => received.push(notification));
+        const deliver = (data) => api.emitVerifiedStatusNotification({ kind: 'picnic_status', picnic_id: futurePicnic.id, ...data });
+        
+        await deliver({ ...change, picnic_title: 'Forged title', reason: 'Forged reason' });
+        await deliver({ ...change, to: 'confirmed' });
+        await deliver({ ...change, changed_at: '2025-08-02T10:00:00.000Z' });
+        
+        expect(received.length).toBe(1);
+        expect(received[0].picnic_title).toBe(futurePicnic.title);
+        expect(received[0].reason).toBe('Rain');
+    });
+
+    it('should not trust a status change made by someone other than the organizer', async () => {
+        const api = new PicnicAPI();
+        const received = [];
+        const change = { from: 'planning', to: 'cancelled', changed_by: 'intruder', changed_at: '2025-08-01T10:00:00.000Z' };
+        jest.spyOn(api, 'getPicnic').mockResolvedValue({ ...futurePicnic, status: 'cancelled', status_history: [change] });
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        api.on('picnic:status-notification', (notification) => received.push(notification));
+        
+        await api.emitVerifiedStatusNotification({ kind: 'picnic_status', picnic_id: futurePicnic.id, ...change });
+        
+        expect(received.length).toBe(0);
+    });
+});
+
+describe('Unit Tests - Capacity and Waitlist', () => {
+    const picnic = { id: 'picnic-1', title: 'Small BBQ', max_participants: 5 };
+    const participants = [
+        { id: 'p1', user_id: 'u1', rsvp_status: 'going', plus_ones: 2 },
+        { id: 'p2', user_id: 'u2', rsvp_status: 'going', plus_ones: 0 },
+        { id: 'p3', user_id: 'u3', rsvp_status: 'maybe', plus_ones: 4 },
+        { id: 'p4', user_id: 'u4', rsvp_status: 'waitlisted', plus_ones: 1, waitlisted_at: '2025-08-02T10:00:00Z' },
+        { id: 'p5', user_id: 'u5', rsvp_status: 'waitlisted', plus_ones: 0, waitlisted_at: '2025-08-01T10:00:00Z' }
+    ];
+
+    it('should count plus-ones against capacity', () => {
+        const api = new PicnicAPI();
+        const capacity = api.getCapacity(picnic, participants);
+        
+        expect(capacity.taken).toBe(4);
+        expect(capacity.remaining).toBe(1);
+        expect(capacity.isFull).toBeFalsy();
+        expect(capacity.waitlist.map(p => p.id)).toEqual(['p5', 'p4']);
+        expect(capacity.waitlistHeadcount).toBe(3);
+    });
+
+    it('should waitlist going RSVPs that do not fit or would jump the queue', () => {
+        const api = new PicnicAPI();
+        const going = participants.filter(p => p.rsvp_status === 'going');
+        
+        const fits = api.resolveRsvpStatus(picnic, going, { user_id: 'u9', rsvp_status: 'going', plus_ones: 0 });
+        expect(fits.rsvp_status).toBe('going');
+        
+        const tooBig = api.resolveRsvpStatus(picnic, going, { user_id: 'u9', rsvp_status: 'going', plus_ones: 1 });
+        expect(tooBig.rsvp_status).toBe('waitlisted');
+        expect(tooBig.waitlisted_at).toBeTruthy();
+        
+        const behindQueue = api.resolveRsvpStatus(picnic, participants, { user_id: 'u9', rsvp_status: 'going', plus_ones: 0 });
+        expect(behindQueue.rsvp_status).toBe('waitlisted');
+    });
+
+    it('should reject extra guests that do not fit for someone already going', () => {
+        const api = new PicnicAPI();
+        let error = null;
+        
+        try {
+            api.resolveRsvpStatus(picnic, participants, { user_id: 'u2', rsvp_status: 'going', plus_ones: 2 }, participants[1]);
+        } catch (e) {
+            error = e;
+        }
+        
+        expect(error instanceof CapacityError).toBeTruthy();
+        expect(error.remaining).toBe(2);
+        expect(error.requested).toBe(3);
+    });
+
+    it('should promote waitlisted participants in order when someone drops out', async () => {
+        const api = new PicnicAPI();
+        const promotedIds = [];
+        const sent = [];
+        let stored = participants.map(p => ({ ...p }));
+        
+        api.getParticipantsByPicnic = async () => stored;
+        api.updateParticipant = async (id, updates) => {
+            stored = stored.map(p => p.id === id ? { ...p, ...updates } : p);
+            if (updates.promoted_at) promotedIds.push(id);
+            return stored.find(p => p.id === id);
+        };
+        api.sendWebSocketMessage = (message) => sent.push(message);
+        const hosted = { ...picnic, organizer_id: 'someone-else' };
+        
+        const result = await api.saveRsvp(hosted, { user_id: 'u1', rsvp_status: 'not_going', plus_ones: 2 }, participants[0]);
+        
+        expect(result.participant.rsvp_status).toBe('not_going');
+        expect(promotedIds).toEqual(['p5', 'p4']);
+        expect(result.promoted.length).toBe(2);
+        expect(sent.map(m => m.room_id)).toEqual(['user:u5', 'user:u4']);
+    });
+
+    it('should promote each waitlisted participant once when two clients free spots together', async () => {
+        const versioned = participants.map(p => ({ ...p, updatedAt: '2025-08-01T00:00:00.000Z' }));
+        let stored = versioned.map(p => ({ ...p }));
+        const promotedIds = [];
+        const createClient = () => {
+            const api = new PicnicAPI();
+            api.sendWebSocketMessage = () => {};
+            // Both clients read the waitlist before either promotion lands
+            api.getParticipantsByPicnic = async () => versioned;
+            api.updateParticipant = async (id, updates, expectedVersion) => {
+                const current = stored.find(p => p.id === id);
+                if (expectedVersion && current.updatedAt !== expectedVersion) {
+                    throw new ConflictError('Changed by someone else', { id, remote: current });
+                }
+                promotedIds.push(id);
+                stored = stored.map(p => p.id === id ? { ...p, ...updates, updatedAt: `${p.updatedAt}+1` } : p);
+                return stored.find(p => p.id === id);
+            };
+            return api;
+        };
+        
+        const results = await Promise.all([createClient().promoteFromWaitlist(picnic), createClient().promoteFromWaitlist(picnic)]);
+        
+        expect(promotedIds).toEqual(['p5']);
+        expect(results.map(promoted => promoted.length)).toEqual([1, 0]);
+    });
+
+    it('should count every participant, not just the first page', async () => {
+        const api = new PicnicAPI();
+        const going = Array.from({ length: 45 }, (_, i) => ({ id: `g${i}`, picnic_id: 'picnic-1', user_id: `g${i}`, rsvp_status: 'going', plus_ones: 0 }));
+        const makeRequest = jest.spyOn(api, 'makeRequest').mockImplementation(async (endpoint, method, { page, limit }) => ({
+            results: going.slice((page - 1) * limit, page * limit),
+            hasNext: page * limit < going.length
+        }));
+        
+        const loaded = await api.getParticipantsByPicnic('picnic-1');
+        
+        expect(loaded.length).toBe(45);
+        expect(makeRequest.mock.calls.every(([endpoint]) => endpoint === '/picnic_participants/query')).toBeTruthy();
+        expect(api.getCapacity({ max_participants: 50 }, loaded).remaining).toBe(5);
+        
+        makeRequest.mockClear();
+        await api.queryAll('picnic_participants', {}, { pageSize: 20 });
+        expect(makeRequest.mock.calls.map(([, , data]) => data.page)).toEqual([1, 2, 3]);
+    });
+});
+
+describe('Unit Tests - My Events', () => {
+    const now = new Date('2025-08-10T12:00:00Z');
+    const event = (id, date, extra = {}, rsvp = null) => ({
+        picnic: { id, title: id, date, organizer_id: 'host', status: 'planning', ...extra },
+        participation: rsvp ? { picnic_id: id, user_id: 'me', rsvp_status: rsvp } : null,
+        items: [],
+        balance: null
+    });
+
+    it('should group events by role and RSVP with past events last', () => {
+        const api = new PicnicAPI();
+        const groups = api.groupMyEvents([
+            event('mine', '2025-08-20', { organizer_id: 'me' }, 'going'),
+            event('later', '2025-08-30', {}, 'going'),
+            event('sooner', '2025-08-15', {}, 'waitlisted'),
+            event('unsure', '2025-08-15', {}, 'maybe'),
+            event('asked', '2025-08-15', {}, 'pending'),
+            event('declined', '2025-08-15', {}, 'not_going'),
+            event('old', '2025-07-01', { organizer_id: 'me' }, 'going'),
+            event('done', '2025-08-10', { status: 'completed' }, 'going')
+        ], 'me', now);
+        
+        expect(groups.organizing.map(e => e.picnic.id)).toEqual(['mine']);
+        expect(groups.going.map(e => e.picnic.id)).toEqual(['sooner', 'later']);
+        expect(groups.maybe.map(e => e.picnic.id)).toEqual(['unsure']);
+        expect(groups.invited.map(e => e.picnic.id)).toEqual(['asked']);
+        expect(groups.past.map(e => e.picnic.id)).toEqual(['done', 'old']);
+    });
+
+    it('should collect committed items and the user balance per picnic', async () => {
+        const api = new PicnicAPI();
+        const picnic = { id: 'picnic-1', title: 'BBQ', date: '2025-08-20', organizer_id: 'host' };
+        
+        api.getParticipationsByUser = async () => [{ picnic_id: 'picnic-1', user_id: 'me', rsvp_status: 'going' }];
+        api.getPicnicsByOrganizer = async () => [];
+        api.getItemsAssignedTo = async () => [
+            { id: 'i1', picnic_id: 'picnic-1', name: 'Buns', assigned_to: 'me' },
+            { id: 'i2', picnic_id: 'picnic-2', name: 'Ice', assigned_to: 'me' }
+        ];
+        api.getPicnicsByIds = async (ids) => ids.includes('picnic-1') ? [picnic] : [];
+        const records = {
+            picnic_participants: [
+                { picnic_id: 'picnic-1', user_id: 'host', user_name: 'Host', rsvp_status: 'going' },
+                { picnic_id: 'picnic-1', user_id: 'me', user_name: 'Me', rsvp_status: 'going' }
+            ],
+            picnic_expenses: [
+                { id: 'e1', picnic_id: 'picnic-1', amount: 40, paid_by: 'host', split_type: 'equal', participants: ['host', 'me'] }
+            ]
+        };
+        api.queryByPicnicIds = async (collection) => records[collection];
+        
+        const events = await api.getMyEvents('me');
+        
+        expect(events.length).toBe(1);
+        expect(events[0].participation.rsvp_status).toBe('going');
+        expect(events[0].items.map(i => i.id)).toEqual(['i1']);
+        expect(events[0].balance.net).toBe(-20);
+    });
+
+    it('should load every event with one paged query per collection', async () => {
+        const api = new PicnicAPI();
+        const picnicIds = Array.from({ length: 25 }, (_, i) => `picnic-${i}`);
+        const collections = {
+            '/picnic_participants/query': picnicIds.map(id => ({ id: `rsvp-${id}`, picnic_id: id, user_id: 'me', user_name: 'Me', rsvp_status: 'going' })),
+            '/picnics/query': picnicIds.map(id => ({ id, title: id, date: '2025-08-20', organizer_id: 'host' })),
+            '/picnic_items/query': [],
+            '/picnic_expenses/query': picnicIds.map(id => ({ id: `e-${id}`, picnic_id: id, amount: 10, paid_by: 'host', split_type: 'equal', participants: ['me'] }))
+        };
+        const makeRequest = jest.spyOn(api, 'makeRequest').mockImplementation(async (endpoint, method, data) => {
+            let records = collections[endpoint];
+            if (data.filters?.[0].field === 'organizer_id') {
+                records = [];
+            }
+            const { page, limit } = data;
+            return { results: records.slice((page - 1) * limit, page * limit), hasNext: page * limit < records.length };
+        });
+        
+        const events = await api.getMyEvents('me');
+        
+        expect(events.length).toBe(25);
+        expect(events.every(event => event.participation && event.balance.owed === 10)).toBeTruthy();
+        // RSVPs, organized picnics, picnics by id, assigned items, then participants and expenses for all picnics
+        expect(makeRequest.mock.calls.length).toBe(6);
+    });
+});
+
+describe('Unit Tests - Expense Dashboard', () => {
+    const picnics = [
+        { id: 'picnic-1', title: 'Beach', date: '2025-07-12', organizer_id: 'me' },
+        { id: 'picnic-2', title: 'Park', date: '2025-08-02', organizer_id: 'friend' },
+        { id: 'picnic-3', title: 'Lake', date: '2025-09-01', organizer_id: 'me' }
+    ];
+    const participants = [
+        { picnic_id: 'picnic-1', user_id: 'me', user_name: 'Me', rsvp_status: 'going' },
+        { picnic_id: 'picnic-1', user_id: 'friend', user_name: 'Friend', rsvp_status: 'going' },
+        { picnic_id: 'picnic-2', user_id: 'me', user_name: 'Me', rsvp_status: 'going' },
+        { picnic_id: 'picnic-2', user_id: 'friend', user_name: 'Friend', rsvp_status: 'going' },
+        { picnic_id: 'picnic-2', user_id: 'other', user_name: 'Other', rsvp_status: 'going' },
+        { picnic_id: 'picnic-3', user_id: 'me', user_name: 'Me', rsvp_status: 'going' }
+    ];
+    const expenses = [
+        { id: 'e1', picnic_id: 'picnic-1', amount: 30, paid_by: 'me', category: 'food', date: '2025-07-12', split_type: 'equal', participants: ['me', 'friend'] },
+        { id: 'e2', picnic_id: 'picnic-2', amount: 10, paid_by: 'friend', category: 'drinks', date: '2025-08-02', split_type: 'equal', participants: ['me', 'friend', 'other'] },
+        { id: 'e3', picnic_id: 'picnic-2', amount: 20.1, paid_by: 'other', category: 'food', date: '2025-08-02', split_type: 'equal', participants: ['me', 'friend', 'other'] }
+    ];
+
+    it('should total expenses by category and month across picnics', () => {
+        const api = new PicnicAPI();
+        const dashboard = api.buildExpenseDashboard(picnics, expenses, participants, 'me');
+        
+        expect(dashboard.total).toBe(60.1);
+        expect(dashboard.expenseCount).toBe(3);
+        expect(dashboard.participantCount).toBe(3);
+        expect(dashboard.byCategory).toEqual([
+            { category: 'food', total: 50.1 },
+            { category: 'drinks', total: 10 }
+        ]);
+        expect(dashboard.byMonth).toEqual([
+            { month: '2025-08', total: 30.1 },
+            { month: '2025-07', total: 30 }
+        ]);
+    });
+
+    it('should report what the user paid and owes per picnic', () => {
+        const api = new PicnicAPI();
+        const dashboard = api.buildExpenseDashboard(picnics, expenses, participants, 'me');
+        
+        expect(dashboard.perPicnic.map(e => e.picnic.id)).toEqual(['picnic-2', 'picnic-1']);
+        expect(dashboard.perPicnic[0].paid).toBe(0);
+        expect(dashboard.perPicnic[0].owed).toBe(10.03);
+        expect(dashboard.perPicnic[1].net).toBe(15);
+        expect(dashboard.paid).toBe(30);
+        expect(dashboard.owed).toBe(25.03);
+        expect(dashboard.net).toBe(4.97);
+    });
+
+    it('should include every expense when there are more than a page of them', async () => {
+        const api = new PicnicAPI();
+        const many = Array.from({ length: 30 }, (_, i) => ({
+            id: `m${i}`, picnic_id: 'picnic-1', amount: 1, paid_by: 'me', category: 'food', date: '2025-07-12', split_type: 'equal', participants: ['me']
+        }));
+        const collections = { '/picnic_expenses/query': many, '/picnic_participants/query': participants };
+        jest.spyOn(api, 'getUserPicnics').mockResolvedValue({ picnics: [picnics[0]], participations: [] });
+        const makeRequest = jest.spyOn(api, 'makeRequest').mockImplementation(async (endpoint, method, { page = 1, limit = 20 }) => {
+            const records = collections[endpoint];
+            return { results: records.slice((page - 1) * limit, page * limit), total: records.length, hasNext: page * limit < records.length };
+        });
+        
+        const dashboard = await api.getExpenseDashboard('me');
+        
+        expect(dashboard.total).toBe(30);
+        expect(dashboard.expenseCount).toBe(30);
+        expect(dashboard.perPicnic[0].total).toBe(30);
+        
+        makeRequest.mockClear();
+        await api.queryByPicnicIds('picnic_expenses', ['picnic-1']);
+        expect(makeRequest.mock.calls.length).toBe(1);
+        expect(makeRequest.mock.calls[0][2].limit > 20).toBeTruthy();
+    });
+});
+
+describe('Unit Tests - Presence', () => {
+    it('should track collaborators in the active picnic room', () => {
+        const api = new PicnicAPI();
+        const sent = [];
+        const changes = [];
+        api.sendWebSocketMessage = (message) => sent.push(message);
+        api.on('presence:changed', (change) => changes.push(change));
+        
+        api.enterPicnicRoom('picnic-1');
+        expect(sent.map(m => m.type)).toEqual(['join_room', 'presence']);
+        expect(sent[1].metadata.room_id).toBe('picnic:picnic-1');
+        
+        api.handleWebSocketMessage({
+            type: 'presence_update',
+            user_id: 'user-2',
+            presence: { status: 'online', metadata: { room_id: 'picnic:picnic-1', activity: 'editing', user_name: 'Sam' } }
+        });
+        expect(api.getRoomViewers('picnic:picnic-1').map(v => v.user_name)).toEqual(['Sam']);
+        expect(changes[changes.length - 1].viewers[0].activity).toBe('editing');
+        
+        api.handleWebSocketMessage({ type: 'room_leave', room_id: 'picnic:picnic-1', user_id: 'user-2' });
+        expect(api.getRoomViewers('picnic:picnic-1').length).toBe(0);
+        
+        api.leavePicnicRoom();
+        expect(sent.map(m => m.type).slice(-2)).toEqual(['presence', 'leave_room']);
+        expect(api.activeRoom).toBe(null);
+    });
+
+    it('should announce ourselves when someone joins and report who is typing', () => {
+        const api = new PicnicAPI();
+        const sent = [];
+        api.sendWebSocketMessage = (message) => sent.push(message);
+        
+        api.enterPicnicRoom('picnic-1');
+        api.handleWebSocketMessage({
+            type: 'presence_update',
+            user_id: 'user-2',
+            presence: { status: 'online', metadata: { room_id: 'picnic:picnic-1', user_name: 'Sam' } }
+        });
+        api.handleWebSocketMessage({ type: 'room_join', room_id: 'picnic:picnic-1', user_id: 'user-3' });
+        expect(sent[sent.length - 1].type).toBe('presence');
+        
+        api.handleWebSocketMessage({ type: 'typing_start', context: 'picnic:picnic-1:items', user_id: 'user-2' });
+        expect(api.getTypingUsers('picnic:picnic-1:items')).toEqual([{ user_id: 'user-2', user_name: 'Sam' }]);
+        
+        api.handleWebSocketMessage({ type: 'typing_stop', context: 'picnic:picnic-1:items', user_id: 'user-2' });
+        expect(api.getTypingUsers('picnic:picnic-1:items').length).toBe(0);
+        
+        api.leavePicnicRoom();
+    });
+});
+
+describe('Unit Tests - Group Chat', () => {
+    const participants = [
+        { user_id: 'u1', user_name: 'Sam' },
+        { user_id: 'u2', user_name: 'Sam Lee' },
+        { user_id: 'u3', user_name: 'Alex' }
+    ];
+
+    it('should find mentioned participants, preferring the longest name', () => {
+        const api = new PicnicAPI();
+        
+        expect(api.parseMentions('@Sam Lee can you bring ice?', participants)).toEqual(['u2']);
+        expect(api.parseMentions('@sam and @Alex, thanks!', participants).sort()).toEqual(['u1', 'u3']);
+        expect(api.parseMentions('email sam@example.com', participants)).toEqual([]);
+    });
+
+    it('should save messages and broadcast them to the chat room', async () => {
+        const api = new PicnicAPI();
+        const sent = [];
+        let saved = null;
+        
+        api.makeRequest = async (endpoint, method, data) => {
+            saved = { endpoint, method, data };
+            return { id: 'm1', ...data };
+        };
+        api.sendToRoom = (roomId, data) => sent.push({ roomId, data });
+        
+        const message = await api.sendMessage('picnic-1', ' Hi @Alex ', participants);
+        
+        expect(saved.endpoint).toBe('/picnic_messages');
+        expect(message.text).toBe('Hi @Alex');
+        expect(message.mentions).toEqual(['u3']);
+        expect(sent[0].roomId).toBe('chat:picnic-1');
+        expect(sent[0].data.kind).toBe('chat_message');
+    });
+
+    it('should count unread messages from others per picnic', async () => {
+        const api = new PicnicAPI();
+        let query = null;
+        
+        api.makeRequest = async (endpoint, method, data) => {
+            query = data;
+            return {
+                results: [
+                    { picnic_id: 'picnic-1', user_id: 'u1' },
+                    { picnic_id: 'picnic-1', user_id: api.getCurrentUserId() },
+                    { picnic_id: 'picnic-2', user_id: 'u3' }
+                ]
+            };
+        };
+        
+        const counts = await api.getUnreadMessageCounts(['picnic-1', 'picnic-2'], { 'picnic-1': '2025-08-01T00:00:00.000Z' });
+        
+        expect(counts).toEqual({ 'picnic-1': 1, 'picnic-2': 1 });
+        expect(query.or_filters[0][1].value).toBe('2025-08-01T00:00:00.000Z');
+    });
+
+    it('should count past the first page of unread messages', async () => {
+        const api = new PicnicAPI();
+        const unread = Array.from({ length: 130 }, (_, i) => ({ id: `m${i}`, picnic_id: 'picnic-1', user_id: 'u1' }));
+        jest.spyOn(api, 'makeRequest').mockImplementation(async (endpoint, method, { page, limit }) => ({
+            results: unread.slice((page - 1) * limit, page * limit),
+            hasNext: page * limit < unread.length
+        }));
+        
+        const counts = await api.getUnreadMessageCounts(['picnic-1']);
+        
+        expect(counts).toEqual({ 'picnic-1': 130 });
+    });
+});
+
+describe('Unit Tests - Preferences', () => {
+    it('should read preferences within a namespace', async () => {
+        const api = new PicnicAPI();
+        const requests = [];
+        api.makeRequest = async (endpoint, method = 'GET') => {
+            requests.push({ endpoint, method });
+            return { preferences: { settings: { chat_mention: false } } };
+        };
+        
+        const preferences = await api.getPreferences('notifications');
+        
+        expect(requests[0]).toEqual({ endpoint: '/preferences?namespace=notifications', method: 'GET' });
+        expect(preferences.settings.chat_mention).toBe(false);
+    });
+
+    it('should merge updated preferences into the namespace', async () => {
+        const api = new PicnicAPI();
+        let sent = null;
+        api.makeRequest = async (endpoint, method, data) => {
+            sent = { endpoint, method, data };
+            return { success: true };
+        };
+        
+        await api.updatePreferences({ feed: [] }, 'notifications');
+        
+        expect(sent.endpoint).toBe('/preferences');
+        expect(sent.method).toBe('PUT');
+        expect(sent.data).toEqual({ preferences: { feed: [] }, namespace: 'notifications', merge: true });
+    });
+});
+
+describe('Unit Tests - Subscriptions', () => {
+    const openSocket = (api) => {
+        const sent = [];
+        api.ws = { readyState: WebSocket.OPEN, send: (message) => sent.push(JSON.parse(message)) };
+        return sent;
+    };
+
+    it('should share one server subscription between callbacks', () => {
+        const api = new PicnicAPI();
+        const sent = openSocket(api);
+        const received = [];
+        
+        const first = api.subscribe('picnic_items', (event) => received.push(['first', event.id]));
+        api.subscribe('picnic_items', (event) => received.push(['second', event.id]));
+        api.handleWebSocketMessage({ type: 'document_created', collection: 'picnic_items', id: 'i1', data: {} });
+        
+        expect(sent.length).toBe(1);
+        expect(received).toEqual([['first', 'i1'], ['second', 'i1']]);
+        
+        first();
+        expect(api.subscriptions.get('picnic_items').callbacks.size).toBe(1);
+        expect(sent.length).toBe(1);
+    });
+
+    it('should send filters and only deliver matching documents', () => {
+        const api = new PicnicAPI();
+        const sent = openSocket(api);
+        const received = [];
+        
+        api.subscribe('picnic_items', (event) => received.push(event.id), null, { picnic_id: 'picnic-1' });
+        api.handleWebSocketMessage({ type: 'document_updated', collection: 'picnic_items', id: 'i1', data: { picnic_id: 'picnic-1' } });
+        api.handleWebSocketMessage({ type: 'document_updated', collection: 'picnic_items', id: 'i2', data: { picnic_id: 'picnic-2' } });
+        
+        expect(sent[0].filters).toEqual({ picnic_id: 'picnic-1' });
+        expect(received).toEqual(['i1']);
+    });
+
+    it('should match deletions without a document on the last known copy of the record', async () => {
+        const api = new PicnicAPI();
+        openSocket(api);
+        const picnicOne = [];
+        const picnicTwo = [];
+        const everything = [];
+        
+        api.subscribe('picnic_items', (event) => picnicOne.push(event.id), null, { picnic_id: 'picnic-1' });
+        api.subscribe('picnic_items', (event) => picnicTwo.push(event.id), null, { picnic_id: 'picnic-2' });
+        api.subscribe('picnic_items', (event) => everything.push(event.id));
+        api.makeRequest = async () => ({ results: [{ id: 'i1', picnic_id: 'picnic-1' }] });
+        await api.queryAll('picnic_items', { filters: [{ field: 'picnic_id', operator: '==', value: 'picnic-1' }] });
+        api.handleWebSocketMessage({ type: 'document_created', collection: 'picnic_items', id: 'i2', data: { id: 'i2', picnic_id: 'picnic-2' } });
+        
+        ['i1', 'i2', 'unknown'].forEach(id => {
+            api.handleWebSocketMessage({ type: 'document_deleted', collection: 'picnic_items', id });
+        });
+        
+        expect(picnicOne).toEqual(['i1']);
+        expect(picnicTwo).toEqual(['i2', 'i2']);
+        expect(everything).toEqual(['i2', 'i1', 'i2', 'unknown']);
+        expect(api.knownRecords.has('picnic_items:i1')).toBeFalsy();
+    });
+
+    it('should move picnic-scoped subscriptions when the open picnic changes', () => {
+        const api = new PicnicAPI();
+        const sent = openSocket(api);
+        
+        api.subscribeToPicnicScope('picnic_expenses', () => {});
+        expect(sent.length).toBe(0);
+        
+        api.setSubscriptionScope('picnic-1');
+        api.setSubscriptionScope('picnic-2');
+        
+        expect(sent.map(m => `${m.type}:${m.filters.picnic_id}`)).toEqual([
+            'subscribe:picnic-1',
+            'unsubscribe:picnic-1',
+            'subscribe:picnic-2'
+        ]);
+        expect(api.subscriptions.size).toBe(1);
+        
+        api.setSubscriptionScope(null);
+        expect(api.subscriptions.size).toBe(0);
+    });
+
+    it('should keep watched picnics subscribed alongside the open picnic', () => {
+        const api = new PicnicAPI();
+        const sent = openSocket(api);
+        
+        api.subscribeToPicnicScope('picnic_items', () => {});
+        api.watchPicnics(['picnic-1', 'picnic-2']);
+        api.setSubscriptionScope('picnic-2');
+        api.setSubscriptionScope('picnic-3');
+        api.watchPicnics(['picnic-2']);
+        
+        expect(sent.map(m => `${m.type}:${m.filters.picnic_id}`)).toEqual([
+            'subscribe:picnic-1',
+            'subscribe:picnic-2',
+            'subscribe:picnic-3',
+            'unsubscribe:picnic-1'
+        ]);
+        expect(api.subscriptions.size).toBe(2);
+    });
+
+    it('should only receive changes to watched picnics, each once', () => {
+        const api = new PicnicAPI();
+        const sent = openSocket(api);
+        const received = [];
+        const picnicIds = Array.from({ length: 50 }, (_, i) => `picnic-${i}`);
+        
+        api.subscribeToPicnicScope('picnic_items', (event) => received.push(`${event.type}:${event.id}`));
+        api.watchPicnics(picnicIds);
+        api.watchPicnics(picnicIds);
+        
+        expect(sent.length).toBe(50);
+        expect(sent.every(m => m.type === 'subscribe' && m.filters && m.filters.picnic_id)).toBeTruthy();
+        
+        api.handleWebSocketMessage({ type: 'document_updated', collection: 'picnic_items', id: 'i1', data: { id: 'i1', picnic_id: 'picnic-7' } });
+        api.handleWebSocketMessage({ type: 'document_updated', collection: 'picnic_items', id: 'i2', data: { id: 'i2', picnic_id: 'picnic-99' } });
+        api.handleWebSocketMessage({ type: 'document_deleted', collection: 'picnic_items', id: 'i1' });
+        api.handleWebSocketMessage({ type: 'document_deleted', collection: 'picnic_items', id: 'unknown' });
+        
+        expect(received).toEqual(['document_updated:i1', 'document_deleted:i1']);
+    });
+
+    it('should load records for many picnics with one query per collection', async () => {
+        const api = new PicnicAPI();
+        const queries = [];
+        api.makeRequest = async (endpoint, method, data) => {
+            queries.push({ endpoint, picnics: data.or_filters.map(conditions => conditions[0].value) });
+            return { results: [{ id: `${endpoint}-1`, picnic_id: 'picnic-1' }] };
+        };
+        
+        const records = await api.getRecordsForPicnics(['picnic-1', 'picnic-2']);
+        
+        expect(queries.map(q => q.endpoint)).toEqual([
+            '/picnic_participants/query',
+            '/picnic_items/query',
+            '/picnic_expenses/query'
+        ]);
+        expect(queries[0].picnics).toEqual(['picnic-1', 'picnic-2']);
+        expect(records.items.length).toBe(1);
+    });
+});
+
+describe('Unit Tests - State Store', () => {
+    const createStore = () => {
+        const api = new PicnicAPI();
+        return new PicnicStore({ reduce: (records, event) => api.applyRealtimeEvent(records, event) });
+    };
+
+    it('should select records by picnic and group participants by status', () => {
+        const store = createStore();
+        store.replace('participants', [
+            { id: 'p1', picnic_id: 'picnic-1', rsvp_status: 'going' },
+            { id: 'p2', picnic_id: 'picnic-1', rsvp_status: 'maybe' },
+            { id: 'p3', picnic_id: 'picnic-1', rsvp_status: 'going' },
+            { id: 'p4', picnic_id: 'picnic-2', rsvp_status: 'going' }
+        ]);
+        store.replace('expenses', [
+            { id: 'e1', picnic_id: 'picnic-1', amount: 10.1 },
+            { id: 'e2', picnic_id: 'picnic-1', amount: 0.2 }
+        ]);
+        
+        const groups = store.getParticipantsByStatus('picnic-1');
+        expect(groups.going.map(p => p.id)).toEqual(['p1', 'p3']);
+        expect(groups.maybe.length).toBe(1);
+        
+        const stats = store.getPicnicStats('picnic-1');
+        expect(stats.participants).toBe(3);
+        expect(stats.going).toBe(2);
+        expect(stats.expenseTotal).toBe(10.3);
+        expect(store.getByPicnic('participants', null)).toEqual([]);
+    });
+
+    it('should replace one picnic without touching the others', () => {
+        const store = createStore();
+        store.replace('items', [
+            { id: 'i1', picnic_id: 'picnic-1' },
+            { id: 'i2', picnic_id: 'picnic-2' }
+        ]);
+        
+        store.replaceWhere('items', item => item.picnic_id === 'picnic-1', [{ id: 'i3', picnic_id: 'picnic-1' }]);
+        
+        expect(store.getAll('items').map(i => i.id)).toEqual(['i2', 'i3']);
+        expect(store.get('items', 'i1')).toBe(null);
+    });
+
+    it('should notify subscribers once per batch and only for their collections', () => {
+        const store = createStore();
+        const itemChanges = [];
+        const allChanges = [];
+        store.subscribe('items', ({ collections }) => itemChanges.push(collections));
+        const unsubscribe = store.subscribe(null, ({ collections }) => allChanges.push(collections));
+        
+        store.batch(() => {
+            store.upsert('items', { id: 'i1', picnic_id: 'picnic-1' });
+            store.upsert('items', { id: 'i2', picnic_id: 'picnic-1' });
+            store.upsert('expenses', { id: 'e1', picnic_id: 'picnic-1' });
+        });
+        
+        expect(itemChanges).toEqual([['items']]);
+        expect(allChanges).toEqual([['items', 'expenses']]);
+        
+        unsubscribe();
+        store.remove('expenses', 'e1');
+        store.remove('expenses', 'missing');
+        expect(allChanges.length).toBe(1);
+    });
+
+    it('should apply real-time events through the shared reducer', () => {
+        const store = createStore();
+        let notified = 0;
+        store.replace('items', [{ id: 'local-1', client_id: 'local-1', picnic_id: 'picnic-1', name: 'Ice' }]);
+        store.subscribe('items', () => notified++);
+        
+        const created = store.applyEvent('items', {
+            type: 'document_created',
+            data: { id: 'i1', client_id: 'local-1', picnic_id: 'picnic-1', name: 'Ice' }
+        });
+        const ignored = store.applyEvent('items', { type: 'document_deleted', id: 'missing' });
+        
+        expect(created.change).toBe('merged');
+        expect(ignored.change).toBe(null);
+        expect(store.getAll('items').map(i => i.id)).toEqual(['i1']);
+        expect(notified).toBe(1);
+    });
+});
+
+describe('Unit Tests - Pagination', () => {
+    it('should page through picnics with a keyset cursor and push filters to the server', async () => {
+        const api = new PicnicAPI();
+        const requests = [];
+        api.makeRequest = async (endpoint, method, data) => {
+            requests.push({ endpoint, method, data });
+            return requests.length === 1
+                ? { results: [{ id: 'picnic-b', date: '2025-06-01' }], hasNext: true }
+                : { results: [{ id: 'picnic-c', date: '2025-06-01' }], hasNext: false };
+        };
+        
+        const first = await api.getPicnicPage({ limit: 1, status: 'planning' });
+        const second = await api.getPicnicPage({ cursor: first.cursor, limit: 1, status: 'planning' });
+        
+        expect(first.picnics[0].id).toBe('picnic-b');
+        expect(api.decodePicnicCursor(first.cursor)).toEqual({ date: '2025-06-01', id: 'picnic-b' });
+        expect(second.picnics[0].id).toBe('picnic-c');
+        expect(second.cursor).toBe(null);
+        expect(requests[0].data.or_filters).toBeUndefined();
+        expect(requests[1]).toEqual({
+            endpoint: '/picnics/query',
+            method: 'POST',
+            data: {
+                filters: [{ field: 'status', operator: '==', value: 'planning' }],
+                or_filters: [
+                    [{ field: 'date', operator: '>', value: '2025-06-01' }],
+                    [{ field: 'date', operator: '==', value: '2025-06-01' }, { field: 'id', operator: '>', value: 'picnic-b' }]
+                ],
+                sort: [{ field: 'date', order: 'asc' }, { field: 'id', order: 'asc' }],
+                limit: 1
+            }
+        });
+    });
+
+    it('should reject cursors it did not issue', async () => {
+        const api = new PicnicAPI();
+        api.makeRequest = jest.fn();
+        
+        await expect(api.getPicnicPage({ cursor: '2' })).rejects.toThrow('Invalid picnic page cursor');
+        expect(api.makeRequest).not.toHaveBeenCalled();
+    });
+
+    it('should search on the server within the status filter and after the cursor', async () => {
+        const api = new PicnicAPI();
+        let request = null;
+        api.makeRequest = async (endpoint, method, data) => {
+            request = { endpoint, method, data };
+            return { results: [{ id: 'picnic-1', title: 'Beach day' }], has_next: false };
+        };
+        const cursor = api.encodePicnicCursor({ id: 'picnic-0', date: '2025-06-01' });
+        
+        const result = await api.getPicnicPage({ cursor, search: 'beach', status: 'upcoming' });
+        
+        expect(request.endpoint).toBe('/picnics/query');
+        expect(request.data.filters[0].field).toBe('date');
+        expect(request.data.filters[0].operator).toBe('>=');
+        // Two keyset alternatives, each paired with the three searched fields
+        expect(request.data.or_filters.length).toBe(6);
+        expect(request.data.or_filters[5]).toEqual([
+            { field: 'date', operator: '==', value: '2025-06-01' },
+            { field: 'id', operator: '>', value: 'picnic-0' },
+            { field: 'location.name', operator: 'contains', value: 'beach' }
+        ]);
+        expect(result.picnics).toEqual([{ id: 'picnic-1', title: 'Beach day' }]);
+        expect(result.cursor).toBe(null);
+    });
+
+    it('should translate dashboard statuses into query conditions', () => {
+        const api = new PicnicAPI();
+        
+        expect(api.getPicnicStatusFilter('upcoming', '2025-06-01')).toEqual([{ field: 'date', operator: '>=', value: '2025-06-01' }]);
+        expect(api.getPicnicStatusFilter('past', '2025-06-01')).toEqual([{ field: 'date', operator: '<', value: '2025-06-01' }]);
+        expect(api.getPicnicStatusFilter('planning')).toEqual([{ field: 'status', operator: '==', value: 'planning' }]);
+        expect(api.getPicnicStatusFilter('all')).toEqual([]);
+    });
+});
+
+describe('Unit Tests - Test Framework', () => {
+    const calls = [];
+
+    beforeAll(() => calls.push('beforeAll'));
+    beforeEach(() => calls.push('beforeEach'));
+    afterEach(() => calls.push('afterEach'));
+
+    describe('nested suite', () => {
+        beforeEach(() => calls.push('inner beforeEach'));
+
+        it('should run outer hooks before inner hooks', () => {
+            expect(calls.filter(call => call === 'beforeAll')).toHaveLength(1);
+            expect(calls.slice(-2)).toEqual(['beforeEach', 'inner beforeEach']);
+        });
+    });
+
+    it('should advance fake timers and Date.now together', () => {
+        jest.useFakeTimers();
+        const startedAt = Date.now();
+        const ticks = [];
+        const interval = setInterval(() => ticks.push(Date.now() - startedAt), 100);
+        
+        jest.advanceTimersByTime(250);
+        expect(ticks).toEqual([100, 200]);
+        
+        clearInterval(interval);
+        expect(jest.getTimerCount()).toBe(0);
+    });
+
+    it('should answer API requests from stubbed fetch routes', async () => {
+        const fetchStub = stubFetch({
+            'GET /api/picnics/picnic-1': { id: 'picnic-1', title: 'Stubbed Picnic' },
+            'GET /api/picnics/missing': { status: 404, body: { message: 'Picnic not found' } }
+        });
+        const api = new PicnicAPI();
         
-        global.fetch = originalFetch;
+        const picnic = await api.getPicnic('picnic-1');
+        expect(picnic.title).toBe('Stubbed Picnic');
+        expect(fetchStub).toHaveBeenCalledTimes(1);
+        await expect(api.getPicnic('missing')).rejects.toThrow('Picnic not found');
+    });
+
+    it('should drive real-time handlers through a stubbed WebSocket', async () => {
+        stubWebSocket();
+        const api = new PicnicAPI();
+        const callback = jest.fn();
+        
+        await api.connectWebSocket();
+        const socket = MockWebSocket.instances[0];
+        await Promise.resolve();
+        expect(socket.readyState).toBe(MockWebSocket.OPEN);
+        
+        api.subscribe('picnics', callback);
+        expect(socket.messages[0]).toEqual({ type: 'subscribe', collection: 'picnics', eventType: null });
+        
+        socket.receive({ type: 'document_created', collection: 'picnics', data: { id: 'picnic-1' }, id: 'picnic-1' });
+        expect(callback).toHaveBeenCalledWith({
+            type: 'document_created',
+            collection: 'picnics',
+            data: { id: 'picnic-1' },
+            id: 'picnic-1'
+        });
+        
+        api.destroy();
+    });
+
+    it('should match rendered component HTML against a snapshot', () => {
+        const container = document.createElement('div');
+        const input = document.createElement('input');
+        container.appendChild(input);
+        document.body.appendChild(container);
+        
+        const component = new AutoSuggestComponent(input);
+        component.showSuggestions(['Central Park, New York', 'Hyde Park, London']);
+        expect(component.suggestionsList.innerHTML).toMatchSnapshot();
+        
+        component.destroy();
+        document.body.removeChild(container);
+    });
+});
+
+describe('Unit Tests - Settlement', () => {
+    const participants = [
+        { user_id: 'alice', user_name: 'Alice', rsvp_status: 'going', plus_ones: 0 },
+        { user_id: 'bob', user_name: 'Bob', rsvp_status: 'going', plus_ones: 1 },
+        { user_id: 'cara', user_name: 'Cara', rsvp_status: 'going', plus_ones: 0 },
+        { user_id: 'dan', user_name: 'Dan', rsvp_status: 'maybe', plus_ones: 0 }
+    ];
+
+    const findBalance = (balances, userId) => balances.find(b => b.user_id === userId);
+
+    it('should split equal expenses among going participants counting plus-ones', () => {
+        const balances = Settlement.computeBalances([
+            { amount: 40, paid_by: 'alice', split_type: 'equal' }
+        ], participants);
+        
+        expect(findBalance(balances, 'alice').owed).toBe(10);
+        expect(findBalance(balances, 'bob').owed).toBe(20);
+        expect(findBalance(balances, 'cara').owed).toBe(10);
+        expect(findBalance(balances, 'dan')).toBeFalsy();
+        expect(findBalance(balances, 'alice').net).toBe(30);
+    });
+
+    it('should only split among listed expense participants', () => {
+        const balances = Settlement.computeBalances([
+            { amount: 30, paid_by: 'cara', split_type: 'equal', participants: ['cara', 'dan'] }
+        ], participants);
+        
+        expect(findBalance(balances, 'cara').owed).toBe(15);
+        expect(findBalance(balances, 'dan').owed).toBe(15);
+        expect(findBalance(balances, 'alice')).toBeFalsy();
+    });
+
+    it('should keep balances summing to zero when cents do not divide evenly', () => {
+        const balances = Settlement.computeBalances([
+            { amount: 10, paid_by: 'alice', split_type: 'equal', participants: ['alice', 'cara', 'dan'] }
+        ], participants);
+        
+        const totalOwed = balances.reduce((sum, b) => sum + Settlement.toCents(b.owed), 0);
+        const totalNet = balances.reduce((sum, b) => sum + Settlement.toCents(b.net), 0);
+        expect(totalOwed).toBe(1000);
+        expect(totalNet).toBe(0);
+    });
+
+    it('should weight by_consumption expenses by units consumed', () => {
+        const balances = Settlement.computeBalances([
+            { amount: 20, paid_by: 'alice', split_type: 'by_consumption', shares: { alice: 1, bob: 3 } }
+        ], participants);
+        
+        expect(findBalance(balances, 'alice').owed).toBe(5);
+        expect(findBalance(balances, 'bob').owed).toBe(15);
+    });
+
+    it('should honor custom amounts and spread any remainder', () => {
+        const balances = Settlement.computeBalances([
+            { amount: 50, paid_by: 'bob', split_type: 'custom', participants: ['alice', 'cara'], shares: { alice: 30, cara: 10 } }
+        ], participants);
+        
+        expect(findBalance(balances, 'alice').owed).toBe(35);
+        expect(findBalance(balances, 'cara').owed).toBe(15);
+        expect(findBalance(balances, 'bob').net).toBe(50);
+    });
+
+    it('should reject custom amounts that add up to more than the total', () => {
+        const expense = { amount: 20, paid_by: 'bob', split_type: 'custom', participants: ['alice', 'cara'], shares: { alice: 15, cara: 10 } };
+        
+        expect(Settlement.validateCustomShares(expense)).toBe('Custom amounts add up to more than the total');
+        expect(Settlement.validateCustomShares({ ...expense, shares: { alice: 15, cara: 5 } })).toBe(null);
+        expect(() => Settlement.computeBalances([expense], participants)).toThrow('more than the total');
+    });
+
+    it('should charge organizer_pays expenses to the organizer', () => {
+        const balances = Settlement.computeBalances([
+            { amount: 25, paid_by: 'bob', split_type: 'organizer_pays' }
+        ], participants, 'alice');
+        
+        expect(findBalance(balances, 'alice').net).toBe(-25);
+        expect(findBalance(balances, 'bob').net).toBe(25);
+    });
+
+    it('should settle with the fewest transfers for simple cases', () => {
+        const transfers = Settlement.computeTransfers([
+            { user_id: 'alice', user_name: 'Alice', net: 30 },
+            { user_id: 'bob', user_name: 'Bob', net: -20 },
+            { user_id: 'cara', user_name: 'Cara', net: -10 }
+        ]);
+        
+        expect(transfers.length).toBe(2);
+        expect(transfers.every(t => t.to === 'alice')).toBeTruthy();
+        expect(transfers.reduce((sum, t) => sum + t.amount, 0)).toBe(30);
+    });
+
+    it('should pair exact matches before splitting debts', () => {
+        const transfers = Settlement.computeTransfers([
+            { user_id: 'alice', user_name: 'Alice', net: 25 },
+            { user_id: 'bob', user_name: 'Bob', net: 10 },
+            { user_id: 'cara', user_name: 'Cara', net: -10 },
+            { user_id: 'dan', user_name: 'Dan', net: -25 }
+        ]);
+        
+        expect(transfers.length).toBe(2);
+        expect(transfers.find(t => t.from === 'cara').to).toBe('bob');
+        expect(transfers.find(t => t.from === 'dan').to).toBe('alice');
     });
 });
 